@@ -38,7 +38,7 @@ Write-Host ""
 Write-Host "This script will:" -ForegroundColor Cyan
 Write-Host "  1. Link to your Supabase project (nvffvcjtrgxnunncdafz)"
 Write-Host "  2. Set API keys as Supabase secrets"
-Write-Host "  3. Deploy all 5 Edge Functions"
+Write-Host "  3. Deploy all 9 Edge Functions"
 Write-Host ""
 $confirm = Read-Host "Continue? (y/n)"
 
@@ -78,7 +78,7 @@ Write-Host ""
 
 Write-Host "=== Step 3: Deploying Edge Functions ===" -ForegroundColor Cyan
 
-$functions = @("grok-api", "claude-api", "generate-article", "publish-to-wordpress", "generate-ideas-from-keywords")
+$functions = @("grok-api", "claude-api", "generate-article", "generation-worker", "automation-cycle", "publish-to-wordpress", "generate-ideas-from-keywords", "import-site-articles", "match-site-articles")
 
 foreach ($func in $functions) {
     Write-Host "Deploying $func..." -ForegroundColor Yellow
@@ -0,0 +1,111 @@
+/**
+ * Stub WordPress server for exercising the site article importer locally
+ *
+ *   node scripts/stub-wordpress-server.js
+ *
+ * Serves /wp-json/wp/v2/posts (per_page, page, modified_after, _fields, X-WP-TotalPages),
+ * /wp-sitemap.xml (index) -> /wp-sitemap-posts-post-1.xml, and an HTML page per post.
+ * Environment: PORT (8787), POST_COUNT (120), REMOVED_IDS (comma separated ids to hide,
+ * to simulate deleted posts between imports), ORIGIN (http://localhost:PORT; post links
+ * and sitemap URLs use it and must match the connection's Site URL host).
+ */
+
+import { createServer } from 'node:http'
+
+const PORT = Number(process.env.PORT) || 8787
+const POST_COUNT = Number(process.env.POST_COUNT) || 120
+const REMOVED_IDS = new Set((process.env.REMOVED_IDS || '').split(',').filter(Boolean).map(Number))
+const ORIGIN = process.env.ORIGIN || `http://localhost:${PORT}`
+
+const SUBJECTS = ['Online MBA', 'Nursing Degree', 'Computer Science', 'Financial Aid', 'Teaching License', 'Data Analytics']
+const ANGLES = ['Costs and Tuition', 'Admission Requirements', 'Career Outlook', 'Accreditation Explained', 'Best Programs']
+
+const posts = Array.from({ length: POST_COUNT }, (_, index) => {
+  const id = index + 1
+  const title = `${SUBJECTS[index % SUBJECTS.length]}: ${ANGLES[index % ANGLES.length]} #${id}`
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  // Spread modification dates over the last POST_COUNT days
+  const modified = new Date(Date.now() - (POST_COUNT - index) * 24 * 60 * 60 * 1000)
+
+  return {
+    id,
+    link: `${ORIGIN}/${slug}/`,
+    slug,
+    title: { rendered: title.replace(':', ' &#8211;') },
+    excerpt: { rendered: `<p>Everything you need to know about ${title.toLowerCase()} &hellip;</p>` },
+    modified_gmt: modified.toISOString().slice(0, 19),
+  }
+}).filter(post => !REMOVED_IDS.has(post.id))
+
+function pick(post, fields) {
+  if (!fields) return post
+  return Object.fromEntries(fields.split(',').filter(field => field in post).map(field => [field, post[field]]))
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, headers)
+  res.end(body)
+}
+
+function handlePosts(res, params) {
+  const perPage = Math.min(Number(params.get('per_page')) || 10, 100)
+  const page = Number(params.get('page')) || 1
+  const modifiedAfter = params.get('modified_after')
+
+  const matching = modifiedAfter
+    ? posts.filter(post => new Date(`${post.modified_gmt}Z`) > new Date(modifiedAfter))
+    : posts
+  const totalPages = Math.max(1, Math.ceil(matching.length / perPage))
+
+  if (page > totalPages) {
+    return send(res, 400, JSON.stringify({ code: 'rest_post_invalid_page_number' }), { 'Content-Type': 'application/json' })
+  }
+
+  const items = matching.slice((page - 1) * perPage, page * perPage).map(post => pick(post, params.get('_fields')))
+  send(res, 200, JSON.stringify(items), {
+    'Content-Type': 'application/json',
+    'X-WP-Total': String(matching.length),
+    'X-WP-TotalPages': String(totalPages),
+  })
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, ORIGIN)
+  console.log(req.method, url.pathname + url.search)
+
+  if (url.pathname === '/wp-json/wp/v2/posts') return handlePosts(res, url.searchParams)
+
+  if (url.pathname === '/wp-json/wp/v2/users/me') {
+    return send(res, 200, JSON.stringify({ id: 1, name: 'stub' }), { 'Content-Type': 'application/json' })
+  }
+
+  if (url.pathname === '/wp-sitemap.xml') {
+    return send(res, 200, `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>${ORIGIN}/wp-sitemap-posts-post-1.xml</loc></sitemap>
+  <sitemap><loc>${ORIGIN}/wp-sitemap-taxonomies-category-1.xml</loc></sitemap>
+</sitemapindex>`, { 'Content-Type': 'application/xml' })
+  }
+
+  if (url.pathname === '/wp-sitemap-posts-post-1.xml') {
+    const entries = posts.map(post => `  <url><loc>${post.link}</loc><lastmod>${post.modified_gmt}Z</lastmod></url>`)
+    return send(res, 200, `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>`, { 'Content-Type': 'application/xml' })
+  }
+
+  const post = posts.find(p => url.pathname === `/${p.slug}/`)
+  if (post) {
+    return send(res, 200, `<!doctype html><html><head>
+<title>${post.title.rendered} | Stub Site</title>
+<meta name="description" content="${post.excerpt.rendered.replace(/<[^>]*>/g, '')}">
+</head><body><h1>${post.title.rendered}</h1></body></html>`, { 'Content-Type': 'text/html' })
+  }
+
+  send(res, 404, 'Not found')
+})
+
+server.listen(PORT, () => {
+  console.log(`Stub WordPress serving ${posts.length} posts at ${ORIGIN}`)
+})
@@ -10,6 +10,8 @@ import ArticleEditor from './pages/ArticleEditor'
 import ContentIdeas from './pages/ContentIdeas'
 import ContentLibrary from './pages/ContentLibrary'
 import Analytics from './pages/Analytics'
+import Automation from './pages/Automation'
+import Learning from './pages/Learning'
 import Settings from './pages/Settings'
 
 // Layout
@@ -57,6 +59,8 @@ function App() {
               <Route path="editor" element={<ArticleEditor />} />
               <Route path="library" element={<ContentLibrary />} />
               <Route path="analytics" element={<Analytics />} />
+              <Route path="automation" element={<Automation />} />
+              <Route path="learning" element={<Learning />} />
               <Route path="settings" element={<Settings />} />
             </Route>
 
@@ -0,0 +1,77 @@
+import { useDeferredValue, useMemo } from 'react'
+import { Bot } from 'lucide-react'
+import { useSystemSettings } from '../../hooks/useSettings'
+import { detectAITellsInText, summarizeAITells, AI_TELL_LABELS } from '../../lib/quality/aiTells'
+import { DEFAULT_SETTINGS } from '../../lib/settings'
+
+const KIND_STYLES = {
+  banned_phrase: 'bg-red-50 border-red-200',
+  ai_transition: 'bg-yellow-50 border-yellow-200',
+  repetitive_opener: 'bg-yellow-50 border-yellow-200',
+}
+
+/**
+ * AI Tells Panel
+ * Banned phrases, overused transitions and repetitive openers in the editor
+ * text; clicking a hit selects it in the editor
+ */
+function AITellsPanel({ editorText, onSelectHit }) {
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
+  const deferredText = useDeferredValue(editorText)
+  const tells = useMemo(() => detectAITellsInText(deferredText || '', settings), [deferredText, settings])
+
+  if (!settings.check_ai_tells || tells.wordCount === 0) return null
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+      <div className="p-6 border-b border-gray-200">
+        <div className="flex items-center gap-2 mb-1">
+          <Bot className="w-4 h-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-900">AI Phrasing</h3>
+        </div>
+        <p className="text-sm text-gray-600">
+          {tells.hits.length === 0 ? 'No banned phrases or AI tells found.' : `${summarizeAITells(tells)}.`}
+        </p>
+      </div>
+
+      {tells.hits.length > 0 && (
+        <ul className="p-6 space-y-2">
+          {tells.hits.map(hit => (
+            <li key={`${hit.kind}-${hit.index}`}>
+              <button
+                type="button"
+                onClick={() => onSelectHit(hit)}
+                className={`w-full text-left p-3 border rounded-lg hover:shadow-sm ${KIND_STYLES[hit.kind]}`}
+              >
+                <p className="text-xs font-medium text-gray-900">
+                  {AI_TELL_LABELS[hit.kind]}: “{hit.match}”{hit.count ? ` × ${hit.count} sentences` : ''}
+                </p>
+                <p className="text-xs text-gray-700 mt-1 italic">
+                  <HighlightedExcerpt excerpt={hit.excerpt} match={hit.match} />
+                </p>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Excerpt with the first occurrence of the hit marked
+ */
+function HighlightedExcerpt({ excerpt, match }) {
+  const at = excerpt.toLowerCase().replace(/[‘’]/g, "'").indexOf(match.toLowerCase())
+  if (at === -1) return excerpt
+
+  return (
+    <>
+      {excerpt.slice(0, at)}
+      <mark className="bg-yellow-200 not-italic">{excerpt.slice(at, at + match.length)}</mark>
+      {excerpt.slice(at + match.length)}
+    </>
+  )
+}
+
+export default AITellsPanel
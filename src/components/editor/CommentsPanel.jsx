@@ -0,0 +1,363 @@
+import { useMemo, useState } from 'react'
+import { MessageSquare, Check, X, RotateCcw, Trash2, Sparkles, Loader2, Link2Off } from 'lucide-react'
+import { useAuth } from '../../contexts/AuthContext'
+import { useArticleComments, useCreateComment, useUpdateCommentStatus, useDeleteComment } from '../../hooks/useArticleComments'
+import { useReviseArticle } from '../../hooks/useGeneration'
+import { createAnchor, resolveAnchor, buildThreads } from '../../lib/comments/anchors'
+import { describeError } from '../../lib/http/apiErrors'
+
+const CATEGORIES = ['accuracy', 'clarity', 'tone', 'seo', 'structure', 'style', 'other']
+const SEVERITIES = ['critical', 'major', 'minor', 'suggestion']
+
+const SEVERITY_COLORS = {
+  critical: 'bg-red-100 text-red-700',
+  major: 'bg-orange-100 text-orange-700',
+  minor: 'bg-yellow-100 text-yellow-700',
+  suggestion: 'bg-blue-100 text-blue-700',
+}
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'all', label: 'All' },
+]
+
+/**
+ * Comments Panel
+ * Reviewer comment threads anchored to editor selections, with filters,
+ * resolve / dismiss, replies and "Revise with AI" for the open comments
+ */
+function CommentsPanel({ article, content, editorText, selection, onFocusComment, onRevised }) {
+  const { user } = useAuth()
+  const { data: rows = [], isLoading } = useArticleComments(article?.id)
+  const createComment = useCreateComment()
+  const updateStatus = useUpdateCommentStatus()
+  const deleteComment = useDeleteComment()
+  const reviseArticle = useReviseArticle()
+
+  const [statusFilter, setStatusFilter] = useState('pending')
+  const [categoryFilter, setCategoryFilter] = useState('')
+  const [severityFilter, setSeverityFilter] = useState('')
+  const [composing, setComposing] = useState(null)
+
+  const threads = useMemo(
+    () => buildThreads(rows).map(thread => ({ ...thread, anchor: resolveAnchor(editorText, thread) })),
+    [rows, editorText]
+  )
+
+  const visibleThreads = threads.filter(thread =>
+    (statusFilter === 'all' || (statusFilter === 'pending') === (thread.status === 'pending')) &&
+    (!categoryFilter || thread.category === categoryFilter) &&
+    (!severityFilter || thread.severity === severityFilter)
+  )
+  const pendingThreads = threads.filter(thread => thread.status === 'pending')
+
+  if (!article) return null
+
+  const startComment = () => {
+    const anchor = selection?.length > 0 ? createAnchor(editorText, selection.index, selection.length) : null
+    setComposing({ anchor, comment: '', category: 'clarity', severity: 'minor' })
+  }
+
+  const handleCreate = async (event) => {
+    event.preventDefault()
+    if (!composing.comment.trim()) return
+
+    try {
+      await createComment.mutateAsync({
+        article,
+        ...(composing.anchor || {}),
+        comment: composing.comment.trim(),
+        category: composing.category,
+        severity: composing.severity,
+      })
+      setComposing(null)
+    } catch (error) {
+      alert('Failed to add comment: ' + error.message)
+    }
+  }
+
+  const handleStatus = async (thread, status) => {
+    try {
+      await updateStatus.mutateAsync({ commentId: thread.id, status })
+    } catch (error) {
+      alert('Failed to update comment: ' + error.message)
+    }
+  }
+
+  const handleDelete = async (comment) => {
+    if (!confirm('Delete this comment?')) return
+    try {
+      await deleteComment.mutateAsync(comment)
+    } catch (error) {
+      alert('Failed to delete comment: ' + error.message)
+    }
+  }
+
+  const handleRevise = async () => {
+    if (pendingThreads.length === 0) return
+    if (!confirm(`Revise the article with AI to address ${pendingThreads.length} open comment${pendingThreads.length === 1 ? '' : 's'}? The current version stays in the history.`)) return
+
+    try {
+      const revised = await reviseArticle.mutateAsync({
+        articleId: article.id,
+        content,
+        feedbackItems: pendingThreads,
+      })
+      onRevised?.(revised)
+    } catch (error) {
+      alert('AI revision failed: ' + describeError(error))
+    }
+  }
+
+  const selectClass = 'px-2 py-1 text-xs border border-gray-300 rounded-md bg-white'
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+      <div className="p-6 border-b border-gray-200 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <MessageSquare className="w-4 h-4 text-gray-500" />
+            <h3 className="font-semibold text-gray-900">Comments</h3>
+            <span className="text-xs text-gray-500">{pendingThreads.length} open</span>
+          </div>
+          <button
+            onClick={startComment}
+            className="text-sm text-blue-600 hover:text-blue-800"
+            title="Select text in the editor to anchor the comment"
+          >
+            {selection?.length > 0 ? 'Comment on selection' : 'Add comment'}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex bg-gray-100 rounded-lg p-0.5">
+            {STATUS_FILTERS.map(filter => (
+              <button
+                key={filter.value}
+                onClick={() => setStatusFilter(filter.value)}
+                className={`px-2 py-0.5 text-xs rounded-md ${statusFilter === filter.value ? 'bg-white shadow text-gray-900' : 'text-gray-600'}`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+          <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)} className={selectClass}>
+            <option value="">All categories</option>
+            {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+          </select>
+          <select value={severityFilter} onChange={(e) => setSeverityFilter(e.target.value)} className={selectClass}>
+            <option value="">All severities</option>
+            {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+          </select>
+        </div>
+
+        {pendingThreads.length > 0 && (
+          <button
+            onClick={handleRevise}
+            disabled={reviseArticle.isPending}
+            className="w-full flex items-center justify-center px-4 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white text-sm rounded-lg hover:from-blue-700 hover:to-indigo-700 disabled:opacity-50"
+          >
+            {reviseArticle.isPending ? (
+              <>
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Revising...
+              </>
+            ) : (
+              <>
+                <Sparkles className="w-4 h-4 mr-2" />
+                Revise with AI ({pendingThreads.length})
+              </>
+            )}
+          </button>
+        )}
+      </div>
+
+      {composing && (
+        <form onSubmit={handleCreate} className="p-4 border-b border-gray-200 bg-gray-50 space-y-2">
+          {composing.anchor ? (
+            <blockquote className="text-xs text-gray-600 border-l-2 border-yellow-400 pl-2 line-clamp-3">
+              {composing.anchor.selected_text}
+            </blockquote>
+          ) : (
+            <p className="text-xs text-gray-500">General comment (no text selected)</p>
+          )}
+          <textarea
+            value={composing.comment}
+            onChange={(e) => setComposing({ ...composing, comment: e.target.value })}
+            rows={3}
+            autoFocus
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="What should change?"
+          />
+          <div className="flex items-center gap-2">
+            <select
+              value={composing.category}
+              onChange={(e) => setComposing({ ...composing, category: e.target.value })}
+              className={selectClass}
+            >
+              {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+            </select>
+            <select
+              value={composing.severity}
+              onChange={(e) => setComposing({ ...composing, severity: e.target.value })}
+              className={selectClass}
+            >
+              {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+            </select>
+            <div className="ml-auto flex gap-2">
+              <button type="button" onClick={() => setComposing(null)} className="px-3 py-1 text-xs text-gray-600 hover:text-gray-900">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={createComment.isPending || !composing.comment.trim()}
+                className="px-3 py-1 text-xs bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                Comment
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="p-6 flex justify-center">
+          <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+        </div>
+      ) : visibleThreads.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500">No comments.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-[32rem] overflow-y-auto">
+          {visibleThreads.map(thread => (
+            <CommentThread
+              key={thread.id}
+              thread={thread}
+              article={article}
+              currentUserId={user?.id}
+              onFocus={() => onFocusComment?.(thread)}
+              onStatus={(status) => handleStatus(thread, status)}
+              onDelete={handleDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function CommentThread({ thread, article, currentUserId, onFocus, onStatus, onDelete }) {
+  const [reply, setReply] = useState('')
+  const createComment = useCreateComment()
+  const isOpen = thread.status === 'pending'
+
+  const handleReply = async (event) => {
+    event.preventDefault()
+    if (!reply.trim()) return
+
+    try {
+      await createComment.mutateAsync({ article, parent_id: thread.id, comment: reply.trim() })
+      setReply('')
+    } catch (error) {
+      alert('Failed to reply: ' + error.message)
+    }
+  }
+
+  return (
+    <li className={`p-4 space-y-2 ${isOpen ? '' : 'opacity-70'}`}>
+      <div className="flex items-center gap-2 flex-wrap">
+        {thread.severity && (
+          <span className={`px-2 py-0.5 rounded text-xs font-medium ${SEVERITY_COLORS[thread.severity]}`}>
+            {thread.severity}
+          </span>
+        )}
+        {thread.category && <span className="text-xs text-gray-500">{thread.category}</span>}
+        {!isOpen && (
+          <span className="text-xs text-gray-500">
+            {thread.status === 'addressed' ? (thread.ai_revised ? 'Addressed by AI' : 'Resolved') : 'Dismissed'}
+          </span>
+        )}
+        <span className="ml-auto text-xs text-gray-400">v{thread.version_number}</span>
+      </div>
+
+      {thread.selected_text && (
+        <button
+          onClick={onFocus}
+          disabled={!thread.anchor}
+          className="block w-full text-left text-xs text-gray-600 border-l-2 border-yellow-400 pl-2 hover:bg-yellow-50 disabled:hover:bg-transparent"
+          title={thread.anchor ? 'Show in editor' : 'This text is no longer in the article'}
+        >
+          <span className="line-clamp-2">{thread.selected_text}</span>
+          {!thread.anchor && (
+            <span className="flex items-center gap-1 mt-1 text-gray-400">
+              <Link2Off className="w-3 h-3" />
+              Text changed
+            </span>
+          )}
+        </button>
+      )}
+
+      <CommentBody comment={thread} currentUserId={currentUserId} onDelete={onDelete} />
+      {thread.replies.map(replyRow => (
+        <div key={replyRow.id} className="pl-3 border-l border-gray-200">
+          <CommentBody comment={replyRow} currentUserId={currentUserId} onDelete={onDelete} />
+        </div>
+      ))}
+
+      {isOpen && (
+        <form onSubmit={handleReply} className="flex gap-2">
+          <input
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            className="flex-1 px-2 py-1 text-xs border border-gray-300 rounded-md"
+            placeholder="Reply..."
+          />
+        </form>
+      )}
+
+      <div className="flex gap-3 text-xs">
+        {isOpen ? (
+          <>
+            <button onClick={() => onStatus('addressed')} className="flex items-center gap-1 text-green-700 hover:text-green-900">
+              <Check className="w-3.5 h-3.5" />
+              Resolve
+            </button>
+            <button onClick={() => onStatus('dismissed')} className="flex items-center gap-1 text-gray-600 hover:text-gray-900">
+              <X className="w-3.5 h-3.5" />
+              Dismiss
+            </button>
+          </>
+        ) : (
+          <button onClick={() => onStatus('pending')} className="flex items-center gap-1 text-gray-600 hover:text-gray-900">
+            <RotateCcw className="w-3.5 h-3.5" />
+            Reopen
+          </button>
+        )}
+      </div>
+    </li>
+  )
+}
+
+function CommentBody({ comment, currentUserId, onDelete }) {
+  return (
+    <div className="group">
+      <p className="text-sm text-gray-900 whitespace-pre-wrap">{comment.comment}</p>
+      <div className="flex items-center gap-2 text-xs text-gray-400">
+        <span>
+          {comment.created_by === currentUserId ? 'You' : 'Reviewer'} · {new Date(comment.created_at).toLocaleString()}
+        </span>
+        {comment.created_by === currentUserId && (
+          <button
+            onClick={() => onDelete(comment)}
+            className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-600"
+            title="Delete"
+          >
+            <Trash2 className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CommentsPanel
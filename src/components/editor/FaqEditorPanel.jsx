@@ -0,0 +1,159 @@
+import { HelpCircle, GripVertical, Plus, Trash2 } from 'lucide-react'
+import {
+  DndContext,
+  closestCenter,
+  KeyboardSensor,
+  PointerSensor,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core'
+import {
+  SortableContext,
+  arrayMove,
+  sortableKeyboardCoordinates,
+  useSortable,
+  verticalListSortingStrategy,
+} from '@dnd-kit/sortable'
+import { CSS } from '@dnd-kit/utilities'
+import { useSystemSettings } from '../../hooks/useSettings'
+import { DEFAULT_SETTINGS } from '../../lib/settings'
+import { withFaqIds } from '../../lib/seo/metadata'
+
+/**
+ * FAQ Editor Panel
+ * Edit, add, remove and reorder (drag the handle) the article's FAQs
+ */
+function FaqEditorPanel({ faqs, onChange }) {
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, {
+      activationConstraint: {
+        distance: 8, // 8px of movement required before dragging starts
+      },
+    }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
+  )
+
+  const handleDragEnd = ({ active, over }) => {
+    if (!over || active.id === over.id) return
+
+    const from = faqs.findIndex(faq => faq.id === active.id)
+    const to = faqs.findIndex(faq => faq.id === over.id)
+    onChange(arrayMove(faqs, from, to))
+  }
+
+  const updateFaq = (id, field, value) => {
+    onChange(faqs.map(faq => (faq.id === id ? { ...faq, [field]: value } : faq)))
+  }
+
+  const addFaq = () => onChange([...faqs, ...withFaqIds([{}])])
+
+  const removeFaq = (id) => onChange(faqs.filter(faq => faq.id !== id))
+
+  const complete = faqs.filter(faq => faq.question.trim() && faq.answer.trim()).length
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <div className="flex items-center gap-2">
+            <HelpCircle className="w-4 h-4 text-gray-500" />
+            <h3 className="font-semibold text-gray-900">FAQs</h3>
+          </div>
+          <p className={`text-xs mt-1 ${complete >= settings.min_faq_count ? 'text-gray-500' : 'text-yellow-700'}`}>
+            {complete} of {settings.min_faq_count}+ questions answered
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={addFaq}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          <Plus className="w-3 h-3" />
+          Add
+        </button>
+      </div>
+
+      {faqs.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500">No FAQs yet.</p>
+      ) : (
+        <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+          <SortableContext items={faqs.map(faq => faq.id)} strategy={verticalListSortingStrategy}>
+            <ul className="p-4 space-y-3">
+              {faqs.map((faq, index) => (
+                <SortableFaqItem
+                  key={faq.id}
+                  faq={faq}
+                  index={index}
+                  onUpdate={updateFaq}
+                  onRemove={removeFaq}
+                />
+              ))}
+            </ul>
+          </SortableContext>
+        </DndContext>
+      )}
+    </div>
+  )
+}
+
+function SortableFaqItem({ faq, index, onUpdate, onRemove }) {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id: faq.id })
+
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? 0.5 : 1,
+  }
+
+  return (
+    <li ref={setNodeRef} style={style} className="flex items-start gap-2 p-3 border border-gray-200 rounded-lg bg-white">
+      {/* Drag Handle */}
+      <button
+        type="button"
+        {...attributes}
+        {...listeners}
+        className="mt-2 text-gray-400 hover:text-gray-600 cursor-grab active:cursor-grabbing"
+        aria-label={`Move question ${index + 1}`}
+      >
+        <GripVertical className="w-4 h-4" />
+      </button>
+
+      <div className="flex-1 space-y-2">
+        <input
+          type="text"
+          value={faq.question}
+          onChange={(e) => onUpdate(faq.id, 'question', e.target.value)}
+          placeholder="Question"
+          className="w-full px-3 py-1.5 text-sm font-medium border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <textarea
+          value={faq.answer}
+          onChange={(e) => onUpdate(faq.id, 'answer', e.target.value)}
+          placeholder="Answer"
+          rows={3}
+          className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      <button
+        type="button"
+        onClick={() => onRemove(faq.id)}
+        className="mt-2 text-gray-400 hover:text-red-600"
+        aria-label={`Remove question ${index + 1}`}
+      >
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </li>
+  )
+}
+
+export default FaqEditorPanel
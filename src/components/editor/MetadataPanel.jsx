@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react'
+import { Tags, Sparkles, Loader2, CheckCircle, XCircle } from 'lucide-react'
+import { useSlugAvailability } from '../../hooks/useArticles'
+import { useSuggestMetadata } from '../../hooks/useGeneration'
+import { METADATA_LIMITS, lengthStatus, slugify } from '../../lib/seo/metadata'
+import { describeError } from '../../lib/http/apiErrors'
+
+const STATUS_COLORS = {
+  empty: 'text-gray-400',
+  short: 'text-yellow-600',
+  ok: 'text-green-600',
+  long: 'text-red-600',
+}
+
+// Wait this long after the last keystroke before asking whether a slug is free
+const SLUG_CHECK_DELAY_MS = 400
+
+/**
+ * Metadata Panel
+ * SEO fields with length counters, slug availability and AI suggestions
+ * (generateMetadata on the draft provider)
+ */
+function MetadataPanel({ articleId, title, content, metadata, onChange }) {
+  const suggestMetadata = useSuggestMetadata()
+  const [checkedSlug, setCheckedSlug] = useState(metadata.slug)
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setCheckedSlug(metadata.slug), SLUG_CHECK_DELAY_MS)
+    return () => clearTimeout(timeout)
+  }, [metadata.slug])
+
+  const { data: slugAvailable, isFetching: checkingSlug } = useSlugAvailability(checkedSlug, articleId)
+
+  const handleSuggest = async () => {
+    try {
+      const suggestion = await suggestMetadata.mutateAsync({
+        content,
+        focusKeyword: metadata.focus_keyword || title,
+      })
+      onChange({
+        meta_title: suggestion.meta_title,
+        meta_description: suggestion.meta_description,
+        slug: slugify(suggestion.slug),
+      })
+    } catch (error) {
+      alert('Metadata suggestion failed: ' + describeError(error))
+    }
+  }
+
+  const slugSettled = checkedSlug === metadata.slug && !checkingSlug
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Tags className="w-4 h-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-900">SEO Metadata</h3>
+        </div>
+        <button
+          type="button"
+          onClick={handleSuggest}
+          disabled={suggestMetadata.isPending || !content}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {suggestMetadata.isPending ? <Loader2 className="w-3 h-3 animate-spin" /> : <Sparkles className="w-3 h-3" />}
+          AI suggest
+        </button>
+      </div>
+
+      <div className="p-6 space-y-4">
+        <Field label="Focus keyword">
+          <input
+            type="text"
+            value={metadata.focus_keyword}
+            onChange={(e) => onChange({ focus_keyword: e.target.value })}
+            className={INPUT_CLASS}
+          />
+        </Field>
+
+        <Field label="Meta title" field="meta_title" value={metadata.meta_title}>
+          <input
+            type="text"
+            value={metadata.meta_title}
+            onChange={(e) => onChange({ meta_title: e.target.value })}
+            className={INPUT_CLASS}
+          />
+        </Field>
+
+        <Field label="Meta description" field="meta_description" value={metadata.meta_description}>
+          <textarea
+            value={metadata.meta_description}
+            onChange={(e) => onChange({ meta_description: e.target.value })}
+            rows={3}
+            className={INPUT_CLASS}
+          />
+        </Field>
+
+        <Field label="Slug" field="slug" value={metadata.slug}>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={metadata.slug}
+              onChange={(e) => onChange({ slug: e.target.value })}
+              onBlur={() => onChange({ slug: slugify(metadata.slug) })}
+              className={INPUT_CLASS}
+            />
+            <button
+              type="button"
+              onClick={() => onChange({ slug: slugify(title) })}
+              className="px-2 text-xs border border-gray-300 rounded-lg hover:bg-gray-50 whitespace-nowrap"
+            >
+              From title
+            </button>
+          </div>
+          {metadata.slug && (
+            <p className="flex items-center gap-1 text-xs mt-1">
+              {!slugSettled ? (
+                <span className="text-gray-500">Checking...</span>
+              ) : slugAvailable ? (
+                <><CheckCircle className="w-3 h-3 text-green-600" /><span className="text-green-700">Available</span></>
+              ) : slugAvailable === false ? (
+                <><XCircle className="w-3 h-3 text-red-600" /><span className="text-red-700">Used by another article</span></>
+              ) : null}
+            </p>
+          )}
+        </Field>
+
+        <Field label="Excerpt" field="excerpt" value={metadata.excerpt}>
+          <textarea
+            value={metadata.excerpt}
+            onChange={(e) => onChange({ excerpt: e.target.value })}
+            rows={3}
+            className={INPUT_CLASS}
+          />
+        </Field>
+      </div>
+    </div>
+  )
+}
+
+const INPUT_CLASS = 'w-full px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+/**
+ * Labelled form field with a character counter against METADATA_LIMITS
+ */
+function Field({ label, field, value, children }) {
+  const limits = field && METADATA_LIMITS[field]
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <label className="text-xs font-medium text-gray-700">{label}</label>
+        {limits && (
+          <span className={`text-xs ${STATUS_COLORS[lengthStatus(field, value)]}`}>
+            {value.trim().length} / {limits.min > 0 ? `${limits.min}-` : ''}{limits.max}
+          </span>
+        )}
+      </div>
+      {children}
+    </div>
+  )
+}
+
+export default MetadataPanel
@@ -1,5 +1,10 @@
 import { CheckCircle, XCircle, AlertCircle, Loader2, Sparkles } from 'lucide-react'
 import { useState } from 'react'
+import { useSystemSettings } from '../../hooks/useSettings'
+import { useLinkContext } from '../../hooks/useSiteArticles'
+import { calculateQualityMetrics, isAutoFixable } from '../../lib/quality/qualityMetrics'
+import { DEFAULT_SETTINGS } from '../../lib/settings'
+import { describeError } from '../../lib/http/apiErrors'
 
 /**
  * Quality Checklist Component
@@ -7,6 +12,8 @@ import { useState } from 'react'
  */
 function QualityChecklist({ article, onAutoFix }) {
   const [isFixing, setIsFixing] = useState(false)
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
+  const { data: linkContext } = useLinkContext()
 
   if (!article) {
     return (
@@ -16,19 +23,20 @@ function QualityChecklist({ article, onAutoFix }) {
     )
   }
 
-  // Calculate metrics from article
-  const metrics = calculateMetrics(article)
-  const issues = identifyIssues(metrics, article)
+  // Same scoring the generation pipeline uses, with thresholds from system_settings
+  const { metrics, thresholds: t, issues } = calculateQualityMetrics(article.content || '', article.faqs, settings, linkContext, article)
+  // Metadata issues (e.g. keyword missing from the slug) are fixed in the SEO panel
+  const fixableIssues = issues.filter(isAutoFixable)
 
   const handleAutoFix = async () => {
-    if (!onAutoFix || issues.length === 0) return
+    if (!onAutoFix || fixableIssues.length === 0) return
 
     setIsFixing(true)
     try {
       await onAutoFix(issues)
     } catch (error) {
       console.error('Auto-fix error:', error)
-      alert('Auto-fix failed: ' + error.message)
+      alert('Auto-fix failed: ' + describeError(error))
     } finally {
       setIsFixing(false)
     }
@@ -40,7 +48,7 @@ function QualityChecklist({ article, onAutoFix }) {
       <div className="bg-gradient-to-r from-blue-50 to-indigo-50 p-6 border-b border-gray-200">
         <h3 className="font-semibold text-gray-900 mb-2">Quality Checklist</h3>
         <div className="flex items-baseline space-x-2">
-          <div className={`text-4xl font-bold ${getScoreColor(article.quality_score)}`}>
+          <div className={`text-4xl font-bold ${getScoreColor(article.quality_score, settings)}`}>
             {article.quality_score || 0}
           </div>
           <div className="text-gray-600">/100</div>
@@ -52,50 +60,91 @@ function QualityChecklist({ article, onAutoFix }) {
         <MetricItem
           label="Word Count"
           value={metrics.wordCount}
-          target="1500-2500 words"
-          passed={metrics.wordCount >= 1500 && metrics.wordCount <= 2500}
-          severity={metrics.wordCount < 1500 ? 'major' : 'minor'}
+          target={`${t.minWords}-${t.maxWords} words`}
+          passed={metrics.wordCount >= t.minWords && metrics.wordCount <= t.maxWords}
+          severity={metrics.wordCount < t.minWords ? 'major' : 'minor'}
         />
 
         <MetricItem
           label="Internal Links"
-          value={`${metrics.internalLinks} links`}
-          target="3-5 links"
-          passed={metrics.internalLinks >= 3 && metrics.internalLinks <= 5}
+          value={`${metrics.internalLinks} links${metrics.links.duplicateLinks.length > 0 ? ` (${metrics.links.duplicateLinks.length} duplicate)` : ''}`}
+          target={`${t.minInternalLinks}-${t.maxInternalLinks} links`}
+          passed={!t.checkLinks || (metrics.internalLinks >= t.minInternalLinks && metrics.internalLinks <= t.maxInternalLinks)}
           severity="major"
         />
 
         <MetricItem
           label="External Links"
-          value={`${metrics.externalLinks} citations`}
-          target="2-4 citations"
-          passed={metrics.externalLinks >= 2 && metrics.externalLinks <= 4}
+          value={`${metrics.externalLinks} citations${metrics.links.nofollowCount + metrics.links.sponsoredCount > 0 ? ` (${metrics.links.nofollowCount} nofollow, ${metrics.links.sponsoredCount} sponsored)` : ''}`}
+          target={`${t.minExternalLinks}+ citations`}
+          passed={!t.checkLinks || metrics.externalLinks >= t.minExternalLinks}
           severity="minor"
         />
 
+        <MetricItem
+          label="Broken Links"
+          value={`${metrics.links.brokenLinks.length} broken`}
+          target="0 broken"
+          passed={!t.checkLinks || metrics.links.brokenLinks.length === 0}
+          severity="major"
+        />
+
         <MetricItem
           label="FAQ Section"
           value={`${metrics.faqCount} questions`}
-          target="3+ questions"
-          passed={metrics.faqCount >= 3}
+          target={`${t.minFaqs}+ questions`}
+          passed={metrics.faqCount >= t.minFaqs}
           severity="minor"
         />
 
         <MetricItem
           label="Heading Structure"
-          value={`${metrics.headingCount} headings`}
-          target="3+ H2 headings"
-          passed={metrics.headingCount >= 3}
+          value={`${metrics.h2Count} headings`}
+          target={`${t.minH2}+ H2 headings`}
+          passed={!t.checkHeadings || metrics.h2Count >= t.minH2}
           severity="minor"
         />
 
         <MetricItem
           label="Readability"
-          value={`${metrics.avgSentenceLength.toFixed(0)} words/sentence`}
-          target="≤25 words/sentence"
-          passed={metrics.avgSentenceLength <= 25}
+          value={`Ease ${Math.round(metrics.readability.fleschReadingEase)} · grade ${metrics.readability.fleschKincaidGrade}`}
+          target={`≥${t.minReadingEase} ease, ≤ grade ${t.maxGradeLevel}`}
+          passed={!issues.some(issue => issue.type === 'poor_readability')}
           severity="minor"
         />
+
+        {t.checkAITells && (
+          <MetricItem
+            label="AI Phrasing"
+            value={`${metrics.aiTells.bannedPhrases.length} banned · ${metrics.aiTells.transitionCount} transitions`}
+            target={`0 banned, ≤ ${metrics.aiTells.allowedTransitions} transitions`}
+            passed={!issues.some(issue => issue.type === 'banned_phrases')}
+            severity={metrics.aiTells.bannedPhrases.length > 0 ? 'major' : 'minor'}
+          />
+        )}
+
+        {t.checkOnPageSeo && (
+          <MetricItem
+            label="Focus Keyword"
+            value={metrics.onPageSeo.keyword
+              ? `${metrics.onPageSeo.missing.length} places missing · ${metrics.onPageSeo.density}% density`
+              : 'Not set'}
+            target={`all places, ${metrics.onPageSeo.minDensity}-${metrics.onPageSeo.maxDensity}% density`}
+            passed={!issues.some(issue => ['keyword_placement', 'keyword_metadata', 'keyword_density'].includes(issue.type))}
+            severity={issues.some(issue => issue.type.startsWith('keyword_') && issue.severity === 'major') ? 'major' : 'minor'}
+          />
+        )}
+
+        {/* Scored once at generation (see lib/quality/humanness) */}
+        {article.humanization_scores && (
+          <MetricItem
+            label="Humanization"
+            value={`${article.humanization_scores.before.score} → ${article.humanization_scores.after.score} (burstiness ${article.humanization_scores.after.burstiness})`}
+            target={`+${settings.min_humanization_improvement} points`}
+            passed={!article.humanization_flagged}
+            severity="minor"
+          />
+        )}
       </div>
 
       {/* Issues Summary */}
@@ -122,8 +171,13 @@ function QualityChecklist({ article, onAutoFix }) {
         </div>
       )}
 
+      {/* Stage Warnings (see lib/quality/structureValidator) */}
+      {article.stage_warnings?.length > 0 && (
+        <StageWarnings warnings={article.stage_warnings} />
+      )}
+
       {/* Auto-Fix Button */}
-      {issues.length > 0 && onAutoFix && (
+      {fixableIssues.length > 0 && onAutoFix && (
         <div className="p-6 pt-0">
           <button
             onClick={handleAutoFix}
@@ -203,108 +257,43 @@ function MetricItem({ label, value, target, passed, severity }) {
 }
 
 /**
- * Calculate metrics from article content
+ * What each AI stage lost compared with its input, and whether it was rolled back
  */
-function calculateMetrics(article) {
-  const content = article.content || ''
-
-  // Strip HTML for text analysis
-  const textContent = content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
-  const wordCount = textContent.split(' ').filter(w => w.length > 0).length
-
-  // Count links
-  const internalLinks = (content.match(/<a\s+(?:[^>]*?\s+)?href=["'][^"']*["']/gi) || []).length
-  const externalLinks = (content.match(/href=["']https?:\/\//gi) || []).length
-
-  // Count FAQs
-  const faqCount = article.faqs?.length || 0
-
-  // Count headings
-  const headingCount = (content.match(/<h2/gi) || []).length
-
-  // Calculate average sentence length
-  const sentences = textContent.split(/[.!?]+/).filter(s => s.trim().length > 0)
-  const avgSentenceLength = sentences.length > 0 ? wordCount / sentences.length : 0
-
-  return {
-    wordCount,
-    internalLinks,
-    externalLinks,
-    faqCount,
-    headingCount,
-    avgSentenceLength,
-  }
-}
-
-/**
- * Identify issues based on metrics
- */
-function identifyIssues(metrics, article) {
-  const issues = []
-
-  if (metrics.wordCount < 1500) {
-    issues.push({
-      type: 'word_count_low',
-      severity: 'major',
-      description: `Article is too short (${metrics.wordCount} words). Aim for 1500-2500 words.`,
-    })
-  } else if (metrics.wordCount > 2500) {
-    issues.push({
-      type: 'word_count_high',
-      severity: 'minor',
-      description: `Article is too long (${metrics.wordCount} words). Consider condensing.`,
-    })
-  }
-
-  if (metrics.internalLinks < 3) {
-    issues.push({
-      type: 'missing_internal_links',
-      severity: 'major',
-      description: `Missing internal links. Add ${3 - metrics.internalLinks} more.`,
-    })
-  }
-
-  if (metrics.externalLinks < 2) {
-    issues.push({
-      type: 'missing_external_links',
-      severity: 'minor',
-      description: `Missing external citations. Add ${2 - metrics.externalLinks} more.`,
-    })
-  }
-
-  if (metrics.faqCount < 3) {
-    issues.push({
-      type: 'missing_faqs',
-      severity: 'minor',
-      description: `Missing FAQ section. Add ${3 - metrics.faqCount} more questions.`,
-    })
-  }
-
-  if (metrics.headingCount < 3) {
-    issues.push({
-      type: 'weak_headings',
-      severity: 'minor',
-      description: `Weak heading structure. Add ${3 - metrics.headingCount} more H2 headings.`,
-    })
-  }
-
-  if (metrics.avgSentenceLength > 25) {
-    issues.push({
-      type: 'poor_readability',
-      severity: 'minor',
-      description: `Readability could be improved. Shorten some sentences.`,
-    })
-  }
-
-  return issues
+function StageWarnings({ warnings }) {
+  return (
+    <div className="p-6 pt-0">
+      <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+        <h4 className="text-sm font-medium text-orange-900 mb-2">Stage Warnings</h4>
+        <ul className="space-y-2">
+          {warnings.map((warning, index) => (
+            <li key={index} className="text-xs text-orange-800">
+              <div className="flex items-center gap-2 font-medium">
+                <span className="capitalize">{warning.stage.replace(/_/g, ' ')}</span>
+                {warning.rolled_back && (
+                  <span className="px-1.5 py-0.5 bg-red-100 text-red-700 rounded">Rolled back</span>
+                )}
+              </div>
+              <ul className="mt-1 space-y-0.5">
+                {warning.findings.map((finding, findingIndex) => (
+                  <li key={findingIndex} className={finding.severity === 'error' ? 'text-red-700' : ''}>
+                    {finding.message}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
 }
 
 /**
  * Get color class based on quality score
  */
-function getScoreColor(score) {
-  if (score >= 85) return 'text-green-600'
-  if (score >= 75) return 'text-yellow-600'
+function getScoreColor(score, settings) {
+  if (score >= settings.quality_threshold_publish) return 'text-green-600'
+  if (score >= settings.min_quality_score) return 'text-yellow-600'
   return 'text-red-600'
 }
 
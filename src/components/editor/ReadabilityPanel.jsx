@@ -0,0 +1,136 @@
+import { useDeferredValue, useMemo } from 'react'
+import { BookOpen, AlertTriangle } from 'lucide-react'
+import { useSystemSettings } from '../../hooks/useSettings'
+import { analyzeReadability, describeReadingEase, PARAGRAPH_BUCKETS } from '../../lib/quality/readability'
+import { getQualityThresholds } from '../../lib/quality/qualityMetrics'
+import { DEFAULT_SETTINGS } from '../../lib/settings'
+
+const BUCKET_COLORS = {
+  short: 'bg-green-500',
+  medium: 'bg-blue-500',
+  long: 'bg-yellow-500',
+  veryLong: 'bg-red-500',
+}
+
+/**
+ * Readability Panel
+ * Live readability scores for the editor content with paragraph hotspots
+ */
+function ReadabilityPanel({ content }) {
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
+  const deferredContent = useDeferredValue(content)
+  const readability = useMemo(() => analyzeReadability(deferredContent || ''), [deferredContent])
+  const t = getQualityThresholds(settings)
+
+  if (readability.wordCount === 0) return null
+
+  const passivePercent = Math.round(readability.passiveRatio * 100)
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+      <div className="p-6 border-b border-gray-200">
+        <div className="flex items-center gap-2 mb-2">
+          <BookOpen className="w-4 h-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-900">Readability</h3>
+        </div>
+        <div className="flex items-baseline gap-2">
+          <span className={`text-3xl font-bold ${
+            readability.fleschReadingEase >= t.minReadingEase ? 'text-green-600' : 'text-yellow-600'
+          }`}>
+            {Math.round(readability.fleschReadingEase)}
+          </span>
+          <span className="text-sm text-gray-600">
+            Flesch Reading Ease · {describeReadingEase(readability.fleschReadingEase)}
+          </span>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-3 text-sm">
+        <ScoreRow
+          label="Flesch-Kincaid grade"
+          value={readability.fleschKincaidGrade}
+          target={`≤ ${t.maxGradeLevel}`}
+          passed={readability.fleschKincaidGrade <= t.maxGradeLevel}
+        />
+        <ScoreRow label="Gunning Fog index" value={readability.gunningFog} />
+        <ScoreRow
+          label="Words per sentence"
+          value={readability.avgSentenceLength}
+          target={`≤ ${t.maxAvgSentenceLength}`}
+          passed={readability.avgSentenceLength <= t.maxAvgSentenceLength}
+        />
+        <ScoreRow
+          label="Passive voice"
+          value={`${passivePercent}% (${readability.passiveSentenceCount})`}
+          target={`≤ ${t.maxPassivePercent}%`}
+          passed={passivePercent <= t.maxPassivePercent}
+        />
+        <ScoreRow label="Sentences over 35 words" value={readability.longSentenceCount} />
+      </div>
+
+      {/* Paragraph length distribution */}
+      <div className="px-6 pb-6">
+        <p className="text-xs font-medium text-gray-700 mb-2">
+          Paragraph length ({readability.paragraphCount} paragraphs, avg {readability.avgParagraphLength} words)
+        </p>
+        <div className="flex h-2 rounded-full overflow-hidden bg-gray-100">
+          {PARAGRAPH_BUCKETS.map(bucket => {
+            const count = readability.paragraphDistribution[bucket.id]
+            if (!count) return null
+            return (
+              <div
+                key={bucket.id}
+                className={BUCKET_COLORS[bucket.id]}
+                style={{ width: `${(count / readability.paragraphCount) * 100}%` }}
+                title={`${bucket.label}: ${count}`}
+              />
+            )
+          })}
+        </div>
+        <div className="grid grid-cols-2 gap-1 mt-2">
+          {PARAGRAPH_BUCKETS.map(bucket => (
+            <span key={bucket.id} className="flex items-center gap-1 text-xs text-gray-600">
+              <span className={`w-2 h-2 rounded-full ${BUCKET_COLORS[bucket.id]}`} />
+              {bucket.label}: {readability.paragraphDistribution[bucket.id]}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* Hotspots */}
+      {readability.hotspots.length > 0 && (
+        <div className="px-6 pb-6">
+          <p className="text-xs font-medium text-gray-700 mb-2">Hard-to-read paragraphs</p>
+          <ul className="space-y-2">
+            {readability.hotspots.map(hotspot => (
+              <li key={hotspot.index} className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <p className="flex items-center gap-1 text-xs font-medium text-yellow-900">
+                  <AlertTriangle className="w-3 h-3" />
+                  Paragraph {hotspot.index + 1} · grade {hotspot.gradeLevel}
+                </p>
+                <p className="text-xs text-gray-700 mt-1 italic">“{hotspot.excerpt}”</p>
+                <p className="text-xs text-yellow-800 mt-1">{hotspot.reasons.join(' · ')}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ScoreRow({ label, value, target, passed }) {
+  return (
+    <div className="flex items-center justify-between">
+      <span className="text-gray-600">{label}</span>
+      <span className={`font-medium ${
+        passed === undefined ? 'text-gray-900' : passed ? 'text-green-700' : 'text-yellow-700'
+      }`}>
+        {value}
+        {target && <span className="ml-1 text-xs font-normal text-gray-400">({target})</span>}
+      </span>
+    </div>
+  )
+}
+
+export default ReadabilityPanel
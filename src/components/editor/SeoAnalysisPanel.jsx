@@ -0,0 +1,185 @@
+import { useDeferredValue, useMemo, useState } from 'react'
+import { Search, Monitor, Smartphone, CheckCircle, XCircle, MinusCircle } from 'lucide-react'
+import { useSystemSettings } from '../../hooks/useSettings'
+import { useWordPressConnections } from '../../hooks/useWordPress'
+import { analyzeOnPageSeo, KEYWORD_LOCATIONS } from '../../lib/seo/onPageSeo'
+import { buildSerpPreview, highlightKeyword, SERP_LAYOUTS } from '../../lib/seo/serpPreview'
+import { stripHtml } from '../../lib/quality/qualityMetrics'
+import { DEFAULT_SETTINGS } from '../../lib/settings'
+
+// Width of Google's result column on each device
+const CARD_WIDTHS = { desktop: 600, mobile: 360 }
+
+const DESCRIPTION_SOURCES = {
+  excerpt: 'No meta description - Google may use the excerpt',
+  content: 'No meta description or excerpt - Google will pick text from the article',
+}
+
+/**
+ * SEO Analysis Panel
+ * Google snippet preview (desktop/mobile, truncated by pixel width) and the
+ * on-page checks for the focus keyword, on the unsaved editor state
+ */
+function SeoAnalysisPanel({ title, content, metadata, keywordData }) {
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
+  const { data: connections = [] } = useWordPressConnections()
+  const [device, setDevice] = useState('desktop')
+  const deferredContent = useDeferredValue(content)
+
+  // Posts most likely go to the first active connection
+  const siteUrl = connections.find(c => c.is_active)?.site_url
+
+  const article = useMemo(
+    () => ({ title, ...metadata, keyword_research_data: keywordData }),
+    [title, metadata, keywordData]
+  )
+
+  const seo = useMemo(
+    () => analyzeOnPageSeo(deferredContent || '', article, settings),
+    [deferredContent, article, settings]
+  )
+
+  const preview = useMemo(() => buildSerpPreview(article, {
+    device,
+    siteUrl,
+    fallbackDescription: stripHtml(deferredContent || ''),
+  }), [article, device, siteUrl, deferredContent])
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Search className="w-4 h-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-900">On-Page SEO</h3>
+        </div>
+        <div className="flex gap-1">
+          <DeviceButton active={device === 'desktop'} onClick={() => setDevice('desktop')} label="Desktop preview">
+            <Monitor className="w-3 h-3" />
+          </DeviceButton>
+          <DeviceButton active={device === 'mobile'} onClick={() => setDevice('mobile')} label="Mobile preview">
+            <Smartphone className="w-3 h-3" />
+          </DeviceButton>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-4">
+        {/* Snippet as Google renders it: Arial at the device's sizes */}
+        <div className="overflow-x-auto">
+          <div
+            className="border border-gray-200 rounded-lg p-3"
+            style={{ width: CARD_WIDTHS[device], fontFamily: 'Arial, sans-serif' }}
+          >
+            <p className="text-xs text-gray-700 truncate">{preview.url}</p>
+            <p style={{ fontSize: SERP_LAYOUTS[device].title.fontSize, lineHeight: 1.3, color: '#1a0dab' }}>
+              {preview.title.text || 'Untitled'}
+            </p>
+            <p style={{ fontSize: SERP_LAYOUTS[device].description.fontSize, lineHeight: 1.58, color: '#4d5156' }}>
+              {highlightKeyword(preview.description.text, metadata.focus_keyword).map((part, index) => (
+                part.match ? <b key={index}>{part.text}</b> : <span key={index}>{part.text}</span>
+              ))}
+            </p>
+          </div>
+        </div>
+
+        <ul className="space-y-1 text-xs">
+          {preview.title.truncated && (
+            <li className="text-yellow-700">
+              Title is cut off on {device} ({Math.round(preview.title.width)}px of {preview.title.maxWidth}px)
+            </li>
+          )}
+          {preview.description.truncated && (
+            <li className="text-yellow-700">
+              Description is cut off on {device} ({Math.round(preview.description.width)}px of {preview.description.maxWidth}px)
+            </li>
+          )}
+          {DESCRIPTION_SOURCES[preview.descriptionSource] && (
+            <li className="text-gray-500">{DESCRIPTION_SOURCES[preview.descriptionSource]}</li>
+          )}
+        </ul>
+
+        {settings.check_on_page_seo && (
+          <KeywordChecks seo={seo} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Focus keyword placements, density, secondary keywords and alt text
+ */
+function KeywordChecks({ seo }) {
+  if (!seo.keyword) {
+    return <p className="text-sm text-yellow-700">Set a focus keyword to check its placement.</p>
+  }
+
+  const densityOk = !seo.stuffing && seo.density >= seo.minDensity
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="text-xs font-medium text-gray-700 mb-2">“{seo.keyword}” appears in</h4>
+        <ul className="grid grid-cols-2 gap-1">
+          {Object.entries(KEYWORD_LOCATIONS).map(([location, label]) => (
+            <li key={location} className="flex items-center gap-1 text-xs text-gray-700">
+              {seo.placements[location] === true && <CheckCircle className="w-3 h-3 text-green-600" />}
+              {seo.placements[location] === false && <XCircle className="w-3 h-3 text-red-600" />}
+              {seo.placements[location] === null && <MinusCircle className="w-3 h-3 text-gray-400" />}
+              <span className="inline-block first-letter:uppercase">{label}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <p className={`text-xs ${densityOk ? 'text-gray-700' : seo.stuffing ? 'text-red-700' : 'text-yellow-700'}`}>
+        Density {seo.density}% ({seo.occurrences} uses in {seo.wordCount} words, aim for {seo.minDensity}-{seo.maxDensity}%)
+        {seo.stuffedParagraphs.length > 0 && ` · ${seo.stuffedParagraphs.length} stuffed paragraphs`}
+      </p>
+
+      {seo.secondaryKeywords.length > 0 && (
+        <div>
+          <h4 className="text-xs font-medium text-gray-700 mb-2">
+            Secondary keywords ({seo.secondaryCoverage}% covered)
+          </h4>
+          <div className="flex flex-wrap gap-1">
+            {seo.secondaryKeywords.map(secondary => (
+              <span
+                key={secondary.keyword}
+                className={`px-2 py-0.5 text-xs rounded ${secondary.count > 0 ? 'bg-green-50 text-green-700' : 'bg-gray-100 text-gray-500'}`}
+              >
+                {secondary.keyword}{secondary.count > 0 ? ` × ${secondary.count}` : ''}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {seo.imageCount > 0 && (
+        <p className={`text-xs ${seo.imagesMissingAlt.length > 0 ? 'text-yellow-700' : 'text-gray-700'}`}>
+          {seo.imagesMissingAlt.length > 0
+            ? `Images without alt text: ${seo.imagesMissingAlt.length} of ${seo.imageCount}`
+            : `All ${seo.imageCount} images have alt text`}
+          {seo.imagesWithKeywordAlt > 0 && ` · ${seo.imagesWithKeywordAlt} mention the keyword`}
+        </p>
+      )}
+    </div>
+  )
+}
+
+function DeviceButton({ active, onClick, label, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-label={label}
+      title={label}
+      className={`p-1.5 rounded-lg border ${
+        active ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+      }`}
+    >
+      {children}
+    </button>
+  )
+}
+
+export default SeoAnalysisPanel
@@ -0,0 +1,118 @@
+import { useMemo, useState } from 'react'
+import { Code, CheckCircle, XCircle, AlertTriangle } from 'lucide-react'
+import { useSystemSettings } from '../../hooks/useSettings'
+import { useWordPressConnections } from '../../hooks/useWordPress'
+import { buildStructuredData } from '../../lib/seo/structuredData'
+import { DEFAULT_SETTINGS } from '../../lib/settings'
+
+/**
+ * Structured Data Panel
+ * Preview of the FAQ section and JSON-LD publish-to-wordpress adds to the post,
+ * with the schema.org fields that are missing
+ */
+function StructuredDataPanel({ article, content }) {
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
+  const { data: connections = [] } = useWordPressConnections()
+  const [view, setView] = useState(null)
+
+  // Publisher from the connection the post would most likely go to
+  const connection = connections.find(c => c.is_active)
+
+  const structuredData = useMemo(() => buildStructuredData({ ...article, content }, {
+    contributor: article.article_contributors,
+    url: article.published_url || '',
+    siteName: connection?.name,
+    siteUrl: connection?.site_url,
+    publishedAt: article.published_at || new Date().toISOString(),
+    faqSection: settings.append_faq_section,
+    jsonLd: settings.enable_structured_data,
+  }), [article, content, connection, settings])
+
+  if (!settings.enable_structured_data && !settings.append_faq_section) return null
+
+  const errors = structuredData.problems.filter(problem => problem.severity === 'error')
+  const warnings = structuredData.problems.filter(problem => problem.severity === 'warning')
+  const types = structuredData.jsonLd?.['@graph'].map(node => node['@type']) || []
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+      <div className="p-6 border-b border-gray-200">
+        <div className="flex items-center gap-2 mb-1">
+          <Code className="w-4 h-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-900">Structured Data</h3>
+        </div>
+        <p className="text-sm text-gray-600">
+          {types.length > 0 ? `Publishes ${types.join(', ')}` : 'No JSON-LD will be published'}
+          {structuredData.faqHtml && ' and a visible FAQ section'}
+        </p>
+      </div>
+
+      {structuredData.problems.length > 0 && (
+        <ul className="px-6 pt-4 space-y-1">
+          {errors.map(problem => (
+            <li key={`${problem.type}-${problem.field}`} className="flex items-start gap-2 text-xs text-red-700">
+              <XCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+              <span>{problem.message} - {problem.type} left out</span>
+            </li>
+          ))}
+          {warnings.map(problem => (
+            <li key={`${problem.type}-${problem.field}`} className="flex items-start gap-2 text-xs text-yellow-700">
+              <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+              <span>{problem.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {structuredData.problems.length === 0 && types.length > 0 && (
+        <p className="px-6 pt-4 flex items-center gap-2 text-xs text-green-700">
+          <CheckCircle className="w-3 h-3" />
+          All required and recommended fields present
+        </p>
+      )}
+
+      <div className="p-6 pt-4 space-y-3">
+        <div className="flex gap-2">
+          {structuredData.jsonLd && (
+            <ViewButton active={view === 'json'} onClick={() => setView(view === 'json' ? null : 'json')}>
+              JSON-LD
+            </ViewButton>
+          )}
+          {structuredData.faqHtml && (
+            <ViewButton active={view === 'faq'} onClick={() => setView(view === 'faq' ? null : 'faq')}>
+              FAQ section
+            </ViewButton>
+          )}
+        </div>
+
+        {view === 'json' && structuredData.jsonLd && (
+          <pre className="text-xs bg-gray-50 border border-gray-200 rounded-lg p-3 max-h-80 overflow-auto">
+            {JSON.stringify(structuredData.jsonLd, null, 2)}
+          </pre>
+        )}
+        {view === 'faq' && structuredData.faqHtml && (
+          // renderFaqSection escapes the questions and answers
+          <div
+            className="text-sm text-gray-700 space-y-2 border border-gray-200 rounded-lg p-3 [&_h2]:font-semibold [&_h2]:text-gray-900 [&_h3]:font-medium [&_h3]:text-gray-900"
+            dangerouslySetInnerHTML={{ __html: structuredData.faqHtml }}
+          />
+        )}
+      </div>
+    </div>
+  )
+}
+
+function ViewButton({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`px-3 py-1 text-xs rounded-lg border ${
+        active ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+      }`}
+    >
+      {children}
+    </button>
+  )
+}
+
+export default StructuredDataPanel
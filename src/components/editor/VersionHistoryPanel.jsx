@@ -0,0 +1,239 @@
+import { useMemo, useState } from 'react'
+import { History, X, RotateCcw, Loader2, GitCompare } from 'lucide-react'
+import { useAuth } from '../../contexts/AuthContext'
+import { useArticleVersions, useArticleVersion, useRestoreArticleVersion } from '../../hooks/useArticleVersions'
+import { diffArticleVersions, summarizeDiff } from '../../lib/versions/diff'
+
+const SOURCE_LABELS = {
+  manual: { label: 'Manual edit', className: 'bg-gray-100 text-gray-700' },
+  humanize: { label: 'Humanized', className: 'bg-indigo-100 text-indigo-700' },
+  internal_links: { label: 'Internal links', className: 'bg-blue-100 text-blue-700' },
+  auto_fix: { label: 'Auto-fix', className: 'bg-yellow-100 text-yellow-700' },
+  revision: { label: 'AI revision', className: 'bg-green-100 text-green-700' },
+  restore: { label: 'Restored', className: 'bg-orange-100 text-orange-700' },
+}
+
+/**
+ * Version History Panel
+ * Every saved change to the article, tagged with who or which AI stage made it,
+ * with diffs against the editor content or the previous version and restore
+ */
+function VersionHistoryPanel({ article, currentContent }) {
+  const { user } = useAuth()
+  const { data: versions = [], isLoading } = useArticleVersions(article?.id)
+  const [selected, setSelected] = useState(null)
+
+  if (!article) return null
+
+  const authorLabel = (version) => {
+    if (!version.created_by) return 'Automation'
+    return version.created_by === user?.id ? 'You' : 'Another user'
+  }
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+      <div className="p-6 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <History className="w-4 h-4 text-gray-500" />
+          <h3 className="font-semibold text-gray-900">Version History</h3>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          {versions.length} version{versions.length === 1 ? '' : 's'}
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="p-6 flex justify-center">
+          <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+          {versions.map((version, index) => (
+            <li key={version.id} className="px-6 py-3 flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium text-gray-900">v{version.version_number}</span>
+                  <SourceBadge source={version.source} />
+                  {index === 0 && <span className="text-xs text-gray-500">current</span>}
+                </div>
+                <p className="text-xs text-gray-500 mt-0.5 truncate">
+                  {authorLabel(version)} · {new Date(version.created_at).toLocaleString()}
+                  {version.restored_from_version && ` · from v${version.restored_from_version}`}
+                </p>
+              </div>
+              <button
+                onClick={() => setSelected(version)}
+                className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 shrink-0"
+              >
+                <GitCompare className="w-3.5 h-3.5" />
+                Compare
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selected && (
+        <VersionDiffModal
+          article={article}
+          version={selected}
+          previous={versions.find(v => v.version_number < selected.version_number) || null}
+          currentContent={currentContent}
+          onClose={() => setSelected(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+function SourceBadge({ source }) {
+  const { label, className } = SOURCE_LABELS[source] || SOURCE_LABELS.manual
+  return <span className={`px-2 py-0.5 rounded text-xs font-medium ${className}`}>{label}</span>
+}
+
+function VersionDiffModal({ article, version, previous, currentContent, onClose }) {
+  const [compareTo, setCompareTo] = useState('current')
+  const [mode, setMode] = useState('text')
+  const restoreVersion = useRestoreArticleVersion()
+
+  const { data: snapshot, isLoading } = useArticleVersion(version.id)
+  const { data: previousSnapshot, isLoading: isLoadingPrevious } = useArticleVersion(
+    compareTo === 'previous' ? previous?.id : null
+  )
+
+  // Left: the older text, right: the newer one
+  const [leftLabel, leftContent, rightLabel, rightContent] = compareTo === 'previous'
+    ? [`v${previous?.version_number}`, previousSnapshot?.content, `v${version.version_number}`, snapshot?.content]
+    : [`v${version.version_number}`, snapshot?.content, 'Editor (current)', currentContent]
+
+  const ready = !isLoading && !(compareTo === 'previous' && isLoadingPrevious)
+
+  const rows = useMemo(
+    () => (ready ? diffArticleVersions(leftContent || '', rightContent || '', { mode }) : []),
+    [ready, leftContent, rightContent, mode]
+  )
+  const summary = summarizeDiff(rows)
+
+  const handleRestore = async () => {
+    if (!snapshot) return
+    if (!confirm(`Restore version ${version.version_number}? Unsaved editor changes will be lost; the current version stays in the history.`)) return
+
+    try {
+      await restoreVersion.mutateAsync({ articleId: article.id, version: snapshot })
+      onClose()
+    } catch (error) {
+      alert('Failed to restore version: ' + error.message)
+    }
+  }
+
+  const toggleClass = (active) => `px-3 py-1 text-sm rounded-md ${active ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-6xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <h2 className="text-2xl font-bold text-gray-900">Version {version.version_number}</h2>
+              <SourceBadge source={version.source} />
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+            <div className="flex items-center gap-3">
+              <div className="flex bg-gray-100 rounded-lg p-1">
+                <button onClick={() => setCompareTo('current')} className={toggleClass(compareTo === 'current')}>
+                  vs. editor
+                </button>
+                <button
+                  onClick={() => setCompareTo('previous')}
+                  disabled={!previous}
+                  className={`${toggleClass(compareTo === 'previous')} disabled:opacity-40`}
+                >
+                  vs. previous
+                </button>
+              </div>
+              <div className="flex bg-gray-100 rounded-lg p-1">
+                <button onClick={() => setMode('text')} className={toggleClass(mode === 'text')}>Text</button>
+                <button onClick={() => setMode('html')} className={toggleClass(mode === 'html')}>HTML</button>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-4">
+              {ready && (
+                <span className="text-sm text-gray-600">
+                  <span className="text-green-700">+{summary.added}</span>{' '}
+                  <span className="text-red-700">−{summary.removed}</span> words
+                </span>
+              )}
+              <button
+                onClick={handleRestore}
+                disabled={!snapshot || restoreVersion.isPending}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {restoreVersion.isPending ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                )}
+                Restore v{version.version_number}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {!ready ? (
+            <div className="p-12 flex justify-center">
+              <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+            </div>
+          ) : summary.changedBlocks === 0 ? (
+            <p className="p-12 text-center text-sm text-gray-500">No differences.</p>
+          ) : (
+            <table className="w-full table-fixed text-sm">
+              <thead className="sticky top-0 bg-gray-50 text-left text-xs font-medium text-gray-600">
+                <tr>
+                  <th className="px-4 py-2 border-b border-gray-200">{leftLabel}</th>
+                  <th className="px-4 py-2 border-b border-l border-gray-200">{rightLabel}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={index} className="align-top">
+                    <DiffCell segments={row.left} side="left" type={row.type} mode={mode} />
+                    <DiffCell segments={row.right} side="right" type={row.type} mode={mode} bordered />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function DiffCell({ segments, side, type, mode, bordered = false }) {
+  const background = {
+    removed: side === 'left' ? 'bg-red-50' : 'bg-gray-50',
+    added: side === 'right' ? 'bg-green-50' : 'bg-gray-50',
+    changed: side === 'left' ? 'bg-red-50/50' : 'bg-green-50/50',
+    equal: '',
+  }[type]
+  const highlight = side === 'left' ? 'bg-red-200 line-through decoration-red-400' : 'bg-green-200'
+
+  return (
+    <td className={`px-4 py-2 border-b border-gray-100 whitespace-pre-wrap break-words ${mode === 'html' ? 'font-mono text-xs' : ''} ${bordered ? 'border-l border-gray-200' : ''} ${background}`}>
+      {segments.map((segment, index) => (
+        <span key={index} className={segment.changed && type === 'changed' ? highlight : ''}>
+          {segment.text}
+        </span>
+      ))}
+    </td>
+  )
+}
+
+export default VersionHistoryPanel
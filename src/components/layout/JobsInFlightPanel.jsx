@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import { Loader2, ChevronDown, ChevronUp, AlertCircle } from 'lucide-react'
+import { useAuth } from '../../contexts/AuthContext'
+import { useGenerationQueue } from '../../hooks/useGenerationQueue'
+
+/**
+ * Jobs In Flight Panel
+ * Sidebar panel listing every generation job the team has queued or running
+ */
+function JobsInFlightPanel() {
+  const { user } = useAuth()
+  const { data: jobs = [] } = useGenerationQueue()
+  const [expanded, setExpanded] = useState(true)
+
+  const inFlight = jobs.filter(job => job.status !== 'failed')
+  const failedCount = jobs.length - inFlight.length
+
+  if (jobs.length === 0) return null
+
+  return (
+    <div className="px-4 py-3 border-t border-gray-200">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between text-xs font-semibold text-gray-500 uppercase tracking-wide"
+      >
+        <span className="flex items-center gap-2">
+          {inFlight.length > 0 && <Loader2 className="w-3 h-3 animate-spin text-blue-600" />}
+          Jobs in flight ({inFlight.length})
+        </span>
+        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronUp className="w-4 h-4" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-3 space-y-3 max-h-64 overflow-y-auto">
+          {inFlight.map(job => (
+            <div key={job.id}>
+              <div className="flex items-center justify-between text-xs mb-1">
+                <span className="font-medium text-gray-900 truncate mr-2" title={job.content_ideas?.title}>
+                  {job.content_ideas?.title || 'Untitled idea'}
+                </span>
+                <span className="text-gray-500 flex-shrink-0">{job.progress_percentage}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-1.5 overflow-hidden">
+                <div
+                  className="bg-blue-600 h-1.5 rounded-full transition-all duration-500 ease-out"
+                  style={{ width: `${job.progress_percentage}%` }}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1 capitalize">
+                {job.status === 'pending' ? 'Queued' : (job.current_stage || 'processing').replace(/_/g, ' ')}
+                {job.user_id && job.user_id !== user?.id && ' · teammate'}
+              </p>
+            </div>
+          ))}
+
+          {failedCount > 0 && (
+            <p className="flex items-center gap-1 text-xs text-red-600">
+              <AlertCircle className="w-3 h-3" />
+              {failedCount} failed {failedCount === 1 ? 'job' : 'jobs'} - see Content Ideas
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JobsInFlightPanel
@@ -1,11 +1,15 @@
 import { Outlet, Link, useLocation } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
+import { useGenerationQueueRealtime } from '../../hooks/useGenerationQueue'
+import JobsInFlightPanel from './JobsInFlightPanel'
 import {
   LayoutDashboard,
   FileText,
   Lightbulb,
   Library,
   BarChart3,
+  Bot,
+  GraduationCap,
   Settings as SettingsIcon,
   LogOut,
 } from 'lucide-react'
@@ -14,11 +18,16 @@ function MainLayout() {
   const { user, signOut } = useAuth()
   const location = useLocation()
 
+  // Stream generation progress for every page
+  useGenerationQueueRealtime()
+
   const navigation = [
     { name: 'Dashboard', href: '/', icon: LayoutDashboard },
     { name: 'Content Ideas', href: '/ideas', icon: Lightbulb },
     { name: 'Library', href: '/library', icon: Library },
     { name: 'Analytics', href: '/analytics', icon: BarChart3 },
+    { name: 'Automation', href: '/automation', icon: Bot },
+    { name: 'Learning', href: '/learning', icon: GraduationCap },
     { name: 'Settings', href: '/settings', icon: SettingsIcon },
   ]
 
@@ -67,6 +76,9 @@ function MainLayout() {
             })}
           </nav>
 
+          {/* Generation jobs for the whole team */}
+          <JobsInFlightPanel />
+
           {/* User Section */}
           <div className="p-4 border-t border-gray-200">
             <div className="flex items-center justify-between">
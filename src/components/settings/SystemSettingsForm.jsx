@@ -0,0 +1,204 @@
+import { useEffect, useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { Loader2, Save, CheckCircle, Lock } from 'lucide-react'
+import { useAuth } from '../../contexts/AuthContext'
+import { useSystemSettings, useSystemSettingRows, useUpdateSystemSettings } from '../../hooks/useSettings'
+import { SETTING_CATEGORIES, SETTING_DEFINITIONS, DEFAULT_SETTINGS, getSettingLabel } from '../../lib/settings'
+import { settingsSchema } from '../../lib/settingsSchema'
+
+/**
+ * System Settings Form
+ * Grouped editor for every system_settings key with type-aware inputs
+ * Only admins can save; everyone else sees the values read-only
+ */
+function SystemSettingsForm() {
+  const { isAdmin } = useAuth()
+  const { data: settings, isPlaceholderData } = useSystemSettings()
+  const { data: rows = [] } = useSystemSettingRows()
+  const updateSettings = useUpdateSystemSettings()
+  const [savedAt, setSavedAt] = useState(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isDirty, dirtyFields, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(settingsSchema),
+    defaultValues: toFormValues(DEFAULT_SETTINGS),
+  })
+
+  // Load stored values once they arrive (placeholder data is just the defaults)
+  useEffect(() => {
+    if (settings && !isPlaceholderData) reset(toFormValues(settings))
+  }, [settings, isPlaceholderData, reset])
+
+  const descriptions = Object.fromEntries(rows.map(row => [row.key, row.description]))
+
+  const onSubmit = async (values) => {
+    // Only write the keys that were edited
+    const changed = Object.fromEntries(
+      Object.keys(dirtyFields).map(key => [key, values[key]])
+    )
+
+    try {
+      await updateSettings.mutateAsync(changed)
+      reset(toFormValues({ ...settings, ...values }))
+      setSavedAt(new Date())
+    } catch (error) {
+      alert('Failed to save settings: ' + error.message)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)}>
+      {!isAdmin && (
+        <div className="flex items-center gap-2 bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm rounded-lg p-4 mb-6">
+          <Lock className="w-4 h-4" />
+          Only admins can change system settings.
+        </div>
+      )}
+
+      <fieldset disabled={!isAdmin}>
+        {SETTING_CATEGORIES.map(category => {
+          const keys = Object.keys(SETTING_DEFINITIONS).filter(
+            key => SETTING_DEFINITIONS[key].category === category.id
+          )
+
+          return (
+            <div key={category.id} className="bg-white p-6 rounded-lg border border-gray-200 mb-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">{category.label}</h2>
+
+              <div className="space-y-5">
+                {keys.map(key => (
+                  <SettingField
+                    key={key}
+                    settingKey={key}
+                    definition={SETTING_DEFINITIONS[key]}
+                    description={descriptions[key]}
+                    register={register}
+                    error={errors[key]}
+                  />
+                ))}
+              </div>
+            </div>
+          )
+        })}
+      </fieldset>
+
+      {isAdmin && (
+        <div className="sticky bottom-0 bg-gray-50 py-4 flex items-center gap-4">
+          <button
+            type="submit"
+            disabled={!isDirty || isSubmitting}
+            className="flex-1 flex items-center justify-center gap-2 bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            Save Settings
+          </button>
+          {savedAt && !isDirty && (
+            <span className="flex items-center gap-1 text-sm text-green-700">
+              <CheckCircle className="w-4 h-4" />
+              Saved at {savedAt.toLocaleTimeString()}
+            </span>
+          )}
+          {Object.keys(errors).length > 0 && (
+            <span className="text-sm text-red-600">Fix the highlighted fields before saving</span>
+          )}
+        </div>
+      )}
+    </form>
+  )
+}
+
+/**
+ * Single setting input, rendered according to its type
+ */
+function SettingField({ settingKey, definition, description, register, error }) {
+  const label = getSettingLabel(settingKey)
+  const inputClass = `px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+    error ? 'border-red-400' : 'border-gray-300'
+  }`
+
+  if (definition.type === 'boolean') {
+    return (
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="font-medium text-gray-900">{label}</p>
+          {description && <p className="text-sm text-gray-600">{description}</p>}
+        </div>
+        <label className="relative inline-flex items-center cursor-pointer">
+          <input type="checkbox" className="sr-only peer" {...register(settingKey)} />
+          <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+        </label>
+      </div>
+    )
+  }
+
+  let input
+  if (definition.type === 'number') {
+    input = (
+      <input
+        type="number"
+        min={definition.min}
+        max={definition.max}
+        step={Number.isInteger(definition.default) ? 1 : 0.1}
+        className={`w-40 ${inputClass}`}
+        {...register(settingKey, { valueAsNumber: true })}
+      />
+    )
+  } else if (definition.type === 'json') {
+    input = (
+      <>
+        <textarea
+          rows={5}
+          className={`w-full font-mono text-sm ${inputClass}`}
+          {...register(settingKey)}
+        />
+        <p className="text-xs text-gray-500 mt-1">One entry per line</p>
+      </>
+    )
+  } else if (definition.options) {
+    input = (
+      <select className={inputClass} {...register(settingKey)}>
+        {definition.options.map(option => (
+          <option key={option} value={option}>{getSettingLabel(option)}</option>
+        ))}
+      </select>
+    )
+  } else {
+    input = <input type="text" className={`w-full ${inputClass}`} {...register(settingKey)} />
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      {description && <p className="text-xs text-gray-500 mb-2">{description}</p>}
+      {definition.readOnly ? (
+        <>
+          <fieldset disabled>{input}</fieldset>
+          <p className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+            <Lock className="w-3 h-3" />
+            Set with the service role (see supabase/functions/DEPLOY.md)
+          </p>
+        </>
+      ) : input}
+      {error && <p className="text-xs text-red-600 mt-1">{error.message}</p>}
+    </div>
+  )
+}
+
+/**
+ * Convert typed settings to form values (lists become one entry per line)
+ */
+function toFormValues(settings) {
+  return Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => [
+      key,
+      SETTING_DEFINITIONS[key]?.type === 'json' && Array.isArray(value) ? value.join('\n') : value,
+    ])
+  )
+}
+
+export default SystemSettingsForm
@@ -0,0 +1,446 @@
+import { useState } from 'react'
+import { useForm, useWatch } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { z } from 'zod'
+import { Plus, Trash2, Pencil, X, ExternalLink, Loader2, PlugZap, CheckCircle, XCircle, Clock, DownloadCloud } from 'lucide-react'
+import {
+  useWordPressConnections,
+  useCreateWordPressConnection,
+  useUpdateWordPressConnection,
+  useDeleteWordPressConnection,
+  useTestWordPressConnection,
+} from '../../hooks/useWordPress'
+import { useImportSiteArticles } from '../../hooks/useSiteArticles'
+import { wordPressConnectionSchema } from '../../lib/settingsSchema'
+
+/**
+ * WordPress Connections
+ * Persisted connections with create/edit/delete, a recorded connection test and
+ * the site article import that feeds internal linking
+ */
+function WordPressConnections() {
+  const { data: connections = [], isLoading } = useWordPressConnections()
+  const deleteConnection = useDeleteWordPressConnection()
+  const testConnection = useTestWordPressConnection()
+  const importArticles = useImportSiteArticles()
+  const [editing, setEditing] = useState(null) // null = closed, {} = new, row = edit
+  const [testResults, setTestResults] = useState({})
+
+  const handleDelete = async (connection) => {
+    if (!confirm(`Delete the WordPress connection "${connection.name}"?`)) return
+
+    try {
+      await deleteConnection.mutateAsync(connection.id)
+    } catch (error) {
+      alert('Failed to delete connection: ' + error.message)
+    }
+  }
+
+  const handleTest = async (connection) => {
+    try {
+      const result = await testConnection.mutateAsync(connection)
+      setTestResults(prev => ({ ...prev, [connection.id]: result.message }))
+    } catch (error) {
+      setTestResults(prev => ({ ...prev, [connection.id]: error.message }))
+    }
+  }
+
+  const handleImport = async (connection) => {
+    try {
+      const summary = await importArticles.mutateAsync({ connectionId: connection.id })
+      setTestResults(prev => ({ ...prev, [connection.id]: `Import finished: ${describeImport(summary)}` }))
+    } catch (error) {
+      setTestResults(prev => ({ ...prev, [connection.id]: 'Import failed: ' + error.message }))
+    }
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">WordPress Connections</h2>
+        <button
+          onClick={() => setEditing({})}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+        >
+          <Plus className="w-4 h-4" />
+          Add Connection
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+        </div>
+      ) : connections.length === 0 ? (
+        <div className="text-center py-8 bg-gray-50 rounded-lg">
+          <ExternalLink className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600 mb-2">No WordPress connections</p>
+          <p className="text-sm text-gray-500">Add a connection to publish articles to WordPress</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {connections.map((conn) => {
+            const isTesting = testConnection.isPending && testConnection.variables?.id === conn.id
+            const isImporting = importArticles.isPending && importArticles.variables?.connectionId === conn.id
+
+            return (
+              <div key={conn.id} className="p-4 border border-gray-200 rounded-lg hover:bg-gray-50">
+                <div className="flex items-center justify-between">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-medium text-gray-900">{conn.name}</h3>
+                      {!conn.is_active && (
+                        <span className="text-xs px-2 py-1 bg-gray-100 text-gray-600 rounded">Inactive</span>
+                      )}
+                      <span className="text-xs px-2 py-1 bg-blue-50 text-blue-700 rounded capitalize">
+                        {conn.default_post_status}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1 truncate">{conn.site_url}</p>
+                    <p className="text-xs text-gray-500 mt-1">User: {conn.username}</p>
+                    <ConnectionTestStatus connection={conn} />
+                    <ImportStatus connection={conn} />
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => handleImport(conn)}
+                      disabled={isImporting}
+                      className="p-2 text-gray-400 hover:text-blue-600 disabled:opacity-50"
+                      title={`Import site articles (${conn.import_source === 'sitemap' ? 'sitemap' : 'REST API'})`}
+                    >
+                      {isImporting ? <Loader2 className="w-5 h-5 animate-spin" /> : <DownloadCloud className="w-5 h-5" />}
+                    </button>
+                    <button
+                      onClick={() => handleTest(conn)}
+                      disabled={isTesting}
+                      className="p-2 text-gray-400 hover:text-blue-600 disabled:opacity-50"
+                      title="Test connection"
+                    >
+                      {isTesting ? <Loader2 className="w-5 h-5 animate-spin" /> : <PlugZap className="w-5 h-5" />}
+                    </button>
+                    <button
+                      onClick={() => setEditing(conn)}
+                      className="p-2 text-gray-400 hover:text-gray-600"
+                      title="Edit connection"
+                    >
+                      <Pencil className="w-5 h-5" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(conn)}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                      title="Delete connection"
+                    >
+                      <Trash2 className="w-5 h-5" />
+                    </button>
+                  </div>
+                </div>
+                {testResults[conn.id] && !isTesting && !isImporting && (
+                  <p className="text-xs text-gray-600 mt-2">{testResults[conn.id]}</p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {editing && (
+        <WordPressConnectionModal
+          connection={editing.id ? editing : null}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+/**
+ * Last recorded connection test (last_test_at / last_test_success)
+ */
+function ConnectionTestStatus({ connection }) {
+  if (!connection.last_test_at) {
+    return (
+      <p className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+        <Clock className="w-3 h-3" />
+        Never tested
+      </p>
+    )
+  }
+
+  const testedAt = new Date(connection.last_test_at).toLocaleString()
+
+  return connection.last_test_success ? (
+    <p className="flex items-center gap-1 text-xs text-green-700 mt-1">
+      <CheckCircle className="w-3 h-3" />
+      Connection OK · tested {testedAt}
+    </p>
+  ) : (
+    <p className="flex items-center gap-1 text-xs text-red-600 mt-1">
+      <XCircle className="w-3 h-3" />
+      Last test failed · {testedAt}
+    </p>
+  )
+}
+
+function describeImport(summary = {}) {
+  const parts = [
+    `${summary.added || 0} added`,
+    `${summary.updated || 0} updated`,
+    summary.restored > 0 && `${summary.restored} restored`,
+    `${summary.removed || 0} removed`,
+    summary.pending > 0 && `${summary.pending} left for the next run`,
+  ]
+  return parts.filter(Boolean).join(', ')
+}
+
+/**
+ * Last site article import (last_import_at / last_import_summary)
+ */
+function ImportStatus({ connection }) {
+  if (!connection.last_import_status) {
+    return <p className="text-xs text-gray-500 mt-1">Site articles never imported</p>
+  }
+
+  const summary = connection.last_import_summary || {}
+  const importedAt = connection.last_import_at ? new Date(connection.last_import_at).toLocaleString() : null
+
+  return connection.last_import_status === 'completed' ? (
+    <p className="text-xs text-gray-600 mt-1">
+      Articles imported {importedAt} · {describeImport(summary)}
+    </p>
+  ) : (
+    <p className="text-xs text-red-600 mt-1">Last import failed: {summary.error}</p>
+  )
+}
+
+// When editing, a blank password keeps the stored one
+const editConnectionSchema = wordPressConnectionSchema.extend({
+  password: z.string(),
+})
+
+function WordPressConnectionModal({ connection, onClose }) {
+  const createConnection = useCreateWordPressConnection()
+  const updateConnection = useUpdateWordPressConnection()
+  const isEditing = !!connection
+
+  const {
+    register,
+    handleSubmit,
+    control,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(isEditing ? editConnectionSchema : wordPressConnectionSchema),
+    defaultValues: {
+      name: connection?.name || '',
+      site_url: connection?.site_url || '',
+      auth_type: connection?.auth_type || 'application_password',
+      username: connection?.username || '',
+      password: '',
+      default_post_status: connection?.default_post_status || 'draft',
+      default_category_id: connection?.default_category_id ?? null,
+      is_active: connection?.is_active ?? true,
+      import_source: connection?.import_source || 'wp_api',
+      sitemap_url: connection?.sitemap_url || '',
+    },
+  })
+
+  const importSource = useWatch({ control, name: 'import_source' })
+
+  const onSubmit = async (values) => {
+    try {
+      if (isEditing) {
+        const { password, ...updates } = values
+        await updateConnection.mutateAsync({
+          id: connection.id,
+          ...updates,
+          ...(password ? { password } : {}),
+        })
+      } else {
+        await createConnection.mutateAsync(values)
+      }
+      onClose()
+    } catch (error) {
+      alert('Failed to save connection: ' + error.message)
+    }
+  }
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-2xl font-bold text-gray-900">
+              {isEditing ? 'Edit WordPress Connection' : 'Add WordPress Connection'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Connection Name *
+              </label>
+              <input
+                type="text"
+                {...register('name')}
+                className={inputClass}
+                placeholder="My WordPress Site"
+              />
+              <FieldError error={errors.name} />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Site URL *
+              </label>
+              <input
+                type="url"
+                {...register('site_url')}
+                className={inputClass}
+                placeholder="https://example.com"
+              />
+              <FieldError error={errors.site_url} />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Authentication
+              </label>
+              <select {...register('auth_type')} className={inputClass}>
+                <option value="application_password">Application Password</option>
+                <option value="basic_auth">Basic Auth</option>
+                <option value="jwt">JWT</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                WordPress Username *
+              </label>
+              <input
+                type="text"
+                {...register('username')}
+                className={inputClass}
+                placeholder="admin"
+              />
+              <FieldError error={errors.username} />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Application Password {!isEditing && '*'}
+              </label>
+              <input
+                type="password"
+                {...register('password')}
+                className={inputClass}
+                placeholder={isEditing ? 'Leave blank to keep the current password' : 'xxxx xxxx xxxx xxxx'}
+              />
+              <FieldError error={errors.password} />
+              <p className="text-xs text-gray-500 mt-1">
+                Generate in WordPress: Users → Profile → Application Passwords
+              </p>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Default Post Status
+                </label>
+                <select {...register('default_post_status')} className={inputClass}>
+                  <option value="draft">Draft</option>
+                  <option value="publish">Publish</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Default Category ID
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  {...register('default_category_id', {
+                    setValueAs: value => (value === '' || value === null ? null : Number(value)),
+                  })}
+                  className={inputClass}
+                  placeholder="Optional"
+                />
+                <FieldError error={errors.default_category_id} />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Import Articles From
+                </label>
+                <select {...register('import_source')} className={inputClass}>
+                  <option value="wp_api">REST API (posts)</option>
+                  <option value="sitemap">Sitemap</option>
+                </select>
+              </div>
+
+              {importSource === 'sitemap' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sitemap URL
+                  </label>
+                  <input
+                    type="url"
+                    {...register('sitemap_url')}
+                    className={inputClass}
+                    placeholder="<site URL>/sitemap.xml"
+                  />
+                  <FieldError error={errors.sitemap_url} />
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="is_active"
+                {...register('is_active')}
+                className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+              />
+              <label htmlFor="is_active" className="ml-2 text-sm text-gray-700">
+                Active (available for publishing)
+              </label>
+            </div>
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isEditing ? 'Save Changes' : 'Add Connection'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function FieldError({ error }) {
+  if (!error) return null
+  return <p className="text-xs text-red-600 mt-1">{error.message}</p>
+}
+
+export default WordPressConnections
@@ -45,6 +45,8 @@ export function AuthProvider({ children }) {
   const value = {
     user,
     loading,
+    // Only the service role can set app_metadata; RLS checks the same claim (is_admin())
+    isAdmin: user?.app_metadata?.role === 'admin',
     signIn: async (email, password) => {
       const { data, error } = await supabase.auth.signInWithPassword({
         email,
@@ -0,0 +1,43 @@
+import { useQuery } from '@tanstack/react-query'
+import { supabase } from '../services/supabaseClient'
+import { fetchAllRows } from '../lib/db/fetchAllRows'
+import { parseSpend, parseUsageSummary } from '../lib/llm/usage'
+
+/**
+ * AI usage (calls, tokens, estimated cost) for the current and the previous
+ * months - 1 UTC months, grouped by month, stage, contributor and article
+ * (see parseUsageSummary). Summed in SQL, so every call counts
+ */
+export function useAIUsage(months = 6) {
+  return useQuery({
+    queryKey: ['ai_usage', 'summary', months],
+    queryFn: async () => {
+      const now = new Date()
+      const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1))
+
+      // One row per group; paged because a busy site has more articles than one response holds
+      const { data, error } = await fetchAllRows(() => supabase
+        .rpc('ai_usage_summary', { since: since.toISOString() })
+        .order('dimension')
+        .order('key'))
+
+      if (error) throw error
+      return parseUsageSummary(data)
+    },
+  })
+}
+
+/**
+ * Estimated spend in the current UTC day and month ({ daySpend, monthSpend })
+ */
+export function useAISpend() {
+  return useQuery({
+    queryKey: ['ai_usage', 'spend'],
+    queryFn: async () => {
+      const { data, error } = await supabase.rpc('ai_usage_spend').single()
+
+      if (error) throw error
+      return parseSpend(data)
+    },
+  })
+}
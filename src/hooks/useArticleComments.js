@@ -0,0 +1,107 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { supabase } from '../services/supabaseClient'
+import { useAuth } from '../contexts/AuthContext'
+
+/**
+ * Reviewer comments (article_revisions) for an article, oldest first
+ * Top-level rows are anchored comments; rows with parent_id are replies
+ */
+export function useArticleComments(articleId) {
+  return useQuery({
+    queryKey: ['revisions', articleId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('article_revisions')
+        .select('*')
+        .eq('article_id', articleId)
+        .order('created_at', { ascending: true })
+
+      if (error) throw error
+      return data
+    },
+    enabled: !!articleId,
+  })
+}
+
+/**
+ * Add a comment (with anchor fields) or a reply (with parent_id)
+ * version_number records the article version the comment was made on
+ */
+export function useCreateComment() {
+  const { user } = useAuth()
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ article, ...comment }) => {
+      const { data, error } = await supabase
+        .from('article_revisions')
+        .insert({
+          ...comment,
+          article_id: article.id,
+          version_number: article.current_version || 1,
+          created_by: user.id,
+        })
+        .select()
+        .single()
+
+      if (error) throw error
+      return data
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['revisions', data.article_id] })
+    },
+  })
+}
+
+/**
+ * Resolve ('addressed'), dismiss or reopen ('pending') a comment thread
+ */
+export function useUpdateCommentStatus() {
+  const { user } = useAuth()
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ commentId, status }) => {
+      const resolved = status !== 'pending'
+
+      const { data, error } = await supabase
+        .from('article_revisions')
+        .update({
+          status,
+          resolved_at: resolved ? new Date().toISOString() : null,
+          resolved_by: resolved ? user.id : null,
+        })
+        .eq('id', commentId)
+        .select()
+        .single()
+
+      if (error) throw error
+      return data
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['revisions', data.article_id] })
+    },
+  })
+}
+
+/**
+ * Delete a comment (and its replies)
+ */
+export function useDeleteComment() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (comment) => {
+      const { error } = await supabase
+        .from('article_revisions')
+        .delete()
+        .eq('id', comment.id)
+
+      if (error) throw error
+      return comment
+    },
+    onSuccess: (comment) => {
+      queryClient.invalidateQueries({ queryKey: ['revisions', comment.article_id] })
+    },
+  })
+}
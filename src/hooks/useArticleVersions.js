@@ -0,0 +1,83 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { supabase } from '../services/supabaseClient'
+import { syncArticleLinks } from '../services/linkSyncService'
+
+// Snapshot fields written back to the article on restore
+const RESTORED_FIELDS = ['title', 'content', 'excerpt', 'meta_title', 'meta_description', 'focus_keyword', 'faqs', 'word_count', 'quality_score']
+
+/**
+ * Version history of an article, newest first (without the snapshot bodies)
+ * Versions are written by the articles_snapshot_version trigger on every change
+ */
+export function useArticleVersions(articleId) {
+  return useQuery({
+    queryKey: ['article_versions', articleId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('article_versions')
+        .select('id, article_id, version_number, source, restored_from_version, title, word_count, quality_score, created_at, created_by')
+        .eq('article_id', articleId)
+        .order('version_number', { ascending: false })
+
+      if (error) throw error
+      return data
+    },
+    enabled: !!articleId,
+  })
+}
+
+/**
+ * One full version snapshot (for diffs)
+ */
+export function useArticleVersion(versionId) {
+  return useQuery({
+    queryKey: ['article_version', versionId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('article_versions')
+        .select('*')
+        .eq('id', versionId)
+        .single()
+
+      if (error) throw error
+      return data
+    },
+    enabled: !!versionId,
+    // Snapshots never change
+    staleTime: Infinity,
+  })
+}
+
+/**
+ * Restore an article to a version; the restore itself becomes a new version
+ */
+export function useRestoreArticleVersion() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ articleId, version }) => {
+      const updates = Object.fromEntries(RESTORED_FIELDS.map(field => [field, version[field]]))
+
+      const { data, error } = await supabase
+        .from('articles')
+        .update({
+          ...updates,
+          edit_source: 'restore',
+          restored_from_version: version.version_number,
+        })
+        .eq('id', articleId)
+        .select()
+        .single()
+
+      if (error) throw error
+
+      await syncArticleLinks(data.id, data.content)
+      return data
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['articles'] })
+      queryClient.invalidateQueries({ queryKey: ['article', data.id] })
+      queryClient.invalidateQueries({ queryKey: ['article_versions', data.id] })
+    },
+  })
+}
@@ -1,6 +1,8 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { supabase } from '../services/supabaseClient'
+import { invokeEdgeFunction } from '../services/edgeFunctions'
 import { useAuth } from '../contexts/AuthContext'
+import { syncArticleLinks } from '../services/linkSyncService'
 
 /**
  * Fetch all articles for the current user
@@ -59,6 +61,26 @@ export function useArticle(articleId) {
   })
 }
 
+/**
+ * Whether no other article uses a slug (slugs are unique across all users,
+ * so this asks the database rather than the user's own articles)
+ */
+export function useSlugAvailability(slug, articleId) {
+  return useQuery({
+    queryKey: ['article_slug', slug, articleId],
+    queryFn: async () => {
+      const { data, error } = await supabase.rpc('is_article_slug_available', {
+        check_slug: slug,
+        exclude_article_id: articleId ?? null,
+      })
+
+      if (error) throw error
+      return data
+    },
+    enabled: !!slug,
+  })
+}
+
 /**
  * Create a new article
  */
@@ -78,6 +100,8 @@ export function useCreateArticle() {
         .single()
 
       if (error) throw error
+
+      await syncArticleLinks(data.id, data.content)
       return data
     },
     onSuccess: () => {
@@ -102,11 +126,14 @@ export function useUpdateArticle() {
         .single()
 
       if (error) throw error
+
+      if ('content' in updates) await syncArticleLinks(data.id, data.content)
       return data
     },
     onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['articles'] })
       queryClient.invalidateQueries({ queryKey: ['article', data.id] })
+      queryClient.invalidateQueries({ queryKey: ['article_versions', data.id] })
     },
   })
 }
@@ -165,12 +192,7 @@ export function usePublishArticle() {
   return useMutation({
     mutationFn: async ({ articleId, connectionId }) => {
       // Call Supabase Edge Function for WordPress publishing
-      const { data, error } = await supabase.functions.invoke('publish-to-wordpress', {
-        body: { articleId, connectionId }
-      })
-
-      if (error) throw error
-      return data
+      return invokeEdgeFunction('publish-to-wordpress', { articleId, connectionId })
     },
     onSuccess: (data, variables) => {
       queryClient.invalidateQueries({ queryKey: ['articles'] })
@@ -0,0 +1,47 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { supabase } from '../services/supabaseClient'
+import { invokeEdgeFunction } from '../services/edgeFunctions'
+
+/**
+ * Recent automation cycle runs (newest first)
+ * Polls faster while a run is in progress
+ */
+export function useAutomationRuns(limit = 20) {
+  return useQuery({
+    queryKey: ['automation_runs', limit],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('automation_runs')
+        .select('*')
+        .order('started_at', { ascending: false })
+        .limit(limit)
+
+      if (error) throw error
+      return data
+    },
+    refetchInterval: (query) => {
+      const runs = query.state.data || []
+      return runs.some(run => run.status === 'running') ? 3000 : 30000
+    },
+  })
+}
+
+/**
+ * Run an automation cycle now, ignoring cycle_interval_seconds
+ */
+export function useRunAutomationCycle() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async () => {
+      const data = await invokeEdgeFunction('automation-cycle', { force: true })
+      return data.run
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['automation_runs'] })
+      queryClient.invalidateQueries({ queryKey: ['generation_queue'] })
+      queryClient.invalidateQueries({ queryKey: ['content_ideas'] })
+      queryClient.invalidateQueries({ queryKey: ['articles'] })
+    },
+  })
+}
@@ -1,5 +1,6 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { supabase } from '../services/supabaseClient'
+import { invokeEdgeFunction } from '../services/edgeFunctions'
 import { useAuth } from '../contexts/AuthContext'
 
 /**
@@ -117,12 +118,7 @@ export function useGenerateIdeas() {
   return useMutation({
     mutationFn: async ({ seedTopics, count = 10 }) => {
       // Call Supabase Edge Function for idea generation
-      const { data, error } = await supabase.functions.invoke('generate-ideas', {
-        body: { seedTopics, count, userId: user.id }
-      })
-
-      if (error) throw error
-      return data
+      return invokeEdgeFunction('generate-ideas', { seedTopics, count, userId: user.id })
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['content_ideas'] })
@@ -140,12 +136,7 @@ export function useGenerateIdeasFromKeywords() {
   return useMutation({
     mutationFn: async ({ seedKeywords, options }) => {
       // Call Edge Function that uses DataForSEO + AI
-      const { data, error } = await supabase.functions.invoke('generate-ideas-from-keywords', {
-        body: { seedKeywords, options, userId: user.id }
-      })
-
-      if (error) throw error
-      return data
+      return invokeEdgeFunction('generate-ideas-from-keywords', { seedKeywords, options, userId: user.id })
     },
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['content_ideas'] })
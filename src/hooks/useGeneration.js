@@ -1,9 +1,18 @@
 import { useMutation, useQueryClient } from '@tanstack/react-query'
 import { useAuth } from '../contexts/AuthContext'
 import { supabase } from '../services/supabaseClient'
+import { syncArticleLinks } from '../services/linkSyncService'
 import GenerationService from '../services/generationService'
+import ClaudeEdgeClient from '../services/ai/claudeClient.edge'
+import GrokEdgeClient from '../services/ai/grokClient.edge'
+import { recordRevision } from '../services/learningService'
+import { settingsService } from '../services/settingsService'
+import { validateStage, autoFixStageOptions } from '../lib/quality/structureValidator'
+import { stripHtml } from '../lib/quality/qualityMetrics'
 
 const generationService = new GenerationService()
+const claudeEdgeClient = new ClaudeEdgeClient()
+const grokEdgeClient = new GrokEdgeClient()
 
 /**
  * Generate complete article from content idea with full pipeline
@@ -16,16 +25,10 @@ export function useGenerateArticle() {
   return useMutation({
     mutationFn: async ({ idea, options, onProgress }) => {
       // Generate complete article with full pipeline
+      // Unset options fall back to system_settings inside the service
       const articleData = await generationService.generateArticleComplete(
         idea,
-        {
-          contentType: options?.contentType || 'guide',
-          targetWordCount: options?.targetWordCount || 2000,
-          autoAssignContributor: options?.autoAssignContributor !== false,
-          addInternalLinks: options?.addInternalLinks !== false,
-          autoFix: options?.autoFix !== false,
-          maxFixAttempts: options?.maxFixAttempts || 3,
-        },
+        options || {},
         onProgress
       )
 
@@ -47,85 +50,144 @@ export function useGenerateArticle() {
 
 /**
  * Auto-fix quality issues in an article
+ * The fix is validated against the current content; a fix that loses too much
+ * structure is discarded with an error, other findings join stage_warnings
  */
 export function useAutoFixQuality() {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: async ({ articleId, content, issues }) => {
+    mutationFn: async ({ articleId, content, issues, stageWarnings = [], article = {} }) => {
+      const settings = await settingsService.getSettings()
+      // Site URLs so links to our own domains count as internal when re-scoring
+      await generationService.loadLinkContext()
+      const faqs = article.faqs || []
+
+      const siteArticles = issues.some(issue => issue.type === 'missing_internal_links')
+        ? await generationService.getRelevantSiteArticles(
+          { title: article.title, content, focusKeyword: article.focus_keyword },
+          Math.max(settings.max_internal_links * 2, 5)
+        )
+        : []
+
       // Use generationService to fix issues
       const fixedContent = await generationService.autoFixQualityIssues(
         content,
         issues,
-        []
+        faqs,
+        { article_id: articleId, stage: 'auto_fix' },
+        siteArticles
       )
 
-      // Recalculate quality metrics
-      const metrics = generationService.calculateQualityMetrics(fixedContent, [])
+      const { warning } = validateStage('auto_fix', content, fixedContent, settings, autoFixStageOptions(issues))
+      if (warning?.rolled_back) {
+        const errors = warning.findings.filter(finding => finding.severity === 'error').map(finding => finding.message)
+        throw new Error(`The fix was discarded because it damaged the article: ${errors.join('; ')}`)
+      }
+
+      // Recalculate quality metrics (article: title and metadata for the on-page SEO checks)
+      const metrics = generationService.calculateQualityMetrics(fixedContent, faqs, article)
 
       // Update article in database
       const { data, error } = await supabase
         .from('articles')
         .update({
           content: fixedContent,
+          edit_source: 'auto_fix',
           quality_score: metrics.score,
           word_count: metrics.word_count,
           risk_flags: metrics.issues.map(i => i.type),
+          ...(warning ? { stage_warnings: [...stageWarnings, warning] } : {}),
         })
         .eq('id', articleId)
         .select()
         .single()
 
       if (error) throw error
+
+      await syncArticleLinks(data.id, data.content)
       return data
     },
     onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['articles'] })
       queryClient.invalidateQueries({ queryKey: ['article', data.id] })
+      queryClient.invalidateQueries({ queryKey: ['article_versions', data.id] })
     },
   })
 }
 
 /**
  * Revise article with editorial feedback
+ * Pending reviewer comments go to the claude-api Edge Function (reviseWithFeedback);
+ * the revision is then recorded as training_data for pattern review
  */
 export function useReviseArticle() {
+  const { user } = useAuth()
   const queryClient = useQueryClient()
 
   return useMutation({
     mutationFn: async ({ articleId, content, feedbackItems }) => {
-      // Use Claude to revise based on feedback
-      const revisedContent = await generationService.claude.reviseWithFeedback(
-        content,
-        feedbackItems
-      )
+      const feedback = feedbackItems.map(item => ({
+        category: item.category || 'other',
+        severity: item.severity || 'suggestion',
+        selected_text: item.selected_text || null,
+        comment: item.comment,
+        replies: (item.replies || []).map(reply => reply.comment),
+      }))
+
+      const revisedContent = await claudeEdgeClient.reviseWithFeedback(content, feedback, {
+        article_id: articleId,
+        stage: 'revision',
+      })
 
       // Update article
       const { data, error } = await supabase
         .from('articles')
-        .update({ content: revisedContent })
+        .update({ content: revisedContent, edit_source: 'revision' })
         .eq('id', articleId)
         .select()
         .single()
 
       if (error) throw error
 
+      await syncArticleLinks(data.id, data.content)
+
       // Mark feedback items as addressed
       await supabase
         .from('article_revisions')
-        .update({ status: 'addressed', ai_revised: true })
+        .update({
+          status: 'addressed',
+          ai_revised: true,
+          resolved_at: new Date().toISOString(),
+          resolved_by: user.id,
+        })
         .in('id', feedbackItems.map(f => f.id))
 
+      await recordRevision({ article: data, originalContent: content, feedbackItems: feedback, userId: user.id })
+
       return data
     },
     onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['articles'] })
       queryClient.invalidateQueries({ queryKey: ['article', data.id] })
+      queryClient.invalidateQueries({ queryKey: ['article_versions', data.id] })
       queryClient.invalidateQueries({ queryKey: ['revisions'] })
+      queryClient.invalidateQueries({ queryKey: ['training_data'] })
     },
   })
 }
 
+/**
+ * Suggest meta title, meta description and slug for an article
+ * Runs generateMetadata on the grok-api Edge Function (draft provider); nothing
+ * is saved, the editor fills its form with the result
+ */
+export function useSuggestMetadata() {
+  return useMutation({
+    mutationFn: ({ content, focusKeyword }) => grokEdgeClient.generateMetadata(stripHtml(content), focusKeyword),
+  })
+}
+
 /**
  * Get contributors (for display)
  */
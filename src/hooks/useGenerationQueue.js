@@ -0,0 +1,209 @@
+import { useEffect, useRef } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { supabase } from '../services/supabaseClient'
+import { useAuth } from '../contexts/AuthContext'
+
+/**
+ * Ask the generation worker to drain the queue
+ * Fire-and-forget: the job is persisted, so a failed kick is picked up by the next cron run
+ */
+function kickGenerationWorker() {
+  supabase.functions
+    .invoke('generation-worker', { body: { maxJobs: 1 } })
+    .then(({ error }) => {
+      if (error) console.error('Generation worker error:', error)
+    })
+    .catch((error) => console.error('Generation worker error:', error))
+}
+
+// Statuses kept in the ['generation_queue'] cache
+const QUEUE_STATUSES = ['pending', 'processing', 'failed']
+
+/**
+ * Fetch active (pending/processing) and failed generation jobs for the whole team
+ * Kept live by useGenerationQueueRealtime; the interval is only a fallback
+ */
+export function useGenerationQueue() {
+  const { user } = useAuth()
+  const queryClient = useQueryClient()
+  const activeJobIds = useRef(new Set())
+
+  const query = useQuery({
+    queryKey: ['generation_queue'],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('generation_queue')
+        .select('*, content_ideas(id, title)')
+        .in('status', QUEUE_STATUSES)
+        .order('priority', { ascending: false })
+        .order('created_at', { ascending: true })
+
+      if (error) throw error
+      return data
+    },
+    enabled: !!user,
+    refetchInterval: 60000,
+  })
+
+  // When an active job leaves the queue it has completed - refresh articles and ideas
+  useEffect(() => {
+    if (!query.data) return
+
+    const stillActive = new Set(
+      query.data.filter(job => job.status !== 'failed').map(job => job.id)
+    )
+    const finished = [...activeJobIds.current].some(id => !stillActive.has(id))
+    activeJobIds.current = stillActive
+
+    if (finished) {
+      queryClient.invalidateQueries({ queryKey: ['articles'] })
+      queryClient.invalidateQueries({ queryKey: ['content_ideas'] })
+    }
+  }, [query.data, queryClient])
+
+  return query
+}
+
+/**
+ * Subscribe to generation_queue changes over Supabase Realtime
+ * Patches the ['generation_queue'] cache in place; mount once (MainLayout)
+ */
+export function useGenerationQueueRealtime() {
+  const { user } = useAuth()
+  const queryClient = useQueryClient()
+
+  useEffect(() => {
+    if (!user) return
+
+    const handleChange = (payload) => {
+      const jobs = queryClient.getQueryData(['generation_queue'])
+      if (!jobs) return
+
+      if (payload.eventType === 'DELETE') {
+        queryClient.setQueryData(['generation_queue'], jobs.filter(job => job.id !== payload.old.id))
+        return
+      }
+
+      const row = payload.new
+      const cached = jobs.find(job => job.id === row.id)
+
+      if (!QUEUE_STATUSES.includes(row.status)) {
+        queryClient.setQueryData(['generation_queue'], jobs.filter(job => job.id !== row.id))
+        return
+      }
+
+      if (!cached) {
+        // New rows need the joined idea title, so refetch instead of patching
+        queryClient.invalidateQueries({ queryKey: ['generation_queue'] })
+        return
+      }
+
+      queryClient.setQueryData(
+        ['generation_queue'],
+        jobs.map(job => (job.id === row.id ? { ...job, ...row } : job))
+      )
+    }
+
+    const channel = supabase
+      .channel('generation_queue_changes')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'generation_queue' }, handleChange)
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(channel)
+    }
+  }, [user, queryClient])
+}
+
+/**
+ * Enqueue article generation for a content idea
+ * The generation-worker Edge Function runs the pipeline server-side
+ */
+export function useEnqueueGeneration() {
+  const { user } = useAuth()
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ idea, options = {}, priority = 0 }) => {
+      const { data, error } = await supabase
+        .from('generation_queue')
+        .insert({
+          content_idea_id: idea.id,
+          user_id: user.id,
+          priority,
+          // Only explicit overrides are stored; the worker fills the rest from system_settings
+          options,
+        })
+        .select()
+        .single()
+
+      if (error) {
+        // Unique violation on idx_queue_active_idea
+        if (error.code === '23505') {
+          throw new Error('This idea is already queued for generation')
+        }
+        throw error
+      }
+
+      kickGenerationWorker()
+
+      return data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['generation_queue'] })
+    },
+  })
+}
+
+/**
+ * Retry a failed generation job
+ */
+export function useRetryGeneration() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (jobId) => {
+      // Clients can't update queue rows directly; the function only resets the caller's failed jobs
+      const { data, error } = await supabase
+        .rpc('retry_generation_job', { job_id: jobId })
+        .single()
+
+      if (error) {
+        // Unique violation on idx_queue_active_idea
+        if (error.code === '23505') {
+          throw new Error('This idea is already queued for generation')
+        }
+        throw error
+      }
+
+      kickGenerationWorker()
+
+      return data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['generation_queue'] })
+    },
+  })
+}
+
+/**
+ * Cancel a pending or failed generation job
+ */
+export function useCancelGeneration() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (jobId) => {
+      const { error } = await supabase
+        .from('generation_queue')
+        .delete()
+        .eq('id', jobId)
+        .in('status', ['pending', 'failed'])
+
+      if (error) throw error
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['generation_queue'] })
+    },
+  })
+}
@@ -1,6 +1,7 @@
 import { useMutation, useQueryClient } from '@tanstack/react-query'
 import { useAuth } from '../contexts/AuthContext'
 import { supabase } from '../services/supabaseClient'
+import { invokeEdgeFunction } from '../services/edgeFunctions'
 
 /**
  * Generate content ideas from keywords
@@ -12,22 +13,12 @@ export function useGenerateIdeas() {
 
   return useMutation({
     mutationFn: async ({ seedKeywords, count = 10 }) => {
-      const { data, error } = await supabase.functions.invoke('generate-ideas-from-keywords', {
-        body: {
-          seedKeywords,
-          count,
-          userId: user.id,
-        },
+      const data = await invokeEdgeFunction('generate-ideas-from-keywords', {
+        seedKeywords,
+        count,
+        userId: user.id,
       })
 
-      if (error) {
-        throw new Error(error.message || 'Idea generation failed')
-      }
-
-      if (!data.success) {
-        throw new Error(data.error || 'Idea generation failed')
-      }
-
       return data.ideas
     },
     onSuccess: () => {
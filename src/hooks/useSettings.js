@@ -0,0 +1,72 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { supabase } from '../services/supabaseClient'
+import { settingsService } from '../services/settingsService'
+import { useAuth } from '../contexts/AuthContext'
+import { SETTING_DEFINITIONS, serializeSettingValue } from '../lib/settings'
+
+/**
+ * Typed system settings (defaults filled in for missing keys)
+ */
+export function useSystemSettings() {
+  const { user } = useAuth()
+
+  return useQuery({
+    queryKey: ['system_settings', 'typed'],
+    queryFn: () => settingsService.getSettings({ force: true }),
+    enabled: !!user,
+    placeholderData: settingsService.getCachedSettings(),
+  })
+}
+
+/**
+ * Raw system_settings rows (for descriptions and categories)
+ */
+export function useSystemSettingRows() {
+  return useQuery({
+    queryKey: ['system_settings', 'rows'],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('system_settings')
+        .select('*')
+        .order('key')
+
+      if (error) throw error
+      return data
+    },
+  })
+}
+
+/**
+ * Save changed system settings (admins only)
+ * Accepts an object of typed values keyed by setting key; readOnly settings are
+ * skipped since RLS rejects them
+ */
+export function useUpdateSystemSettings() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (values) => {
+      const rows = Object.entries(values)
+        .filter(([key]) => !SETTING_DEFINITIONS[key]?.readOnly)
+        .map(([key, value]) => ({
+          key,
+          value: serializeSettingValue(key, value),
+          category: SETTING_DEFINITIONS[key]?.category || null,
+        }))
+
+      if (rows.length === 0) return []
+
+      const { data, error } = await supabase
+        .from('system_settings')
+        .upsert(rows, { onConflict: 'key' })
+        .select()
+
+      if (error) throw error
+      return data
+    },
+    onSuccess: () => {
+      settingsService.invalidate()
+      queryClient.invalidateQueries({ queryKey: ['system_settings'] })
+    },
+  })
+}
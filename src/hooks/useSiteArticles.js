@@ -0,0 +1,44 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { supabase } from '../services/supabaseClient'
+import { fetchLinkContext } from '../services/linkContextService'
+
+/**
+ * Link classification context (site URLs and known article URLs) for the editor's quality checks
+ */
+export function useLinkContext() {
+  return useQuery({
+    queryKey: ['link_context'],
+    queryFn: fetchLinkContext,
+    staleTime: 5 * 60 * 1000,
+  })
+}
+
+/**
+ * Import site_articles from a WordPress connection (REST API or sitemap)
+ * full re-crawls everything; otherwise only changes since the last import
+ */
+export function useImportSiteArticles() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ connectionId, full = true }) => {
+      const { data, error } = await supabase.functions.invoke('import-site-articles', {
+        body: { connectionId, full },
+      })
+
+      if (error) {
+        throw new Error(error.message || 'Site article import failed')
+      }
+
+      if (!data.success) {
+        throw new Error(data.error || 'Site article import failed')
+      }
+
+      return data.summary
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['wordpress_connections'] })
+      queryClient.invalidateQueries({ queryKey: ['link_context'] })
+    },
+  })
+}
@@ -0,0 +1,90 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { supabase } from '../services/supabaseClient'
+import { useAuth } from '../contexts/AuthContext'
+import { patternFields } from '../lib/learning/patterns'
+
+/**
+ * Training data recorded from AI revisions, newest first
+ * status: 'pending' | 'approved' | 'rejected' | 'applied' (all when omitted)
+ */
+export function useTrainingData(status) {
+  return useQuery({
+    queryKey: ['training_data', status || 'all'],
+    queryFn: async () => {
+      let query = supabase
+        .from('training_data')
+        .select('*, articles(title)')
+        .order('created_at', { ascending: false })
+
+      if (status) {
+        query = query.eq('status', status)
+      }
+
+      const { data, error } = await query
+
+      if (error) throw error
+      return data
+    },
+  })
+}
+
+/**
+ * Review a training_data row: approve, reject or reopen ('pending') it,
+ * optionally saving an edited pattern list
+ * Approved patterns are injected into prompts until rejected
+ */
+export function useReviewTrainingData() {
+  const { user } = useAuth()
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ id, status, patterns }) => {
+      const reviewed = status !== 'pending'
+
+      const { data, error } = await supabase
+        .from('training_data')
+        .update({
+          status,
+          reviewed_at: reviewed ? new Date().toISOString() : null,
+          reviewed_by: reviewed ? user.id : null,
+          ...(patterns ? patternFields(patterns) : {}),
+        })
+        .eq('id', id)
+        .select()
+        .single()
+
+      if (error) throw error
+      return data
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['training_data'] })
+    },
+  })
+}
+
+/**
+ * Generated articles with the quality score they were generated with (version 1)
+ * and the learned patterns in their prompts, for before/after impact comparison
+ */
+export function usePatternGenerations() {
+  return useQuery({
+    queryKey: ['pattern_generations'],
+    queryFn: async () => {
+      const [articles, versions] = await Promise.all([
+        supabase.from('articles').select('id, created_at, quality_score, learned_pattern_ids'),
+        supabase.from('article_versions').select('article_id, quality_score').eq('version_number', 1),
+      ])
+
+      if (articles.error) throw articles.error
+      if (versions.error) throw versions.error
+
+      const initialScores = new Map(versions.data.map(version => [version.article_id, version.quality_score]))
+
+      return articles.data.map(article => ({
+        created_at: article.created_at,
+        quality_score: initialScores.get(article.id) ?? article.quality_score,
+        learned_pattern_ids: article.learned_pattern_ids || [],
+      }))
+    },
+  })
+}
@@ -1,5 +1,7 @@
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
 import { supabase } from '../services/supabaseClient'
+import { invokeEdgeFunction } from '../services/edgeFunctions'
+import { useAuth } from '../contexts/AuthContext'
 
 /**
  * Get WordPress connections
@@ -23,13 +25,17 @@ export function useWordPressConnections() {
  * Create WordPress connection
  */
 export function useCreateWordPressConnection() {
+  const { user } = useAuth()
   const queryClient = useQueryClient()
 
   return useMutation({
     mutationFn: async (connectionData) => {
       const { data, error } = await supabase
         .from('wordpress_connections')
-        .insert(connectionData)
+        .insert({
+          ...connectionData,
+          user_id: user.id,
+        })
         .select()
         .single()
 
@@ -96,19 +102,7 @@ export function usePublishToWordPress() {
 
   return useMutation({
     mutationFn: async ({ articleId, connectionId }) => {
-      const { data, error } = await supabase.functions.invoke('publish-to-wordpress', {
-        body: { articleId, connectionId },
-      })
-
-      if (error) {
-        throw new Error(error.message || 'WordPress publishing failed')
-      }
-
-      if (!data.success) {
-        throw new Error(data.error || 'WordPress publishing failed')
-      }
-
-      return data
+      return invokeEdgeFunction('publish-to-wordpress', { articleId, connectionId })
     },
     onSuccess: (data) => {
       queryClient.invalidateQueries({ queryKey: ['articles'] })
@@ -119,36 +113,57 @@ export function usePublishToWordPress() {
 
 /**
  * Test WordPress connection
+ * Authenticates against /users/me and records the result on the connection
  */
 export function useTestWordPressConnection() {
+  const queryClient = useQueryClient()
+
   return useMutation({
     mutationFn: async (connection) => {
-      // Test by trying to authenticate
       const auth = btoa(`${connection.username}:${connection.password}`)
 
-      const response = await fetch(`${connection.site_url}/wp-json/wp/v2/posts`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Basic ${auth}`,
-        },
-      })
+      let success = false
+      let message = ''
+
+      try {
+        // /users/me requires authentication, so it also verifies the credentials
+        const response = await fetch(`${connection.site_url}/wp-json/wp/v2/users/me?context=edit`, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Basic ${auth}`,
+          },
+        })
 
-      if (!response.ok) {
-        throw new Error('Connection test failed. Check your credentials and site URL.')
+        if (response.ok) {
+          const user = await response.json()
+          success = true
+          message = `Connected as ${user.name || connection.username}`
+        } else if (response.status === 401 || response.status === 403) {
+          message = 'Authentication failed. Check the username and application password.'
+        } else if (response.status === 404) {
+          message = 'WordPress REST API not found at this URL.'
+        } else {
+          message = `Connection test failed (HTTP ${response.status}).`
+        }
+      } catch {
+        message = 'Could not reach the site. Check the URL and that the REST API allows cross-origin requests.'
       }
 
-      // Update last test time
+      // Record the result whether it passed or failed
       const { error } = await supabase
         .from('wordpress_connections')
         .update({
           last_test_at: new Date().toISOString(),
-          last_test_success: true,
+          last_test_success: success,
         })
         .eq('id', connection.id)
 
       if (error) console.error('Error updating test status:', error)
 
-      return { success: true, message: 'Connection successful!' }
+      return { success, message }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['wordpress_connections'] })
     },
   })
 }
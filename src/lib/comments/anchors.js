@@ -0,0 +1,82 @@
+/**
+ * Comment Anchors
+ * Ties reviewer comments to a range of the editor's plain text (Quill getText()).
+ * The stored position is only a hint: after edits the selected text is found
+ * again by its surrounding context, or the comment is reported as detached.
+ */
+
+// Characters of context stored on each side of the selection
+const CONTEXT_LENGTH = 32
+
+/**
+ * Anchor fields for a selection (index/length into text)
+ */
+export function createAnchor(text, index, length) {
+  return {
+    selected_text: text.slice(index, index + length),
+    anchor_start: index,
+    anchor_length: length,
+    anchor_prefix: text.slice(Math.max(0, index - CONTEXT_LENGTH), index),
+    anchor_suffix: text.slice(index + length, index + length + CONTEXT_LENGTH),
+  }
+}
+
+// Length of the common run at the end of a / start of b
+function commonSuffixLength(a, b) {
+  let length = 0
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++
+  return length
+}
+
+function commonPrefixLength(a, b) {
+  let length = 0
+  while (length < a.length && length < b.length && a[length] === b[length]) length++
+  return length
+}
+
+/**
+ * Current { index, length } of a comment's anchor in text, or null when the
+ * selected text no longer appears (or the comment has no anchor)
+ */
+export function resolveAnchor(text, comment) {
+  const selected = comment?.selected_text
+  if (!selected) return null
+
+  const start = comment.anchor_start ?? 0
+
+  // Score every occurrence by matching context, then by distance from the old position
+  let best = null
+  for (let index = text.indexOf(selected); index !== -1; index = text.indexOf(selected, index + 1)) {
+    const before = text.slice(Math.max(0, index - CONTEXT_LENGTH), index)
+    const after = text.slice(index + selected.length, index + selected.length + CONTEXT_LENGTH)
+    const context = commonSuffixLength(before, comment.anchor_prefix || '') + commonPrefixLength(after, comment.anchor_suffix || '')
+    const distance = Math.abs(index - start)
+
+    if (!best || context > best.context || (context === best.context && distance < best.distance)) {
+      best = { index, context, distance }
+    }
+  }
+
+  return best ? { index: best.index, length: selected.length } : null
+}
+
+/**
+ * Group flat article_revisions rows into threads: top-level comments (newest
+ * first) each with replies (oldest first)
+ */
+export function buildThreads(rows = []) {
+  const replies = new Map()
+  for (const row of rows) {
+    if (!row.parent_id) continue
+    if (!replies.has(row.parent_id)) replies.set(row.parent_id, [])
+    replies.get(row.parent_id).push(row)
+  }
+
+  return rows
+    .filter(row => !row.parent_id)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .map(row => ({
+      ...row,
+      replies: (replies.get(row.id) || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+    }))
+}
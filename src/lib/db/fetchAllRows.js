@@ -0,0 +1,26 @@
+/**
+ * Paged Selects
+ * PostgREST returns at most 1000 rows per request (max-rows), so a plain select
+ * silently drops the rest. fetchAllRows requests consecutive ranges until a page
+ * comes back short. Pure module shared by the app and the Edge Functions.
+ */
+
+// The Supabase max-rows default; must not exceed the project's max-rows setting
+export const PAGE_SIZE = 1000
+
+/**
+ * All rows of a query
+ * buildQuery returns a fresh, ordered query for each page (range is applied here)
+ * so rows don't shift between pages. Resolves to { data, error } like a select
+ */
+export async function fetchAllRows(buildQuery, pageSize = PAGE_SIZE) {
+  const rows = []
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1)
+    if (error) return { data: null, error }
+
+    rows.push(...(data || []))
+    if (!data || data.length < pageSize) return { data: rows, error: null }
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Minimal HTML Tree Parser
+ * Parses article HTML (Quill output and AI-generated markup) into a small node tree
+ * that can be inspected, edited and serialized back. Pure module with no DOM
+ * dependency so it runs in the browser, Node and Edge Functions alike.
+ *
+ * Node shapes:
+ *   { type: 'root', children }
+ *   { type: 'element', tag, attrs, children, parent }
+ *   { type: 'text', text, parent }          (text is raw HTML-escaped source)
+ *   { type: 'comment', text, parent }
+ */
+
+export const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+])
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea'])
+
+// Opening one of these closes an open <p> (HTML's implied end tags, simplified)
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+])
+
+const ATTR_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+/**
+ * Decode HTML entities in text or attribute values
+ */
+export function decodeEntities(text = '') {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘',
+  rdquo: '”', ldquo: '“', copy: '©', reg: '®', trade: '™',
+}
+
+/**
+ * Escape text for use inside an element or a double-quoted attribute
+ */
+export function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function parseAttributes(source) {
+  const attrs = {}
+  ATTR_PATTERN.lastIndex = 0
+  let match
+  while ((match = ATTR_PATTERN.exec(source)) !== null) {
+    const name = match[1].toLowerCase()
+    const value = match[2] ?? match[3] ?? match[4] ?? ''
+    if (!(name in attrs)) attrs[name] = decodeEntities(value)
+  }
+  return attrs
+}
+
+/**
+ * Create a detached element node
+ */
+export function createElement(tag, attrs = {}, children = []) {
+  const node = { type: 'element', tag: tag.toLowerCase(), attrs: { ...attrs }, children: [], parent: null }
+  for (const child of children) appendChild(node, child)
+  return node
+}
+
+/**
+ * Create a detached text node from plain (unescaped) text
+ */
+export function createText(text) {
+  return { type: 'text', text: escapeHtml(text), parent: null }
+}
+
+export function appendChild(parent, child) {
+  child.parent = parent
+  parent.children.push(child)
+  return child
+}
+
+/**
+ * Parse an HTML string into a tree
+ */
+export function parseHtml(html = '') {
+  const root = { type: 'root', children: [], parent: null }
+  const stack = [root]
+  const current = () => stack[stack.length - 1]
+  let index = 0
+
+  const pushText = (text) => {
+    if (!text) return
+    const parent = current()
+    const last = parent.children[parent.children.length - 1]
+    if (last?.type === 'text') {
+      last.text += text
+    } else {
+      appendChild(parent, { type: 'text', text, parent })
+    }
+  }
+
+  const closeTag = (tag) => {
+    // Pop back to the matching open element; ignore stray end tags
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i
+        return
+      }
+    }
+  }
+
+  while (index < html.length) {
+    const lt = html.indexOf('<', index)
+    if (lt === -1) {
+      pushText(html.slice(index))
+      break
+    }
+
+    pushText(html.slice(index, lt))
+
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4)
+      const stop = end === -1 ? html.length : end
+      appendChild(current(), { type: 'comment', text: html.slice(lt + 4, stop), parent: null })
+      index = end === -1 ? html.length : end + 3
+      continue
+    }
+
+    const tagMatch = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/.exec(html.slice(lt))
+    if (!tagMatch) {
+      // A bare "<" that doesn't start a tag is text
+      pushText('&lt;')
+      index = lt + 1
+      continue
+    }
+
+    const [whole, slash, rawTag, attrSource] = tagMatch
+    const tag = rawTag.toLowerCase()
+    index = lt + whole.length
+
+    if (slash) {
+      closeTag(tag)
+      continue
+    }
+
+    if (CLOSES_PARAGRAPH.has(tag) && stack.some(node => node.tag === 'p')) closeTag('p')
+    if (tag === 'li' && current().tag === 'li') closeTag('li')
+
+    const element = createElement(tag, parseAttributes(attrSource.replace(/\/\s*$/, '')))
+    appendChild(current(), element)
+
+    if (VOID_ELEMENTS.has(tag) || /\/\s*$/.test(attrSource)) continue
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const closeIndex = html.toLowerCase().indexOf(`</${tag}`, index)
+      const stop = closeIndex === -1 ? html.length : closeIndex
+      if (stop > index) appendChild(element, { type: 'text', text: html.slice(index, stop), parent: null })
+      const closeEnd = closeIndex === -1 ? html.length : html.indexOf('>', closeIndex) + 1
+      index = closeEnd || html.length
+      continue
+    }
+
+    stack.push(element)
+  }
+
+  return root
+}
+
+/**
+ * Serialize a node (or tree) back to HTML
+ */
+export function serializeHtml(node) {
+  if (node.type === 'text') return node.text
+  if (node.type === 'comment') return `<!--${node.text}-->`
+
+  const inner = node.children.map(serializeHtml).join('')
+  if (node.type === 'root') return inner
+
+  const attrs = Object.entries(node.attrs)
+    .map(([name, value]) => (value === '' && name !== 'href' && name !== 'alt' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+    .join('')
+
+  if (VOID_ELEMENTS.has(node.tag)) return `<${node.tag}${attrs}>`
+  return `<${node.tag}${attrs}>${inner}</${node.tag}>`
+}
+
+/**
+ * Depth-first walk; return false from the visitor to skip a node's children
+ */
+export function walk(node, visit) {
+  for (const child of [...(node.children || [])]) {
+    if (visit(child) === false) continue
+    if (child.children) walk(child, visit)
+  }
+}
+
+/**
+ * All elements matching a tag name (string, array) or predicate
+ */
+export function findAll(node, match) {
+  const test = typeof match === 'function'
+    ? match
+    : (el) => (Array.isArray(match) ? match.includes(el.tag) : el.tag === match)
+
+  const results = []
+  walk(node, child => {
+    if (child.type === 'element' && test(child)) results.push(child)
+  })
+  return results
+}
+
+/**
+ * Nearest ancestor element matching a tag list
+ */
+export function closest(node, tags) {
+  let parent = node.parent
+  while (parent && parent.type !== 'root') {
+    if (tags.includes(parent.tag)) return parent
+    parent = parent.parent
+  }
+  return null
+}
+
+/**
+ * Decoded plain text of a node
+ */
+export function textContent(node) {
+  if (node.type === 'text') return decodeEntities(node.text)
+  if (node.type === 'comment') return ''
+  if (node.type === 'element' && (node.tag === 'script' || node.tag === 'style')) return ''
+  if (node.type === 'element' && node.tag === 'br') return '\n'
+  return (node.children || []).map(textContent).join('')
+}
+
+/**
+ * Replace a node in its parent with zero or more nodes
+ */
+export function replaceNode(node, replacements) {
+  const siblings = node.parent.children
+  const index = siblings.indexOf(node)
+  for (const replacement of replacements) replacement.parent = node.parent
+  siblings.splice(index, 1, ...replacements)
+}
@@ -0,0 +1,104 @@
+/**
+ * HTML Structure
+ * Outline (headings, lists, links) and tag-balance checks for article HTML, used
+ * to verify that an LLM rewrite kept the article's structure. parseHtml repairs
+ * broken markup, so tag balance is checked on the raw source instead.
+ * Pure module shared by the app and the Edge Functions.
+ */
+
+import { parseHtml, findAll, textContent, VOID_ELEMENTS } from './parseHtml.js'
+
+// End tags HTML lets authors omit; closed implicitly by their parent's end tag
+const OPTIONAL_END_TAGS = new Set(['p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'option', 'thead', 'tbody', 'tfoot'])
+
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea']
+
+const TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)(?:[^>"']|"[^"]*"|'[^']*')*(\/?)>/g
+
+/**
+ * Tags that are opened and never closed, closed without being opened, or cut
+ * off mid-tag; [] when the markup is balanced
+ * Returns [{ tag, problem: 'unclosed' | 'unexpected_close' | 'truncated' }]
+ */
+export function unbalancedTags(html = '') {
+  const problems = []
+  const stack = []
+  let rawUntil = null
+
+  TAG_PATTERN.lastIndex = 0
+  let match
+  let lastIndex = 0
+  while ((match = TAG_PATTERN.exec(html)) !== null) {
+    lastIndex = TAG_PATTERN.lastIndex
+    const [whole, slash, rawTag, selfClosing] = match
+    if (whole.startsWith('<!--')) continue
+
+    const tag = rawTag.toLowerCase()
+
+    // Skip the contents of <script>/<style> until their end tag
+    if (rawUntil) {
+      if (slash && tag === rawUntil) {
+        rawUntil = null
+        stack.pop()
+      }
+      continue
+    }
+
+    if (!slash) {
+      if (VOID_ELEMENTS.has(tag) || selfClosing) continue
+      stack.push(tag)
+      if (RAW_TEXT_ELEMENTS.includes(tag)) rawUntil = tag
+      continue
+    }
+
+    const openIndex = stack.lastIndexOf(tag)
+    if (openIndex === -1) {
+      problems.push({ tag, problem: 'unexpected_close' })
+      continue
+    }
+
+    // Anything still open inside it must be an optional end tag
+    for (const inner of stack.slice(openIndex + 1)) {
+      if (!OPTIONAL_END_TAGS.has(inner)) problems.push({ tag: inner, problem: 'unclosed' })
+    }
+    stack.length = openIndex
+  }
+
+  // "<a href=..." with no closing ">" means the output was cut off
+  const rest = html.slice(lastIndex)
+  const cut = rest.match(/<\/?([a-zA-Z][a-zA-Z0-9-]*)[^>]*$/)
+  if (cut) problems.push({ tag: cut[1].toLowerCase(), problem: 'truncated' })
+
+  // Optional end tags only count at the very end when nothing encloses them
+  for (const tag of stack) problems.push({ tag, problem: 'unclosed' })
+
+  return problems
+}
+
+/**
+ * Structural outline of article HTML
+ * headings: [{ level, text }]; links: hrefs in order; lists: { ul, ol, li } counts
+ */
+export function htmlOutline(html = '') {
+  const root = parseHtml(html)
+
+  return {
+    headings: findAll(root, el => /^h[1-6]$/.test(el.tag)).map(el => ({
+      level: Number(el.tag[1]),
+      text: textContent(el).replace(/\s+/g, ' ').trim(),
+    })),
+    links: findAll(root, 'a').map(el => el.attrs.href).filter(Boolean),
+    lists: {
+      ul: findAll(root, 'ul').length,
+      ol: findAll(root, 'ol').length,
+      li: findAll(root, 'li').length,
+    },
+  }
+}
+
+/**
+ * "unclosed <strong>, truncated <a>" for unbalancedTags results
+ */
+export function describeTagProblems(problems) {
+  return problems.map(({ tag, problem }) => `${problem.replace('_', ' ')} <${tag}>`).join(', ')
+}
@@ -0,0 +1,97 @@
+/**
+ * API Error Classification
+ * Outbound API failures are classified so callers know whether to retry and the
+ * UI can say what to do about them:
+ *   auth        - bad or missing credentials (401/403)
+ *   quota       - out of credit, plan or billing limits (402, quota 429s)
+ *   transient   - rate limits, 5xx, timeouts, network errors, open circuits
+ *   bad_request - the request itself is wrong (other 4xx)
+ * Pure module shared by the app and the Edge Functions.
+ */
+
+export const ERROR_KINDS = ['auth', 'quota', 'transient', 'bad_request', 'unknown']
+
+export const ERROR_KIND_LABELS = {
+  auth: 'Authentication failed',
+  quota: 'Quota exceeded',
+  transient: 'Temporary failure',
+  bad_request: 'Bad request',
+  unknown: 'Error',
+}
+
+// What the user can do about each kind
+export const ERROR_KIND_HINTS = {
+  auth: 'Check the API key or credentials for this service.',
+  quota: 'Add credit or raise the plan limit with the provider.',
+  transient: 'The service is busy or unreachable; it is safe to retry.',
+  bad_request: 'The service rejected the request; check the settings it uses.',
+  unknown: '',
+}
+
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504, 520, 522, 524, 529]
+
+// 429 bodies that mean "out of credit" rather than "slow down"
+const QUOTA_PATTERN = /insufficient[_ ]quota|quota exceeded|exceeded your (current )?quota|credit balance|billing|out of credits/i
+
+// Browser and Deno messages for a fetch that never got a response
+const NETWORK_ERROR_PATTERN = /fetch|network|load failed|connection|dns|socket/i
+
+/**
+ * A classified API failure
+ * retryAfterMs: server-requested wait (Retry-After), when given
+ */
+export class APIError extends Error {
+  constructor(message, { kind = 'unknown', status = null, service = null, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'APIError'
+    this.kind = ERROR_KINDS.includes(kind) ? kind : 'unknown'
+    this.status = status
+    this.service = service
+    this.retryAfterMs = retryAfterMs
+  }
+
+  get retryable() {
+    return this.kind === 'transient'
+  }
+}
+
+/**
+ * Kind for an HTTP status (and error body text for 429s)
+ */
+export function classifyStatus(status, body = '') {
+  if (status === 401 || status === 403) return 'auth'
+  if (status === 402) return 'quota'
+  if (status === 429) return QUOTA_PATTERN.test(body) ? 'quota' : 'transient'
+  if (TRANSIENT_STATUSES.includes(status) || status >= 500) return 'transient'
+  if (status >= 400) return 'bad_request'
+  return 'unknown'
+}
+
+/**
+ * Kind of any error: APIError kind, or a guess for network/timeout errors
+ */
+export function errorKind(error) {
+  if (!error) return 'unknown'
+  if (ERROR_KINDS.includes(error.kind)) return error.kind
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') return 'transient'
+  // fetch rejects with a TypeError when the network fails
+  if (error instanceof TypeError && NETWORK_ERROR_PATTERN.test(error.message)) return 'transient'
+  return 'unknown'
+}
+
+/**
+ * Whether retrying the same call later can succeed
+ */
+export function isRetryable(error) {
+  return errorKind(error) === 'transient'
+}
+
+/**
+ * One-line message for the UI: label, message and what to do
+ */
+export function describeError(error) {
+  const kind = errorKind(error)
+  const message = error?.message || String(error)
+  if (kind === 'unknown') return message
+  return `${ERROR_KIND_LABELS[kind]}: ${message}${ERROR_KIND_HINTS[kind] ? ` ${ERROR_KIND_HINTS[kind]}` : ''}`
+}
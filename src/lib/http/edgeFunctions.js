@@ -0,0 +1,46 @@
+/**
+ * Edge Function Invocation
+ * Invokes an Edge Function with a Supabase client and turns its failures -
+ * including the { success: false, error, errorKind } bodies the functions
+ * answer with - into classified APIErrors.
+ * Pure module shared by the app (services/edgeFunctions.js) and Edge Functions
+ * that call each other.
+ */
+
+import { APIError } from './apiErrors.js'
+
+/**
+ * JSON body of a non-2xx Edge Function response (FunctionsHttpError keeps the
+ * Response in context), or null
+ */
+async function failureBody(error) {
+  try {
+    return await error.context?.json()
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Invoke an Edge Function and return its response data
+ * Throws an APIError carrying the function's error message and kind
+ */
+export async function invokeFunction(client, name, body) {
+  const { data, error } = await client.functions.invoke(name, { body })
+
+  if (error) {
+    const failure = await failureBody(error)
+    throw new APIError(failure?.error || error.message, {
+      // The function could not be reached at all
+      kind: failure?.errorKind || (error.name === 'FunctionsFetchError' ? 'transient' : 'unknown'),
+      status: error.context?.status ?? null,
+      service: name,
+    })
+  }
+
+  if (data?.success === false) {
+    throw new APIError(data.error || `${name} failed`, { kind: data.errorKind, service: name })
+  }
+
+  return data
+}
@@ -0,0 +1,200 @@
+/**
+ * Resilient Fetch
+ * fetch wrapper for outbound API calls: per-attempt timeout, retries with
+ * exponential backoff and full jitter, Retry-After, a per-service concurrency
+ * limit and a circuit breaker that fails fast while a service keeps failing.
+ * Failures are thrown as classified APIErrors (see apiErrors.js).
+ * Pure module (fetch only) shared by the app clients and the Edge Functions.
+ */
+
+import { APIError, classifyStatus } from './apiErrors.js'
+
+// Concurrent requests and per-attempt timeout for each service
+export const SERVICE_LIMITS = {
+  grok: { concurrency: 4, timeoutMs: 180_000 },
+  claude: { concurrency: 4, timeoutMs: 180_000 },
+  openai: { concurrency: 4, timeoutMs: 180_000 },
+  local: { concurrency: 1, timeoutMs: 300_000 },
+  dataforseo: { concurrency: 2, timeoutMs: 60_000 },
+  wordpress: { concurrency: 2, timeoutMs: 60_000 },
+  embeddings: { concurrency: 2, timeoutMs: 60_000 },
+}
+
+const DEFAULT_LIMITS = { concurrency: 4, timeoutMs: 60_000 }
+
+// Statuses a non-idempotent request (e.g. creating a post) can safely repeat:
+// the server refused it before doing anything
+const SAFE_TO_REPEAT_STATUSES = [429, 503]
+
+// Limiters and breakers are shared by every client of a service in this runtime
+const limiters = new Map()
+const breakers = new Map()
+
+/**
+ * Run fn once fewer than `concurrency` calls for the service are in flight
+ * A finished call hands its slot straight to the next waiter
+ */
+function limit(service, concurrency, fn) {
+  if (!limiters.has(service)) limiters.set(service, { active: 0, waiting: [] })
+  const limiter = limiters.get(service)
+
+  const acquire = limiter.active < concurrency
+    ? Promise.resolve(limiter.active++)
+    : new Promise(resolve => limiter.waiting.push(resolve))
+
+  return acquire.then(fn).finally(() => {
+    const next = limiter.waiting.shift()
+    if (next) next()
+    else limiter.active--
+  })
+}
+
+function breakerFor(service) {
+  if (!breakers.has(service)) breakers.set(service, { failures: 0, openUntil: 0 })
+  return breakers.get(service)
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or HTTP date)
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - now)
+}
+
+/**
+ * Full-jitter exponential backoff: random wait up to base * 2^attempt, capped
+ */
+export function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 30_000 } = {}, random = Math.random) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt))
+}
+
+/**
+ * Error message from a failed response body (JSON error fields or plain text)
+ */
+async function errorDetail(response) {
+  const text = await response.clone().text().catch(() => '')
+  try {
+    const body = JSON.parse(text)
+    return body.error?.message || body.message || body.status_message || (typeof body.error === 'string' ? body.error : text)
+  } catch {
+    return text.slice(0, 500) || response.statusText || `HTTP ${response.status}`
+  }
+}
+
+/**
+ * fetch that aborts after timeoutMs (until the response headers arrive) and
+ * still honours the caller's own signal
+ */
+async function fetchWithTimeout(fetchImpl, url, init, timeoutMs) {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeoutMs)
+  const onAbort = () => controller.abort()
+  init.signal?.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    return await fetchImpl(url, { ...init, signal: controller.signal })
+  } catch (error) {
+    if (timedOut) {
+      const timeout = new Error(`timed out after ${Math.round(timeoutMs / 1000)}s`)
+      timeout.name = 'TimeoutError'
+      throw timeout
+    }
+    throw error
+  } finally {
+    clearTimeout(timer)
+    init.signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Build a fetch(url, init) for one service
+ * service: limiter/breaker key and SERVICE_LIMITS entry; label names it in errors
+ * idempotent: false for requests that create something - those are only
+ * repeated on 429/503, never after a timeout or 5xx that may have succeeded
+ * throwHttpErrors: false returns the final non-ok Response instead of throwing
+ * (retries still apply), for callers that handle statuses themselves
+ */
+export function createResilientFetch({
+  service,
+  label = service,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  retries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30_000,
+  timeoutMs = (SERVICE_LIMITS[service] || DEFAULT_LIMITS).timeoutMs,
+  concurrency = (SERVICE_LIMITS[service] || DEFAULT_LIMITS).concurrency,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30_000,
+  idempotent = true,
+  throwHttpErrors = true,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+} = {}) {
+  const breaker = breakerFor(service)
+
+  return async function resilientFetch(url, init = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const openForMs = breaker.openUntil - Date.now()
+      if (openForMs > 0) {
+        throw new APIError(`${label} is failing repeatedly; paused for ${Math.ceil(openForMs / 1000)}s`, {
+          kind: 'transient',
+          service,
+          retryAfterMs: openForMs,
+        })
+      }
+
+      let response = null
+      let failure
+      try {
+        response = await limit(service, concurrency, () => fetchWithTimeout(fetchImpl, url, init, timeoutMs))
+      } catch (error) {
+        // The caller cancelled; nothing to retry
+        if (init.signal?.aborted) throw error
+        failure = new APIError(`${label} request failed: ${error.message}`, { kind: 'transient', service, cause: error })
+      }
+
+      if (response?.ok) {
+        breaker.failures = 0
+        return response
+      }
+
+      if (response) {
+        const detail = await errorDetail(response)
+        failure = new APIError(`${label} API error (${response.status}): ${detail}`, {
+          kind: classifyStatus(response.status, detail),
+          status: response.status,
+          service,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        })
+      }
+
+      // Only transient failures say anything about the service's health
+      if (failure.retryable && ++breaker.failures >= breakerThreshold) {
+        breaker.openUntil = Date.now() + breakerCooldownMs
+        console.warn(`${label}: ${breaker.failures} consecutive failures, pausing requests for ${breakerCooldownMs / 1000}s`)
+      }
+
+      const delay = failure.retryAfterMs ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs })
+      const canRetry = failure.retryable &&
+        attempt < retries &&
+        delay <= maxDelayMs &&
+        breaker.openUntil <= Date.now() &&
+        (idempotent || SAFE_TO_REPEAT_STATUSES.includes(failure.status))
+
+      if (!canRetry) {
+        if (response && !throwHttpErrors) return response
+        throw failure
+      }
+
+      console.warn(`${failure.message} - retrying in ${delay}ms (${attempt + 1}/${retries})`)
+      await sleep(delay)
+    }
+  }
+}
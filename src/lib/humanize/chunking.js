@@ -0,0 +1,155 @@
+/**
+ * Chunked Humanization
+ * Long articles are humanized section by section so no single response has to
+ * fit the whole article in max_tokens_humanize: the HTML is split before each
+ * H2, consecutive sections are grouped up to the token budget, every chunk is
+ * rewritten with the same persona prompt plus the article outline, and each
+ * rewrite is checked (balanced tags, same headings, lists and links) before the
+ * chunks are stitched back together. A chunk that keeps failing the check keeps
+ * its original HTML.
+ * Pure module; the completion call is passed in (see claudeClient.humanize and
+ * the Edge Function pipeline).
+ */
+
+import { estimateTokens } from '../llm/usage.js'
+import { unbalancedTags, htmlOutline, describeTagProblems } from '../html/structure.js'
+
+// Rewrites run a little longer than their input; leave room in max_tokens
+const OUTPUT_HEADROOM = 1.4
+
+/**
+ * Split article HTML before each <h2>; the intro before the first H2 is its
+ * own section. Returns the whole article as one section when an H2 sits inside
+ * a wrapper element (splitting there would leave unbalanced halves)
+ */
+export function splitSections(html = '') {
+  const sections = html.split(/(?=<h2[\s>])/i).filter(section => section.trim())
+  if (sections.length <= 1) return sections
+
+  const splittable = unbalancedTags(html).length > 0 || sections.every(section => unbalancedTags(section).length === 0)
+  return splittable ? sections : [html]
+}
+
+/**
+ * Group consecutive sections into chunks whose rewrite fits maxTokens
+ * A section larger than the budget on its own becomes its own chunk
+ */
+export function chunkSections(sections, maxTokens) {
+  const budget = Math.floor(maxTokens / OUTPUT_HEADROOM)
+  const chunks = []
+  let current = ''
+
+  for (const section of sections) {
+    if (current && estimateTokens(current + section) > budget) {
+      chunks.push(current)
+      current = ''
+    }
+    current += section
+  }
+  if (current) chunks.push(current)
+
+  return chunks
+}
+
+/**
+ * Strip the code fence models sometimes wrap HTML in
+ */
+export function cleanChunkOutput(text = '') {
+  const fenced = text.match(/```(?:html|HTML)?\s*\n?([\s\S]*?)(?:```|$)/)
+  return (fenced ? fenced[1] : text).trim()
+}
+
+/**
+ * Why a rewritten chunk can't be used; [] when it kept the structure
+ * Tag problems only count beyond those already in the original
+ */
+export function checkChunk(original, rewritten) {
+  if (!rewritten.trim()) return ['the rewrite is empty']
+
+  const problems = []
+  const before = htmlOutline(original)
+  const after = htmlOutline(rewritten)
+
+  const originalTagProblems = unbalancedTags(original).length
+  const tagProblems = unbalancedTags(rewritten)
+  if (tagProblems.length > originalTagProblems) {
+    problems.push(`unbalanced tags: ${describeTagProblems(tagProblems)}`)
+  }
+
+  const levels = (outline) => outline.headings.map(heading => `h${heading.level}`).join(' ')
+  if (levels(before) !== levels(after)) {
+    problems.push(`headings changed from [${levels(before)}] to [${levels(after)}]`)
+  }
+
+  if (after.lists.ul < before.lists.ul || after.lists.ol < before.lists.ol) {
+    problems.push(`lists went missing (${before.lists.ul + before.lists.ol} before, ${after.lists.ul + after.lists.ol} after)`)
+  } else if (after.lists.li < before.lists.li) {
+    problems.push(`list items went missing (${before.lists.li} before, ${after.lists.li} after)`)
+  }
+
+  const missingLinks = [...new Set(before.links)].filter(href => !after.links.includes(href))
+  if (missingLinks.length > 0) {
+    problems.push(`links went missing: ${missingLinks.join(', ')}`)
+  }
+
+  return problems
+}
+
+/**
+ * Prompt context telling the model which part of the article it is rewriting
+ * problems: why the previous attempt at this chunk was rejected
+ */
+export function buildChunkContext({ index, total, headings = [], problems = [] }) {
+  if (total <= 1 && problems.length === 0) return ''
+
+  const lines = []
+  if (total > 1) {
+    lines.push(`ARTICLE PART ${index + 1} OF ${total}:`)
+    lines.push('You are rewriting one part of a longer article; the other parts are rewritten separately in the same voice.')
+    if (headings.length > 0) {
+      lines.push(`Full article outline: ${headings.join(' | ')}`)
+    }
+    lines.push('Rewrite only this part. Do not add an introduction, summary or conclusion that is not already in it.')
+  }
+  if (problems.length > 0) {
+    lines.push(`Your previous rewrite of this part was rejected: ${problems.join('; ')}. Keep every heading, list, link and HTML tag this time.`)
+  }
+
+  return `\n${lines.join('\n')}\n`
+}
+
+/**
+ * Humanize article HTML chunk by chunk and stitch the result back together
+ * humanizeChunk(chunk, { index, total, context }) returns the rewritten HTML;
+ * context is the buildChunkContext text to add to the prompt
+ * retries: extra attempts for a chunk whose rewrite fails checkChunk
+ * Returns { content, chunks: [{ index, attempts, kept_original, problems }] }
+ */
+export async function humanizeInChunks(content, humanizeChunk, { maxTokens, retries = 1 } = {}) {
+  const chunks = chunkSections(splitSections(content), maxTokens)
+  const headings = htmlOutline(content).headings.filter(heading => heading.level === 2).map(heading => heading.text)
+
+  // Chunks share no state, so they run in parallel (the provider's limiter caps concurrency)
+  const results = await Promise.all(chunks.map(async (chunk, index) => {
+    let problems = []
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const context = buildChunkContext({ index, total: chunks.length, headings, problems })
+      const rewritten = cleanChunkOutput(await humanizeChunk(chunk, { index, total: chunks.length, context }))
+
+      problems = checkChunk(chunk, rewritten)
+      if (problems.length === 0) {
+        return { html: rewritten, report: { index, attempts: attempt + 1, kept_original: false, problems: [] } }
+      }
+
+      console.warn(`Humanized part ${index + 1}/${chunks.length} rejected (attempt ${attempt + 1}/${retries + 1}): ${problems.join('; ')}`)
+    }
+
+    return { html: chunk.trim(), report: { index, attempts: retries + 1, kept_original: true, problems } }
+  }))
+
+  return {
+    content: results.map(result => result.html).join('\n\n'),
+    chunks: results.map(result => result.report),
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * Site Inventory
+ * Crawls a WordPress site's REST API or sitemap.xml and plans the site_articles
+ * changes (new, updated, removed URLs). Network access goes through an injected
+ * fetch so the same code runs in Edge Functions and against a local stub server.
+ */
+
+import { decodeEntities } from '../html/parseHtml.js'
+import { normalizeUrl, getHost } from '../quality/linkAnalyzer.js'
+import { extractTopics } from './topics.js'
+
+const EXCERPT_MAX_LENGTH = 500
+
+// Sitemaps in an index that list taxonomy/author archives rather than articles
+const NON_ARTICLE_SITEMAP = /(?:category|tag|author|users|taxonom|format)[^/]*\.xml/i
+
+/**
+ * Plain text from a WordPress "rendered" HTML field
+ */
+export function renderedToText(html = '') {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+    .replace(/\[(?:&hellip;|…|\.\.\.)\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+function truncate(text, max = EXCERPT_MAX_LENGTH) {
+  return text.length > max ? `${text.slice(0, max - 3).replace(/\s+\S*$/, '')}...` : text
+}
+
+/**
+ * Readable title from a URL slug (fallback when a page can't be fetched)
+ */
+export function titleFromUrl(url) {
+  try {
+    const slug = new URL(url).pathname.split('/').filter(Boolean).pop() || ''
+    const words = decodeURIComponent(slug).replace(/\.[a-z]+$/i, '').split(/[-_]+/).filter(Boolean)
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ') || url
+  } catch {
+    return url
+  }
+}
+
+/**
+ * site_articles fields from a /wp-json/wp/v2/posts item
+ */
+export function normalizeWordPressPost(post) {
+  const title = renderedToText(post.title?.rendered || '') || titleFromUrl(post.link)
+  const excerpt = truncate(renderedToText(post.excerpt?.rendered || ''))
+
+  return {
+    url: post.link,
+    title,
+    excerpt: excerpt || null,
+    topics: extractTopics({ title, excerpt }),
+    wp_post_id: post.id ?? null,
+    remote_modified_at: post.modified_gmt ? new Date(`${post.modified_gmt}Z`).toISOString() : null,
+  }
+}
+
+async function fetchJson(fetchImpl, url, headers) {
+  const response = await fetchImpl(url, { headers: { Accept: 'application/json', ...headers } })
+
+  // WordPress answers 400 rest_post_invalid_page_number past the last page
+  if (response.status === 400) return { items: [], totalPages: 0, done: true }
+  if (!response.ok) {
+    throw new Error(`WordPress API error ${response.status} for ${url}`)
+  }
+
+  const items = await response.json()
+  if (!Array.isArray(items)) throw new Error(`Unexpected WordPress API response for ${url}`)
+
+  return {
+    items,
+    totalPages: Number(response.headers.get('X-WP-TotalPages')) || null,
+    done: false,
+  }
+}
+
+/**
+ * All published posts from /wp-json/wp/v2/posts, following pagination
+ * modifiedAfter (ISO date) limits the crawl to posts changed since then
+ * Returns { posts, complete } - complete is false when maxPages cut the crawl short
+ */
+export async function fetchWordPressPosts({
+  siteUrl,
+  fetch: fetchImpl = globalThis.fetch,
+  headers = {},
+  modifiedAfter = null,
+  fields = ['id', 'link', 'title', 'excerpt', 'modified_gmt'],
+  perPage = 100,
+  maxPages = 50,
+} = {}) {
+  const base = siteUrl.replace(/\/+$/, '')
+  const posts = []
+
+  for (let page = 1; page <= maxPages; page++) {
+    const params = new URLSearchParams({
+      per_page: String(perPage),
+      page: String(page),
+      orderby: 'id',
+      order: 'asc',
+      _fields: fields.join(','),
+    })
+    if (modifiedAfter) params.set('modified_after', modifiedAfter)
+
+    const { items, totalPages, done } = await fetchJson(fetchImpl, `${base}/wp-json/wp/v2/posts?${params}`, headers)
+    posts.push(...items)
+
+    if (done || items.length < perPage || (totalPages !== null && page >= totalPages)) {
+      return { posts, complete: true }
+    }
+  }
+
+  return { posts, complete: false }
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ * Returns { urls: [{ url, lastmod }], sitemaps: [url] }
+ */
+export function parseSitemap(xml = '') {
+  const readTag = (block, tag) => {
+    const match = new RegExp(`<(?:[a-z]+:)?${tag}>\\s*(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?\\s*</(?:[a-z]+:)?${tag}>`, 'i').exec(block)
+    return match ? decodeEntities(match[1].trim()) : null
+  }
+
+  const blocks = (tag) => xml.match(new RegExp(`<(?:[a-z]+:)?${tag}\\b[^>]*>[\\s\\S]*?</(?:[a-z]+:)?${tag}>`, 'gi')) || []
+
+  return {
+    urls: blocks('url')
+      .map(block => ({ url: readTag(block, 'loc'), lastmod: readTag(block, 'lastmod') }))
+      .filter(entry => entry.url),
+    sitemaps: blocks('sitemap').map(block => readTag(block, 'loc')).filter(Boolean),
+  }
+}
+
+/**
+ * Whether a URL is on the site's own host (www. ignored)
+ * Sitemaps and pages are user-supplied, so nothing off the site is fetched
+ */
+export function isOnSite(url, siteUrl) {
+  const host = getHost(url)
+  return !!host && host === getHost(siteUrl)
+}
+
+/**
+ * Every article URL in a sitemap, following sitemap indexes
+ * With siteUrl, the sitemap must be on that site and URLs and child sitemaps
+ * on other hosts are dropped
+ * Returns { entries: [{ url, lastmod }], complete }
+ */
+export async function fetchSitemapUrls({
+  sitemapUrl,
+  siteUrl = null,
+  fetch: fetchImpl = globalThis.fetch,
+  headers = {},
+  maxSitemaps = 25,
+} = {}) {
+  const onSite = (url) => !siteUrl || isOnSite(url, siteUrl)
+  if (!onSite(sitemapUrl)) throw new Error(`Sitemap ${sitemapUrl} is not on ${siteUrl}`)
+
+  const queue = [sitemapUrl]
+  const visited = new Set()
+  const entries = new Map()
+
+  while (queue.length > 0) {
+    if (visited.size >= maxSitemaps) return { entries: [...entries.values()], complete: false }
+
+    const url = queue.shift()
+    if (visited.has(url)) continue
+    visited.add(url)
+
+    const response = await fetchImpl(url, { headers: { Accept: 'application/xml, text/xml', ...headers } })
+    if (!response.ok) throw new Error(`Sitemap error ${response.status} for ${url}`)
+
+    const { urls, sitemaps } = parseSitemap(await response.text())
+    for (const entry of urls.filter(entry => onSite(entry.url))) entries.set(entry.url, entry)
+    queue.push(...sitemaps.filter(child => onSite(child) && !NON_ARTICLE_SITEMAP.test(child)))
+  }
+
+  return { entries: [...entries.values()], complete: true }
+}
+
+/**
+ * Title and description of a page, for sitemap entries
+ * With siteUrl, pages on other hosts are refused
+ */
+export async function fetchPageMetadata(url, { siteUrl = null, fetch: fetchImpl = globalThis.fetch, headers = {} } = {}) {
+  if (siteUrl && !isOnSite(url, siteUrl)) throw new Error(`Page ${url} is not on ${siteUrl}`)
+
+  const response = await fetchImpl(url, { headers: { Accept: 'text/html', ...headers } })
+  if (!response.ok) throw new Error(`Page error ${response.status} for ${url}`)
+
+  const html = await response.text()
+  const meta = (name) => {
+    const tag = html.match(new RegExp(`<meta[^>]+(?:name|property)=["']${name}["'][^>]*>`, 'i'))?.[0]
+    const content = tag?.match(/content=["']([^"']*)["']/i)?.[1]
+    return content ? renderedToText(content) : ''
+  }
+
+  const title = meta('og:title') || renderedToText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '')
+  return {
+    title: title.replace(/\s+[|–—-]\s+[^|–—-]+$/, '') || titleFromUrl(url),
+    excerpt: truncate(meta('description') || meta('og:description')) || null,
+  }
+}
+
+/**
+ * site_articles fields for a sitemap entry (metadata from fetchPageMetadata, if fetched)
+ */
+export function normalizeSitemapEntry(entry, metadata = null) {
+  const title = metadata?.title || titleFromUrl(entry.url)
+  const excerpt = metadata?.excerpt || null
+
+  return {
+    url: entry.url,
+    title,
+    excerpt,
+    topics: extractTopics({ title, excerpt: excerpt || '' }),
+    wp_post_id: null,
+    remote_modified_at: entry.lastmod ? new Date(entry.lastmod).toISOString() : null,
+  }
+}
+
+/**
+ * Compare a crawl with the stored site_articles rows of the same connection
+ * existing: [{ id, url, title, excerpt, remote_modified_at, removed_at }]
+ * crawled: normalized entries; complete: whether the crawl listed every URL
+ * seenUrls: every URL the site still has (defaults to the crawled URLs) - lets an
+ *   incremental crawl of changed posts still detect removals
+ * Returns { upserts, removedIds, counts: { added, updated, restored, removed, unchanged } }
+ */
+export function planInventorySync({ existing = [], crawled = [], complete = false, seenUrls = null }) {
+  const byUrl = new Map(existing.map(row => [normalizeUrl(row.url), row]))
+  const upserts = []
+  const counts = { added: 0, updated: 0, restored: 0, removed: 0, unchanged: 0 }
+
+  for (const entry of crawled) {
+    const row = byUrl.get(normalizeUrl(entry.url))
+
+    if (!row) {
+      upserts.push(entry)
+      counts.added++
+      continue
+    }
+
+    const changed = row.title !== entry.title
+      || (entry.excerpt && row.excerpt !== entry.excerpt)
+      || (entry.remote_modified_at && row.remote_modified_at
+        && new Date(row.remote_modified_at).getTime() !== new Date(entry.remote_modified_at).getTime())
+
+    if (row.removed_at) {
+      upserts.push({ ...entry, url: row.url, removed_at: null })
+      counts.restored++
+    } else if (changed) {
+      upserts.push({ ...entry, url: row.url })
+      counts.updated++
+    } else {
+      counts.unchanged++
+    }
+  }
+
+  const removedIds = []
+  if (complete) {
+    const present = new Set([...(seenUrls || []), ...crawled.map(entry => entry.url)].map(url => normalizeUrl(url)))
+    for (const row of existing) {
+      if (!row.removed_at && !present.has(normalizeUrl(row.url))) removedIds.push(row.id)
+    }
+    counts.removed = removedIds.length
+  }
+
+  return { upserts, removedIds, counts }
+}
@@ -0,0 +1,76 @@
+/**
+ * Topic Extraction
+ * Keyword topics for site_articles from a title and excerpt, used to match
+ * articles for internal linking. Pure module shared with Edge Functions.
+ */
+
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'best', 'between', 'both', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'every', 'everything', 'few', 'for', 'from', 'further', 'get', 'gets',
+  'good', 'guide', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'just', 'know', 'like', 'make', 'many', 'may', 'me', 'more', 'most', 'much',
+  'must', 'my', 'need', 'new', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other',
+  'our', 'out', 'over', 'own', 'read', 'same', 'see', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'top', 'under',
+  'until', 'up', 'us', 'use', 'very', 'want', 'was', 'way', 'ways', 'we', 'well', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'why', 'will', 'with', 'without', 'would', 'year', 'years', 'you', 'your',
+])
+
+/**
+ * Lowercase word tokens, without stop words, numbers-only tokens or very short words
+ */
+export function tokenizeForTopics(text = '') {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:[-'][a-z0-9]+)*/g) || [])
+    .map(word => word.replace(/'s$/, ''))
+    .filter(word => word.length > 2 && !/^\d+$/.test(word) && !STOP_WORDS.has(word))
+}
+
+/**
+ * Naive singular form so "degrees" and "degree" count as one topic
+ */
+export function singularize(word) {
+  if (/(?:ss|us|is)$/.test(word)) return word
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`
+  if (word.endsWith('s') && word.length > 3) return word.slice(0, -1)
+  return word
+}
+
+/**
+ * Top keyword topics (single words and two-word phrases) for an article
+ * Title words count three times as much as excerpt words
+ */
+export function extractTopics({ title = '', excerpt = '' } = {}, { max = 8 } = {}) {
+  const scores = new Map()
+
+  const addText = (text, weight) => {
+    // Bigrams only from adjacent words within the same clause
+    for (const clause of text.split(/[.,;:!?()|–—]+/)) {
+      const words = tokenizeForTopics(clause).map(singularize)
+      words.forEach((word, index) => {
+        scores.set(word, (scores.get(word) || 0) + weight)
+        if (index > 0) {
+          const phrase = `${words[index - 1]} ${word}`
+          scores.set(phrase, (scores.get(phrase) || 0) + weight * 1.5)
+        }
+      })
+    }
+  }
+
+  addText(title, 3)
+  addText(excerpt, 1)
+
+  const ranked = [...scores.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([topic]) => topic)
+
+  // Skip single words already covered by a higher-ranked phrase
+  const topics = []
+  for (const topic of ranked) {
+    if (topics.length >= max) break
+    if (!topic.includes(' ') && topics.some(chosen => chosen.split(' ').includes(topic))) continue
+    topics.push(topic)
+  }
+
+  return topics
+}
@@ -0,0 +1,138 @@
+/**
+ * Learned Patterns
+ * Turns training_data rows (patterns extracted from AI revisions) into prompt
+ * rules for drafting and humanization, and measures their effect on quality.
+ * Pure module shared by GenerationService and the Edge Function pipeline.
+ */
+
+export const PATTERN_CATEGORIES = ['style', 'structure', 'accuracy', 'seo', 'other']
+
+// training_data statuses whose patterns are injected into prompts
+export const ACTIVE_PATTERN_STATUSES = ['approved', 'applied']
+
+/**
+ * Clean patterns returned by extractLearningPatterns: drop empty rules,
+ * unknown categories become 'other', impact scores are clamped to 0-100
+ */
+export function normalizePatterns(patterns) {
+  if (!Array.isArray(patterns)) return []
+
+  return patterns
+    .filter(item => typeof item?.pattern === 'string' && item.pattern.trim())
+    .map(item => ({
+      category: PATTERN_CATEGORIES.includes(item.category) ? item.category : 'other',
+      pattern: item.pattern.trim(),
+      example: typeof item.example === 'string' ? item.example.trim() : '',
+      impact_score: Math.max(0, Math.min(100, Math.round(Number(item.impact_score) || 0))),
+    }))
+}
+
+/**
+ * training_data columns for a set of patterns: the rule text (patterns_learned),
+ * the full patterns (pattern_details) and their average estimated impact
+ */
+export function patternFields(patterns) {
+  const details = normalizePatterns(patterns)
+  const impact = details.length > 0
+    ? Math.round(details.reduce((sum, item) => sum + item.impact_score, 0) / details.length)
+    : null
+
+  return {
+    pattern_details: details,
+    patterns_learned: details.map(item => item.pattern),
+    impact_score: impact,
+  }
+}
+
+/**
+ * Patterns of a training_data row (older rows only have patterns_learned)
+ */
+export function rowPatterns(row) {
+  if (Array.isArray(row?.pattern_details) && row.pattern_details.length > 0) {
+    return normalizePatterns(row.pattern_details)
+  }
+  return normalizePatterns((row?.patterns_learned || []).map(pattern => ({ pattern })))
+}
+
+/**
+ * Rules to inject from active training_data rows: highest impact first,
+ * duplicate rules dropped, at most limit rules
+ * Each rule keeps the id of its training_data row
+ */
+export function selectLearnedRules(rows = [], limit = 10) {
+  const seen = new Set()
+  const rules = []
+
+  const ranked = rows
+    .filter(row => ACTIVE_PATTERN_STATUSES.includes(row.status))
+    .sort((a, b) => (b.impact_score ?? 0) - (a.impact_score ?? 0) || new Date(b.created_at) - new Date(a.created_at))
+
+  for (const row of ranked) {
+    for (const pattern of rowPatterns(row)) {
+      const key = pattern.pattern.toLowerCase()
+      if (seen.has(key)) continue
+      seen.add(key)
+      rules.push({ ...pattern, training_data_id: row.id })
+      if (rules.length >= limit) return rules
+    }
+  }
+
+  return rules
+}
+
+/**
+ * Prompt section listing learned rules ('' when there are none)
+ */
+export function formatLearnedRules(rules = []) {
+  if (!rules || rules.length === 0) return ''
+
+  const lines = rules.map(rule => {
+    const example = rule.example ? ` (e.g. ${rule.example})` : ''
+    return `- [${rule.category.toUpperCase()}] ${rule.pattern}${example}`
+  })
+
+  return `
+LEARNED EDITORIAL RULES (from approved reviewer feedback, always follow these):
+${lines.join('\n')}
+`
+}
+
+/**
+ * training_data ids behind a set of rules, for articles.learned_pattern_ids
+ */
+export function learnedRuleIds(rules = []) {
+  return [...new Set(rules.map(rule => rule.training_data_id).filter(Boolean))]
+}
+
+function average(values) {
+  if (values.length === 0) return null
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+}
+
+/**
+ * Before/after quality comparison for one training_data row
+ * generations: [{ created_at, quality_score, learned_pattern_ids }] with the
+ * quality score each article had when it was generated
+ * Before: articles generated before the pattern was first applied
+ * After: articles generated with the pattern in the prompt
+ */
+export function measurePatternImpact(row, generations = []) {
+  const scored = generations.filter(generation => generation.quality_score > 0)
+  const appliedAt = row.applied_at ? new Date(row.applied_at) : null
+
+  const after = scored.filter(generation => (generation.learned_pattern_ids || []).includes(row.id))
+  const before = appliedAt
+    ? scored.filter(generation => new Date(generation.created_at) < appliedAt && !(generation.learned_pattern_ids || []).includes(row.id))
+    : []
+
+  const beforeScore = average(before.map(generation => generation.quality_score))
+  const afterScore = average(after.map(generation => generation.quality_score))
+
+  return {
+    before: beforeScore,
+    after: afterScore,
+    delta: beforeScore !== null && afterScore !== null ? afterScore - beforeScore : null,
+    beforeCount: before.length,
+    afterCount: after.length,
+  }
+}
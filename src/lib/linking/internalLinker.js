@@ -0,0 +1,272 @@
+/**
+ * Internal Linker
+ * Inserts links to site articles into article HTML without rewriting it: finds
+ * anchor text that already appears in the body and wraps it in an <a>. At most
+ * one link per target and (unless needed to reach the minimum) per paragraph,
+ * never inside headings or existing links.
+ * An LLM may suggest anchor phrases (see buildAnchorSuggestionPrompt), but only
+ * phrases found verbatim in the body are used.
+ * Pure module shared by GenerationService and the Edge Function pipeline.
+ */
+
+import { parseHtml, serializeHtml, findAll, closest, walk, textContent, escapeHtml, createElement, replaceNode } from '../html/parseHtml.js'
+import { analyzeLinks, buildLinkContext, normalizeUrl } from '../quality/linkAnalyzer.js'
+import { STOP_WORDS } from '../inventory/topics.js'
+import { extractJSON } from '../llm/structuredOutput.js'
+
+// Text inside these is never linked
+const EXCLUDED_ANCESTORS = ['a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'script', 'style', 'textarea', 'code', 'pre', 'button', 'label']
+
+// A paragraph-level block gets at most one new link
+const BLOCK_TAGS = ['p', 'li', 'td', 'th', 'dd', 'dt', 'blockquote', 'figcaption']
+
+const MIN_PHRASE_WORDS = 2
+const MAX_PHRASE_WORDS = 6
+const MAX_SUGGESTED_ANCHOR_LENGTH = 80
+
+// Article text sent to the LLM for anchor suggestions
+const SUGGESTION_TEXT_MAX_LENGTH = 12000
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Phrases shouldn't start or end on a stop word or a bare number ("10 Best", "of 2025")
+function isWeakEdge(word) {
+  return /^\d+$/.test(word) || STOP_WORDS.has(word.toLowerCase().replace(/'s$/, ''))
+}
+
+/**
+ * Candidate anchor phrases from a title: 2-6 word spans within one clause that
+ * don't start or end with a stop word or number, longest first
+ */
+export function titlePhrases(title = '') {
+  const phrases = new Set()
+
+  for (const clause of title.split(/[:|?!()[\]–—,;]+|\s-\s/)) {
+    const words = clause.split(/\s+/).map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')).filter(Boolean)
+
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length); length >= MIN_PHRASE_WORDS; length--) {
+      for (let start = 0; start + length <= words.length; start++) {
+        const span = words.slice(start, start + length)
+        if (isWeakEdge(span[0]) || isWeakEdge(span[span.length - 1])) continue
+        phrases.add(span.join(' '))
+      }
+    }
+  }
+
+  return [...phrases].sort((a, b) => b.split(' ').length - a.split(' ').length)
+}
+
+/**
+ * Anchor phrases to look for, in priority order: suggested anchors, title spans,
+ * then topics (multi-word topics before single words)
+ */
+export function anchorPhrasesFor(article, suggestedAnchors = []) {
+  const topics = [...(article.topics || [])].sort((a, b) => b.split(/\s+/).length - a.split(/\s+/).length)
+  const seen = new Set()
+
+  return [...suggestedAnchors, ...titlePhrases(article.title), ...topics]
+    .map(phrase => phrase.trim().replace(/\s+/g, ' '))
+    .filter(phrase => {
+      const key = phrase.toLowerCase()
+      if (!phrase || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+/**
+ * Case-insensitive, whole-word pattern for a phrase in escaped HTML text
+ * The last word may carry a plural suffix (topics are stored singular)
+ */
+function phrasePattern(phrase) {
+  const words = phrase.split(' ').map(word => escapeRegExp(escapeHtml(word)))
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('(?:\\s|&nbsp;)+')}(?:e?s)?(?![\\p{L}\\p{N}])`, 'iu')
+}
+
+function linkableTextNodes(tree) {
+  const nodes = []
+  walk(tree, node => {
+    if (node.type === 'element' && EXCLUDED_ANCESTORS.includes(node.tag)) return false
+    if (node.type === 'text' && node.text.trim()) nodes.push(node)
+  })
+  return nodes
+}
+
+/**
+ * Wrap the first eligible occurrence of a phrase in a link. Returns the anchor
+ * text used, or null when the phrase isn't in any free block.
+ */
+function linkPhrase(tree, phrase, url, usedBlocks) {
+  const pattern = phrasePattern(phrase)
+
+  for (const node of linkableTextNodes(tree)) {
+    const block = closest(node, BLOCK_TAGS) || node.parent
+    if (usedBlocks?.has(block)) continue
+
+    const match = pattern.exec(node.text)
+    if (!match) continue
+
+    const before = node.text.slice(0, match.index)
+    const after = node.text.slice(match.index + match[0].length)
+    const link = createElement('a', { href: url })
+    link.children.push({ type: 'text', text: match[0], parent: link })
+
+    replaceNode(node, [
+      ...(before ? [{ type: 'text', text: before }] : []),
+      link,
+      ...(after ? [{ type: 'text', text: after }] : []),
+    ])
+
+    usedBlocks?.add(block)
+    return textContent(link)
+  }
+
+  return null
+}
+
+/**
+ * Insert links to targets ({ id, url, title, topics, relevance_score }, most
+ * relevant first) into html
+ * options:
+ *   minLinks / maxLinks   internal link range for the whole article (existing links count)
+ *   linkContext           site URLs / articles used to count existing internal links
+ *   suggestedAnchors      Map or object url -> anchor phrases (e.g. from the LLM)
+ * Returns { html, links, internalCount, belowMinimum, unmatched }
+ */
+export function insertInternalLinks(html = '', targets = [], options = {}) {
+  const { minLinks = 0, maxLinks = Infinity, linkContext = null, suggestedAnchors = {} } = options
+  const suggestions = suggestedAnchors instanceof Map ? suggestedAnchors : new Map(Object.entries(suggestedAnchors))
+
+  const context = linkContext?.siteHosts ? linkContext : buildLinkContext(linkContext || {})
+  const tree = parseHtml(html)
+
+  const existingUrls = new Set(
+    findAll(tree, 'a').map(a => normalizeUrl(a.attrs.href, context.primaryHost)).filter(Boolean)
+  )
+  const existingCount = linkContext
+    ? analyzeLinks(html, context).internalCount
+    : targets.filter(target => existingUrls.has(normalizeUrl(target.url, context.primaryHost))).length
+
+  const links = []
+
+  const placeLinks = (candidates, usedBlocks) => {
+    const missed = []
+    for (const target of candidates) {
+      if (existingCount + links.length >= maxLinks) break
+      if (!target.url || existingUrls.has(normalizeUrl(target.url, context.primaryHost))) continue
+
+      let anchorText = null
+      for (const phrase of anchorPhrasesFor(target, suggestions.get(target.url) || [])) {
+        anchorText = linkPhrase(tree, phrase, target.url, usedBlocks)
+        if (anchorText) break
+      }
+
+      if (anchorText) {
+        links.push({ site_article_id: target.id, url: target.url, anchorText, relevance_score: target.relevance_score ?? null })
+      } else {
+        missed.push(target)
+      }
+    }
+    return missed
+  }
+
+  let unmatched = placeLinks(targets, new Set())
+
+  // Still short of the minimum: allow a second link in the same paragraph
+  if (existingCount + links.length < minLinks && unmatched.length > 0) {
+    unmatched = placeLinks(unmatched, null)
+  }
+
+  const internalCount = existingCount + links.length
+
+  return {
+    html: links.length > 0 ? serializeHtml(tree) : html,
+    links,
+    internalCount,
+    belowMinimum: internalCount < minLinks,
+    unmatched,
+  }
+}
+
+/**
+ * Prompt asking the LLM for anchor phrases only; the article is never sent back
+ */
+export function buildAnchorSuggestionPrompt(content, targets) {
+  const tree = parseHtml(content)
+  const body = findAll(tree, BLOCK_TAGS.filter(tag => tag !== 'figcaption'))
+    .filter(block => !closest(block, BLOCK_TAGS))
+    .map(block => textContent(block).replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n')
+    .slice(0, SUGGESTION_TEXT_MAX_LENGTH)
+
+  return `Suggest anchor text for internal links in this article.
+
+ARTICLE TEXT:
+${body}
+
+ARTICLES TO LINK TO:
+${targets.map(a => `- ${a.url} — ${a.title}`).join('\n')}
+
+INSTRUCTIONS:
+1. For each article, pick up to 3 phrases from the ARTICLE TEXT that would make natural anchor text for a link to it
+2. Copy each phrase exactly as it appears in the text (2-6 words, same spelling)
+3. Never suggest generic phrases like "click here", "this article" or "learn more"
+4. Skip articles that no phrase in the text fits
+
+Respond with ONLY a JSON object in this format:
+{"anchors": [{"url": "https://...", "phrases": ["exact phrase", "another phrase"]}]}`
+}
+
+/**
+ * Parse the LLM's anchor suggestions into a Map url -> phrases, keeping only
+ * known target URLs and plausible phrases
+ */
+export function parseAnchorSuggestions(text = '', targets = []) {
+  const suggestions = new Map()
+  const urls = new Set(targets.map(target => target.url))
+
+  let parsed
+  try {
+    parsed = extractJSON(text, { task: 'suggestAnchors' })
+  } catch (error) {
+    // A cut-off list still yields the anchors before the cut
+    if (!error.partial) return suggestions
+    parsed = error.partial
+  }
+
+  for (const entry of Array.isArray(parsed?.anchors) ? parsed.anchors : []) {
+    if (!urls.has(entry?.url) || !Array.isArray(entry.phrases)) continue
+
+    const phrases = entry.phrases
+      .filter(phrase => typeof phrase === 'string')
+      .map(phrase => phrase.trim())
+      .filter(phrase => phrase && phrase.length <= MAX_SUGGESTED_ANCHOR_LENGTH && !/[<>]/.test(phrase))
+
+    if (phrases.length > 0) suggestions.set(entry.url, phrases)
+  }
+
+  return suggestions
+}
+
+/**
+ * Link targets into html, asking suggestAnchors(content, targets) -> Map/object
+ * url -> phrases for help only when the deterministic pass falls short of minLinks.
+ * The suggestion call can fail without affecting the deterministic result.
+ */
+export async function linkSiteArticles(html, targets, { minLinks = 0, maxLinks = Infinity, linkContext = null, suggestAnchors = null } = {}) {
+  const options = { minLinks, maxLinks, linkContext }
+  const result = insertInternalLinks(html, targets, options)
+  if (!result.belowMinimum || result.unmatched.length === 0 || !suggestAnchors) return result
+
+  try {
+    const suggestedAnchors = await suggestAnchors(html, result.unmatched)
+    const suggested = insertInternalLinks(html, targets, { ...options, suggestedAnchors: suggestedAnchors || {} })
+    return suggested.links.length > result.links.length ? suggested : result
+  } catch (error) {
+    console.error('Error suggesting anchor text:', error)
+    return result
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Site Article Relevance
+ * Ranks site_articles as internal link targets for a draft, by embedding cosine
+ * similarity (pgvector) or, without an embedding provider, TF-IDF similarity.
+ * Pure module shared by GenerationService and the Edge Function pipeline.
+ */
+
+import { buildTfIdfModel, vectorize, sparseCosine, denseCosine } from './tfidf.js'
+
+// Stored embeddings are requested at this size (site_articles.embedding vector(512))
+export const EMBEDDING_DIMENSIONS = 512
+
+// Draft text sent for embedding / TF-IDF (embedding APIs cap input length)
+const DRAFT_TEXT_MAX_LENGTH = 8000
+
+// Ranking penalty for heavily linked pages, so link equity spreads across the site
+const LINK_EQUITY_WEIGHT = 0.15
+const LINK_EQUITY_CAP = 10
+
+// Below these similarities a page isn't worth linking
+export const MIN_SIMILARITY = {
+  embedding: 0.25,
+  tfidf: 0.03,
+}
+
+/**
+ * Text that represents a site article (title weighted double)
+ */
+export function siteArticleText(article) {
+  return [article.title, article.title, (article.topics || []).join('. '), article.excerpt]
+    .filter(Boolean)
+    .join('. ')
+}
+
+/**
+ * Text that represents a draft: title, focus keyword, headings and body
+ */
+export function draftText({ title = '', focusKeyword = '', content = '' } = {}) {
+  const body = content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+  return [title, focusKeyword, body].filter(Boolean).join('. ').slice(0, DRAFT_TEXT_MAX_LENGTH)
+}
+
+/**
+ * Sort scored articles (each with similarity 0-1) into link candidates
+ * relevance_score (0-100) is the raw similarity; the order also favours pages
+ * that have been linked to less often
+ */
+export function finalizeRanking(scored, { limit = 10, minSimilarity = 0 } = {}) {
+  const adjusted = (article) => {
+    const linked = Math.min(article.times_linked_to || 0, LINK_EQUITY_CAP) / LINK_EQUITY_CAP
+    return article.similarity * (1 - LINK_EQUITY_WEIGHT * linked)
+  }
+
+  return scored
+    .filter(article => article.similarity >= minSimilarity)
+    .sort((a, b) => adjusted(b) - adjusted(a))
+    .slice(0, limit)
+    .map(article => ({
+      ...article,
+      relevance_score: Math.max(0, Math.min(100, Math.round(article.similarity * 100))),
+    }))
+}
+
+/**
+ * Rank site articles against a draft with local TF-IDF vectors
+ */
+export function rankByTfIdf(draft, articles = [], { limit = 10, minSimilarity = MIN_SIMILARITY.tfidf } = {}) {
+  if (articles.length === 0) return []
+
+  const query = draftText(draft)
+  const texts = articles.map(siteArticleText)
+  const model = buildTfIdfModel([...texts, query])
+  const queryVector = vectorize(model, query)
+
+  const scored = articles.map((article, index) => ({
+    ...article,
+    similarity: sparseCosine(queryVector, vectorize(model, texts[index])),
+    match_method: 'tfidf',
+  }))
+
+  return finalizeRanking(scored, { limit, minSimilarity })
+}
+
+/**
+ * Rank site articles (with embedding arrays) against a draft embedding
+ */
+export function rankByEmbedding(queryEmbedding, articles = [], { limit = 10, minSimilarity = MIN_SIMILARITY.embedding } = {}) {
+  const scored = articles
+    .filter(article => Array.isArray(article.embedding))
+    .map(({ embedding, ...article }) => ({
+      ...article,
+      similarity: denseCosine(queryEmbedding, embedding),
+      match_method: 'embedding',
+    }))
+
+  return finalizeRanking(scored, { limit, minSimilarity })
+}
+
+/**
+ * TF-IDF relevance (0-100) of an article's content to each linked target,
+ * with the site's other articles as the IDF corpus. Returns Map id -> score.
+ */
+export function scoreLinkedArticles(content, targets = [], corpus = []) {
+  const scores = new Map()
+  if (targets.length === 0) return scores
+
+  const query = draftText({ content })
+  const byId = new Map([...corpus, ...targets].map(article => [article.id, article]))
+  const model = buildTfIdfModel([...[...byId.values()].map(siteArticleText), query])
+  const queryVector = vectorize(model, query)
+
+  for (const target of targets) {
+    const similarity = sparseCosine(queryVector, vectorize(model, siteArticleText(target)))
+    scores.set(target.id, Math.round(similarity * 100))
+  }
+  return scores
+}
@@ -0,0 +1,89 @@
+/**
+ * TF-IDF Vectors
+ * Deterministic local text similarity. Used when no embedding provider is
+ * configured (offline, tests, browser) in place of pgvector embeddings.
+ */
+
+import { tokenizeForTopics, singularize } from '../inventory/topics.js'
+
+/**
+ * Terms of a text: stop-word-free singular words plus adjacent-word bigrams
+ */
+export function extractTerms(text = '') {
+  const words = tokenizeForTopics(text).map(singularize)
+  const terms = [...words]
+  for (let i = 1; i < words.length; i++) terms.push(`${words[i - 1]} ${words[i]}`)
+  return terms
+}
+
+/**
+ * Document frequencies for a corpus of texts
+ */
+export function buildTfIdfModel(texts = []) {
+  const documentFrequency = new Map()
+
+  for (const text of texts) {
+    for (const term of new Set(extractTerms(text))) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    }
+  }
+
+  return { documentFrequency, documentCount: texts.length }
+}
+
+function idf(model, term) {
+  // Smoothed so terms unseen in the corpus still carry weight
+  return Math.log((1 + model.documentCount) / (1 + (model.documentFrequency.get(term) || 0))) + 1
+}
+
+/**
+ * L2-normalized sparse TF-IDF vector (Map term -> weight), sublinear term frequency
+ */
+export function vectorize(model, text = '') {
+  const counts = new Map()
+  for (const term of extractTerms(text)) counts.set(term, (counts.get(term) || 0) + 1)
+
+  const vector = new Map()
+  let norm = 0
+  for (const [term, count] of counts) {
+    const weight = (1 + Math.log(count)) * idf(model, term)
+    vector.set(term, weight)
+    norm += weight * weight
+  }
+
+  norm = Math.sqrt(norm)
+  if (norm > 0) {
+    for (const [term, weight] of vector) vector.set(term, weight / norm)
+  }
+  return vector
+}
+
+/**
+ * Cosine similarity of two normalized sparse vectors
+ */
+export function sparseCosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a]
+  let dot = 0
+  for (const [term, weight] of small) {
+    const other = large.get(term)
+    if (other) dot += weight * other
+  }
+  return dot
+}
+
+/**
+ * Cosine similarity of two dense vectors (embeddings)
+ */
+export function denseCosine(a = [], b = []) {
+  if (a.length === 0 || a.length !== b.length) return 0
+
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0
+}
@@ -0,0 +1,164 @@
+/**
+ * Mock LLM Fixtures
+ * Deterministic responses for the mock provider, keyed by request task, so the
+ * pipeline runs offline and in tests: the same prompt always gives the same output.
+ * Content-editing tasks return the article from the prompt unchanged.
+ */
+
+const MOCK_ARTICLE = {
+  title: 'Understanding Modern Web Development: A Comprehensive Guide',
+  content: `<h2>Introduction to Modern Web Development</h2>
+<p>Web development has evolved dramatically over the past decade. Today's developers face an ever-expanding ecosystem of tools, frameworks, and best practices that can seem overwhelming at first.</p>
+
+<h2>Core Technologies</h2>
+<p>At the heart of web development lie three fundamental technologies: HTML, CSS, and JavaScript. These form the building blocks that power every website you visit.</p>
+
+<h3>HTML: The Structure</h3>
+<p>HTML provides the semantic structure for web pages. Modern HTML5 introduces powerful features like canvas, video, and audio elements that enable rich interactive experiences.</p>
+
+<h3>CSS: The Styling</h3>
+<p>CSS has grown from simple styling rules to a sophisticated design system. Flexbox and Grid layouts have revolutionized how we approach responsive design.</p>
+
+<h3>JavaScript: The Functionality</h3>
+<p>JavaScript continues to dominate as the language of the web. With ES6+ features, the language has become more powerful and expressive than ever.</p>
+
+<h2>Modern Frameworks and Tools</h2>
+<p>Today's web developers rely on powerful frameworks like React, Vue, and Angular. These tools help manage complexity and improve development speed.</p>
+
+<h2>Best Practices</h2>
+<p>Following industry best practices ensures your applications are maintainable, performant, and accessible to all users.</p>
+
+<h2>Conclusion</h2>
+<p>Web development is a constantly evolving field that rewards continuous learning and adaptation. By mastering the fundamentals and staying current with modern tools, you'll be well-equipped to build amazing web experiences.</p>`,
+  excerpt: 'An in-depth exploration of modern web development practices, covering core technologies, frameworks, and best practices for building robust web applications.',
+  meta_title: 'Modern Web Development Guide 2025 | Best Practices & Tools',
+  meta_description: 'Learn modern web development with our comprehensive guide covering HTML, CSS, JavaScript, frameworks, and industry best practices.',
+  focus_keyword: 'web development',
+  faqs: [
+    {
+      question: 'What are the essential skills for web development?',
+      answer: 'The essential skills include HTML, CSS, JavaScript, responsive design, version control (Git), and familiarity with at least one modern framework.',
+    },
+    {
+      question: 'How long does it take to become a web developer?',
+      answer: 'With consistent practice, you can learn the basics in 3-6 months, but becoming proficient typically takes 1-2 years of hands-on experience.',
+    },
+    {
+      question: "What's the difference between frontend and backend development?",
+      answer: 'Frontend development focuses on what users see and interact with (HTML, CSS, JavaScript), while backend handles server-side logic, databases, and APIs.',
+    },
+    {
+      question: 'Which JavaScript framework should I learn first?',
+      answer: 'React is currently the most popular choice and has the largest job market, making it a solid first framework to learn.',
+    },
+  ],
+}
+
+const IDEA_TEMPLATES = [
+  { title: 'The Complete Guide to {topic}', content_type: 'guide' },
+  { title: '10 {topic} Mistakes to Avoid', content_type: 'listicle' },
+  { title: '{topic} Explained: How It Actually Works', content_type: 'explainer' },
+  { title: 'The Best {topic} Options, Ranked', content_type: 'ranking' },
+  { title: '{topic}: An Honest Review', content_type: 'review' },
+]
+
+// First capture of pattern in text, trimmed
+function capture(text, pattern) {
+  const match = text.match(pattern)
+  return match ? match[1].trim() : null
+}
+
+function titleCase(text) {
+  return text.replace(/\b\w/g, letter => letter.toUpperCase())
+}
+
+function mockDraft(prompt) {
+  const title = capture(prompt, /^Title: (.+)$/m)
+  const keyword = capture(prompt, /^Primary Keyword: (.+)$/m)
+  if (!title) return MOCK_ARTICLE
+
+  return {
+    ...MOCK_ARTICLE,
+    title,
+    meta_title: title.slice(0, 60),
+    focus_keyword: keyword || title.toLowerCase().split(/\s+/).slice(0, 3).join(' '),
+  }
+}
+
+function mockIdeas(prompt) {
+  const count = Number(capture(prompt, /Generate (\d+) unique/)) || 5
+  const topics = (capture(prompt, /articles about: (.+)$/m) || capture(prompt, /SEED KEYWORDS: (.+)$/m) || 'content marketing')
+    .split(',')
+    .map(topic => topic.trim())
+    .filter(Boolean)
+
+  const ideas = Array.from({ length: count }, (_, index) => {
+    const topic = topics[index % topics.length]
+    const template = IDEA_TEMPLATES[index % IDEA_TEMPLATES.length]
+    return {
+      title: template.title.replace('{topic}', titleCase(topic)),
+      description: `A ${template.content_type} about ${topic} for readers who want practical, specific answers.`,
+      content_type: template.content_type,
+      target_keywords: [topic],
+      estimated_word_count: 2000,
+    }
+  })
+
+  return { ideas }
+}
+
+function mockMetadata(prompt) {
+  const keyword = capture(prompt, /^FOCUS KEYWORD: (.+)$/m) || MOCK_ARTICLE.focus_keyword
+  return {
+    meta_title: `${titleCase(keyword)}: A Practical Guide`.slice(0, 60),
+    meta_description: `Everything you need to know about ${keyword}, with examples, common mistakes and answers to frequent questions.`.slice(0, 160),
+    slug: keyword.toLowerCase().replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, '-'),
+  }
+}
+
+function mockPatterns(prompt) {
+  const feedback = [...prompt.matchAll(/^- (\w+): (.+)$/gm)]
+  return {
+    patterns: feedback.slice(0, 5).map(([, category, comment]) => ({
+      category: ['style', 'structure', 'accuracy', 'seo'].includes(category) ? category : 'other',
+      pattern: `Avoid the issue reviewers flagged: ${comment}`,
+      example: '',
+      impact_score: 50,
+    })),
+  }
+}
+
+function mockAnchors(prompt) {
+  const targets = [...prompt.matchAll(/^- (https?:\/\/\S+) — (.+)$/gm)]
+  return {
+    anchors: targets.map(([, url, title]) => ({ url, phrases: [title.trim()] })),
+  }
+}
+
+/**
+ * Mock completion text for a task
+ * Tasks: draft, ideas, metadata (JSON); humanize, autoFix, revise (the prompt's
+ * article, unchanged); extractPatterns, suggestAnchors (JSON)
+ */
+export function mockCompletion(task, prompt = '') {
+  switch (task) {
+    case 'draft':
+      return JSON.stringify(mockDraft(prompt))
+    case 'ideas':
+      return JSON.stringify(mockIdeas(prompt))
+    case 'metadata':
+      return JSON.stringify(mockMetadata(prompt))
+    case 'humanize':
+      return capture(prompt, /ORIGINAL CONTENT:([\s\S]*?)CRITICAL HUMANIZATION TECHNIQUES/) || MOCK_ARTICLE.content
+    case 'autoFix':
+      return capture(prompt, /CURRENT (?:ARTICLE )?CONTENT:([\s\S]*?)(?:QUALITY ISSUES TO FIX|INSTRUCTIONS:)/) || MOCK_ARTICLE.content
+    case 'revise':
+      return capture(prompt, /CURRENT CONTENT:([\s\S]*?)EDITORIAL FEEDBACK/) || MOCK_ARTICLE.content
+    case 'extractPatterns':
+      return JSON.stringify(mockPatterns(prompt))
+    case 'suggestAnchors':
+      return JSON.stringify(mockAnchors(prompt))
+    default:
+      return `Mock response for "${task || 'unknown'}" task.`
+  }
+}
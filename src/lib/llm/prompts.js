@@ -0,0 +1,246 @@
+/**
+ * Pipeline Prompts
+ * The draft, humanization and auto-fix prompts, built from system_settings.
+ * Pure module shared by the app clients and the Edge Functions, so every path
+ * sends the same instructions.
+ */
+
+import { DEFAULT_SETTINGS } from '../settings.js'
+import { formatLearnedRules } from '../learning/patterns.js'
+import { getBannedPhrases, formatBannedPhrases, getBannedPhraseFixInstruction } from '../quality/aiTells.js'
+import { getReadabilityFixInstruction, isAutoFixable } from '../quality/qualityMetrics.js'
+import { getOnPageSeoFixInstruction } from '../seo/onPageSeo.js'
+
+export const DRAFT_SYSTEM_PROMPT = 'You are an expert content writer who creates high-quality, engaging articles. You write in a natural, conversational style with varied sentence structure.'
+
+// Outline the draft follows for each content type
+export const CONTENT_STRUCTURES = {
+  guide: `
+- Introduction (why this matters)
+- Main sections with H2 headings
+- Step-by-step instructions or explanations
+- Examples and use cases
+- Best practices
+- Common mistakes to avoid
+- Conclusion with key takeaways`,
+
+  listicle: `
+- Engaging introduction
+- Clear list items with H2 headings
+- Each item should have 2-3 paragraphs of explanation
+- Use numbers or bullets
+- Conclusion that ties it together`,
+
+  ranking: `
+- Introduction explaining ranking criteria
+- Ranked list items (e.g., #1, #2, #3)
+- Each item with pros/cons
+- Clear explanation of why it's ranked that way
+- Conclusion with winner summary`,
+
+  explainer: `
+- Introduction (what is this?)
+- Background/context
+- How it works
+- Why it matters
+- Real-world examples
+- Conclusion`,
+
+  review: `
+- Introduction
+- Overview of product/service
+- Features breakdown
+- Pros and cons
+- Who it's for
+- Final verdict`,
+}
+
+/**
+ * Structure template for a content type (guide when unknown)
+ */
+export function getStructureForContentType(contentType) {
+  return CONTENT_STRUCTURES[contentType] || CONTENT_STRUCTURES.guide
+}
+
+/**
+ * Prompt for an article draft (answered as JSON, see schemas.js draftSchema)
+ * bannedPhrases: getBannedPhrases(settings) (see lib/quality/aiTells)
+ * learnedRules: approved patterns from reviewer feedback (see lib/learning/patterns)
+ */
+export function buildDraftPrompt(idea, contentType, targetWordCount, bannedPhrases = getBannedPhrases(), learnedRules = []) {
+  const avoidPhrases = bannedPhrases.map(phrase => `"${phrase}"`).join(', ')
+
+  return `Generate a comprehensive ${contentType} article based on this content idea.
+
+CONTENT IDEA:
+Title: ${idea.title}
+Description: ${idea.description || 'Not provided'}
+${idea.keyword_research_data ? `Primary Keyword: ${idea.keyword_research_data.primary_keyword}` : ''}
+${idea.keyword_research_data?.secondary_keywords?.length ? `Secondary Keywords (work each in naturally): ${idea.keyword_research_data.secondary_keywords.join(', ')}` : ''}
+${idea.seed_topics ? `Topics to cover: ${idea.seed_topics.join(', ')}` : ''}
+
+REQUIREMENTS:
+- Target word count: ${targetWordCount} words
+- Content type: ${contentType}
+- Include an engaging introduction that hooks the reader
+- Use clear headings and subheadings (H2, H3)
+- Write in a conversational, natural tone
+- Include specific examples and actionable insights
+- Vary sentence length (short punchy sentences mixed with longer explanatory ones)
+- Avoid generic phrases like ${avoidPhrases}
+- Make it valuable and informative
+${formatLearnedRules(learnedRules)}
+STRUCTURE:
+${getStructureForContentType(contentType)}
+
+FORMAT YOUR RESPONSE AS JSON:
+{
+  "title": "Compelling article title (60-70 characters)",
+  "excerpt": "Brief 1-2 sentence summary (150-160 characters)",
+  "content": "Full article in HTML format with proper heading tags",
+  "meta_title": "SEO-optimized title (50-60 characters)",
+  "meta_description": "SEO description (150-160 characters)",
+  "focus_keyword": "Primary keyword for SEO",
+  "faqs": [
+    {"question": "Question 1", "answer": "Answer 1"},
+    {"question": "Question 2", "answer": "Answer 2"},
+    {"question": "Question 3", "answer": "Answer 3"}
+  ]
+}
+
+Generate the article now:`
+}
+
+/**
+ * Prompt for humanizing one chunk of an article
+ * contributorProfile: article_contributors row whose writing style to adopt (or null)
+ * chunkContext: which part of the article this is (see lib/humanize/chunking)
+ */
+export function buildHumanizationPrompt(content, contributorProfile, perplexity = 'high', burstiness = 'high', bannedPhrases = getBannedPhrases(), learnedRules = [], chunkContext = '') {
+  let styleInstructions = ''
+
+  if (contributorProfile) {
+    const style = contributorProfile.writing_style_profile || {}
+    styleInstructions = `
+WRITER PERSONA:
+Name: ${contributorProfile.name}
+Tone: ${style.tone || 'professional'}
+Complexity: ${style.complexity_level || 'intermediate'}
+Sentence Length: ${style.sentence_length_preference || 'medium'}
+`
+  }
+
+  return `You are a highly skilled human writer. Your task is to rewrite the following AI-generated content to make it completely undetectable as AI-written. The content must read as if it was written by a real human with personality, expertise, and natural writing patterns.
+
+${styleInstructions}${chunkContext}
+ORIGINAL CONTENT:
+${content}
+
+CRITICAL HUMANIZATION TECHNIQUES:
+
+1. **Perplexity (Unpredictability)**: ${perplexity}
+   - Use unexpected word choices and phrasings
+   - Avoid predictable transitions
+   - Include occasional colloquialisms or industry-specific terms
+   - Vary vocabulary richly
+
+2. **Burstiness (Sentence Variation)**: ${burstiness}
+   - Mix very short sentences with longer, complex ones
+   - Create natural rhythm: short → long → medium → very short
+   - Use fragments occasionally for emphasis
+   - Vary sentence structures significantly
+
+3. **Voice & Personality**:
+   - Add subtle personal touches ("I've found that...", "In my experience...")
+   - Include minor imperfections (starting sentences with "And" or "But")
+   - Use rhetorical questions sparingly
+   - Show emotion where appropriate
+
+4. **Natural Writing Patterns**:
+   - Avoid overly perfect grammar (humans make small stylistic choices)
+   - Use contractions naturally (don't, won't, I've)
+   - Include em-dashes for emphasis—like this
+   - Vary paragraph lengths significantly
+
+5. **BANNED AI PHRASES** (Never use these):
+${formatBannedPhrases(bannedPhrases)}
+
+6. **Content Quality**:
+   - Keep all factual information accurate
+   - Maintain the same structure and headings
+   - Preserve HTML formatting
+   - Keep the same SEO focus
+   - Ensure the content remains valuable and informative
+${formatLearnedRules(learnedRules)}
+OUTPUT ONLY THE REWRITTEN HTML CONTENT. DO NOT include explanations, meta-commentary, or anything other than the pure HTML article content.`
+}
+
+/**
+ * Fix instruction for one quality issue (see lib/quality/qualityMetrics)
+ */
+function getFixInstruction(issue, settings, currentFaqs) {
+  switch (issue.type) {
+    case 'word_count_low':
+      return `- Article is too short. Expand it to ${settings.target_word_count_min}-${settings.target_word_count_max} words with valuable information.`
+    case 'word_count_high':
+      return `- Article is too long. Condense it to at most ${settings.target_word_count_max} words and remove unnecessary repetition.`
+    case 'missing_internal_links':
+      return `- Missing internal links. The article needs ${settings.min_internal_links}-${settings.max_internal_links} relevant internal links.`
+    case 'missing_external_links':
+      return `- Missing external citations. The article needs at least ${settings.min_external_links} authoritative external sources with links.`
+    case 'missing_faqs':
+      return `- Missing FAQ section. Add ${Math.max(1, settings.min_faq_count - (currentFaqs?.length || 0))} more relevant questions and answers.`
+    case 'weak_headings':
+      return `- Weak heading structure. Use at least ${settings.min_h2_count} H2 subheadings to break up content.`
+    case 'broken_links':
+      return `- ${issue.description} Replace each with a working URL or remove the link and keep its text.`
+    case 'poor_readability':
+      return getReadabilityFixInstruction(issue, settings)
+    case 'banned_phrases':
+      return getBannedPhraseFixInstruction(issue, settings)
+    case 'keyword_placement':
+    case 'keyword_density':
+    case 'secondary_keywords':
+    case 'missing_alt_text':
+      return getOnPageSeoFixInstruction(issue, settings)
+    default:
+      return `- ${issue.type}: ${issue.severity} issue`
+  }
+}
+
+/**
+ * Prompt for fixing an article's auto-fixable quality issues
+ * currentFaqs: the article's FAQs, so missing_faqs asks only for the shortfall
+ * siteArticles: link targets offered when internal links are missing
+ */
+export function buildAutoFixPrompt(content, issues, settings = DEFAULT_SETTINGS, { currentFaqs = [], siteArticles = [] } = {}) {
+  const s = { ...DEFAULT_SETTINGS, ...settings }
+  const issueDescriptions = issues.filter(isAutoFixable).map(issue => getFixInstruction(issue, s, currentFaqs)).join('\n')
+
+  let internalLinksContext = ''
+  if (siteArticles.length > 0 && issues.some(issue => issue.type === 'missing_internal_links')) {
+    internalLinksContext = `
+
+AVAILABLE ARTICLES FOR INTERNAL LINKING (use ${s.min_internal_links}-${s.max_internal_links} of these where relevant):
+${siteArticles.map(article => `- [${article.title}](${article.url}) - Topics: ${article.topics?.join(', ') || 'N/A'}`).join('\n')}`
+  }
+
+  return `You are reviewing an article and need to fix the following quality issues:
+
+QUALITY ISSUES TO FIX:
+${issueDescriptions}${internalLinksContext}
+
+CURRENT ARTICLE CONTENT:
+${content}
+
+INSTRUCTIONS:
+1. Fix ALL the issues listed above
+2. Maintain the article's overall tone and message
+3. Keep the existing heading structure unless adding new headings
+4. For external citations, use real, authoritative sources when possible
+5. For FAQs, make them relevant and helpful to readers
+6. Do NOT remove existing content unless consolidating
+7. Ensure all HTML tags are properly closed
+
+OUTPUT ONLY THE COMPLETE FIXED HTML CONTENT (no explanations or commentary).`
+}
@@ -0,0 +1,309 @@
+/**
+ * LLM Providers
+ * One completion interface over Anthropic, OpenAI-compatible endpoints (xAI Grok,
+ * OpenAI, local servers such as Ollama or LM Studio) and a deterministic mock.
+ * Which provider handles each pipeline role comes from system_settings.
+ * Pure module (fetch only) shared by the app clients and the Edge Functions.
+ */
+
+import { mockCompletion } from './mockFixtures.js'
+import { estimateCost, estimateTokens } from './usage.js'
+import { completeStructured } from './structuredOutput.js'
+import { createResilientFetch } from '../http/resilientFetch.js'
+import { APIError } from '../http/apiErrors.js'
+
+// Pipeline roles and the setting that picks each one's provider
+export const LLM_ROLES = {
+  draft: 'draft_provider',       // drafts, ideas, metadata
+  humanize: 'humanize_provider', // humanization rewrite
+  fix: 'fix_provider',           // auto-fix, revisions, pattern extraction, anchor suggestions
+}
+
+/**
+ * Provider presets. apiKey names the secret (Edge Functions) / VITE_ variable (app);
+ * model settings are read from system_settings. A key is only sent to the preset's
+ * baseUrl or the baseUrlSecret set beside it, never to a URL from system_settings
+ * (any admin can edit those); baseUrlSetting is used only by a keyless local server
+ */
+export const PROVIDERS = {
+  grok: {
+    label: 'Grok',
+    type: 'openai',
+    baseUrl: 'https://api.x.ai/v1',
+    apiKey: 'GROK_API_KEY',
+    modelSetting: 'grok_model',
+    // Tried in order when the configured model returns 404 (xAI renames models)
+    fallbackModels: ['grok-2-latest', 'grok-2', 'grok-beta', 'grok-2-1212'],
+  },
+  claude: {
+    label: 'Claude',
+    type: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    apiKey: 'CLAUDE_API_KEY',
+    modelSetting: 'claude_model',
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    type: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    baseUrlSecret: 'OPENAI_BASE_URL',
+    apiKey: 'OPENAI_API_KEY',
+    modelSetting: 'openai_model',
+  },
+  local: {
+    label: 'Local model',
+    type: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    baseUrlSecret: 'LOCAL_LLM_BASE_URL',
+    baseUrlSetting: 'local_llm_base_url',
+    apiKey: 'LOCAL_LLM_API_KEY',
+    apiKeyOptional: true,
+    modelSetting: 'local_llm_model',
+  },
+  mock: {
+    label: 'Mock',
+    type: 'mock',
+  },
+}
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS)
+
+const ANTHROPIC_VERSION = '2023-06-01'
+
+/**
+ * System prompt and chat messages for a request: { system, prompt } or
+ * { system, messages }; system-role messages are merged into system
+ */
+function requestMessages({ system, messages, prompt }) {
+  const all = messages || [{ role: 'user', content: prompt }]
+  const systemParts = [system, ...all.filter(m => m.role === 'system').map(m => m.content)].filter(Boolean)
+
+  return {
+    system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+    messages: all.filter(m => m.role !== 'system'),
+  }
+}
+
+function openAIProvider(name, preset, { baseUrl, model, apiKey, fetchImpl }) {
+  const models = [...new Set([model, ...(preset.fallbackModels || [])].filter(Boolean))]
+  let workingModel = null
+
+  return {
+    name,
+    label: preset.label,
+    get model() { return workingModel || models[0] },
+
+    async complete(request) {
+      const { system, messages } = requestMessages(request)
+      const body = {
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        stream: false,
+      }
+
+      let lastError = null
+      for (const candidate of workingModel ? [workingModel] : models) {
+        try {
+          const response = await fetchImpl(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify({ ...body, model: candidate }),
+          })
+
+          const data = await response.json()
+          workingModel = candidate
+          return {
+            text: data.choices[0].message.content,
+            model: data.model || candidate,
+            inputTokens: data.usage?.prompt_tokens || 0,
+            outputTokens: data.usage?.completion_tokens || 0,
+          }
+        } catch (error) {
+          // Only an unknown model is worth retrying with the next name
+          if (error.status !== 404) throw error
+          lastError = error
+          console.warn(`${preset.label} model ${candidate} returned 404, trying next variant...`)
+        }
+      }
+
+      throw lastError || new Error(`${preset.label}: no model configured`)
+    },
+  }
+}
+
+function anthropicProvider(name, preset, { baseUrl, model, apiKey, fetchImpl, browser }) {
+  return {
+    name,
+    label: preset.label,
+    model,
+
+    async complete(request) {
+      const { system, messages } = requestMessages(request)
+      const response = await fetchImpl(`${baseUrl}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          ...(browser ? { 'anthropic-dangerous-direct-browser-access': 'true' } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          system,
+          messages,
+          temperature: request.temperature,
+          max_tokens: request.maxTokens,
+        }),
+      })
+
+      const data = await response.json()
+      return {
+        text: data.content.map(block => block.text || '').join(''),
+        model: data.model || model,
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0,
+      }
+    },
+  }
+}
+
+function mockProvider() {
+  return {
+    name: 'mock',
+    label: PROVIDERS.mock.label,
+    model: 'mock',
+
+    async complete(request) {
+      const { system, messages } = requestMessages(request)
+      const prompt = [system, ...messages.map(m => m.content)].filter(Boolean).join('\n\n')
+      const text = mockCompletion(request.task, prompt)
+      return { text, model: 'mock', inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+    },
+  }
+}
+
+/**
+ * Provider registry for one settings snapshot
+ * getApiKey(secretName) returns the key (or a baseUrlSecret) or undefined
+ * fallbackToMock: use the mock provider when a key is missing (app without
+ * VITE_ keys) instead of failing (Edge Functions)
+ * browser: send Anthropic's direct-browser-access header
+ * Provider calls retry transient failures and throw classified APIErrors
+ * onUsage(record): called after every completion with an ai_usage row (tokens,
+ * latency, estimated cost, plus the request's usage context); errors are logged
+ */
+export function createLLMRegistry(settings, { getApiKey = () => undefined, fetch: fetchImpl = (...args) => globalThis.fetch(...args), fallbackToMock = false, browser = false, onUsage = null } = {}) {
+  const cache = new Map()
+
+  const providerName = (role) => {
+    const setting = LLM_ROLES[role]
+    if (!setting) throw new Error(`Unknown LLM role: ${role}`)
+    const name = settings[setting]
+    if (!PROVIDERS[name]) throw new Error(`Unknown LLM provider "${name}" in ${setting}`)
+    return name
+  }
+
+  const missingKey = (name) => {
+    const preset = PROVIDERS[name]
+    return preset.type !== 'mock' && !preset.apiKeyOptional && !getApiKey(preset.apiKey)
+  }
+
+  const baseUrlFor = (preset, apiKey) => {
+    const secretUrl = preset.baseUrlSecret && getApiKey(preset.baseUrlSecret)
+    if (secretUrl) return secretUrl
+    if (!apiKey && preset.baseUrlSetting && settings[preset.baseUrlSetting]) return settings[preset.baseUrlSetting]
+    return preset.baseUrl
+  }
+
+  const build = (name) => {
+    const preset = PROVIDERS[name]
+    if (preset.type === 'mock') return mockProvider()
+
+    if (missingKey(name)) {
+      if (fallbackToMock) {
+        console.warn(`⚠️ ${preset.apiKey} not set. Using mock ${preset.label} responses.`)
+        return mockProvider()
+      }
+      throw new APIError(`${preset.apiKey} not configured in Edge Function secrets`, { kind: 'auth', service: name })
+    }
+
+    const apiKey = getApiKey(preset.apiKey)
+    const options = {
+      baseUrl: baseUrlFor(preset, apiKey),
+      model: settings[preset.modelSetting],
+      apiKey,
+      // Retries, timeouts and rate limits per provider (see http/resilientFetch.js)
+      fetchImpl: createResilientFetch({ service: name, label: preset.label, fetch: fetchImpl }),
+      browser,
+    }
+
+    return preset.type === 'anthropic'
+      ? anthropicProvider(name, preset, options)
+      : openAIProvider(name, preset, options)
+  }
+
+  const providerFor = (role) => {
+    const name = providerName(role)
+    if (!cache.has(name)) cache.set(name, build(name))
+    return cache.get(name)
+  }
+
+  return {
+    providerFor,
+
+    /**
+     * Complete a request with the role's provider and return the text
+     * request: { task, system?, prompt | messages, temperature?, maxTokens?, usage? }
+     * task names the operation (see mockFixtures) so the mock can answer it;
+     * usage ({ stage, run_id, article_id }) is copied onto the usage record
+     */
+    async complete(role, request) {
+      const provider = providerFor(role)
+      const startedAt = Date.now()
+      const result = await provider.complete(request)
+
+      if (onUsage) {
+        const record = {
+          role,
+          task: request.task || null,
+          stage: request.task || role,
+          ...request.usage,
+          provider: provider.name,
+          model: result.model,
+          input_tokens: result.inputTokens,
+          output_tokens: result.outputTokens,
+          latency_ms: Date.now() - startedAt,
+          cost_usd: estimateCost({ provider: provider.name, ...result }),
+        }
+
+        try {
+          await onUsage(record)
+        } catch (error) {
+          console.error('Error recording LLM usage:', error)
+        }
+      }
+
+      return result.text
+    },
+
+    /**
+     * Complete a request and return its JSON validated against a zod schema
+     * (see schemas.js); invalid responses get `retries` repair round-trips
+     * Throws StructuredOutputError subclasses naming the failing field
+     */
+    completeJSON(role, request, schema, { retries = 1 } = {}) {
+      return completeStructured(repairRequest => this.complete(role, repairRequest), request, schema, { retries })
+    },
+
+    /**
+     * Fail early when a role's provider has no API key (and no mock fallback)
+     */
+    assertConfigured(roles = Object.keys(LLM_ROLES)) {
+      for (const role of roles) providerFor(role)
+    },
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * LLM Response Schemas
+ * zod schemas for every structured (JSON) response the pipeline asks for;
+ * used with completeJSON / parseStructured (see structuredOutput.js)
+ */
+
+import { z } from 'zod'
+import { slugify } from '../seo/metadata.js'
+
+// Optional text the model may omit or send as null
+const optionalText = z.string().nullish().transform(value => value?.trim() || '')
+
+const requiredText = (label) => z.string({ error: `${label} is required` }).trim().min(1, `${label} must not be empty`)
+
+export const faqSchema = z.object({
+  question: requiredText('FAQ question'),
+  answer: requiredText('FAQ answer'),
+})
+
+/**
+ * Article draft (generateDraft)
+ */
+export const draftSchema = z.object({
+  title: requiredText('Title'),
+  content: requiredText('Content').refine(html => /<\w+[^>]*>/.test(html), 'Content must be HTML'),
+  excerpt: optionalText,
+  meta_title: optionalText,
+  meta_description: optionalText,
+  focus_keyword: optionalText,
+  faqs: z.array(faqSchema).nullish().transform(faqs => faqs || []),
+})
+
+/**
+ * Content ideas (generateIdeas, generate-ideas-from-keywords)
+ */
+export const ideaSchema = z.object({
+  title: requiredText('Idea title'),
+  description: optionalText,
+  content_type: optionalText,
+  target_keywords: z.array(z.string()).nullish().transform(keywords => keywords || []),
+  estimated_word_count: z.coerce.number().int().positive().optional().catch(undefined),
+})
+
+export const ideasSchema = z.object({
+  ideas: z.array(ideaSchema).min(1, 'At least one idea is required'),
+})
+
+/**
+ * SEO metadata (generateMetadata)
+ */
+export const metadataSchema = z.object({
+  meta_title: requiredText('Meta title'),
+  meta_description: requiredText('Meta description'),
+  slug: requiredText('Slug')
+    .transform(slugify)
+    .pipe(z.string().min(1, 'Slug must contain letters or digits')),
+})
+
+/**
+ * Learning patterns (extractLearningPatterns); normalizePatterns cleans the values
+ */
+export const patternsSchema = z.object({
+  patterns: z.array(z.object({
+    pattern: requiredText('Pattern'),
+    category: optionalText,
+    example: optionalText,
+    impact_score: z.coerce.number().optional().catch(undefined),
+  })),
+})
@@ -0,0 +1,271 @@
+/**
+ * Structured Output
+ * Tolerant JSON extraction from LLM responses (code fences, surrounding prose,
+ * raw newlines in strings, trailing commas, truncation), schema validation and
+ * a repair round-trip that sends the error back to the model.
+ * Pure module; schemas are passed in (see schemas.js).
+ */
+
+// How much of a bad response is echoed back in the repair prompt
+const MAX_ECHOED_RESPONSE = 4000
+
+// Cut points tried when closing truncated JSON
+const MAX_TRUNCATION_CUTS = 20
+
+/**
+ * A structured response that could not be used
+ * field: dotted path of the first failing field (null when no JSON was found)
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { task = null, raw = '', issues = [] } = {}) {
+    super(message)
+    this.name = 'StructuredOutputError'
+    this.task = task
+    this.raw = raw
+    this.issues = issues
+    this.field = issues[0]?.path || null
+  }
+}
+
+/**
+ * The response holds no parseable JSON
+ * truncated: the JSON was cut off; partial holds what could be closed and parsed
+ */
+export class JSONExtractionError extends StructuredOutputError {
+  constructor(message, { truncated = false, partial = undefined, ...details } = {}) {
+    super(message, details)
+    this.name = 'JSONExtractionError'
+    this.truncated = truncated
+    this.partial = partial
+  }
+}
+
+/**
+ * The JSON parsed but does not match the schema
+ */
+export class SchemaValidationError extends StructuredOutputError {
+  constructor(message, details = {}) {
+    super(message, details)
+    this.name = 'SchemaValidationError'
+  }
+}
+
+const CLOSERS = { '{': '}', '[': ']' }
+
+/**
+ * Scan the first JSON value in text, escaping raw control characters inside
+ * strings and dropping trailing commas
+ * Returns { json, complete, cuts } - cuts are [position, open containers] after
+ * each complete member, for closing a truncated value
+ */
+function scanJSON(text, start) {
+  const stack = []
+  const cuts = []
+  let json = ''
+  let inString = false
+  let escaped = false
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i]
+
+    if (inString) {
+      if (escaped) {
+        escaped = false
+      } else if (char === '\\') {
+        escaped = true
+      } else if (char === '"') {
+        inString = false
+      } else if (char === '\n') {
+        json += '\\n'
+        continue
+      } else if (char === '\r') {
+        json += '\\r'
+        continue
+      } else if (char === '\t') {
+        json += '\\t'
+        continue
+      }
+      json += char
+      continue
+    }
+
+    if (char === '"') {
+      inString = true
+    } else if (char === '{' || char === '[') {
+      stack.push(char)
+    } else if (char === '}' || char === ']') {
+      // Trailing comma before a closer
+      json = json.replace(/,\s*$/, '')
+      stack.pop()
+      json += char
+      if (stack.length === 0) return { json, complete: true, cuts }
+      continue
+    } else if (char === ',') {
+      cuts.push([json.length, [...stack]])
+    }
+
+    json += char
+  }
+
+  return { json, complete: false, cuts, inString }
+}
+
+/**
+ * Close a truncated scan: first as-is (closing an open string), then cut back to
+ * earlier complete members until the result parses
+ */
+function closeTruncated({ json, cuts, inString }) {
+  const close = (stack) => stack.map(open => CLOSERS[open]).reverse().join('')
+  const openStack = []
+  let stringOpen = false
+  let escaped = false
+
+  for (const char of json) {
+    if (stringOpen) {
+      if (escaped) escaped = false
+      else if (char === '\\') escaped = true
+      else if (char === '"') stringOpen = false
+    } else if (char === '"') stringOpen = true
+    else if (char === '{' || char === '[') openStack.push(char)
+    else if (char === '}' || char === ']') openStack.pop()
+  }
+
+  const candidates = [
+    `${json.replace(/\\$/, '')}${inString ? '"' : ''}${close(openStack)}`,
+    ...cuts.slice(-MAX_TRUNCATION_CUTS).reverse().map(([position, stack]) => json.slice(0, position) + close(stack)),
+  ]
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate)
+    } catch {
+      // try the next cut
+    }
+  }
+
+  return undefined
+}
+
+/**
+ * Parse the first JSON object or array in an LLM response
+ * Throws JSONExtractionError when there is none or it is cut off
+ */
+export function extractJSON(text, { task = null } = {}) {
+  const raw = typeof text === 'string' ? text : ''
+
+  // Prefer the body of a ```json fence when there is one
+  const fence = raw.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)(?:```|$)/)
+  const source = fence && /[{[]/.test(fence[1]) ? fence[1] : raw
+
+  const start = source.search(/[{[]/)
+  if (start === -1) {
+    throw new JSONExtractionError('Response contains no JSON', { task, raw })
+  }
+
+  const scan = scanJSON(source, start)
+
+  if (!scan.complete) {
+    throw new JSONExtractionError('Response JSON is truncated', {
+      task,
+      raw,
+      truncated: true,
+      partial: closeTruncated(scan),
+    })
+  }
+
+  try {
+    return JSON.parse(scan.json)
+  } catch (error) {
+    throw new JSONExtractionError(`Response JSON is invalid: ${error.message}`, { task, raw })
+  }
+}
+
+/**
+ * zod issues as [{ path: 'faqs.0.answer', message }]
+ */
+function formatIssues(issues) {
+  return issues.map(issue => ({
+    path: issue.path.length > 0 ? issue.path.join('.') : '(root)',
+    message: issue.message,
+  }))
+}
+
+/**
+ * Validate data against a zod schema
+ * Throws SchemaValidationError naming the failing fields
+ */
+export function validateStructured(data, schema, { task = null, raw = '' } = {}) {
+  const result = schema.safeParse(data)
+  if (result.success) return result.data
+
+  const issues = formatIssues(result.error.issues)
+  const summary = issues.map(issue => `${issue.path}: ${issue.message}`).join('; ')
+  throw new SchemaValidationError(`${task || 'Structured'} response failed validation - ${summary}`, { task, raw, issues })
+}
+
+/**
+ * Extract and validate a structured response in one step
+ */
+export function parseStructured(text, schema, { task = null } = {}) {
+  return validateStructured(extractJSON(text, { task }), schema, { task, raw: text })
+}
+
+/**
+ * Follow-up message asking the model to fix its previous response
+ */
+export function buildRepairPrompt(error) {
+  const problem = error instanceof SchemaValidationError
+    ? `These fields are missing or invalid:\n${error.issues.map(issue => `- ${issue.path}: ${issue.message}`).join('\n')}`
+    : error.truncated
+      ? 'The JSON was cut off before it was complete. Keep every string shorter so the whole object fits.'
+      : `It could not be parsed as JSON (${error.message}).`
+
+  return `Your previous response could not be used. ${problem}
+
+Reply again with ONLY the corrected JSON object in the format requested above - no code fences, no commentary.`
+}
+
+/**
+ * Complete a request and parse the response against schema, sending the error
+ * back to the model for up to `retries` repair round-trips
+ * complete(request) returns the response text (see providers.js complete)
+ * A truncated response whose closed JSON still validates is accepted on the last attempt
+ */
+export async function completeStructured(complete, request, schema, { retries = 1 } = {}) {
+  const task = request.task || null
+  const stage = request.usage?.stage || task
+  let messages = request.messages || [{ role: 'user', content: request.prompt }]
+  let lastError = null
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const text = await complete({
+      ...request,
+      messages,
+      ...(attempt > 0 ? { usage: { ...request.usage, stage: `${stage}_repair` } } : {}),
+    })
+
+    try {
+      return parseStructured(text, schema, { task })
+    } catch (error) {
+      if (!(error instanceof StructuredOutputError)) throw error
+
+      lastError = error
+      console.warn(`${error.name} (attempt ${attempt + 1}/${retries + 1}): ${error.message}`)
+      messages = [
+        ...messages,
+        { role: 'assistant', content: text.slice(0, MAX_ECHOED_RESPONSE) },
+        { role: 'user', content: buildRepairPrompt(error) },
+      ]
+    }
+  }
+
+  if (lastError.truncated && lastError.partial !== undefined) {
+    const partial = schema.safeParse(lastError.partial)
+    if (partial.success) {
+      console.warn(`Using truncated ${task || 'structured'} response after ${retries + 1} attempts`)
+      return partial.data
+    }
+  }
+
+  throw lastError
+}
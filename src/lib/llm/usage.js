@@ -0,0 +1,121 @@
+/**
+ * LLM Usage & Cost
+ * Token counts, estimated cost and aggregation for the ai_usage table.
+ * Prices are list prices in USD per million tokens; local and mock calls are free.
+ * Pure module shared by the app and the Edge Functions.
+ */
+
+// [input, output] USD per 1M tokens, matched by longest model-name prefix
+export const MODEL_PRICES = {
+  'grok-beta': [5, 15],
+  'grok-2': [2, 10],
+  'grok-3-mini': [0.3, 0.5],
+  'grok-3': [3, 15],
+  'grok-4': [3, 15],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-3-opus': [15, 75],
+  'claude-opus-4': [15, 75],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+}
+
+const FREE_PROVIDERS = ['local', 'mock']
+
+const PRICE_PREFIXES = Object.keys(MODEL_PRICES).sort((a, b) => b.length - a.length)
+
+/**
+ * Rough token count for text without provider usage data (~4 characters per token)
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / 4)
+}
+
+/**
+ * [input, output] price per 1M tokens for a model, or null when unknown
+ */
+export function modelPrice(model = '') {
+  const prefix = PRICE_PREFIXES.find(name => model.startsWith(name))
+  return prefix ? MODEL_PRICES[prefix] : null
+}
+
+/**
+ * Estimated USD cost of one call; unknown models count as 0
+ */
+export function estimateCost({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+  if (FREE_PROVIDERS.includes(provider)) return 0
+
+  const price = modelPrice(model)
+  if (!price) return 0
+
+  return (inputTokens * price[0] + outputTokens * price[1]) / 1_000_000
+}
+
+/**
+ * First instant of the UTC day / month containing date, as ISO strings
+ */
+export function budgetPeriodStarts(date = new Date()) {
+  return {
+    day: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())).toISOString(),
+    month: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString(),
+  }
+}
+
+/**
+ * Which budget cap the spend has reached, or null
+ * Caps of 0 are disabled
+ */
+export function exceededBudget({ daySpend = 0, monthSpend = 0 }, settings) {
+  if (settings.daily_budget_usd > 0 && daySpend >= settings.daily_budget_usd) {
+    return { period: 'daily', spent: daySpend, cap: settings.daily_budget_usd }
+  }
+  if (settings.monthly_budget_usd > 0 && monthSpend >= settings.monthly_budget_usd) {
+    return { period: 'monthly', spent: monthSpend, cap: settings.monthly_budget_usd }
+  }
+  return null
+}
+
+/**
+ * Day / month spend from the ai_usage_spend row ({ day_spend, month_spend })
+ */
+export function parseSpend(row) {
+  return {
+    daySpend: Number(row?.day_spend) || 0,
+    monthSpend: Number(row?.month_spend) || 0,
+  }
+}
+
+/**
+ * ai_usage_summary rows as { month, stage, contributor, article } lists of
+ * { key, label, calls, inputTokens, outputTokens, cost }, highest cost first
+ */
+export function parseUsageSummary(rows) {
+  const summary = { month: [], stage: [], contributor: [], article: [] }
+
+  for (const row of rows) {
+    summary[row.dimension]?.push({
+      key: row.key,
+      label: row.label,
+      calls: Number(row.calls) || 0,
+      inputTokens: Number(row.input_tokens) || 0,
+      outputTokens: Number(row.output_tokens) || 0,
+      cost: Number(row.cost_usd) || 0,
+    })
+  }
+
+  for (const groups of Object.values(summary)) groups.sort((a, b) => b.cost - a.cost)
+  return summary
+}
+
+/**
+ * Format a USD amount; sub-cent amounts keep more precision
+ */
+export function formatCost(amount = 0) {
+  return `$${amount.toFixed(amount > 0 && amount < 0.1 ? 4 : 2)}`
+}
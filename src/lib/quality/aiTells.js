@@ -0,0 +1,292 @@
+/**
+ * AI Tells
+ * The single banned-phrase list used by the draft, humanize and auto-fix prompts,
+ * and a detector that checks the output actually avoids it: banned phrases,
+ * overused AI transitions ("Moreover,", "Furthermore,") and runs of sentences
+ * that open with the same word. Every hit carries its location so the editor can
+ * point at it and auto-fix can name it.
+ * Pure module shared by the app and the Edge Functions.
+ */
+
+import { DEFAULT_SETTINGS } from '../settings.js'
+import { parseHtml, findAll, closest, textContent } from '../html/parseHtml.js'
+import { splitSentences, getWords } from './readability.js'
+
+// Always banned; the banned_phrases setting adds site-specific ones
+export const BUILT_IN_BANNED_PHRASES = [
+  'As an AI',
+  "It's important to note that",
+  'It is important to note',
+  "In today's digital age",
+  'In conclusion',
+  'Delve into',
+  'Dive deep',
+  'At the end of the day',
+  'Game changer',
+  'Revolutionary',
+  'Cutting-edge',
+  'Leverage',
+  'Robust',
+  'Seamless',
+]
+
+// Sentence-opening transitions models lean on; fine once in a while, a tell in bulk
+export const AI_TRANSITIONS = [
+  'Moreover', 'Furthermore', 'Additionally', 'In addition', 'Ultimately', 'Notably',
+  'Consequently', 'Importantly', 'Interestingly', 'Essentially', 'Overall', 'In summary',
+  'To summarize', 'In essence', 'As such', 'That being said', 'With that in mind', 'Indeed',
+]
+
+// This many consecutive sentences opening with the same word read as generated
+const MIN_OPENER_RUN = 3
+
+// Hits kept on a quality issue (stored with the article)
+const MAX_ISSUE_HITS = 20
+
+const BLOCK_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'li', 'blockquote', 'td', 'th']
+
+export const AI_TELL_LABELS = {
+  banned_phrase: 'Banned phrase',
+  ai_transition: 'AI transition',
+  repetitive_opener: 'Repetitive opener',
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Curly apostrophes from Quill or the models still match the list
+const normalizeQuotes = (text) => text.replace(/[‘’]/g, "'")
+
+/**
+ * Built-in phrases plus the banned_phrases setting, without case-insensitive duplicates
+ */
+export function getBannedPhrases(settings = DEFAULT_SETTINGS) {
+  const seen = new Set()
+
+  return [...BUILT_IN_BANNED_PHRASES, ...(settings?.banned_phrases || [])].filter(phrase => {
+    const key = normalizeQuotes(phrase).trim().toLowerCase()
+    if (!key || seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * The banned phrases as a prompt list ('   - "phrase"' per line)
+ */
+export function formatBannedPhrases(phrases) {
+  return phrases.map(phrase => `   - "${phrase}"`).join('\n')
+}
+
+/**
+ * Detector thresholds from a settings object
+ */
+export function getAITellThresholds(settings = DEFAULT_SETTINGS) {
+  const s = { ...DEFAULT_SETTINGS, ...settings }
+
+  return {
+    enabled: s.check_ai_tells,
+    maxTransitionsPer1000Words: s.max_ai_transitions_per_1000_words,
+  }
+}
+
+/**
+ * Plain-text blocks (headings, paragraphs, list items) of article HTML
+ * Returns [{ text, start }]; start is null because HTML has no editor offsets
+ */
+function htmlBlocks(html) {
+  const root = parseHtml(html)
+  const blocks = findAll(root, el => BLOCK_TAGS.includes(el.tag) && !closest(el, BLOCK_TAGS))
+    .map(el => textContent(el).replace(/\s+/g, ' ').trim())
+
+  const texts = blocks.length > 0 ? blocks : textContent(root).split(/\n+/)
+  return texts.filter(Boolean).map(text => ({ text, start: null }))
+}
+
+/**
+ * Lines of editor plain text (Quill's getText()) with their offsets
+ */
+function textBlocks(text) {
+  const blocks = []
+  let start = 0
+  for (const line of text.split('\n')) {
+    if (line.trim()) blocks.push({ text: line, start })
+    start += line.length + 1
+  }
+  return blocks
+}
+
+/**
+ * Sentences of a block with their offsets in it
+ */
+function blockSentences(text) {
+  const sentences = []
+  let from = 0
+  for (const sentence of splitSentences(text)) {
+    const offset = text.indexOf(sentence, from)
+    if (offset === -1) continue
+    sentences.push({ text: sentence, offset })
+    from = offset + sentence.length
+  }
+  return sentences
+}
+
+/**
+ * Up to ~100 characters of the block around a hit
+ */
+function excerptAround(text, offset, length) {
+  const from = Math.max(0, offset - 40)
+  const to = Math.min(text.length, offset + length + 60)
+  return `${from > 0 ? '...' : ''}${text.slice(from, to).trim()}${to < text.length ? '...' : ''}`
+}
+
+/**
+ * Scan blocks for AI tells
+ * Each hit: { kind, match, block, offset, length, index, excerpt } - block is the
+ * block number, offset the position in it, index the position in editor text
+ * (null for HTML)
+ */
+function scanBlocks(blocks, settings) {
+  const t = getAITellThresholds(settings)
+  const bannedPatterns = getBannedPhrases(settings).map(phrase => ({
+    phrase,
+    pattern: new RegExp(`(?<![\\w'-])${escapeRegExp(normalizeQuotes(phrase))}(?![\\w'-])`, 'gi'),
+  }))
+  const transitionPattern = new RegExp(`^["'(]*(${AI_TRANSITIONS.map(escapeRegExp).join('|')}),`, 'i')
+
+  const hit = (kind, match, blockIndex, offset, length) => {
+    const block = blocks[blockIndex]
+    return {
+      kind,
+      match,
+      block: blockIndex,
+      offset,
+      length,
+      index: block.start === null ? null : block.start + offset,
+      excerpt: excerptAround(block.text, offset, length),
+    }
+  }
+
+  const banned = []
+  const transitions = []
+  const openers = []
+  let wordCount = 0
+  let run = []
+
+  const flushRun = () => {
+    if (run.length >= MIN_OPENER_RUN) {
+      const first = run[0]
+      openers.push({ ...hit('repetitive_opener', first.word, first.block, first.offset, first.word.length), count: run.length })
+    }
+    run = []
+  }
+
+  blocks.forEach((block, blockIndex) => {
+    const text = normalizeQuotes(block.text)
+    wordCount += getWords(text).length
+
+    for (const { phrase, pattern } of bannedPatterns) {
+      for (const match of text.matchAll(pattern)) {
+        banned.push(hit('banned_phrase', phrase, blockIndex, match.index, match[0].length))
+      }
+    }
+
+    for (const sentence of blockSentences(text)) {
+      const transition = sentence.text.match(transitionPattern)
+      if (transition) {
+        const offset = sentence.offset + transition[0].indexOf(transition[1])
+        transitions.push(hit('ai_transition', transition[1], blockIndex, offset, transition[1].length))
+      }
+
+      const word = getWords(sentence.text)[0]
+      if (!word) continue
+      const opener = { word, block: blockIndex, offset: sentence.offset + sentence.text.indexOf(word) }
+      if (run.length > 0 && run[0].word.toLowerCase() !== word.toLowerCase()) flushRun()
+      run.push(opener)
+    }
+  })
+  flushRun()
+
+  // Transitions only count once the article leans on them
+  const allowedTransitions = Math.max(1, Math.floor((wordCount / 1000) * t.maxTransitionsPer1000Words))
+  const overusedTransitions = transitions.length > allowedTransitions ? transitions : []
+
+  return {
+    wordCount,
+    bannedPhrases: banned,
+    transitions: overusedTransitions,
+    transitionCount: transitions.length,
+    allowedTransitions,
+    repetitiveOpeners: openers,
+    hits: [...banned, ...overusedTransitions, ...openers].sort((a, b) => a.block - b.block || a.offset - b.offset),
+  }
+}
+
+/**
+ * Banned phrases, overused transitions and repetitive openers in article HTML
+ */
+export function detectAITells(html = '', settings = DEFAULT_SETTINGS) {
+  return scanBlocks(htmlBlocks(html), settings)
+}
+
+/**
+ * detectAITells for editor plain text; hits carry index/length for quill.setSelection
+ */
+export function detectAITellsInText(text = '', settings = DEFAULT_SETTINGS) {
+  return scanBlocks(textBlocks(text), settings)
+}
+
+/**
+ * One-line summary of a detection ("2 banned phrases, 6 AI transitions (max 3)")
+ */
+export function summarizeAITells(tells) {
+  const parts = []
+  if (tells.bannedPhrases.length > 0) {
+    parts.push(`${tells.bannedPhrases.length} banned phrase${tells.bannedPhrases.length === 1 ? '' : 's'} (${[...new Set(tells.bannedPhrases.map(hit => `"${hit.match}"`))].join(', ')})`)
+  }
+  if (tells.transitions.length > 0) {
+    parts.push(`${tells.transitionCount} AI transitions (max ${tells.allowedTransitions})`)
+  }
+  if (tells.repetitiveOpeners.length > 0) {
+    parts.push(`${tells.repetitiveOpeners.length} run${tells.repetitiveOpeners.length === 1 ? '' : 's'} of sentences opening with the same word`)
+  }
+  return parts.join(', ')
+}
+
+/**
+ * banned_phrases quality issue for a detection, or null when the content is clean
+ */
+export function getAITellIssue(tells) {
+  if (tells.hits.length === 0) return null
+
+  return {
+    type: 'banned_phrases',
+    severity: tells.bannedPhrases.length > 0 ? 'major' : 'minor',
+    description: `AI-sounding phrasing: ${summarizeAITells(tells)}.`,
+    hits: tells.hits.slice(0, MAX_ISSUE_HITS).map(({ kind, match, block, excerpt, count }) => ({
+      kind, match, block, excerpt, ...(count ? { count } : {}),
+    })),
+  }
+}
+
+/**
+ * Auto-fix instruction for a banned_phrases issue, naming each hit
+ */
+export function getBannedPhraseFixInstruction(issue, settings = DEFAULT_SETTINGS) {
+  const lines = [
+    `- ${issue.description || 'AI-sounding phrasing.'} Rewrite only the sentences below; keep their meaning, facts and links.`,
+  ]
+
+  for (const hit of issue.hits || []) {
+    if (hit.kind === 'banned_phrase') {
+      lines.push(`  - Remove "${hit.match}" from "${hit.excerpt}"`)
+    } else if (hit.kind === 'ai_transition') {
+      lines.push(`  - Drop or replace the transition "${hit.match}," in "${hit.excerpt}"`)
+    } else if (hit.kind === 'repetitive_opener') {
+      lines.push(`  - ${hit.count || MIN_OPENER_RUN} sentences in a row start with "${hit.match}" from "${hit.excerpt}"; vary how they open`)
+    }
+  }
+
+  lines.push(`  - Do not introduce any of these phrases: ${getBannedPhrases(settings).map(phrase => `"${phrase}"`).join(', ')}`)
+
+  return lines.join('\n')
+}
@@ -0,0 +1,189 @@
+/**
+ * Humanness Estimator
+ * Offline stand-ins for the perplexity and burstiness the humanize prompt asks
+ * for, so we can tell whether the humanize pass changed anything:
+ * - burstiness: variation of sentence length (coefficient of variation)
+ * - lexical diversity: moving-average type-token ratio
+ * - repetition: share of word trigrams that repeat an earlier one
+ * - perplexity: an interpolated unigram/bigram model estimated on the article
+ *   itself with leave-one-out counts, so predictable, formulaic text scores low
+ * The four are combined into a 0-100 score. Heuristic and language-model free;
+ * only meaningful for comparing versions of the same article.
+ * Pure module shared by GenerationService and the Edge Function pipeline.
+ */
+
+import { DEFAULT_SETTINGS } from '../settings.js'
+import { extractParagraphs, splitSentences, getWords } from './readability.js'
+
+// Word window for the moving-average type-token ratio
+const TTR_WINDOW = 50
+
+// Weight of the bigram estimate against the unigram one
+const BIGRAM_WEIGHT = 0.5
+
+// Where each signal reaches full marks: human prose varies sentence length by
+// ~60% of the mean, keeps ~80% distinct words in a 50-word window, and rarely
+// repeats a three-word sequence
+const TARGETS = {
+  burstiness: 0.6,
+  minDiversity: 0.5,
+  maxDiversity: 0.8,
+  maxRepetition: 0.1,
+  minSurprise: 0.5,
+  maxSurprise: 0.9,
+}
+
+const WEIGHTS = { burstiness: 0.35, perplexity: 0.25, diversity: 0.2, repetition: 0.2 }
+
+const clamp = (value) => Math.min(1, Math.max(0, value))
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits
+
+/**
+ * Moving-average type-token ratio (plain TTR for texts shorter than the window)
+ */
+export function typeTokenRatio(words) {
+  if (words.length === 0) return 0
+  if (words.length <= TTR_WINDOW) return new Set(words).size / words.length
+
+  let total = 0
+  const counts = new Map()
+  for (let i = 0; i < words.length; i++) {
+    counts.set(words[i], (counts.get(words[i]) || 0) + 1)
+    if (i >= TTR_WINDOW) {
+      const dropped = words[i - TTR_WINDOW]
+      if (counts.get(dropped) === 1) counts.delete(dropped)
+      else counts.set(dropped, counts.get(dropped) - 1)
+    }
+    if (i >= TTR_WINDOW - 1) total += counts.size / TTR_WINDOW
+  }
+
+  return total / (words.length - TTR_WINDOW + 1)
+}
+
+/**
+ * Share of word trigrams that already appeared earlier in the text
+ */
+export function trigramRepetition(sentences) {
+  const seen = new Set()
+  let total = 0
+  let repeated = 0
+
+  for (const words of sentences) {
+    for (let i = 0; i + 2 < words.length; i++) {
+      const trigram = `${words[i]} ${words[i + 1]} ${words[i + 2]}`
+      total++
+      if (seen.has(trigram)) repeated++
+      else seen.add(trigram)
+    }
+  }
+
+  return total > 0 ? repeated / total : 0
+}
+
+/**
+ * Perplexity of the text under an interpolated unigram/bigram model of itself
+ * Each word is predicted with its own occurrence left out of the counts, so a
+ * word or word pair only helps predict itself when the text repeats it
+ * Returns { perplexity, vocabulary }
+ */
+export function localPerplexity(sentences) {
+  const unigrams = new Map()
+  const bigrams = new Map()
+  const contexts = new Map()
+  let tokens = 0
+
+  for (const words of sentences) {
+    let previous = '<s>'
+    for (const word of words) {
+      unigrams.set(word, (unigrams.get(word) || 0) + 1)
+      bigrams.set(`${previous} ${word}`, (bigrams.get(`${previous} ${word}`) || 0) + 1)
+      contexts.set(previous, (contexts.get(previous) || 0) + 1)
+      previous = word
+      tokens++
+    }
+  }
+
+  if (tokens < 2) return { perplexity: 0, vocabulary: unigrams.size }
+
+  // Add-one unigram over the vocabulary plus an unknown word
+  const vocabulary = unigrams.size + 1
+  let logProbability = 0
+
+  for (const words of sentences) {
+    let previous = '<s>'
+    for (const word of words) {
+      const unigram = unigrams.get(word) / (tokens - 1 + vocabulary)
+      const contextCount = contexts.get(previous) - 1
+      const probability = contextCount > 0
+        ? BIGRAM_WEIGHT * ((bigrams.get(`${previous} ${word}`) - 1) / contextCount) + (1 - BIGRAM_WEIGHT) * unigram
+        : unigram
+      logProbability += Math.log(probability)
+      previous = word
+    }
+  }
+
+  return { perplexity: Math.exp(-logProbability / tokens), vocabulary }
+}
+
+/**
+ * Burstiness, diversity, repetition and perplexity of article HTML with a 0-100 score
+ */
+export function analyzeHumanness(html = '') {
+  const sentences = extractParagraphs(html)
+    .flatMap(paragraph => splitSentences(paragraph))
+    .map(sentence => getWords(sentence).map(word => word.toLowerCase()))
+    .filter(words => words.length > 0)
+  const words = sentences.flat()
+
+  const lengths = sentences.map(sentence => sentence.length)
+  const mean = lengths.length > 0 ? words.length / lengths.length : 0
+  const variance = lengths.length > 0 ? lengths.reduce((sum, length) => sum + (length - mean) ** 2, 0) / lengths.length : 0
+  const stdDev = Math.sqrt(variance)
+  const burstiness = mean > 0 ? stdDev / mean : 0
+
+  const diversity = typeTokenRatio(words)
+  const repetition = trigramRepetition(sentences)
+  const { perplexity, vocabulary } = localPerplexity(sentences)
+  // Perplexity relative to the most it could be for this vocabulary
+  const surprise = perplexity > 1 && vocabulary > 1 ? Math.log(perplexity) / Math.log(vocabulary) : 0
+
+  const score = words.length === 0 ? 0 : 100 * (
+    WEIGHTS.burstiness * clamp(burstiness / TARGETS.burstiness) +
+    WEIGHTS.perplexity * clamp((surprise - TARGETS.minSurprise) / (TARGETS.maxSurprise - TARGETS.minSurprise)) +
+    WEIGHTS.diversity * clamp((diversity - TARGETS.minDiversity) / (TARGETS.maxDiversity - TARGETS.minDiversity)) +
+    WEIGHTS.repetition * clamp(1 - repetition / TARGETS.maxRepetition)
+  )
+
+  return {
+    score: Math.round(score),
+    wordCount: words.length,
+    sentenceCount: sentences.length,
+    avgSentenceLength: round(mean),
+    sentenceLengthStdDev: round(stdDev),
+    burstiness: round(burstiness, 3),
+    typeTokenRatio: round(diversity, 3),
+    trigramRepetition: round(repetition, 3),
+    perplexity: round(perplexity),
+  }
+}
+
+/**
+ * Score an article before and after humanization
+ * Returns { before, after, improvement, improved, measured_at } as stored in
+ * articles.humanization_scores; improved is false when the score rose by less
+ * than min_humanization_improvement points
+ */
+export function scoreHumanization(before = '', after = '', settings = DEFAULT_SETTINGS) {
+  const s = { ...DEFAULT_SETTINGS, ...settings }
+  const scoresBefore = analyzeHumanness(before)
+  const scoresAfter = analyzeHumanness(after)
+  const improvement = scoresAfter.score - scoresBefore.score
+
+  return {
+    before: scoresBefore,
+    after: scoresAfter,
+    improvement,
+    improved: improvement >= s.min_humanization_improvement,
+    measured_at: new Date().toISOString(),
+  }
+}
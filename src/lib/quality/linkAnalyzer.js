@@ -0,0 +1,214 @@
+/**
+ * Link Analyzer
+ * Parses article HTML and classifies every link against the site's own domain
+ * (WordPress connection site_url and site_articles.url). Shared by the quality
+ * metrics, the editor and the Edge Function pipeline.
+ */
+
+import { parseHtml, findAll, textContent, closest } from '../html/parseHtml.js'
+import { scoreLinkedArticles } from '../linking/relevance.js'
+
+// Hrefs that are obviously unfinished placeholders from the AI models
+const PLACEHOLDER_PATTERN = /^(?:url|link|#+|\[.*\]|\{.*\}|https?:\/\/(?:www\.)?(?:example|yourdomain|yoursite|domain)\.(?:com|org|net)(?:\/.*)?)$/i
+
+/**
+ * Lowercased hostname without a leading www.
+ */
+export function normalizeHost(host = '') {
+  return host.toLowerCase().replace(/^www\./, '').replace(/\.$/, '')
+}
+
+/**
+ * Host of an absolute URL, or null when it can't be parsed
+ */
+export function getHost(url) {
+  try {
+    return normalizeHost(new URL(url).hostname)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Comparable form of a URL: host without www, path without trailing slash,
+ * query kept, fragment dropped. Relative URLs resolve against the site host.
+ */
+export function normalizeUrl(url, siteHost = null) {
+  if (!url) return null
+  try {
+    const base = siteHost ? `https://${siteHost}` : 'https://relative.invalid'
+    const parsed = new URL(url, base)
+    const path = parsed.pathname.replace(/\/+$/, '') || '/'
+    return `${normalizeHost(parsed.hostname)}${path}${parsed.search}`
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Build the classification context from site URLs and known articles
+ * articles ({ id, url, title }) also let internal links resolve to site_articles rows
+ */
+export function buildLinkContext({ siteUrls = [], articleUrls = [], articles = [] } = {}) {
+  const allArticleUrls = [...articleUrls, ...articles.map(article => article.url)]
+
+  const siteHosts = new Set(siteUrls.map(getHost).filter(Boolean))
+  for (const url of allArticleUrls) {
+    const host = getHost(url)
+    if (host) siteHosts.add(host)
+  }
+
+  const primaryHost = siteUrls.map(getHost).find(Boolean) || [...siteHosts][0] || null
+
+  const articlesByUrl = new Map()
+  for (const article of articles) {
+    const url = normalizeUrl(article.url, primaryHost)
+    if (url) articlesByUrl.set(url, article)
+  }
+
+  return {
+    siteHosts,
+    primaryHost,
+    articleUrls: new Set(allArticleUrls.map(url => normalizeUrl(url, primaryHost)).filter(Boolean)),
+    articlesByUrl,
+  }
+}
+
+function classifyHref(href, context) {
+  const trimmed = href.trim()
+
+  if (!trimmed) return { kind: 'broken', reason: 'Empty href' }
+  if (PLACEHOLDER_PATTERN.test(trimmed)) return { kind: 'broken', reason: 'Placeholder URL' }
+  if (/^javascript:/i.test(trimmed)) return { kind: 'broken', reason: 'javascript: URL' }
+  if (trimmed.startsWith('#')) return { kind: 'anchor' }
+  if (/^(?:mailto|tel|sms):/i.test(trimmed)) return { kind: 'contact' }
+
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(trimmed)?.[1]?.toLowerCase()
+  if (scheme && scheme !== 'http' && scheme !== 'https') return { kind: 'broken', reason: `Unsupported scheme ${scheme}:` }
+
+  // Protocol-relative and absolute URLs need a real host
+  if (scheme || trimmed.startsWith('//')) {
+    const host = getHost(trimmed.startsWith('//') ? `https:${trimmed}` : trimmed)
+    if (!host || !host.includes('.')) return { kind: 'broken', reason: 'Malformed URL' }
+    return { kind: context.siteHosts.has(host) ? 'internal' : 'external', host }
+  }
+
+  if (/\s/.test(trimmed)) return { kind: 'broken', reason: 'URL contains spaces' }
+
+  // Relative URLs point at the site itself
+  return { kind: 'internal', host: context.primaryHost }
+}
+
+/**
+ * Analyze every <a> in the content
+ * context: { siteUrls, articleUrls, articles } or a prebuilt buildLinkContext() result
+ *
+ * Each link: { href, anchorText, type, host, url, rel, nofollow, sponsored, ugc,
+ *   opensNewTab, inHeading, isKnownArticle, siteArticle, broken, brokenReason, duplicate }
+ * type is 'internal' | 'external' | 'anchor' | 'contact' | 'broken'
+ */
+export function analyzeLinks(html = '', context = {}) {
+  const ctx = context.siteHosts ? context : buildLinkContext(context)
+  const tree = parseHtml(html)
+  const seen = new Map()
+
+  const links = findAll(tree, 'a')
+    .filter(anchor => 'href' in anchor.attrs)
+    .map(anchor => {
+      const href = anchor.attrs.href
+      const rel = (anchor.attrs.rel || '').toLowerCase().split(/\s+/).filter(Boolean)
+      const classification = classifyHref(href, ctx)
+      const url = ['internal', 'external'].includes(classification.kind)
+        ? normalizeUrl(href.trim(), ctx.primaryHost)
+        : null
+
+      // Internal links are broken when we know the site's articles and this isn't one of them
+      let broken = classification.kind === 'broken'
+      let brokenReason = classification.reason || null
+      const isKnownArticle = classification.kind === 'internal' && ctx.articleUrls.has(url)
+      if (classification.kind === 'internal' && ctx.articleUrls.size > 0 && !isKnownArticle) {
+        const path = url?.slice(url.indexOf('/')) || '/'
+        if (path !== '/') {
+          broken = true
+          brokenReason = 'Not a known site article'
+        }
+      }
+
+      const duplicate = url !== null && seen.has(url)
+      if (url !== null) seen.set(url, (seen.get(url) || 0) + 1)
+
+      return {
+        href,
+        anchorText: textContent(anchor).replace(/\s+/g, ' ').trim(),
+        type: classification.kind,
+        host: classification.host || null,
+        url,
+        rel,
+        nofollow: rel.includes('nofollow'),
+        sponsored: rel.includes('sponsored'),
+        ugc: rel.includes('ugc'),
+        opensNewTab: anchor.attrs.target === '_blank',
+        inHeading: closest(anchor, ['h1', 'h2', 'h3', 'h4', 'h5', 'h6']) !== null,
+        isKnownArticle,
+        siteArticle: isKnownArticle ? ctx.articlesByUrl.get(url) || null : null,
+        broken,
+        brokenReason,
+        duplicate,
+      }
+    })
+
+  const internal = links.filter(link => link.type === 'internal')
+  const external = links.filter(link => link.type === 'external')
+
+  return {
+    links,
+    internalCount: internal.length,
+    externalCount: external.length,
+    uniqueInternalCount: new Set(internal.map(link => link.url)).size,
+    uniqueExternalCount: new Set(external.map(link => link.url)).size,
+    nofollowCount: links.filter(link => link.nofollow).length,
+    sponsoredCount: links.filter(link => link.sponsored).length,
+    brokenLinks: links.filter(link => link.broken),
+    duplicateLinks: links.filter(link => link.duplicate),
+    externalDomains: [...new Set(external.map(link => link.host))],
+  }
+}
+
+/**
+ * Rows for the internal_links and external_links tables, one per distinct target
+ * Internal links only produce rows when they resolve to a known site article;
+ * relevance_score is the content's similarity to the target (see linking/relevance)
+ */
+export function getLinkRecords(html = '', context = {}) {
+  const ctx = context.siteHosts ? context : buildLinkContext(context)
+  const { links } = analyzeLinks(html, ctx)
+  const internal = new Map()
+  const external = new Map()
+
+  for (const link of links) {
+    if (link.type === 'internal' && link.siteArticle?.id && !internal.has(link.siteArticle.id)) {
+      internal.set(link.siteArticle.id, { link, target: link.siteArticle })
+    }
+
+    if (link.type === 'external' && !external.has(link.url)) {
+      external.set(link.url, {
+        url: link.href.trim(),
+        anchor_text: link.anchorText || null,
+        domain: link.host,
+        is_citation: !link.nofollow && !link.sponsored && !link.ugc,
+      })
+    }
+  }
+
+  const targets = [...internal.values()].map(({ target }) => target)
+  const relevance = scoreLinkedArticles(html, targets, [...ctx.articlesByUrl.values()])
+
+  return {
+    internal: [...internal.values()].map(({ link, target }) => ({
+      target_site_article_id: target.id,
+      anchor_text: link.anchorText || link.href,
+      relevance_score: relevance.get(target.id) ?? null,
+    })),
+    external: [...external.values()],
+  }
+}
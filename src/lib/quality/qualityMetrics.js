@@ -0,0 +1,243 @@
+/**
+ * Quality Metrics
+ * Single scoring implementation shared by GenerationService, QualityChecklist and
+ * the Edge Function pipeline. Thresholds come from system_settings.
+ */
+
+import { DEFAULT_SETTINGS } from '../settings.js'
+import { analyzeReadability } from './readability.js'
+import { analyzeLinks } from './linkAnalyzer.js'
+import { detectAITells, getAITellIssue } from './aiTells.js'
+import { analyzeOnPageSeo, getOnPageSeoIssues } from '../seo/onPageSeo.js'
+
+/**
+ * Strip HTML tags and collapse whitespace
+ */
+export function stripHtml(html = '') {
+  return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Count words in plain text
+ */
+export function countWords(text = '') {
+  return text.split(' ').filter(w => w.length > 0).length
+}
+
+/**
+ * Extract the thresholds used by the quality checks from a settings object
+ */
+export function getQualityThresholds(settings = DEFAULT_SETTINGS) {
+  const s = { ...DEFAULT_SETTINGS, ...settings }
+
+  return {
+    minWords: s.target_word_count_min,
+    maxWords: s.target_word_count_max,
+    minInternalLinks: s.min_internal_links,
+    maxInternalLinks: s.max_internal_links,
+    minExternalLinks: s.min_external_links,
+    minFaqs: s.min_faq_count,
+    minH2: s.min_h2_count,
+    maxAvgSentenceLength: s.max_avg_sentence_length,
+    minReadingEase: s.min_flesch_reading_ease,
+    maxGradeLevel: s.max_grade_level,
+    maxPassivePercent: s.max_passive_voice_percent,
+    checkReadability: s.check_readability,
+    checkHeadings: s.check_heading_structure,
+    checkLinks: s.check_link_compliance,
+    checkAITells: s.check_ai_tells,
+    checkOnPageSeo: s.check_on_page_seo,
+  }
+}
+
+/**
+ * Measure the raw metrics of an article
+ * linkContext: { siteUrls, articles } used to tell internal links from external ones
+ */
+export function measureContent(content = '', faqs = [], linkContext = {}) {
+  const textContent = stripHtml(content)
+  const wordCount = countWords(textContent)
+
+  const links = analyzeLinks(content, linkContext)
+  const h2Count = (content.match(/<h2/gi) || []).length
+
+  const readability = analyzeReadability(content)
+
+  return {
+    wordCount,
+    internalLinks: links.internalCount,
+    externalLinks: links.externalCount,
+    links,
+    faqCount: faqs?.length || 0,
+    h2Count,
+    avgSentenceLength: readability.avgSentenceLength,
+    readability,
+  }
+}
+
+/**
+ * Readability thresholds the content misses (empty when it passes)
+ */
+export function getReadabilityProblems(readability, thresholds) {
+  const problems = []
+  if (readability.wordCount === 0) return problems
+
+  if (readability.fleschReadingEase < thresholds.minReadingEase) {
+    problems.push(`Flesch Reading Ease ${readability.fleschReadingEase} (min ${thresholds.minReadingEase})`)
+  }
+  if (readability.fleschKincaidGrade > thresholds.maxGradeLevel) {
+    problems.push(`grade level ${readability.fleschKincaidGrade} (max ${thresholds.maxGradeLevel})`)
+  }
+  if (readability.avgSentenceLength > thresholds.maxAvgSentenceLength) {
+    problems.push(`${readability.avgSentenceLength} words per sentence (max ${thresholds.maxAvgSentenceLength})`)
+  }
+  if (readability.passiveRatio * 100 > thresholds.maxPassivePercent) {
+    problems.push(`${Math.round(readability.passiveRatio * 100)}% passive sentences (max ${thresholds.maxPassivePercent}%)`)
+  }
+
+  return problems
+}
+
+/**
+ * Calculate quality score and issues for an article
+ * Each issue: { type, severity, description }
+ * article: { title, meta_title, meta_description, slug, focus_keyword,
+ * keyword_research_data } for the on-page SEO checks
+ */
+export function calculateQualityMetrics(content = '', faqs = [], settings = DEFAULT_SETTINGS, linkContext = {}, article = {}) {
+  const t = getQualityThresholds(settings)
+  const metrics = measureContent(content, faqs, linkContext)
+  const issues = []
+  let score = 100
+
+  if (metrics.wordCount < t.minWords) {
+    issues.push({
+      type: 'word_count_low',
+      severity: 'major',
+      description: `Article is too short (${metrics.wordCount} words). Aim for ${t.minWords}-${t.maxWords} words.`,
+    })
+    score -= 15
+  } else if (metrics.wordCount > t.maxWords) {
+    issues.push({
+      type: 'word_count_high',
+      severity: 'minor',
+      description: `Article is too long (${metrics.wordCount} words). Consider condensing.`,
+    })
+    score -= 5
+  }
+
+  if (t.checkLinks) {
+    if (metrics.internalLinks < t.minInternalLinks) {
+      issues.push({
+        type: 'missing_internal_links',
+        severity: 'major',
+        description: `Missing internal links. Add ${t.minInternalLinks - metrics.internalLinks} more.`,
+      })
+      score -= 15
+    }
+
+    if (metrics.externalLinks < t.minExternalLinks) {
+      issues.push({
+        type: 'missing_external_links',
+        severity: 'minor',
+        description: `Missing external citations. Add ${t.minExternalLinks - metrics.externalLinks} more.`,
+      })
+      score -= 10
+    }
+
+    if (metrics.links.brokenLinks.length > 0) {
+      issues.push({
+        type: 'broken_links',
+        severity: 'major',
+        description: `Broken links: ${metrics.links.brokenLinks.map(link => `"${link.anchorText || link.href}" (${link.brokenReason})`).join('; ')}.`,
+        links: metrics.links.brokenLinks.map(link => link.href),
+      })
+      score -= 10
+    }
+  }
+
+  if (metrics.faqCount < t.minFaqs) {
+    issues.push({
+      type: 'missing_faqs',
+      severity: 'minor',
+      description: `Missing FAQ section. Add ${t.minFaqs - metrics.faqCount} more questions.`,
+    })
+    score -= 10
+  }
+
+  if (t.checkHeadings && metrics.h2Count < t.minH2) {
+    issues.push({
+      type: 'weak_headings',
+      severity: 'minor',
+      description: `Weak heading structure. Add ${t.minH2 - metrics.h2Count} more H2 headings.`,
+    })
+    score -= 10
+  }
+
+  if (t.checkReadability) {
+    const problems = getReadabilityProblems(metrics.readability, t)
+
+    if (problems.length > 0) {
+      issues.push({
+        type: 'poor_readability',
+        severity: 'minor',
+        description: `Readability could be improved: ${problems.join('; ')}.`,
+        hotspots: metrics.readability.hotspots,
+      })
+      score -= 10
+    }
+  }
+
+  // Banned phrases, overused transitions, repetitive openers (see aiTells.js)
+  if (t.checkAITells) {
+    metrics.aiTells = detectAITells(content, settings)
+    const issue = getAITellIssue(metrics.aiTells)
+
+    if (issue) {
+      issues.push(issue)
+      score -= issue.severity === 'major' ? 10 : 5
+    }
+  }
+
+  // Focus keyword placement and density, secondary keywords, alt text (see seo/onPageSeo.js)
+  if (t.checkOnPageSeo) {
+    metrics.onPageSeo = analyzeOnPageSeo(content, article, settings)
+
+    for (const issue of getOnPageSeoIssues(metrics.onPageSeo)) {
+      issues.push(issue)
+      score -= issue.severity === 'major' ? 10 : 5
+    }
+  }
+
+  return {
+    score: Math.max(0, score),
+    word_count: metrics.wordCount,
+    metrics,
+    thresholds: t,
+    issues,
+  }
+}
+
+/**
+ * Whether auto-fix can act on an issue by rewriting the body
+ * (issues about metadata fields are marked fixable: false)
+ */
+export function isAutoFixable(issue) {
+  return issue.fixable !== false
+}
+
+/**
+ * Auto-fix instruction for a poor_readability issue, pointing at the worst paragraphs
+ */
+export function getReadabilityFixInstruction(issue, settings = DEFAULT_SETTINGS) {
+  const t = getQualityThresholds(settings)
+  const lines = [
+    `- Poor readability. ${issue.description || ''} Aim for a Flesch Reading Ease of at least ${t.minReadingEase}, grade level ${t.maxGradeLevel} or below, under ${t.maxAvgSentenceLength} words per sentence and mostly active voice.`,
+  ]
+
+  for (const hotspot of issue.hotspots || []) {
+    lines.push(`  - Rewrite the paragraph starting "${hotspot.excerpt.slice(0, 80)}" (${hotspot.reasons.join(', ')})`)
+  }
+
+  return lines.join('\n')
+}
@@ -0,0 +1,284 @@
+/**
+ * Readability Analysis
+ * Flesch Reading Ease, Flesch-Kincaid grade, Gunning Fog, passive voice and
+ * paragraph-level hotspots for article HTML. Pure module shared with Edge Functions.
+ */
+
+// Abbreviations whose trailing period does not end a sentence
+const ABBREVIATIONS = [
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e',
+  'inc', 'ltd', 'co', 'corp', 'no', 'fig', 'approx', 'dept', 'est', 'u.s', 'u.k',
+]
+
+// Words whose syllable count the vowel-group heuristic gets wrong
+const SYLLABLE_OVERRIDES = {
+  the: 1, every: 3, different: 3, business: 2, people: 2, area: 3, idea: 3,
+  really: 2, create: 2, science: 2, being: 2, poem: 2, quiet: 2, real: 1,
+  toward: 2, video: 3, media: 3, variable: 4, experience: 4, evening: 2,
+}
+
+// Irregular past participles used by the passive voice check
+const IRREGULAR_PARTICIPLES = [
+  'awoken', 'been', 'born', 'beaten', 'become', 'begun', 'bent', 'bound', 'bitten', 'blown',
+  'broken', 'brought', 'built', 'burnt', 'bought', 'caught', 'chosen', 'come', 'cut', 'dealt',
+  'done', 'drawn', 'driven', 'eaten', 'fallen', 'fed', 'felt', 'fought', 'found', 'forgotten',
+  'forgiven', 'frozen', 'given', 'gone', 'grown', 'hung', 'heard', 'hidden', 'hit', 'held',
+  'hurt', 'kept', 'known', 'laid', 'led', 'left', 'lent', 'let', 'lost', 'made', 'meant', 'met',
+  'paid', 'put', 'read', 'ridden', 'rung', 'risen', 'run', 'said', 'seen', 'sought', 'sold',
+  'sent', 'set', 'shaken', 'shown', 'shut', 'sung', 'sunk', 'spent', 'spoken', 'spread',
+  'stolen', 'struck', 'sworn', 'swept', 'taken', 'taught', 'torn', 'told', 'thought', 'thrown',
+  'understood', 'woken', 'worn', 'won', 'withdrawn', 'written',
+]
+
+const PASSIVE_PATTERN = new RegExp(
+  `\\b(?:am|is|are|was|were|be|been|being|get|gets|got|gotten)\\s+(?:\\w+ly\\s+)?(?:\\w+ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+)
+
+// Paragraph length buckets (words)
+export const PARAGRAPH_BUCKETS = [
+  { id: 'short', label: '< 40 words', max: 40 },
+  { id: 'medium', label: '40-99 words', max: 100 },
+  { id: 'long', label: '100-149 words', max: 150 },
+  { id: 'veryLong', label: '150+ words', max: Infinity },
+]
+
+// Per-paragraph limits used to flag hotspots
+const HOTSPOT_LIMITS = {
+  maxParagraphWords: 150,
+  longSentenceWords: 35,
+  minReadingEase: 30,
+}
+
+/**
+ * Decode the handful of entities Quill and the AI models emit
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&rsquo;|&lsquo;/g, "'")
+    .replace(/&ldquo;|&rdquo;/g, '"')
+    .replace(/&mdash;|&ndash;/g, ' - ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+}
+
+/**
+ * Plain text of an HTML fragment
+ */
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Split article HTML into body paragraphs (p, li, blockquote); headings are ignored
+ * Falls back to blank-line separated text when there is no block markup
+ */
+export function extractParagraphs(html = '') {
+  const blocks = html.match(/<(p|li|blockquote)\b[^>]*>[\s\S]*?<\/\1>/gi)
+
+  const paragraphs = blocks
+    ? blocks.map(toText)
+    : html.split(/\n\s*\n/).map(toText)
+
+  return paragraphs.filter(text => text.length > 0)
+}
+
+/**
+ * Words in a piece of plain text (numbers and hyphenated words count once)
+ */
+export function getWords(text = '') {
+  return text.match(/[A-Za-z0-9]+(?:['’-][A-Za-z0-9]+)*/g) || []
+}
+
+/**
+ * Split plain text into sentences, ignoring abbreviations and decimals
+ */
+export function splitSentences(text = '') {
+  const sentences = []
+  let current = ''
+
+  const tokens = text.split(/(\s+)/)
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    current += token
+
+    if (!/[.!?]["')\]]*$/.test(token)) continue
+
+    const bare = token.toLowerCase().replace(/["')\]]+$/, '').replace(/[.!?]+$/, '')
+    const next = tokens[i + 2] || ''
+    const isAbbreviation = token.endsWith('.') && ABBREVIATIONS.includes(bare.replace(/^["'(]+/, ''))
+    const isInitial = /^[A-Za-z]$/.test(bare)
+    const nextStartsSentence = next === '' || /^["'(]*[A-Z0-9]/.test(next)
+
+    if (!isAbbreviation && !isInitial && nextStartsSentence) {
+      sentences.push(current.trim())
+      current = ''
+    }
+  }
+
+  if (current.trim()) sentences.push(current.trim())
+
+  return sentences.filter(sentence => getWords(sentence).length > 0)
+}
+
+/**
+ * Estimate syllables in an English word
+ */
+export function countSyllables(rawWord = '') {
+  const word = rawWord.toLowerCase().replace(/[^a-z]/g, '')
+  if (!word) return /\d/.test(rawWord) ? 1 : 0
+  if (SYLLABLE_OVERRIDES[word]) return SYLLABLE_OVERRIDES[word]
+  if (word.length <= 3) return 1
+
+  const stem = word
+    .replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, match => match.charAt(0))
+    .replace(/^y/, '')
+
+  // Vowel groups, counting split pairs (cre-ate, ri-ot) as two
+  const groups = stem.match(/[aeiouy]+/g) || []
+  let count = groups.length
+  count += (stem.match(/(?:ia|io(?!n|u)|iu|ua|uo|eo(?!u))/g) || []).length
+
+  return Math.max(1, count)
+}
+
+/**
+ * Gunning Fog "complex word": 3+ syllables, not a proper noun, not a
+ * hyphenated compound, not made complex only by -es/-ed/-ing
+ */
+function isComplexWord(word, isSentenceStart) {
+  if (word.includes('-')) return false
+  if (!isSentenceStart && /^[A-Z]/.test(word)) return false
+
+  const base = word.toLowerCase().replace(/(?:es|ed|ing)$/, '')
+  return countSyllables(base) >= 3 || (countSyllables(word) >= 3 && base === word.toLowerCase())
+}
+
+function fleschReadingEase(words, sentences, syllables) {
+  if (words === 0 || sentences === 0) return 0
+  return 206.835 - 1.015 * (words / sentences) - 84.6 * (syllables / words)
+}
+
+function fleschKincaidGrade(words, sentences, syllables) {
+  if (words === 0 || sentences === 0) return 0
+  return 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59
+}
+
+function gunningFog(words, sentences, complexWords) {
+  if (words === 0 || sentences === 0) return 0
+  return 0.4 * (words / sentences + 100 * (complexWords / words))
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places
+  return Math.round(value * factor) / factor
+}
+
+/**
+ * Raw counts for a block of plain text
+ */
+function measureText(text) {
+  const sentences = splitSentences(text)
+  let words = 0
+  let syllables = 0
+  let complexWords = 0
+  let passiveSentences = 0
+  let longSentences = 0
+
+  for (const sentence of sentences) {
+    const sentenceWords = getWords(sentence)
+    words += sentenceWords.length
+    if (sentenceWords.length > HOTSPOT_LIMITS.longSentenceWords) longSentences++
+    if (PASSIVE_PATTERN.test(sentence)) passiveSentences++
+
+    sentenceWords.forEach((word, index) => {
+      syllables += countSyllables(word)
+      if (isComplexWord(word, index === 0)) complexWords++
+    })
+  }
+
+  return {
+    sentences: sentences.length,
+    words,
+    syllables,
+    complexWords,
+    passiveSentences,
+    longSentences,
+  }
+}
+
+/**
+ * Human label for a Flesch Reading Ease score
+ */
+export function describeReadingEase(score) {
+  if (score >= 90) return 'Very easy'
+  if (score >= 80) return 'Easy'
+  if (score >= 70) return 'Fairly easy'
+  if (score >= 60) return 'Plain English'
+  if (score >= 50) return 'Fairly difficult'
+  if (score >= 30) return 'Difficult'
+  return 'Very difficult'
+}
+
+/**
+ * Full readability analysis of article HTML
+ */
+export function analyzeReadability(html = '', { maxHotspots = 5 } = {}) {
+  const paragraphs = extractParagraphs(html)
+  const totals = { sentences: 0, words: 0, syllables: 0, complexWords: 0, passiveSentences: 0, longSentences: 0 }
+  const distribution = Object.fromEntries(PARAGRAPH_BUCKETS.map(bucket => [bucket.id, 0]))
+  const hotspots = []
+
+  paragraphs.forEach((text, index) => {
+    const counts = measureText(text)
+    for (const key of Object.keys(totals)) totals[key] += counts[key]
+
+    const bucket = PARAGRAPH_BUCKETS.find(b => counts.words < b.max)
+    distribution[bucket.id]++
+
+    const ease = fleschReadingEase(counts.words, counts.sentences, counts.syllables)
+    const reasons = []
+    if (counts.words >= HOTSPOT_LIMITS.maxParagraphWords) reasons.push(`${counts.words}-word paragraph`)
+    if (counts.longSentences > 0) reasons.push(`${counts.longSentences} sentence${counts.longSentences === 1 ? '' : 's'} over ${HOTSPOT_LIMITS.longSentenceWords} words`)
+    if (counts.words >= 20 && ease < HOTSPOT_LIMITS.minReadingEase) reasons.push(`reading ease ${Math.round(ease)}`)
+    if (counts.passiveSentences > 1) reasons.push(`${counts.passiveSentences} passive sentences`)
+
+    if (reasons.length > 0) {
+      hotspots.push({
+        index,
+        excerpt: text.length > 120 ? `${text.slice(0, 117)}...` : text,
+        wordCount: counts.words,
+        fleschReadingEase: round(ease),
+        gradeLevel: round(fleschKincaidGrade(counts.words, counts.sentences, counts.syllables)),
+        reasons,
+      })
+    }
+  })
+
+  // Worst paragraphs first: most reasons, then lowest reading ease
+  hotspots.sort((a, b) => b.reasons.length - a.reasons.length || a.fleschReadingEase - b.fleschReadingEase)
+
+  const { sentences, words, syllables, complexWords, passiveSentences, longSentences } = totals
+
+  return {
+    wordCount: words,
+    sentenceCount: sentences,
+    syllableCount: syllables,
+    paragraphCount: paragraphs.length,
+    avgSentenceLength: sentences > 0 ? round(words / sentences) : 0,
+    avgSyllablesPerWord: words > 0 ? round(syllables / words, 2) : 0,
+    avgParagraphLength: paragraphs.length > 0 ? round(words / paragraphs.length) : 0,
+    fleschReadingEase: round(fleschReadingEase(words, sentences, syllables)),
+    fleschKincaidGrade: round(fleschKincaidGrade(words, sentences, syllables)),
+    gunningFog: round(gunningFog(words, sentences, complexWords)),
+    complexWordRatio: words > 0 ? round(complexWords / words, 3) : 0,
+    passiveSentenceCount: passiveSentences,
+    passiveRatio: sentences > 0 ? round(passiveSentences / sentences, 3) : 0,
+    longSentenceCount: longSentences,
+    paragraphDistribution: distribution,
+    hotspots: hotspots.slice(0, maxHotspots),
+  }
+}
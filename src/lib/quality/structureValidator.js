@@ -0,0 +1,196 @@
+/**
+ * Structure Validator
+ * Compares article HTML before and after an LLM stage (humanize, internal links,
+ * auto-fix) and reports what the stage lost: headings, links, words, facts
+ * (numbers and named entities) and tag balance. When the losses pass the
+ * stage thresholds in system_settings the stage is rolled back to its input.
+ * Pure module shared by GenerationService and the Edge Function pipeline.
+ */
+
+import { DEFAULT_SETTINGS } from '../settings.js'
+import { parseHtml, textContent } from '../html/parseHtml.js'
+import { htmlOutline, unbalancedTags, describeTagProblems } from '../html/structure.js'
+import { stripHtml, countWords } from './qualityMetrics.js'
+
+// Below this many facts in the input a few missing ones are just rewording
+const MIN_FACTS_FOR_RATIO = 5
+
+// How many lost items a finding lists
+const MAX_LISTED = 8
+
+// Auto-fix issues whose fix is expected to grow or shrink the article
+const RESIZING_ISSUES = ['word_count_low', 'word_count_high', 'missing_faqs']
+
+// Capitalized words that are not names
+const NON_ENTITIES = new Set([
+  'I', 'I\'m', 'I\'ve', 'I\'d', 'I\'ll', 'A', 'An', 'The', 'This', 'That', 'These', 'Those', 'It', 'We', 'You',
+  'FAQ', 'FAQs', 'Q', 'OK',
+])
+
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim()
+
+/**
+ * Plain text with a line break after each block element, so headings and
+ * paragraphs don't run together into one sentence
+ */
+function blockText(html) {
+  return textContent(parseHtml(html.replace(/<\/(?:h[1-6]|p|li|div|blockquote|td|th|tr)>/gi, '$&\n')))
+}
+
+/**
+ * Numbers in plain text, normalized (1,200 → 1200); years, prices and percentages included
+ */
+export function extractNumbers(text = '') {
+  return [...new Set((text.match(/\d[\d,]*(?:\.\d+)?%?/g) || [])
+    .map(number => number.replace(/,(?=\d{3}\b)/g, '').replace(/[.,]$/, '')))]
+}
+
+/**
+ * Named entities in plain text: runs of capitalized words that don't start a
+ * sentence (Google Search Console, New York) and acronyms (SEO, HTML)
+ */
+export function extractEntities(text = '') {
+  const entities = new Set()
+
+  for (const sentence of text.split(/(?<=[.!?:])\s+|\n+/)) {
+    const words = sentence.split(/\s+/).map(word => word.replace(/^[^\w]+|[^\w']+$/g, ''))
+    let run = []
+
+    const flush = () => {
+      const entity = run.join(' ')
+      if (entity && !NON_ENTITIES.has(entity)) entities.add(entity)
+      run = []
+    }
+
+    words.forEach((word, index) => {
+      const acronym = /^[A-Z]{2,}[a-z]?$/.test(word)
+      const capitalized = /^[A-Z][a-z]+(?:[A-Z][a-z]+)*$/.test(word) && index > 0
+      if (acronym || (capitalized && !NON_ENTITIES.has(word))) {
+        run.push(word)
+      } else {
+        flush()
+      }
+    })
+    flush()
+  }
+
+  return [...entities]
+}
+
+/**
+ * Thresholds for stage checks from a settings object
+ */
+export function getStageThresholds(settings = DEFAULT_SETTINGS) {
+  const s = { ...DEFAULT_SETTINGS, ...settings }
+
+  return {
+    enabled: s.stage_validation_enabled,
+    rollback: s.stage_rollback_enabled,
+    maxWordChangePercent: s.max_stage_word_change_percent,
+    maxMissingFactsPercent: s.max_stage_missing_facts_percent,
+  }
+}
+
+const listed = (items) => items.slice(0, MAX_LISTED).join(', ') + (items.length > MAX_LISTED ? ` and ${items.length - MAX_LISTED} more` : '')
+
+/**
+ * Compare a stage's input and output HTML
+ * allowWordCountChange: skip the word delta check (auto-fix asked to lengthen or shorten)
+ * Returns findings [{ type, severity, message }]; severity 'error' findings
+ * exceed a threshold and roll the stage back
+ */
+export function compareStructure(before = '', after = '', settings = DEFAULT_SETTINGS, { allowWordCountChange = false } = {}) {
+  const t = getStageThresholds(settings)
+  const findings = []
+  const add = (type, severity, message) => findings.push({ type, severity, message })
+
+  // Tags
+  const newTagProblems = unbalancedTags(after)
+  if (newTagProblems.length > unbalancedTags(before).length) {
+    add('unbalanced_tags', 'error', `Unbalanced tags: ${describeTagProblems(newTagProblems)}`)
+  }
+
+  // Heading outline: fewer headings at a level is structural loss, renamed ones are worth a look
+  const outlineBefore = htmlOutline(before)
+  const outlineAfter = htmlOutline(after)
+  for (const level of [2, 3, 4]) {
+    const countBefore = outlineBefore.headings.filter(heading => heading.level === level).length
+    const countAfter = outlineAfter.headings.filter(heading => heading.level === level).length
+    if (countAfter < countBefore) {
+      add('headings_removed', 'error', `${countBefore - countAfter} of ${countBefore} H${level} headings removed`)
+    }
+  }
+  const headingsAfter = new Set(outlineAfter.headings.map(heading => normalizeText(heading.text)))
+  const renamed = outlineBefore.headings.filter(heading => !headingsAfter.has(normalizeText(heading.text)))
+  if (renamed.length > 0 && !findings.some(finding => finding.type === 'headings_removed')) {
+    add('headings_changed', 'warning', `Headings reworded: ${listed(renamed.map(heading => `"${heading.text}"`))}`)
+  }
+
+  // Links
+  const linksAfter = new Set(outlineAfter.links)
+  const removedLinks = [...new Set(outlineBefore.links)].filter(href => !linksAfter.has(href))
+  if (removedLinks.length > 0) {
+    add('links_removed', 'warning', `${removedLinks.length} links removed: ${listed(removedLinks)}`)
+  }
+
+  // Word count
+  const wordsBefore = countWords(stripHtml(before))
+  const wordsAfter = countWords(stripHtml(after))
+  const wordChange = wordsBefore > 0 ? Math.round(((wordsAfter - wordsBefore) / wordsBefore) * 100) : 0
+  if (!allowWordCountChange && Math.abs(wordChange) > t.maxWordChangePercent) {
+    add('word_count_changed', 'error', `Word count changed ${wordChange > 0 ? '+' : ''}${wordChange}% (${wordsBefore} → ${wordsAfter}, limit ±${t.maxWordChangePercent}%)`)
+  }
+
+  // Facts: numbers and named entities from the input that no longer appear
+  const textBefore = blockText(before)
+  const textAfter = blockText(after)
+  const numbersAfter = new Set(extractNumbers(textAfter))
+  const normalizedAfter = normalizeText(textAfter)
+  const numbersBefore = extractNumbers(textBefore)
+  const entitiesBefore = extractEntities(textBefore)
+  const missingNumbers = numbersBefore.filter(number => !numbersAfter.has(number))
+  // Entities only need to appear somewhere, e.g. at the start of a reworded sentence
+  const missingEntities = entitiesBefore.filter(entity => !normalizedAfter.includes(normalizeText(entity)))
+
+  const totalFacts = numbersBefore.length + entitiesBefore.length
+  const missingFacts = missingNumbers.length + missingEntities.length
+  if (missingFacts > 0) {
+    const missingPercent = Math.round((missingFacts / totalFacts) * 100)
+    const exceeded = totalFacts >= MIN_FACTS_FOR_RATIO && missingPercent > t.maxMissingFactsPercent
+    const lost = [...missingNumbers, ...missingEntities]
+    add('facts_missing', exceeded ? 'error' : 'warning', `${missingFacts} of ${totalFacts} facts missing (${missingPercent}%): ${listed(lost)}`)
+  }
+
+  return findings
+}
+
+/**
+ * validateStage options for an auto-fix of these quality issues
+ */
+export function autoFixStageOptions(issues = []) {
+  return { allowWordCountChange: issues.some(issue => RESIZING_ISSUES.includes(issue.type)) }
+}
+
+/**
+ * Validate one pipeline stage and decide which content to keep
+ * Returns { content, warning } - content is the input when the stage is rolled
+ * back; warning ({ stage, rolled_back, findings, checked_at }) is null when the
+ * stage changed nothing worth reporting
+ */
+export function validateStage(stage, before, after, settings = DEFAULT_SETTINGS, options = {}) {
+  const t = getStageThresholds(settings)
+  if (!t.enabled || before === after) return { content: after, warning: null }
+
+  const findings = compareStructure(before, after, settings, options)
+  if (findings.length === 0) return { content: after, warning: null }
+
+  const rolledBack = t.rollback && findings.some(finding => finding.severity === 'error')
+  if (rolledBack) {
+    console.warn(`Rolling back ${stage}: ${findings.filter(finding => finding.severity === 'error').map(finding => finding.message).join('; ')}`)
+  }
+
+  return {
+    content: rolledBack ? before : after,
+    warning: { stage, rolled_back: rolledBack, findings, checked_at: new Date().toISOString() },
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Article Metadata
+ * Length targets for the SEO fields, slug normalization and FAQ list helpers,
+ * shared by the editor's metadata and FAQ panels and the LLM metadata schema
+ */
+
+// Character ranges search results display without truncating (min/max)
+export const METADATA_LIMITS = {
+  meta_title: { min: 50, max: 60 },
+  meta_description: { min: 150, max: 160 },
+  excerpt: { min: 0, max: 300 },
+  slug: { min: 3, max: 75 },
+}
+
+/**
+ * URL slug from any text: lowercase letters, digits and single hyphens
+ */
+export function slugify(text = '') {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-|-$/g, '')
+}
+
+/**
+ * Where a field's length sits against its target range
+ * Returns 'empty' | 'short' | 'ok' | 'long'
+ */
+export function lengthStatus(field, value = '') {
+  const limits = METADATA_LIMITS[field]
+  const length = value.trim().length
+  if (length === 0) return 'empty'
+  if (!limits) return 'ok'
+  if (length < limits.min) return 'short'
+  if (length > limits.max) return 'long'
+  return 'ok'
+}
+
+// Ids only live in the editor; articles.faqs stores { question, answer }
+let nextFaqId = 0
+
+/**
+ * FAQs with the local ids the sortable list needs ({ id, question, answer })
+ */
+export function withFaqIds(faqs) {
+  return (Array.isArray(faqs) ? faqs : []).map(faq => ({
+    id: `faq-${nextFaqId++}`,
+    question: faq?.question || '',
+    answer: faq?.answer || '',
+  }))
+}
+
+/**
+ * FAQs as stored in articles.faqs: ids dropped, empty rows left out
+ */
+export function stripFaqIds(faqs) {
+  return faqs
+    .map(faq => ({ question: faq.question.trim(), answer: faq.answer.trim() }))
+    .filter(faq => faq.question || faq.answer)
+}
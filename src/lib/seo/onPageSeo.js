@@ -0,0 +1,276 @@
+/**
+ * On-Page SEO
+ * Where the focus keyword appears (title, meta title, first 100 words, H2s,
+ * slug, meta description), how dense it is, which secondary keywords from
+ * the idea's keyword research the body covers, and images without alt text.
+ * Pure module; calculateQualityMetrics turns the findings into issues.
+ */
+
+import { DEFAULT_SETTINGS } from '../settings.js'
+import { decodeEntities, findAll, parseHtml, textContent } from '../html/parseHtml.js'
+import { slugify } from './metadata.js'
+
+// Where the keyword is looked for, as named in issue descriptions
+export const KEYWORD_LOCATIONS = {
+  title: 'title',
+  meta_title: 'meta title',
+  first_100_words: 'first 100 words',
+  h2: 'H2 headings',
+  slug: 'slug',
+  meta_description: 'meta description',
+}
+
+// Locations in the body, which auto-fix can change; the rest are metadata fields
+const BODY_LOCATIONS = ['first_100_words', 'h2']
+
+const INTRO_WORD_COUNT = 100
+
+// A paragraph repeating the keyword this often reads as stuffed
+const STUFFED_PARAGRAPH_MATCHES = 3
+
+const MAX_LISTED = 5
+
+/**
+ * Case-insensitive whole-phrase pattern for a keyword; words may be split by
+ * any whitespace or a hyphen. null for a blank keyword
+ */
+export function keywordPattern(keyword = '') {
+  const words = String(keyword).toLowerCase().split(/[\s-]+/).filter(Boolean)
+  if (words.length === 0) return null
+
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  return new RegExp(`(?<!\\w)${escaped.join('[\\s-]+')}(?!\\w)`, 'gi')
+}
+
+function countMatches(text, pattern) {
+  if (!pattern || !text) return 0
+  return (String(text).match(pattern) || []).length
+}
+
+function plainText(html = '') {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Secondary keywords from keyword_research_data (strings or { keyword }),
+ * without duplicates or the focus keyword
+ */
+export function getSecondaryKeywords(article = {}) {
+  const listed = article.keyword_research_data?.secondary_keywords
+  const focus = (article.focus_keyword || '').trim().toLowerCase()
+  const seen = new Set(focus ? [focus] : [])
+
+  return (Array.isArray(listed) ? listed : [])
+    .map(entry => String(typeof entry === 'string' ? entry : entry?.keyword || '').trim())
+    .filter(keyword => {
+      const key = keyword.toLowerCase()
+      if (!keyword || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+/**
+ * Extract the on-page SEO thresholds from a settings object
+ */
+export function getOnPageSeoThresholds(settings = DEFAULT_SETTINGS) {
+  const s = { ...DEFAULT_SETTINGS, ...settings }
+
+  return {
+    minDensity: s.min_keyword_density_percent,
+    maxDensity: s.max_keyword_density_percent,
+    minSecondaryCoverage: s.min_secondary_keyword_coverage_percent,
+  }
+}
+
+/**
+ * On-page SEO findings for an article body and its metadata
+ * article: { title, meta_title, meta_description, slug, focus_keyword, keyword_research_data }
+ * placements maps each KEYWORD_LOCATIONS key to true/false, or null when the
+ * field is empty (an unset meta title falls back to the title in search results)
+ */
+export function analyzeOnPageSeo(html = '', article = {}, settings = DEFAULT_SETTINGS) {
+  const t = getOnPageSeoThresholds(settings)
+  const root = parseHtml(html)
+  const text = plainText(html)
+  const words = text.split(' ').filter(Boolean)
+  const keyword = (article.focus_keyword || '').trim()
+  const pattern = keywordPattern(keyword)
+  const has = (value) => (value ? countMatches(value, pattern) > 0 : null)
+
+  const headings = findAll(root, 'h2').map(heading => textContent(heading))
+  const keywordSlug = slugify(keyword)
+
+  const placements = pattern ? {
+    title: has(article.title),
+    meta_title: has(article.meta_title),
+    first_100_words: has(words.slice(0, INTRO_WORD_COUNT).join(' ')),
+    h2: headings.length > 0 ? headings.some(heading => has(heading)) : false,
+    slug: article.slug ? `-${slugify(article.slug)}-`.includes(`-${keywordSlug}-`) : null,
+    meta_description: has(article.meta_description),
+  } : {}
+
+  const occurrences = countMatches(text, pattern)
+  const density = words.length > 0 ? Math.round((occurrences / words.length) * 10000) / 100 : 0
+
+  const stuffedParagraphs = pattern
+    ? findAll(root, ['p', 'li'])
+      .map(block => {
+        const blockText = textContent(block).replace(/\s+/g, ' ').trim()
+        return { excerpt: blockText.slice(0, 120), count: countMatches(blockText, pattern) }
+      })
+      .filter(block => block.count >= STUFFED_PARAGRAPH_MATCHES)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_LISTED)
+    : []
+
+  const secondaryKeywords = getSecondaryKeywords(article).map(secondary => ({
+    keyword: secondary,
+    count: countMatches(text, keywordPattern(secondary)),
+  }))
+  const covered = secondaryKeywords.filter(secondary => secondary.count > 0).length
+
+  const images = findAll(root, 'img').filter(image => image.attrs.role !== 'presentation' && image.attrs['aria-hidden'] !== 'true')
+
+  return {
+    keyword,
+    wordCount: words.length,
+    placements,
+    missing: Object.keys(placements).filter(location => placements[location] === false),
+    occurrences,
+    density,
+    minDensity: t.minDensity,
+    maxDensity: t.maxDensity,
+    stuffing: density > t.maxDensity || stuffedParagraphs.length > 0,
+    stuffedParagraphs,
+    secondaryKeywords,
+    secondaryCoverage: secondaryKeywords.length > 0 ? Math.round((covered / secondaryKeywords.length) * 100) : null,
+    minSecondaryCoverage: t.minSecondaryCoverage,
+    imageCount: images.length,
+    imagesMissingAlt: images.filter(image => !(image.attrs.alt || '').trim()).map(image => ({ src: image.attrs.src || '' })),
+    imagesWithKeywordAlt: images.filter(image => has(image.attrs.alt)).length,
+  }
+}
+
+const formatList = (items) => items.map(item => `"${item}"`).join(', ')
+
+function formatLocations(locations) {
+  const names = locations.map(location => KEYWORD_LOCATIONS[location])
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]
+}
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`
+
+/**
+ * Quality issues for on-page SEO findings
+ * keyword_metadata concerns fields outside the body, so it is marked
+ * fixable: false and auto-fix leaves it to the editor
+ */
+export function getOnPageSeoIssues(seo) {
+  const issues = []
+  if (seo.wordCount === 0) return issues
+
+  if (!seo.keyword) {
+    issues.push({
+      type: 'keyword_metadata',
+      severity: 'minor',
+      description: 'No focus keyword set. Add one in the SEO metadata.',
+      fixable: false,
+    })
+  } else {
+    const bodyMissing = seo.missing.filter(location => BODY_LOCATIONS.includes(location))
+    const metadataMissing = seo.missing.filter(location => !BODY_LOCATIONS.includes(location))
+
+    if (bodyMissing.length > 0) {
+      issues.push({
+        type: 'keyword_placement',
+        severity: bodyMissing.includes('first_100_words') ? 'major' : 'minor',
+        description: `Focus keyword "${seo.keyword}" is missing from the ${formatLocations(bodyMissing)}.`,
+        keyword: seo.keyword,
+        locations: bodyMissing,
+      })
+    }
+
+    if (metadataMissing.length > 0) {
+      issues.push({
+        type: 'keyword_metadata',
+        severity: 'minor',
+        description: `Focus keyword "${seo.keyword}" is missing from the ${formatLocations(metadataMissing)}.`,
+        keyword: seo.keyword,
+        locations: metadataMissing,
+        fixable: false,
+      })
+    }
+
+    if (seo.stuffing) {
+      issues.push({
+        type: 'keyword_density',
+        severity: 'major',
+        description: `Keyword stuffing: "${seo.keyword}" appears ${plural(seo.occurrences, 'time')} (${seo.density}% density, max ${seo.maxDensity}%${seo.stuffedParagraphs.length > 0 ? `, ${STUFFED_PARAGRAPH_MATCHES}+ times in ${plural(seo.stuffedParagraphs.length, 'paragraph')}` : ''}).`,
+        keyword: seo.keyword,
+        paragraphs: seo.stuffedParagraphs,
+      })
+    } else if (seo.density < seo.minDensity) {
+      issues.push({
+        type: 'keyword_density',
+        severity: 'minor',
+        description: `Focus keyword "${seo.keyword}" appears ${plural(seo.occurrences, 'time')} (${seo.density}% density, aim for ${seo.minDensity}-${seo.maxDensity}%).`,
+        keyword: seo.keyword,
+        paragraphs: [],
+      })
+    }
+  }
+
+  if (seo.secondaryCoverage !== null && seo.secondaryCoverage < seo.minSecondaryCoverage) {
+    const missing = seo.secondaryKeywords.filter(secondary => secondary.count === 0).map(secondary => secondary.keyword)
+    issues.push({
+      type: 'secondary_keywords',
+      severity: 'minor',
+      description: `Only ${seo.secondaryKeywords.length - missing.length} of ${seo.secondaryKeywords.length} secondary keywords are covered. Missing: ${formatList(missing.slice(0, MAX_LISTED))}${missing.length > MAX_LISTED ? ` and ${missing.length - MAX_LISTED} more` : ''}.`,
+      keywords: missing,
+    })
+  }
+
+  if (seo.imagesMissingAlt.length > 0) {
+    issues.push({
+      type: 'missing_alt_text',
+      severity: 'minor',
+      description: `Images without alt text: ${seo.imagesMissingAlt.length} of ${seo.imageCount}.`,
+      images: seo.imagesMissingAlt.map(image => image.src),
+    })
+  }
+
+  return issues
+}
+
+/**
+ * Auto-fix instruction for an on-page SEO issue
+ */
+export function getOnPageSeoFixInstruction(issue, settings = DEFAULT_SETTINGS) {
+  const t = getOnPageSeoThresholds(settings)
+
+  switch (issue.type) {
+    case 'keyword_placement': {
+      const lines = [`- ${issue.description} Work it in naturally; don't force it into every sentence.`]
+      if (issue.locations?.includes('first_100_words')) lines.push(`  - Use "${issue.keyword}" in the introduction, within the first ${INTRO_WORD_COUNT} words`)
+      if (issue.locations?.includes('h2')) lines.push(`  - Use "${issue.keyword}" or a close variant in at least one H2 heading`)
+      return lines.join('\n')
+    }
+    case 'keyword_density': {
+      if (issue.severity === 'minor') {
+        return `- ${issue.description} Mention it a few more times where it fits, up to ${t.maxDensity}% of the words.`
+      }
+      const lines = [`- ${issue.description} Replace repeats with pronouns, synonyms or related terms until it is at most ${t.maxDensity}% of the words.`]
+      for (const paragraph of issue.paragraphs || []) {
+        lines.push(`  - Rewrite the paragraph starting "${paragraph.excerpt.slice(0, 80)}" (${paragraph.count} uses)`)
+      }
+      return lines.join('\n')
+    }
+    case 'secondary_keywords':
+      return `- Cover these related keywords where they fit the content: ${formatList(issue.keywords || [])}. Add a sentence or section rather than keyword lists.`
+    case 'missing_alt_text':
+      return `- ${issue.description} Add a short alt attribute describing each image to every <img> without one${issue.images?.length ? ` (${issue.images.slice(0, MAX_LISTED).join(', ')})` : ''}. Don't change the src.`
+    default:
+      return `- ${issue.description}`
+  }
+}
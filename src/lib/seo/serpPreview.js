@@ -0,0 +1,153 @@
+/**
+ * SERP Preview
+ * How Google would show an article in search results: title and description
+ * truncated by rendered width (not character count), for desktop and mobile.
+ * Widths are measured with Arial's advance widths, the font Google renders
+ * snippets in. Pure module shared by the editor and the on-page SEO checks.
+ */
+
+// Arial advance widths for printable ASCII (space to ~), in 1/1000 em
+const ARIAL_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, // space to /
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, // 0 to ?
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, // @ to O
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, // P to _
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, // ` to o
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584, // p to ~
+]
+
+const EXTRA_WIDTHS = {
+  '–': 556, // en dash
+  '—': 1000, // em dash
+  '‘': 222,
+  '’': 222,
+  '“': 333,
+  '”': 333,
+  '•': 350, // bullet
+  '…': 1000, // ellipsis
+  '›': 333, // breadcrumb separator
+  '\u00a0': 278, // non-breaking space
+}
+
+// Anything we have no metrics for is measured as a digit
+const DEFAULT_WIDTH = 556
+
+const ELLIPSIS = ' ...'
+
+// Font size (px) and the width Google gives each line before truncating
+export const SERP_LAYOUTS = {
+  desktop: {
+    title: { fontSize: 20, maxWidth: 600 },
+    description: { fontSize: 14, maxWidth: 920 }, // two lines of ~460px
+  },
+  mobile: {
+    title: { fontSize: 18, maxWidth: 660 }, // up to two lines
+    description: { fontSize: 14, maxWidth: 680 }, // up to three lines in a narrower card
+  },
+}
+
+function charWidth(char) {
+  const code = char.charCodeAt(0)
+  if (code >= 32 && code <= 126) return ARIAL_WIDTHS[code - 32]
+  if (EXTRA_WIDTHS[char]) return EXTRA_WIDTHS[char]
+
+  // Accented letters are as wide as their base letter
+  const base = char.normalize('NFKD')[0]
+  if (base !== char && base.charCodeAt(0) >= 32 && base.charCodeAt(0) <= 126) return ARIAL_WIDTHS[base.charCodeAt(0) - 32]
+  return DEFAULT_WIDTH
+}
+
+/**
+ * Rendered width of text in Arial at a font size, in pixels
+ */
+export function measureText(text = '', fontSize = 14) {
+  let units = 0
+  for (const char of String(text)) units += charWidth(char)
+  return Math.round((units * fontSize) / 1000 * 10) / 10
+}
+
+/**
+ * Text cut to fit a width the way Google does: at the last whole word, then " ..."
+ * Returns { text, truncated, width, maxWidth }
+ */
+export function truncateToWidth(text = '', { fontSize, maxWidth }) {
+  const clean = String(text).replace(/\s+/g, ' ').trim()
+  const width = measureText(clean, fontSize)
+  if (width <= maxWidth) return { text: clean, truncated: false, width, maxWidth }
+
+  const available = maxWidth - measureText(ELLIPSIS, fontSize)
+  let cut = ''
+  for (const word of clean.split(' ')) {
+    const next = cut ? `${cut} ${word}` : word
+    if (measureText(next, fontSize) > available) break
+    cut = next
+  }
+
+  // A single word wider than the line is cut mid-word
+  if (!cut) {
+    for (const char of clean) {
+      if (measureText(cut + char, fontSize) > available) break
+      cut += char
+    }
+  }
+
+  return { text: `${cut.replace(/[\s,;:.-]+$/, '')}${ELLIPSIS}`, truncated: true, width, maxWidth }
+}
+
+/**
+ * Breadcrumb-style URL Google shows above the title ("example.com › blog › my-post")
+ */
+export function formatDisplayUrl(siteUrl = '', slug = '') {
+  let host = 'example.com'
+  let path = []
+  try {
+    const url = new URL(siteUrl)
+    host = url.hostname.replace(/^www\./, '')
+    path = url.pathname.split('/').filter(Boolean)
+  } catch {
+    // No site configured yet - keep the placeholder host
+  }
+
+  return [host, ...path, slug].filter(Boolean).join(' › ')
+}
+
+/**
+ * Pieces of a description with the keyword's occurrences marked, for bolding
+ * them like Google does. Returns [{ text, match }]
+ */
+export function highlightKeyword(text = '', keyword = '') {
+  const words = String(keyword).trim().split(/\s+/).filter(Boolean)
+  if (words.length === 0) return [{ text, match: false }]
+
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  const pattern = new RegExp(`(?<!\\w)(${escaped.join('\\s+')})(?!\\w)`, 'gi')
+
+  // split() with a capture group puts the matches at the odd indexes
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter(part => part.text)
+}
+
+/**
+ * Snippet for an article on one device
+ * article: { title, meta_title, meta_description, excerpt, content, slug }
+ * options: { device: 'desktop' | 'mobile', siteUrl, fallbackDescription }
+ * Google uses the body when there's no meta description; pass its text as
+ * fallbackDescription. Returns { url, title, description, descriptionSource }
+ */
+export function buildSerpPreview(article, { device = 'desktop', siteUrl = '', fallbackDescription = '' } = {}) {
+  const layout = SERP_LAYOUTS[device] || SERP_LAYOUTS.desktop
+  const metaDescription = (article.meta_description || '').trim()
+  const excerpt = (article.excerpt || '').trim()
+
+  const descriptionSource = metaDescription ? 'meta_description' : excerpt ? 'excerpt' : 'content'
+  const description = metaDescription || excerpt || fallbackDescription
+
+  return {
+    url: formatDisplayUrl(siteUrl, article.slug),
+    title: truncateToWidth(article.meta_title || article.title || '', layout.title),
+    description: truncateToWidth(description, layout.description),
+    descriptionSource,
+  }
+}
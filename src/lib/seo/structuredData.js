@@ -0,0 +1,207 @@
+/**
+ * Structured Data
+ * The FAQ section and schema.org JSON-LD (Article, Person for the contributor,
+ * FAQPage) sent with an article to WordPress, plus a check of the fields
+ * search engines need before they use it.
+ * Pure module shared by the editor preview and the publish-to-wordpress Edge Function.
+ */
+
+import { escapeHtml, parseHtml, textContent } from '../html/parseHtml.js'
+
+export const FAQ_SECTION_HEADING = 'Frequently Asked Questions'
+
+// Google truncates longer Article headlines
+const MAX_HEADLINE_LENGTH = 110
+
+// Fields each type must have to be used, and fields it should have
+const REQUIRED_FIELDS = {
+  Article: ['headline', 'author', 'datePublished'],
+  Person: ['name'],
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text'],
+}
+
+const RECOMMENDED_FIELDS = {
+  Article: ['description', 'dateModified', 'publisher', 'mainEntityOfPage'],
+  Person: ['description'],
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)
+
+/**
+ * Drop empty fields so the JSON-LD only states what we know
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => !isBlank(value)))
+}
+
+/**
+ * FAQs with both a question and an answer
+ */
+export function usableFaqs(faqs) {
+  return (Array.isArray(faqs) ? faqs : [])
+    .map(faq => ({ question: String(faq?.question || '').trim(), answer: String(faq?.answer || '').trim() }))
+    .filter(faq => faq.question && faq.answer)
+}
+
+/**
+ * Whether the article body already has its own FAQ section (auto-fix can add one)
+ */
+export function hasFaqSection(content = '') {
+  return /<h[2-4][^>]*>[^<]*(?:frequently asked questions|faqs?\b)/i.test(content)
+}
+
+/**
+ * Visible FAQ section HTML; '' without usable FAQs
+ */
+export function renderFaqSection(faqs) {
+  const items = usableFaqs(faqs)
+  if (items.length === 0) return ''
+
+  return [
+    '<section class="article-faqs">',
+    `<h2>${FAQ_SECTION_HEADING}</h2>`,
+    ...items.map(faq => `<h3>${escapeHtml(faq.question)}</h3>\n<p>${escapeHtml(faq.answer)}</p>`),
+    '</section>',
+  ].join('\n')
+}
+
+/**
+ * Person for the article's contributor (article_contributors row)
+ */
+export function buildPersonSchema(contributor, { siteUrl = '' } = {}) {
+  if (!contributor?.name) return null
+
+  return compact({
+    '@type': 'Person',
+    '@id': `${siteUrl.replace(/\/$/, '')}/#/person/${encodeURIComponent(contributor.name.toLowerCase().replace(/\s+/g, '-'))}`,
+    name: contributor.name,
+    description: contributor.bio,
+    image: contributor.avatar_url,
+    knowsAbout: contributor.expertise_areas,
+  })
+}
+
+/**
+ * FAQPage for the article's FAQs; null without usable FAQs
+ */
+export function buildFaqSchema(faqs) {
+  const items = usableFaqs(faqs)
+  if (items.length === 0) return null
+
+  return {
+    '@type': 'FAQPage',
+    mainEntity: items.map(faq => ({
+      '@type': 'Question',
+      name: faq.question,
+      acceptedAnswer: { '@type': 'Answer', text: faq.answer },
+    })),
+  }
+}
+
+/**
+ * Article for the post; author refers to the Person by @id
+ */
+export function buildArticleSchema(article, { person = null, url = '', siteName = '', siteUrl = '', publishedAt = null } = {}) {
+  const wordCount = textContent(parseHtml(article.content || '')).split(/\s+/).filter(Boolean).length
+
+  return compact({
+    '@type': 'Article',
+    headline: article.meta_title || article.title,
+    description: article.meta_description || article.excerpt,
+    datePublished: publishedAt || article.published_at,
+    dateModified: article.updated_at,
+    author: person ? { '@id': person['@id'] } : null,
+    publisher: siteName || siteUrl ? compact({ '@type': 'Organization', name: siteName, url: siteUrl }) : null,
+    url,
+    mainEntityOfPage: url ? { '@type': 'WebPage', '@id': url } : null,
+    keywords: article.focus_keyword,
+    wordCount: wordCount || null,
+  })
+}
+
+/**
+ * Missing and questionable fields in a JSON-LD graph
+ * Returns [{ type, field, severity: 'error' | 'warning', message }]; errors make
+ * search engines ignore the item
+ */
+export function validateStructuredData(jsonLd) {
+  const problems = []
+  const add = (type, field, severity, message) => problems.push({ type, field, severity, message })
+
+  const check = (node) => {
+    const type = node['@type']
+    for (const field of REQUIRED_FIELDS[type] || []) {
+      if (isBlank(node[field])) add(type, field, 'error', `${type} is missing required "${field}"`)
+    }
+    for (const field of RECOMMENDED_FIELDS[type] || []) {
+      if (isBlank(node[field])) add(type, field, 'warning', `${type} has no "${field}"`)
+    }
+
+    if (type === 'Article' && node.headline?.length > MAX_HEADLINE_LENGTH) {
+      add(type, 'headline', 'warning', `Article headline is ${node.headline.length} characters (max ${MAX_HEADLINE_LENGTH})`)
+    }
+    if (type === 'Article' && node.datePublished && Number.isNaN(Date.parse(node.datePublished))) {
+      add(type, 'datePublished', 'error', `Article datePublished "${node.datePublished}" is not an ISO 8601 date`)
+    }
+    if (type === 'FAQPage') (node.mainEntity || []).forEach(check)
+    if (type === 'Question' && node.acceptedAnswer) check(node.acceptedAnswer)
+  }
+
+  for (const node of jsonLd?.['@graph'] || []) check(node)
+
+  return problems
+}
+
+/**
+ * <script type="application/ld+json"> tag for a JSON-LD graph
+ * "</" is escaped so text in the data can't close the script
+ */
+export function renderJsonLdScript(jsonLd) {
+  return `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/<\//g, '<\\/')}</script>`
+}
+
+/**
+ * Everything structured data adds to an article
+ * options: { contributor, url, siteName, siteUrl, publishedAt, faqSection, jsonLd }
+ * Returns { faqHtml, jsonLd, script, problems } - faqHtml is '' when the body
+ * already has an FAQ section; jsonLd only keeps the items without errors (the
+ * problems list says what was left out) and is null, with script '', when
+ * disabled or nothing is valid
+ */
+export function buildStructuredData(article, options = {}) {
+  const { contributor = null, faqSection = true, jsonLd: includeJsonLd = true, ...context } = options
+
+  const faqHtml = faqSection && !hasFaqSection(article.content) ? renderFaqSection(article.faqs) : ''
+  if (!includeJsonLd) return { faqHtml, jsonLd: null, script: '', problems: [] }
+
+  const person = buildPersonSchema(contributor, context)
+  const graph = [
+    buildArticleSchema(article, { ...context, person }),
+    person,
+    buildFaqSchema(article.faqs),
+  ].filter(Boolean)
+
+  const problems = validateStructuredData({ '@graph': graph })
+  const valid = graph.filter(node => !validateStructuredData({ '@graph': [node] }).some(problem => problem.severity === 'error'))
+  if (valid.length === 0) return { faqHtml, jsonLd: null, script: '', problems }
+
+  const jsonLd = { '@context': 'https://schema.org', '@graph': valid }
+  return { faqHtml, jsonLd, script: renderJsonLdScript(jsonLd), problems }
+}
+
+/**
+ * Whether HTML still contains a JSON-LD script, e.g. the content WordPress
+ * saved (its kses filter strips <script> for users without unfiltered_html)
+ */
+export function hasJsonLdScript(html = '') {
+  return /<script[^>]*type=["']?application\/ld\+json/i.test(html)
+}
+
+/**
+ * Article HTML as published: body, FAQ section, JSON-LD script
+ */
+export function withStructuredData(content = '', structuredData) {
+  return [content, structuredData.faqHtml, structuredData.script].filter(Boolean).join('\n\n')
+}
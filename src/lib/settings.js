@@ -0,0 +1,174 @@
+/**
+ * System Settings Definitions
+ * Typed defaults for every system_settings key, mirrored from the seed migrations.
+ * Pure module (no Supabase/Vite imports) so Edge Functions can share it.
+ * readOnly settings (endpoints and providers) can't be written from the client;
+ * RLS rejects them (see migration 20250101000025_system_settings_admin_write.sql)
+ */
+
+// Providers a pipeline role can use (see lib/llm/providers.js)
+const LLM_PROVIDER_OPTIONS = ['grok', 'claude', 'openai', 'local', 'mock']
+
+export const SETTING_DEFINITIONS = {
+  // AI
+  grok_model: { type: 'string', default: 'grok-beta', category: 'ai' },
+  claude_model: { type: 'string', default: 'claude-3-5-sonnet-20250122', category: 'ai' },
+  ai_temperature: { type: 'number', default: 0.8, category: 'ai', min: 0, max: 2 },
+  max_tokens_draft: { type: 'number', default: 4000, category: 'ai', min: 1 },
+  max_tokens_humanize: { type: 'number', default: 4500, category: 'ai', min: 1 },
+  enable_anti_ai_detection: { type: 'boolean', default: true, category: 'ai' },
+  embedding_model: { type: 'string', default: 'text-embedding-3-small', category: 'ai' },
+  max_learned_rules: { type: 'number', default: 10, category: 'ai', min: 0 },
+  draft_provider: { type: 'string', default: 'grok', category: 'ai', readOnly: true, options: LLM_PROVIDER_OPTIONS },
+  humanize_provider: { type: 'string', default: 'claude', category: 'ai', readOnly: true, options: LLM_PROVIDER_OPTIONS },
+  fix_provider: { type: 'string', default: 'claude', category: 'ai', readOnly: true, options: LLM_PROVIDER_OPTIONS },
+  openai_model: { type: 'string', default: 'gpt-4o-mini', category: 'ai' },
+  local_llm_base_url: { type: 'string', default: 'http://localhost:11434/v1', category: 'ai', readOnly: true, format: 'url' },
+  local_llm_model: { type: 'string', default: 'llama3.1', category: 'ai' },
+
+  // SEO
+  target_word_count_min: { type: 'number', default: 1500, category: 'seo', min: 0 },
+  target_word_count_max: { type: 'number', default: 2500, category: 'seo', min: 0 },
+  min_internal_links: { type: 'number', default: 3, category: 'seo', min: 0 },
+  max_internal_links: { type: 'number', default: 5, category: 'seo', min: 0 },
+  min_external_links: { type: 'number', default: 2, category: 'seo', min: 0 },
+  min_faq_count: { type: 'number', default: 3, category: 'seo', min: 0 },
+  check_on_page_seo: { type: 'boolean', default: true, category: 'seo' },
+  min_keyword_density_percent: { type: 'number', default: 0.5, category: 'seo', min: 0, max: 100 },
+  max_keyword_density_percent: { type: 'number', default: 2.5, category: 'seo', min: 0, max: 100 },
+  min_secondary_keyword_coverage_percent: { type: 'number', default: 50, category: 'seo', min: 0, max: 100 },
+
+  // WordPress
+  default_wp_status: { type: 'string', default: 'draft', category: 'wordpress', options: ['draft', 'publish'] },
+  enable_yoast_seo: { type: 'boolean', default: true, category: 'wordpress' },
+  wp_post_type: { type: 'string', default: 'post', category: 'wordpress' },
+  enable_featured_image: { type: 'boolean', default: false, category: 'wordpress' },
+  enable_structured_data: { type: 'boolean', default: true, category: 'wordpress' },
+  append_faq_section: { type: 'boolean', default: true, category: 'wordpress' },
+  dry_run_mode: { type: 'boolean', default: false, category: 'wordpress' },
+  site_import_interval_hours: { type: 'number', default: 24, category: 'wordpress', min: 0 },
+
+  // Automation
+  automation_mode: { type: 'string', default: 'manual', category: 'automation', options: ['manual', 'semi_auto', 'full_auto'] },
+  min_idea_queue_size: { type: 'number', default: 5, category: 'automation', min: 0 },
+  max_generation_parallel: { type: 'number', default: 1, category: 'automation', min: 1 },
+  quality_threshold_publish: { type: 'number', default: 85, category: 'automation', min: 0, max: 100 },
+  quality_threshold_review: { type: 'number', default: 75, category: 'automation', min: 0, max: 100 },
+  max_auto_fix_attempts: { type: 'number', default: 3, category: 'automation', min: 0 },
+  cycle_interval_seconds: { type: 'number', default: 300, category: 'automation', min: 30 },
+  enable_auto_publish: { type: 'boolean', default: false, category: 'automation' },
+  enable_auto_idea_generation: { type: 'boolean', default: true, category: 'automation' },
+  automation_user_id: { type: 'string', default: '', category: 'automation', format: 'uuid', optional: true },
+  automation_seed_keywords: { type: 'json', default: [], category: 'automation' },
+  daily_budget_usd: { type: 'number', default: 0, category: 'automation', min: 0 },
+  monthly_budget_usd: { type: 'number', default: 0, category: 'automation', min: 0 },
+
+  // Quality
+  min_quality_score: { type: 'number', default: 75, category: 'quality', min: 0, max: 100 },
+  enable_auto_fix: { type: 'boolean', default: true, category: 'quality' },
+  check_readability: { type: 'boolean', default: true, category: 'quality' },
+  check_heading_structure: { type: 'boolean', default: true, category: 'quality' },
+  check_link_compliance: { type: 'boolean', default: true, category: 'quality' },
+  min_h2_count: { type: 'number', default: 3, category: 'quality', min: 0 },
+  max_avg_sentence_length: { type: 'number', default: 25, category: 'quality', min: 1 },
+  min_flesch_reading_ease: { type: 'number', default: 50, category: 'quality', min: 0, max: 100 },
+  max_grade_level: { type: 'number', default: 12, category: 'quality', min: 1 },
+  max_passive_voice_percent: { type: 'number', default: 15, category: 'quality', min: 0, max: 100 },
+  stage_validation_enabled: { type: 'boolean', default: true, category: 'quality' },
+  stage_rollback_enabled: { type: 'boolean', default: true, category: 'quality' },
+  max_stage_word_change_percent: { type: 'number', default: 30, category: 'quality', min: 0 },
+  max_stage_missing_facts_percent: { type: 'number', default: 25, category: 'quality', min: 0, max: 100 },
+  check_ai_tells: { type: 'boolean', default: true, category: 'quality' },
+  max_ai_transitions_per_1000_words: { type: 'number', default: 4, category: 'quality', min: 0 },
+  min_humanization_improvement: { type: 'number', default: 3, category: 'quality', min: 0, max: 100 },
+
+  // Content
+  default_content_type: { type: 'string', default: 'guide', category: 'content', options: ['guide', 'listicle', 'ranking', 'explainer', 'review'] },
+  enable_faqs: { type: 'boolean', default: true, category: 'content' },
+  enable_table_of_contents: { type: 'boolean', default: false, category: 'content' },
+  banned_phrases: { type: 'json', default: ['As an AI', 'In conclusion', 'It is important to note'], category: 'content' },
+
+  // DataForSEO
+  dataforseo_enabled: { type: 'boolean', default: true, category: 'dataforseo' },
+  dataforseo_location: { type: 'string', default: 'United States', category: 'dataforseo' },
+  dataforseo_language: { type: 'string', default: 'English', category: 'dataforseo' },
+  dataforseo_min_search_volume: { type: 'number', default: 100, category: 'dataforseo', min: 0 },
+  dataforseo_max_difficulty: { type: 'number', default: 70, category: 'dataforseo', min: 0, max: 100 },
+  dataforseo_cache_duration_hours: { type: 'number', default: 168, category: 'dataforseo', min: 0 },
+}
+
+/**
+ * Display order and labels for the setting categories
+ */
+export const SETTING_CATEGORIES = [
+  { id: 'ai', label: 'AI Models' },
+  { id: 'seo', label: 'SEO Targets' },
+  { id: 'quality', label: 'Quality Checks' },
+  { id: 'automation', label: 'Automation' },
+  { id: 'content', label: 'Content' },
+  { id: 'wordpress', label: 'WordPress Publishing' },
+  { id: 'dataforseo', label: 'DataForSEO' },
+]
+
+/**
+ * Human-readable label for a setting key (e.g. max_tokens_draft → Max tokens draft)
+ */
+export function getSettingLabel(key) {
+  const label = key.replace(/_/g, ' ')
+  return label.charAt(0).toUpperCase() + label.slice(1)
+}
+
+/**
+ * Default value for every known setting
+ */
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.default])
+)
+
+/**
+ * Parse a raw system_settings TEXT value into its typed value
+ * Falls back to the default when the stored value is malformed
+ */
+export function parseSettingValue(key, rawValue) {
+  const definition = SETTING_DEFINITIONS[key]
+  if (!definition) return rawValue
+
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(rawValue)
+      return Number.isFinite(number) ? number : definition.default
+    }
+    case 'boolean':
+      return String(rawValue).toLowerCase() === 'true'
+    case 'json':
+      try {
+        return JSON.parse(rawValue)
+      } catch {
+        return definition.default
+      }
+    default:
+      return rawValue
+  }
+}
+
+/**
+ * Serialize a typed value back to the TEXT stored in system_settings
+ */
+export function serializeSettingValue(key, value) {
+  const definition = SETTING_DEFINITIONS[key]
+  if (definition?.type === 'json') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * Build a typed settings object from system_settings rows, filling in defaults
+ */
+export function parseSettings(rows = []) {
+  const settings = { ...DEFAULT_SETTINGS }
+
+  for (const row of rows) {
+    settings[row.key] = parseSettingValue(row.key, row.value)
+  }
+
+  return settings
+}
@@ -0,0 +1,93 @@
+/**
+ * Settings Validation Schemas
+ * zod schemas for the Settings page (system_settings and wordpress_connections)
+ */
+
+import { z } from 'zod'
+import { SETTING_DEFINITIONS } from './settings.js'
+
+/**
+ * Schema for a single setting value based on its definition
+ */
+function settingValueSchema(definition) {
+  switch (definition.type) {
+    case 'number': {
+      let schema = z.number({ error: 'Enter a number' })
+      if (definition.min !== undefined) schema = schema.min(definition.min, `Must be at least ${definition.min}`)
+      if (definition.max !== undefined) schema = schema.max(definition.max, `Must be at most ${definition.max}`)
+      return schema
+    }
+    case 'boolean':
+      return z.boolean()
+    case 'json':
+      // Lists are edited one entry per line
+      return z.preprocess(
+        value => typeof value === 'string' ? value.split('\n').map(line => line.trim()).filter(Boolean) : value,
+        z.array(z.string().trim().min(1)).max(500, 'Too many entries')
+      )
+    default: {
+      if (definition.format === 'uuid') {
+        const uuid = z.uuid({ error: 'Must be a user ID (UUID)' })
+        return definition.optional ? z.union([z.literal(''), uuid]) : uuid
+      }
+      if (definition.format === 'url') {
+        return z.url({ protocol: /^https?$/, error: 'Enter a full URL' })
+      }
+      if (definition.options) {
+        return z.enum(definition.options, { error: `Must be one of: ${definition.options.join(', ')}` })
+      }
+      return definition.optional ? z.string().trim() : z.string().trim().min(1, 'Required')
+    }
+  }
+}
+
+/**
+ * Min/max pairs that must stay ordered: [minKey, maxKey, message]
+ */
+const ORDERED_PAIRS = [
+  ['target_word_count_min', 'target_word_count_max', 'Minimum word count must not exceed the maximum'],
+  ['min_internal_links', 'max_internal_links', 'Minimum internal links must not exceed the maximum'],
+  ['min_keyword_density_percent', 'max_keyword_density_percent', 'Minimum keyword density must not exceed the maximum'],
+  ['quality_threshold_review', 'quality_threshold_publish', 'Review threshold must not exceed the publish threshold'],
+]
+
+/**
+ * Build the schema for every known system setting
+ * Unknown keys stored in the table pass through untouched
+ */
+export function buildSettingsSchema() {
+  const shape = Object.fromEntries(
+    Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, settingValueSchema(definition)])
+  )
+
+  return z.object(shape).passthrough().superRefine((values, ctx) => {
+    for (const [minKey, maxKey, message] of ORDERED_PAIRS) {
+      if (values[minKey] > values[maxKey]) {
+        ctx.addIssue({ code: 'custom', path: [minKey], message })
+      }
+    }
+  })
+}
+
+export const settingsSchema = buildSettingsSchema()
+
+/**
+ * WordPress connection form
+ */
+export const wordPressConnectionSchema = z.object({
+  name: z.string().trim().min(1, 'Connection name is required'),
+  site_url: z.url({ protocol: /^https?$/, error: 'Enter a full URL, e.g. https://example.com' })
+    .transform(url => url.replace(/\/+$/, '')),
+  auth_type: z.enum(['application_password', 'basic_auth', 'jwt']),
+  username: z.string().trim().min(1, 'Username is required'),
+  password: z.string().min(1, 'Password is required'),
+  default_post_status: z.enum(['draft', 'publish']),
+  default_category_id: z.number().int().positive().nullable(),
+  is_active: z.boolean(),
+  import_source: z.enum(['wp_api', 'sitemap']),
+  // Blank = <site_url>/sitemap.xml
+  sitemap_url: z.union([
+    z.literal('').transform(() => null),
+    z.url({ protocol: /^https?$/, error: 'Enter a full sitemap URL or leave blank' }),
+  ]),
+})
@@ -0,0 +1,190 @@
+/**
+ * Version Diff
+ * Side-by-side diffs between two article versions, as HTML source or plain text.
+ * Blocks (paragraphs, headings, list items) are aligned first, then changed
+ * block pairs are diffed word by word for inline highlights.
+ * Pure module with no DOM dependency.
+ */
+
+import { parseHtml, serializeHtml, findAll, closest, textContent } from '../html/parseHtml.js'
+
+const BLOCK_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'li', 'blockquote', 'pre', 'td', 'th', 'figcaption', 'dt', 'dd']
+
+// Word diffs beyond this many tokens per side are shown as whole-block changes
+const MAX_INLINE_TOKENS = 1500
+
+/**
+ * Myers diff of two sequences
+ * Returns [{ type: 'equal' | 'delete' | 'insert', items }] in order
+ */
+export function diffSequences(a, b, equals = (x, y) => x === y) {
+  const n = a.length
+  const m = b.length
+  const max = n + m
+  const offset = max + 1
+  const v = new Array(2 * max + 3).fill(0)
+  const trace = []
+
+  let found = false
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && equals(a[x], b[y])) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        found = true
+        break
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const steps = []
+  let x = n
+  let y = m
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d]
+    const k = x - y
+    const prevK = k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1]) ? k + 1 : k - 1
+    const prevX = vd[offset + prevK]
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      steps.push({ type: 'equal', item: a[x - 1] })
+      x--
+      y--
+    }
+    if (d > 0) {
+      if (x === prevX) steps.push({ type: 'insert', item: b[y - 1] })
+      else steps.push({ type: 'delete', item: a[x - 1] })
+    }
+    x = prevX
+    y = prevY
+  }
+
+  const ops = []
+  for (const step of steps.reverse()) {
+    const last = ops[ops.length - 1]
+    if (last?.type === step.type) last.items.push(step.item)
+    else ops.push({ type: step.type, items: [step.item] })
+  }
+  return ops
+}
+
+/**
+ * Top-level blocks of an article as { html, text }
+ */
+export function articleBlocks(html = '') {
+  const tree = parseHtml(html)
+  const blocks = findAll(tree, BLOCK_TAGS).filter(block => !closest(block, BLOCK_TAGS))
+
+  if (blocks.length === 0) {
+    const text = textContent(tree).trim()
+    return text ? [{ html: html.trim(), text }] : []
+  }
+
+  return blocks.map(block => ({
+    html: serializeHtml(block),
+    text: textContent(block).replace(/\s+/g, ' ').trim(),
+  }))
+}
+
+function tokenize(text) {
+  return text.match(/\s+|[\p{L}\p{N}'’-]+|[^\s\p{L}\p{N}]/gu) || []
+}
+
+/**
+ * Inline segments for a changed pair of lines: [{ text, changed }] per side
+ */
+export function inlineDiff(before = '', after = '') {
+  const a = tokenize(before)
+  const b = tokenize(after)
+
+  if (a.length > MAX_INLINE_TOKENS || b.length > MAX_INLINE_TOKENS) {
+    return {
+      left: before ? [{ text: before, changed: true }] : [],
+      right: after ? [{ text: after, changed: true }] : [],
+    }
+  }
+
+  const left = []
+  const right = []
+  const push = (side, text, changed) => {
+    const last = side[side.length - 1]
+    if (last?.changed === changed) last.text += text
+    else side.push({ text, changed })
+  }
+
+  for (const op of diffSequences(a, b)) {
+    const text = op.items.join('')
+    if (op.type !== 'insert') push(left, text, op.type === 'delete')
+    if (op.type !== 'delete') push(right, text, op.type === 'insert')
+  }
+  return { left, right }
+}
+
+/**
+ * Side-by-side rows between two article bodies
+ * mode: 'text' compares readable text, 'html' compares markup
+ * Each row: { type: 'equal' | 'changed' | 'added' | 'removed', left, right }
+ * where left/right are [{ text, changed }] segments (empty for added/removed)
+ */
+export function diffArticleVersions(beforeHtml = '', afterHtml = '', { mode = 'text' } = {}) {
+  const key = mode === 'html' ? 'html' : 'text'
+  const before = articleBlocks(beforeHtml).map(block => block[key])
+  const after = articleBlocks(afterHtml).map(block => block[key])
+
+  const rows = []
+  const ops = diffSequences(before, after)
+
+  for (let i = 0; i < ops.length; i++) {
+    const op = ops[i]
+
+    if (op.type === 'equal') {
+      for (const line of op.items) {
+        rows.push({ type: 'equal', left: [{ text: line, changed: false }], right: [{ text: line, changed: false }] })
+      }
+      continue
+    }
+
+    // A delete followed by an insert is an edit: pair the lines up
+    const deleted = op.type === 'delete' ? op.items : []
+    const inserted = op.type === 'insert' ? op.items : (ops[i + 1]?.type === 'insert' ? ops[++i].items : [])
+
+    for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+      const left = deleted[j]
+      const right = inserted[j]
+      if (left !== undefined && right !== undefined) {
+        rows.push({ type: 'changed', ...inlineDiff(left, right) })
+      } else if (left !== undefined) {
+        rows.push({ type: 'removed', left: [{ text: left, changed: true }], right: [] })
+      } else {
+        rows.push({ type: 'added', left: [], right: [{ text: right, changed: true }] })
+      }
+    }
+  }
+
+  return rows
+}
+
+/**
+ * Word counts added and removed between two versions
+ */
+export function summarizeDiff(rows) {
+  const countWords = (segments) => segments
+    .filter(segment => segment.changed)
+    .reduce((total, segment) => total + (segment.text.match(/[\p{L}\p{N}]+/gu) || []).length, 0)
+
+  return rows.reduce((summary, row) => ({
+    added: summary.added + countWords(row.right),
+    removed: summary.removed + countWords(row.left),
+    changedBlocks: summary.changedBlocks + (row.type === 'equal' ? 0 : 1),
+  }), { added: 0, removed: 0, changedBlocks: 0 })
+}
@@ -1,8 +1,18 @@
+import { Link } from 'react-router-dom'
 import { useArticles } from '../hooks/useArticles'
-import { BarChart3, TrendingUp, FileText, CheckCircle } from 'lucide-react'
+import { useAIUsage, useAISpend } from '../hooks/useAIUsage'
+import { useSystemSettings } from '../hooks/useSettings'
+import { DEFAULT_SETTINGS } from '../lib/settings'
+import { exceededBudget, formatCost } from '../lib/llm/usage'
+import { BarChart3, TrendingUp, FileText, CheckCircle, DollarSign, PauseCircle } from 'lucide-react'
+
+const EMPTY_USAGE = { month: [], stage: [], contributor: [], article: [] }
 
 function Analytics() {
   const { data: articles = [] } = useArticles()
+  const { data: usage = EMPTY_USAGE } = useAIUsage()
+  const { data: spend = { daySpend: 0, monthSpend: 0 } } = useAISpend()
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
 
   const stats = {
     total: articles.length,
@@ -15,6 +25,16 @@ function Analytics() {
       : 0,
   }
 
+  // AI cost (estimated from list prices, see lib/llm/usage)
+  const budget = exceededBudget(spend, settings)
+  const costByArticle = usage.article
+  const costByContributor = usage.contributor
+  const costByMonth = [...usage.month].sort((a, b) => b.key.localeCompare(a.key))
+  const costByStage = usage.stage
+  const avgArticleCost = costByArticle.length > 0
+    ? costByArticle.reduce((sum, group) => sum + group.cost, 0) / costByArticle.length
+    : 0
+
   return (
     <div className="p-8">
       <div className="mb-8">
@@ -74,7 +94,7 @@ function Analytics() {
       </div>
 
       {/* Status Distribution */}
-      <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="bg-white p-6 rounded-lg border border-gray-200 mb-8">
         <h2 className="text-lg font-semibold text-gray-900 mb-4">Articles by Status</h2>
         <div className="space-y-3">
           {['drafting', 'refinement', 'qa_review', 'ready_to_publish', 'published'].map(status => {
@@ -100,6 +120,120 @@ function Analytics() {
           })}
         </div>
       </div>
+
+      {/* AI Cost */}
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="text-xl font-bold text-gray-900">AI Cost</h2>
+        <p className="text-sm text-gray-500">Estimated from list prices; local and mock calls are free</p>
+      </div>
+
+      {budget && (
+        <div className="mb-6 flex items-center gap-3 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          <PauseCircle className="w-5 h-5 flex-shrink-0" />
+          <span>
+            Automation is paused: the {budget.period} budget of {formatCost(budget.cap)} has been reached
+            ({formatCost(budget.spent)} spent). Raise {budget.period}_budget_usd in{' '}
+            <Link to="/settings" className="underline">Settings</Link> to resume.
+          </span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-6 mb-6">
+        <BudgetCard label="Spent today" spent={spend.daySpend} cap={settings.daily_budget_usd} />
+        <BudgetCard label="Spent this month" spent={spend.monthSpend} cap={settings.monthly_budget_usd} />
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600 mb-1">Avg Cost per Article</p>
+              <p className="text-3xl font-bold text-gray-900">{formatCost(avgArticleCost)}</p>
+            </div>
+            <div className="p-3 bg-green-100 rounded-lg">
+              <DollarSign className="w-6 h-6 text-green-600" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-6">
+        <CostTable
+          title="Cost per Article"
+          groups={costByArticle.slice(0, 10)}
+          renderKey={(id, group) => (
+            <Link to={`/editor/${id}`} className="text-blue-600 hover:text-blue-700">
+              {group.label || 'Untitled'}
+            </Link>
+          )}
+        />
+        <CostTable title="Cost per Contributor" groups={costByContributor} />
+        <CostTable
+          title="Cost per Month"
+          groups={costByMonth}
+          renderKey={month => new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+        />
+        <CostTable title="Cost per Stage" groups={costByStage} renderKey={stage => stage.replace(/_/g, ' ')} />
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Spend for a budget period with progress toward its cap (cap 0 = no cap)
+ */
+function BudgetCard({ label, spent, cap }) {
+  const percentage = cap > 0 ? Math.min((spent / cap) * 100, 100) : 0
+  const barColor = percentage >= 100 ? 'bg-red-600' : percentage >= 80 ? 'bg-yellow-500' : 'bg-green-600'
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <p className="text-sm text-gray-600 mb-1">{label}</p>
+      <p className="text-3xl font-bold text-gray-900">{formatCost(spent)}</p>
+      {cap > 0 ? (
+        <>
+          <div className="w-full bg-gray-200 rounded-full h-2 mt-3">
+            <div className={`${barColor} h-2 rounded-full transition-all`} style={{ width: `${percentage}%` }} />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Budget {formatCost(cap)}</p>
+        </>
+      ) : (
+        <p className="text-xs text-gray-500 mt-3">No budget cap</p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Usage groups (see parseUsageSummary) as rows of calls, tokens and cost
+ */
+function CostTable({ title, groups, renderKey = key => key }) {
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-500">No AI usage recorded yet</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="pb-2 font-medium"></th>
+              <th className="pb-2 font-medium text-right">Calls</th>
+              <th className="pb-2 font-medium text-right">Tokens (in / out)</th>
+              <th className="pb-2 font-medium text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(group => (
+              <tr key={group.key} className="border-b border-gray-100 last:border-0">
+                <td className="py-2 text-gray-900 truncate max-w-xs">{renderKey(group.key, group)}</td>
+                <td className="py-2 text-right text-gray-700">{group.calls}</td>
+                <td className="py-2 text-right text-gray-700">
+                  {group.inputTokens.toLocaleString()} / {group.outputTokens.toLocaleString()}
+                </td>
+                <td className="py-2 text-right font-medium text-gray-900">{formatCost(group.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   )
 }
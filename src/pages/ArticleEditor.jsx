@@ -1,11 +1,23 @@
 import { useParams, useNavigate } from 'react-router-dom'
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useRef } from 'react'
 import { useArticle, useUpdateArticle } from '../hooks/useArticles'
 import { useAutoFixQuality } from '../hooks/useGeneration'
 import { ArrowLeft, Save, Loader2 } from 'lucide-react'
 import ReactQuill from 'react-quill'
 import 'react-quill/dist/quill.snow.css'
 import QualityChecklist from '../components/editor/QualityChecklist'
+import ReadabilityPanel from '../components/editor/ReadabilityPanel'
+import AITellsPanel from '../components/editor/AITellsPanel'
+import StructuredDataPanel from '../components/editor/StructuredDataPanel'
+import MetadataPanel from '../components/editor/MetadataPanel'
+import SeoAnalysisPanel from '../components/editor/SeoAnalysisPanel'
+import FaqEditorPanel from '../components/editor/FaqEditorPanel'
+import VersionHistoryPanel from '../components/editor/VersionHistoryPanel'
+import CommentsPanel from '../components/editor/CommentsPanel'
+import { resolveAnchor } from '../lib/comments/anchors'
+import { withFaqIds, stripFaqIds, slugify } from '../lib/seo/metadata'
+
+const EMPTY_METADATA = { excerpt: '', meta_title: '', meta_description: '', focus_keyword: '', slug: '' }
 
 function ArticleEditor() {
   const { articleId } = useParams()
@@ -16,13 +28,22 @@ function ArticleEditor() {
 
   const [title, setTitle] = useState('')
   const [content, setContent] = useState('')
+  const [metadata, setMetadata] = useState(EMPTY_METADATA)
+  // FAQs carry local ids for the sortable list (see FaqEditorPanel)
+  const [faqs, setFaqs] = useState([])
   const [saving, setSaving] = useState(false)
+  // Plain text and last non-empty selection of the Quill editor, for comment anchors
+  const [editorText, setEditorText] = useState('')
+  const [selection, setSelection] = useState(null)
+  const quillRef = useRef(null)
 
   // Update local state when article loads
   useEffect(() => {
     if (article) {
       setTitle(article.title || '')
       setContent(article.content || '')
+      setMetadata(Object.fromEntries(Object.keys(EMPTY_METADATA).map(key => [key, article[key] || ''])))
+      setFaqs(withFaqIds(article.faqs))
     }
   }, [article])
 
@@ -46,16 +67,49 @@ function ArticleEditor() {
     'link', 'image'
   ]
 
+  const handleContentChange = (value, delta, source, editor) => {
+    setContent(value)
+    setEditorText(editor.getText())
+  }
+
+  // Clicking into the comments panel blurs the editor (range null); keep the last selection
+  const handleSelectionChange = (range) => {
+    if (range) setSelection(range.length > 0 ? range : null)
+  }
+
+  const handleFocusComment = (comment) => {
+    const quill = quillRef.current?.getEditor()
+    if (!quill) return
+
+    const anchor = resolveAnchor(quill.getText(), comment)
+    if (anchor) quill.setSelection(anchor.index, anchor.length, 'user')
+  }
+
+  // Select an AI tell reported by AITellsPanel (offsets are in getText() coordinates)
+  const handleSelectHit = (hit) => {
+    const quill = quillRef.current?.getEditor()
+    if (!quill || hit.index === null) return
+
+    quill.setSelection(hit.index, hit.length, 'user')
+  }
+
   const handleSave = async () => {
     setSaving(true)
     try {
       await updateArticle.mutateAsync({
         articleId,
-        updates: { title, content }
+        updates: {
+          title,
+          content,
+          ...metadata,
+          slug: slugify(metadata.slug) || null,
+          faqs: stripFaqIds(faqs),
+        }
       })
       alert('Article saved successfully!')
     } catch (error) {
-      alert('Failed to save: ' + error.message)
+      // 23505: unique violation, the only unique column we edit is slug
+      alert('Failed to save: ' + (error.code === '23505' ? 'the slug is already used by another article' : error.message))
     } finally {
       setSaving(false)
     }
@@ -67,6 +121,8 @@ function ArticleEditor() {
         articleId,
         content,
         issues,
+        stageWarnings: article.stage_warnings || [],
+        article,
       })
 
       // Update local content with fixed version
@@ -171,9 +227,11 @@ function ArticleEditor() {
               </label>
               <div className="border border-gray-300 rounded-lg overflow-hidden">
                 <ReactQuill
+                  ref={quillRef}
                   theme="snow"
                   value={content}
-                  onChange={setContent}
+                  onChange={handleContentChange}
+                  onChangeSelection={handleSelectionChange}
                   modules={quillModules}
                   formats={quillFormats}
                   className="bg-white"
@@ -214,11 +272,37 @@ function ArticleEditor() {
 
           {/* Quality Checklist Sidebar - 1/3 width */}
           <div className="overflow-y-auto">
-            <div className="sticky top-0">
+            <div className="space-y-6">
+              <MetadataPanel
+                articleId={articleId}
+                title={title}
+                content={content}
+                metadata={metadata}
+                onChange={(changes) => setMetadata(current => ({ ...current, ...changes }))}
+              />
+              <SeoAnalysisPanel
+                title={title}
+                content={content}
+                metadata={metadata}
+                keywordData={article.keyword_research_data}
+              />
+              <FaqEditorPanel faqs={faqs} onChange={setFaqs} />
               <QualityChecklist
                 article={article}
                 onAutoFix={handleAutoFix}
               />
+              <CommentsPanel
+                article={article}
+                content={content}
+                editorText={editorText}
+                selection={selection}
+                onFocusComment={handleFocusComment}
+                onRevised={(revised) => setContent(revised.content)}
+              />
+              <ReadabilityPanel content={content} />
+              <AITellsPanel editorText={editorText} onSelectHit={handleSelectHit} />
+              <StructuredDataPanel article={article} content={content} />
+              <VersionHistoryPanel article={article} currentContent={content} />
             </div>
           </div>
         </div>
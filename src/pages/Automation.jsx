@@ -0,0 +1,217 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Bot, Play, Loader2, ChevronDown, ChevronRight, CheckCircle, XCircle, MinusCircle, AlertTriangle } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import { useAutomationRuns, useRunAutomationCycle } from '../hooks/useAutomation'
+import { useSystemSettings, useUpdateSystemSettings } from '../hooks/useSettings'
+import { DEFAULT_SETTINGS } from '../lib/settings'
+import { describeError } from '../lib/http/apiErrors'
+
+const MODE_LABELS = {
+  manual: 'Manual',
+  semi_auto: 'Semi-Automatic',
+  full_auto: 'Fully Automatic',
+}
+
+function Automation() {
+  const { user } = useAuth()
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
+  const { data: runs = [], isLoading } = useAutomationRuns()
+  const runCycle = useRunAutomationCycle()
+  const updateSettings = useUpdateSystemSettings()
+
+  const handleRunNow = async () => {
+    try {
+      await runCycle.mutateAsync()
+    } catch (error) {
+      alert('Automation cycle failed: ' + describeError(error))
+    }
+  }
+
+  const handleClaimOwnership = async () => {
+    try {
+      await updateSettings.mutateAsync({ automation_user_id: user.id })
+    } catch (error) {
+      alert('Failed to update automation owner: ' + error.message)
+    }
+  }
+
+  const isManual = settings.automation_mode === 'manual'
+
+  return (
+    <div className="p-8">
+      <div className="mb-8 flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Automation</h1>
+          <p className="text-gray-600 mt-1">Idea top-up, generation, routing and publishing cycles</p>
+        </div>
+        <button
+          onClick={handleRunNow}
+          disabled={runCycle.isPending || isManual}
+          title={isManual ? 'Switch automation_mode in Settings to run cycles' : 'Run a cycle now'}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {runCycle.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+          Run Cycle Now
+        </button>
+      </div>
+
+      {/* Current configuration */}
+      <div className="bg-white p-6 rounded-lg border border-gray-200 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Configuration</h2>
+          <Link to="/settings" className="text-sm text-blue-600 hover:text-blue-700">Edit in Settings</Link>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4 text-sm">
+          <ConfigItem label="Mode" value={MODE_LABELS[settings.automation_mode] || settings.automation_mode} />
+          <ConfigItem label="Cycle interval" value={`${settings.cycle_interval_seconds}s`} />
+          <ConfigItem label="Min ideas waiting" value={settings.min_idea_queue_size} />
+          <ConfigItem label="Parallel generations" value={settings.max_generation_parallel} />
+          <ConfigItem label="Ready-to-publish score" value={`≥ ${settings.quality_threshold_publish}`} />
+          <ConfigItem
+            label="Auto-publish"
+            value={settings.automation_mode === 'full_auto' && settings.enable_auto_publish ? 'On' : 'Off'}
+          />
+          <ConfigItem
+            label="AI budget (day / month)"
+            value={[settings.daily_budget_usd, settings.monthly_budget_usd].map(cap => (cap > 0 ? `$${cap}` : 'No cap')).join(' / ')}
+          />
+        </div>
+
+        <div className="mt-4 pt-4 border-t border-gray-200 flex items-center justify-between text-sm">
+          <div>
+            <p className="font-medium text-gray-900">Automation owner</p>
+            <p className="text-gray-600">
+              {settings.automation_user_id
+                ? (settings.automation_user_id === user?.id ? 'You' : settings.automation_user_id)
+                : 'Not set - scheduled cycles cannot generate ideas'}
+            </p>
+          </div>
+          {settings.automation_user_id !== user?.id && (
+            <button
+              onClick={handleClaimOwnership}
+              disabled={updateSettings.isPending}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Use my account
+            </button>
+          )}
+        </div>
+
+        {isManual && (
+          <p className="mt-4 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+            Automation is in manual mode. Scheduled cycles do nothing until the mode is set to
+            semi_auto or full_auto.
+          </p>
+        )}
+      </div>
+
+      {/* Run log */}
+      <div className="bg-white rounded-lg border border-gray-200">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Run Log</h2>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+          </div>
+        ) : runs.length === 0 ? (
+          <div className="text-center py-12">
+            <Bot className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No automation cycles have run yet</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {runs.map(run => <RunRow key={run.id} run={run} />)}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function ConfigItem({ label, value }) {
+  return (
+    <div>
+      <p className="text-gray-500">{label}</p>
+      <p className="font-medium text-gray-900">{value}</p>
+    </div>
+  )
+}
+
+/**
+ * One automation run with an expandable step log
+ */
+function RunRow({ run }) {
+  const [expanded, setExpanded] = useState(false)
+
+  const summary = [
+    run.ideas_generated > 0 && `${run.ideas_generated} ideas`,
+    run.jobs_enqueued > 0 && `${run.jobs_enqueued} enqueued`,
+    run.articles_routed > 0 && `${run.articles_routed} routed`,
+    run.articles_published > 0 && `${run.articles_published} published`,
+  ].filter(Boolean).join(' · ')
+
+  return (
+    <div>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-3 px-6 py-4 text-left hover:bg-gray-50"
+      >
+        {expanded ? <ChevronDown className="w-4 h-4 text-gray-400" /> : <ChevronRight className="w-4 h-4 text-gray-400" />}
+        <RunStatusIcon status={run.status} />
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium text-gray-900">
+            {new Date(run.started_at).toLocaleString()}
+            <span className="ml-2 text-xs text-gray-500">
+              {MODE_LABELS[run.mode] || run.mode} · {run.trigger === 'manual' ? 'Run manually' : 'Scheduled'}
+            </span>
+          </p>
+          <p className="text-xs text-gray-600 truncate">
+            {run.error_message || summary || (run.status === 'skipped' ? run.log?.[0]?.message : 'Nothing to do')}
+          </p>
+        </div>
+        <span className="text-xs text-gray-500 capitalize">{run.status}</span>
+      </button>
+
+      {expanded && (
+        <div className="px-6 pb-4 pl-16">
+          <ul className="space-y-1 font-mono text-xs">
+            {(run.log || []).map((entry, index) => (
+              <li
+                key={index}
+                className={
+                  entry.level === 'error' ? 'text-red-600'
+                    : entry.level === 'warning' ? 'text-yellow-700'
+                      : 'text-gray-700'
+                }
+              >
+                <span className="text-gray-400">{new Date(entry.at).toLocaleTimeString()}</span>
+                {' '}[{entry.step}] {entry.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function RunStatusIcon({ status }) {
+  switch (status) {
+    case 'running':
+      return <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+    case 'completed':
+      return <CheckCircle className="w-5 h-5 text-green-600" />
+    case 'failed':
+      return <XCircle className="w-5 h-5 text-red-600" />
+    case 'skipped':
+      return <MinusCircle className="w-5 h-5 text-gray-400" />
+    default:
+      return <AlertTriangle className="w-5 h-5 text-yellow-600" />
+  }
+}
+
+export default Automation
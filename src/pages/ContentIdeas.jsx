@@ -5,7 +5,12 @@ import {
   useUpdateContentIdea,
   useDeleteContentIdea,
 } from '../hooks/useContentIdeas'
-import { useGenerateArticle } from '../hooks/useGeneration'
+import {
+  useGenerationQueue,
+  useEnqueueGeneration,
+  useRetryGeneration,
+} from '../hooks/useGenerationQueue'
+import { ERROR_KIND_HINTS, ERROR_KIND_LABELS } from '../lib/http/apiErrors'
 import {
   Plus,
   Loader2,
@@ -14,6 +19,7 @@ import {
   Trash2,
   Sparkles,
   FileText,
+  RotateCcw,
 } from 'lucide-react'
 
 const STATUS_CONFIG = {
@@ -26,14 +32,14 @@ const STATUS_CONFIG = {
 function ContentIdeas() {
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [filterStatus, setFilterStatus] = useState(null)
-  const [generatingIdea, setGeneratingIdea] = useState(null)
-  const [generationProgress, setGenerationProgress] = useState({ message: '', percentage: 0 })
 
   const { data: ideas = [], isLoading } = useContentIdeas({ status: filterStatus })
   const createIdea = useCreateContentIdea()
   const updateIdea = useUpdateContentIdea()
   const deleteIdea = useDeleteContentIdea()
-  const generateArticle = useGenerateArticle()
+  const { data: queue = [] } = useGenerationQueue()
+  const enqueueGeneration = useEnqueueGeneration()
+  const retryGeneration = useRetryGeneration()
 
   const handleCreateIdea = async (formData) => {
     try {
@@ -77,37 +83,18 @@ function ContentIdeas() {
   }
 
   const handleGenerate = async (idea) => {
-    setGeneratingIdea(idea.id)
-    setGenerationProgress({ message: 'Starting generation...', percentage: 0 })
-
     try {
-      await generateArticle.mutateAsync({
-        idea,
-        options: {
-          contentType: 'guide',
-          targetWordCount: 2000,
-          autoAssignContributor: true,
-          addInternalLinks: true,
-          autoFix: true,
-          maxFixAttempts: 3,
-        },
-        onProgress: (progress) => {
-          setGenerationProgress(progress)
-        },
-      })
-
-      setGenerationProgress({ message: 'Complete!', percentage: 100 })
-
-      // Show success message briefly before clearing
-      setTimeout(() => {
-        setGeneratingIdea(null)
-        setGenerationProgress({ message: '', percentage: 0 })
-      }, 2000)
+      await enqueueGeneration.mutateAsync({ idea })
+    } catch (error) {
+      alert('Failed to queue article generation: ' + error.message)
+    }
+  }
 
+  const handleRetry = async (jobId) => {
+    try {
+      await retryGeneration.mutateAsync(jobId)
     } catch (error) {
-      alert('Failed to generate article: ' + error.message)
-      setGeneratingIdea(null)
-      setGenerationProgress({ message: '', percentage: 0 })
+      alert('Failed to retry generation: ' + error.message)
     }
   }
 
@@ -173,7 +160,8 @@ function ContentIdeas() {
             onReject={handleReject}
             onDelete={handleDelete}
             onGenerate={handleGenerate}
-            isGenerating={generatingIdea === idea.id}
+            onRetry={handleRetry}
+            job={queue.find(job => job.content_idea_id === idea.id)}
           />
         ))}
       </div>
@@ -200,18 +188,11 @@ function ContentIdeas() {
           isSubmitting={createIdea.isPending}
         />
       )}
-
-      {/* Generation Progress Modal */}
-      {generatingIdea && (
-        <GenerationProgressModal
-          progress={generationProgress}
-        />
-      )}
     </div>
   )
 }
 
-function IdeaCard({ idea, onApprove, onReject, onDelete, onGenerate, isGenerating }) {
+function IdeaCard({ idea, onApprove, onReject, onDelete, onGenerate, onRetry, job }) {
   const statusConfig = STATUS_CONFIG[idea.status]
   const StatusIcon = statusConfig.icon
 
@@ -271,26 +252,20 @@ function IdeaCard({ idea, onApprove, onReject, onDelete, onGenerate, isGeneratin
           </>
         )}
 
-        {idea.status === 'approved' && (
+        {idea.status === 'approved' && !job && (
           <button
             onClick={() => onGenerate(idea)}
-            disabled={isGenerating}
             className="flex-1 bg-blue-600 text-white text-sm py-2 px-3 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-1"
           >
-            {isGenerating ? (
-              <>
-                <Loader2 className="w-4 h-4 animate-spin" />
-                Generating...
-              </>
-            ) : (
-              <>
-                <Sparkles className="w-4 h-4" />
-                Generate Article
-              </>
-            )}
+            <Sparkles className="w-4 h-4" />
+            Generate Article
           </button>
         )}
 
+        {idea.status === 'approved' && job && (
+          <GenerationJobStatus job={job} onRetry={onRetry} />
+        )}
+
         {idea.status === 'completed' && (
           <div className="flex-1 text-center text-sm text-gray-600 py-2">
             Article generated
@@ -418,32 +393,41 @@ function CreateIdeaModal({ onClose, onSubmit, isSubmitting }) {
   )
 }
 
-function GenerationProgressModal({ progress }) {
+function GenerationJobStatus({ job, onRetry }) {
+  if (job.status === 'failed') {
+    return (
+      <div className="flex-1">
+        <p className="text-xs text-red-600 mb-1 line-clamp-2" title={job.error_message}>
+          {job.error_kind && job.error_kind !== 'unknown' ? ERROR_KIND_LABELS[job.error_kind] : 'Generation failed'}: {job.error_message}
+        </p>
+        {ERROR_KIND_HINTS[job.error_kind] && (
+          <p className="text-xs text-gray-500 mb-2">{ERROR_KIND_HINTS[job.error_kind]}</p>
+        )}
+        <button
+          onClick={() => onRetry(job.id)}
+          className="w-full bg-red-50 text-red-700 text-sm py-2 px-3 rounded hover:bg-red-100 flex items-center justify-center gap-1"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Retry
+        </button>
+      </div>
+    )
+  }
+
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 p-8">
-        <div className="text-center">
-          <Loader2 className="w-16 h-16 text-blue-600 mx-auto mb-4 animate-spin" />
-          <h2 className="text-xl font-bold text-gray-900 mb-2">Generating Article...</h2>
-          <p className="text-sm text-gray-600 mb-6">{progress.message}</p>
-
-          {/* Progress Bar */}
-          <div className="w-full bg-gray-200 rounded-full h-3 mb-2 overflow-hidden">
-            <div
-              className="bg-gradient-to-r from-blue-500 to-indigo-600 h-3 rounded-full transition-all duration-500 ease-out"
-              style={{ width: `${progress.percentage}%` }}
-            />
-          </div>
-          <p className="text-xs text-gray-500">{progress.percentage}% complete</p>
-
-          <div className="mt-6 text-xs text-gray-500 space-y-1">
-            <p>• Drafting with Grok AI</p>
-            <p>• Humanizing with Claude AI</p>
-            <p>• Adding internal links</p>
-            <p>• Running quality assurance</p>
-            <p>• Auto-fixing issues (up to 3 attempts)</p>
-          </div>
-        </div>
+    <div className="flex-1">
+      <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+        <span className="flex items-center gap-1">
+          <Loader2 className="w-3 h-3 animate-spin" />
+          {job.status === 'pending' ? 'Queued' : (job.current_stage || 'processing').replace(/_/g, ' ')}
+        </span>
+        <span>{job.progress_percentage}%</span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+        <div
+          className="bg-gradient-to-r from-blue-500 to-indigo-600 h-2 rounded-full transition-all duration-500 ease-out"
+          style={{ width: `${job.progress_percentage}%` }}
+        />
       </div>
     </div>
   )
@@ -65,15 +65,25 @@ function ContentLibrary() {
           >
             <div className="flex items-start justify-between mb-3">
               <FileText className="w-5 h-5 text-blue-600" />
-              {article.quality_score > 0 && (
-                <span className={`px-2 py-1 text-xs rounded ${
-                  article.quality_score >= 85 ? 'bg-green-100 text-green-700' :
-                  article.quality_score >= 75 ? 'bg-yellow-100 text-yellow-700' :
-                  'bg-red-100 text-red-700'
-                }`}>
-                  {article.quality_score}
-                </span>
-              )}
+              <div className="flex items-center gap-1">
+                {article.humanization_flagged && (
+                  <span
+                    className="px-2 py-1 text-xs rounded bg-orange-100 text-orange-700"
+                    title="The humanize stage didn't raise the humanness score"
+                  >
+                    Not humanized
+                  </span>
+                )}
+                {article.quality_score > 0 && (
+                  <span className={`px-2 py-1 text-xs rounded ${
+                    article.quality_score >= 85 ? 'bg-green-100 text-green-700' :
+                    article.quality_score >= 75 ? 'bg-yellow-100 text-yellow-700' :
+                    'bg-red-100 text-red-700'
+                  }`}>
+                    {article.quality_score}
+                  </span>
+                )}
+              </div>
             </div>
 
             <h3 className="font-semibold text-gray-900 mb-2 line-clamp-2">
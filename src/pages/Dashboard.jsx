@@ -2,7 +2,7 @@ import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useArticles, useUpdateArticleStatus } from '../hooks/useArticles'
 import { useContentIdeas } from '../hooks/useContentIdeas'
-import { useGenerateArticle } from '../hooks/useGeneration'
+import { useGenerationQueue, useEnqueueGeneration } from '../hooks/useGenerationQueue'
 import { Plus, Loader2, FileText, Clock, CheckCircle, AlertCircle, GripVertical } from 'lucide-react'
 import {
   DndContext,
@@ -29,9 +29,9 @@ function Dashboard() {
   const { data: articles = [], isLoading } = useArticles()
   const { data: ideas = [] } = useContentIdeas({ status: 'approved' })
   const updateStatus = useUpdateArticleStatus()
-  const generateArticle = useGenerateArticle()
+  const { data: queue = [] } = useGenerationQueue()
+  const enqueueGeneration = useEnqueueGeneration()
 
-  const [generatingIdea, setGeneratingIdea] = useState(null)
   const [activeId, setActiveId] = useState(null)
 
   // Configure drag sensors
@@ -74,25 +74,18 @@ function Dashboard() {
   }
 
   const handleGenerateArticle = async (idea) => {
-    setGeneratingIdea(idea.id)
     try {
-      await generateArticle.mutateAsync({
-        idea,
-        options: {
-          contentType: 'guide',
-          targetWordCount: 2000,
-          autoAssignContributor: true,
-          addInternalLinks: true,
-        },
-      })
+      await enqueueGeneration.mutateAsync({ idea })
     } catch (error) {
-      console.error('Generation error:', error)
-      alert('Failed to generate article: ' + error.message)
-    } finally {
-      setGeneratingIdea(null)
+      console.error('Enqueue error:', error)
+      alert('Failed to queue article generation: ' + error.message)
     }
   }
 
+  const getJobForIdea = (ideaId) => {
+    return queue.find(job => job.content_idea_id === ideaId && job.status !== 'failed')
+  }
+
   const handleArticleClick = (article) => {
     navigate(`/editor/${article.id}`)
   }
@@ -202,23 +195,10 @@ function Dashboard() {
                   <p className="text-xs text-gray-600 mb-3 line-clamp-2">{idea.description}</p>
                 )}
 
-                <button
-                  onClick={() => handleGenerateArticle(idea)}
-                  disabled={generatingIdea === idea.id}
-                  className="w-full bg-blue-600 text-white text-xs py-2 px-3 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center"
-                >
-                  {generatingIdea === idea.id ? (
-                    <>
-                      <Loader2 className="w-3 h-3 mr-1 animate-spin" />
-                      Generating...
-                    </>
-                  ) : (
-                    <>
-                      <Plus className="w-3 h-3 mr-1" />
-                      Generate Article
-                    </>
-                  )}
-                </button>
+                <GenerateButton
+                  job={getJobForIdea(idea.id)}
+                  onGenerate={() => handleGenerateArticle(idea)}
+                />
               </div>
             ))}
 
@@ -286,6 +266,39 @@ function Dashboard() {
   )
 }
 
+// Generate button that reflects the idea's queue job
+function GenerateButton({ job, onGenerate }) {
+  if (job) {
+    return (
+      <div>
+        <div className="flex items-center justify-between text-xs text-blue-700 mb-1">
+          <span className="flex items-center capitalize">
+            <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+            {job.status === 'pending' ? 'Queued' : (job.current_stage || 'processing').replace(/_/g, ' ')}
+          </span>
+          <span>{job.progress_percentage}%</span>
+        </div>
+        <div className="w-full bg-blue-100 rounded-full h-1.5 overflow-hidden">
+          <div
+            className="bg-blue-600 h-1.5 rounded-full transition-all duration-500 ease-out"
+            style={{ width: `${job.progress_percentage}%` }}
+          />
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <button
+      onClick={onGenerate}
+      className="w-full bg-blue-600 text-white text-xs py-2 px-3 rounded hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center"
+    >
+      <Plus className="w-3 h-3 mr-1" />
+      Generate Article
+    </button>
+  )
+}
+
 // Droppable Column Component
 function DroppableColumn({ id, children }) {
   const { setNodeRef, isOver } = useSortable({
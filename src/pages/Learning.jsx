@@ -0,0 +1,281 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { GraduationCap, Check, X, RotateCcw, Loader2, Plus, ArrowRight } from 'lucide-react'
+import { useTrainingData, useReviewTrainingData, usePatternGenerations } from '../hooks/useTrainingData'
+import { useSystemSettings } from '../hooks/useSettings'
+import { DEFAULT_SETTINGS } from '../lib/settings'
+import { PATTERN_CATEGORIES, rowPatterns, measurePatternImpact } from '../lib/learning/patterns'
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Pending review' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'applied', label: 'Applied' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' },
+]
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  approved: 'bg-blue-100 text-blue-700',
+  applied: 'bg-green-100 text-green-700',
+  rejected: 'bg-gray-100 text-gray-600',
+}
+
+/**
+ * Learning
+ * Patterns extracted from AI revisions of reviewer feedback. Approved patterns are
+ * added to the draft and humanization prompts of later generations.
+ */
+function Learning() {
+  const [status, setStatus] = useState('pending')
+  const { data: settings = DEFAULT_SETTINGS } = useSystemSettings()
+  const { data: rows = [], isLoading } = useTrainingData(status || undefined)
+  const { data: generations = [] } = usePatternGenerations()
+
+  return (
+    <div className="p-8">
+      <div className="mb-8 flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Learning</h1>
+          <p className="text-gray-600 mt-1">
+            Review patterns learned from AI revisions. Approved patterns are added to future drafting and humanization prompts.
+          </p>
+        </div>
+        <Link to="/settings" className="text-sm text-blue-600 hover:text-blue-700 shrink-0">
+          Up to {settings.max_learned_rules} rules per prompt
+        </Link>
+      </div>
+
+      <div className="flex bg-gray-100 rounded-lg p-1 mb-6 w-fit">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setStatus(tab.value)}
+            className={`px-4 py-1.5 text-sm rounded-md ${status === tab.value ? 'bg-white shadow text-gray-900' : 'text-gray-600 hover:text-gray-900'}`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+        </div>
+      ) : rows.length === 0 ? (
+        <div className="text-center py-12">
+          <GraduationCap className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No training data here yet</p>
+          <p className="text-sm text-gray-500 mt-1">Each "Revise with AI" in the editor records the patterns behind the revision</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {rows.map(row => (
+            <TrainingCard key={row.id} row={row} generations={generations} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function TrainingCard({ row, generations }) {
+  const reviewTrainingData = useReviewTrainingData()
+  const [patterns, setPatterns] = useState(() => rowPatterns(row))
+  const editable = row.status === 'pending'
+  const impact = measurePatternImpact(row, generations)
+
+  const updatePattern = (index, field, value) => {
+    setPatterns(current => current.map((pattern, i) => (i === index ? { ...pattern, [field]: value } : pattern)))
+  }
+
+  const removePattern = (index) => {
+    setPatterns(current => current.filter((_, i) => i !== index))
+  }
+
+  const addPattern = () => {
+    setPatterns(current => [...current, { category: 'style', pattern: '', example: '', impact_score: 50 }])
+  }
+
+  const review = async (status) => {
+    try {
+      await reviewTrainingData.mutateAsync({
+        id: row.id,
+        status,
+        patterns: editable ? patterns : undefined,
+      })
+    } catch (error) {
+      alert('Failed to update training data: ' + error.message)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="p-6 border-b border-gray-200 flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2">
+            <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${STATUS_COLORS[row.status]}`}>
+              {row.status}
+            </span>
+            {row.article_id ? (
+              <Link to={`/editor/${row.article_id}`} className="font-semibold text-gray-900 hover:text-blue-600 truncate">
+                {row.articles?.title || 'Untitled article'}
+              </Link>
+            ) : (
+              <span className="font-semibold text-gray-500">Deleted article</span>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Revised {new Date(row.created_at).toLocaleString()}
+            {row.applied_at && ` · first applied ${new Date(row.applied_at).toLocaleDateString()}`}
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2 shrink-0">
+          {editable && (
+            <button
+              onClick={() => review('approved')}
+              disabled={reviewTrainingData.isPending || patterns.every(pattern => !pattern.pattern.trim())}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              <Check className="w-4 h-4" />
+              Approve
+            </button>
+          )}
+          {row.status !== 'rejected' ? (
+            <button
+              onClick={() => review('rejected')}
+              disabled={reviewTrainingData.isPending}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              <X className="w-4 h-4" />
+              {editable ? 'Reject' : 'Stop applying'}
+            </button>
+          ) : (
+            <button
+              onClick={() => review('pending')}
+              disabled={reviewTrainingData.isPending}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Reopen
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-3">
+          <h3 className="text-sm font-medium text-gray-700">Patterns</h3>
+          {patterns.length === 0 && (
+            <p className="text-sm text-gray-500">No patterns were extracted from this revision.</p>
+          )}
+          {patterns.map((pattern, index) => (
+            <div key={index} className="border border-gray-200 rounded-lg p-3">
+              {editable ? (
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={pattern.category}
+                      onChange={(e) => updatePattern(index, 'category', e.target.value)}
+                      className="px-2 py-1 text-xs border border-gray-300 rounded"
+                    >
+                      {PATTERN_CATEGORIES.map(category => (
+                        <option key={category} value={category}>{category}</option>
+                      ))}
+                    </select>
+                    <input
+                      value={pattern.pattern}
+                      onChange={(e) => updatePattern(index, 'pattern', e.target.value)}
+                      placeholder="Rule for future articles"
+                      className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded"
+                    />
+                    <button onClick={() => removePattern(index)} title="Remove pattern" className="text-gray-400 hover:text-red-600">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <input
+                    value={pattern.example}
+                    onChange={(e) => updatePattern(index, 'example', e.target.value)}
+                    placeholder="Example (optional)"
+                    className="w-full px-2 py-1 text-xs border border-gray-300 rounded text-gray-600"
+                  />
+                </div>
+              ) : (
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700">{pattern.category}</span>
+                    <span className="text-sm text-gray-900">{pattern.pattern}</span>
+                  </div>
+                  {pattern.example && <p className="text-xs text-gray-500 mt-1">e.g. {pattern.example}</p>}
+                </div>
+              )}
+            </div>
+          ))}
+          {editable && (
+            <button onClick={addPattern} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800">
+              <Plus className="w-4 h-4" />
+              Add pattern
+            </button>
+          )}
+
+          {row.feedback_items?.length > 0 && (
+            <details className="pt-2">
+              <summary className="text-sm text-gray-600 cursor-pointer">
+                Feedback addressed ({row.feedback_items.length})
+              </summary>
+              <ul className="mt-2 space-y-1 text-sm text-gray-600">
+                {row.feedback_items.map((item, index) => (
+                  <li key={index}>
+                    <span className="font-medium capitalize">{item.category}:</span> {item.comment}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+
+        <div className="space-y-4 text-sm">
+          <ImpactRow
+            label="Revision quality"
+            before={row.quality_before}
+            after={row.quality_after}
+          />
+          <div>
+            <p className="text-gray-500">Estimated impact</p>
+            <p className="font-medium text-gray-900">{row.impact_score ?? '—'}</p>
+          </div>
+          <ImpactRow
+            label="Generated quality (before → with pattern)"
+            before={impact.before}
+            after={impact.after}
+            detail={`${impact.beforeCount} before · ${impact.afterCount} with`}
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function ImpactRow({ label, before, after, detail }) {
+  const delta = before != null && after != null ? after - before : null
+
+  return (
+    <div>
+      <p className="text-gray-500">{label}</p>
+      <div className="flex items-center gap-2 font-medium text-gray-900">
+        <span>{before ?? '—'}</span>
+        <ArrowRight className="w-3.5 h-3.5 text-gray-400" />
+        <span>{after ?? '—'}</span>
+        {delta !== null && (
+          <span className={delta > 0 ? 'text-green-700' : delta < 0 ? 'text-red-700' : 'text-gray-500'}>
+            ({delta > 0 ? '+' : ''}{delta})
+          </span>
+        )}
+      </div>
+      {detail && <p className="text-xs text-gray-500">{detail}</p>}
+    </div>
+  )
+}
+
+export default Learning
@@ -1,20 +1,18 @@
-import { useState } from 'react'
-import { Settings as SettingsIcon, Plus, Trash2, Check, X, ExternalLink } from 'lucide-react'
+import { KeyRound, CheckCircle, AlertCircle } from 'lucide-react'
+import WordPressConnections from '../components/settings/WordPressConnections'
+import SystemSettingsForm from '../components/settings/SystemSettingsForm'
+
+// API keys live in environment variables / Edge Function secrets, never in system_settings
+const API_KEYS = [
+  { label: 'Grok API Key', secret: 'GROK_API_KEY', configured: !!import.meta.env.VITE_GROK_API_KEY },
+  { label: 'Claude API Key', secret: 'CLAUDE_API_KEY', configured: !!import.meta.env.VITE_CLAUDE_API_KEY },
+  { label: 'OpenAI-compatible API Key and Endpoint', secret: 'OPENAI_API_KEY / OPENAI_BASE_URL', configured: !!import.meta.env.VITE_OPENAI_API_KEY },
+  { label: 'Local LLM API Key (optional)', secret: 'LOCAL_LLM_API_KEY', configured: !!import.meta.env.VITE_LOCAL_LLM_API_KEY },
+  { label: 'DataForSEO Credentials', secret: 'DATAFORSEO_USERNAME / DATAFORSEO_PASSWORD', configured: null },
+  { label: 'Embeddings API Key and Endpoint', secret: 'EMBEDDING_API_KEY / EMBEDDING_API_URL', configured: null },
+]
 
 function Settings() {
-  const [wpConnections, setWpConnections] = useState([])
-  const [showWpModal, setShowWpModal] = useState(false)
-
-  const handleAddWpConnection = (connectionData) => {
-    setWpConnections([...wpConnections, { ...connectionData, id: Date.now() }])
-    setShowWpModal(false)
-  }
-
-  const handleDeleteWpConnection = (id) => {
-    if (!confirm('Delete this WordPress connection?')) return
-    setWpConnections(wpConnections.filter(conn => conn.id !== id))
-  }
-
   return (
     <div className="p-8">
       <div className="mb-8">
@@ -23,323 +21,48 @@ function Settings() {
       </div>
 
       <div className="max-w-4xl">
-        {/* WordPress Connections Section */}
-        <div className="bg-white p-6 rounded-lg border border-gray-200 mb-6">
-          <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-semibold text-gray-900">WordPress Connections</h2>
-            <button
-              onClick={() => setShowWpModal(true)}
-              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
-            >
-              <Plus className="w-4 h-4" />
-              Add Connection
-            </button>
-          </div>
-
-          {wpConnections.length === 0 ? (
-            <div className="text-center py-8 bg-gray-50 rounded-lg">
-              <ExternalLink className="w-12 h-12 text-gray-400 mx-auto mb-3" />
-              <p className="text-gray-600 mb-2">No WordPress connections</p>
-              <p className="text-sm text-gray-500">Add a connection to publish articles to WordPress</p>
-            </div>
-          ) : (
-            <div className="space-y-3">
-              {wpConnections.map((conn) => (
-                <div key={conn.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg hover:bg-gray-50">
-                  <div className="flex-1">
-                    <div className="flex items-center gap-2">
-                      <h3 className="font-medium text-gray-900">{conn.name}</h3>
-                      {conn.isDefault && (
-                        <span className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded">Default</span>
-                      )}
-                    </div>
-                    <p className="text-sm text-gray-600 mt-1">{conn.siteUrl}</p>
-                    <p className="text-xs text-gray-500 mt-1">User: {conn.username}</p>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <button
-                      className="p-2 text-gray-400 hover:text-gray-600"
-                      title="Test connection"
-                    >
-                      <Check className="w-5 h-5" />
-                    </button>
-                    <button
-                      onClick={() => handleDeleteWpConnection(conn.id)}
-                      className="p-2 text-gray-400 hover:text-red-600"
-                      title="Delete connection"
-                    >
-                      <Trash2 className="w-5 h-5" />
-                    </button>
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
-        </div>
+        <WordPressConnections />
 
         {/* API Keys Section */}
         <div className="bg-white p-6 rounded-lg border border-gray-200 mb-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">API Configuration</h2>
-
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Grok API Key
-              </label>
-              <input
-                type="password"
-                placeholder="••••••••••••••••"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Claude API Key
-              </label>
-              <input
-                type="password"
-                placeholder="••••••••••••••••"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                DataForSEO Username
-              </label>
-              <input
-                type="text"
-                placeholder="username"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                DataForSEO Password
-              </label>
-              <input
-                type="password"
-                placeholder="••••••••"
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-            </div>
-          </div>
-        </div>
-
-        {/* Automation Settings */}
-        <div className="bg-white p-6 rounded-lg border border-gray-200 mb-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Automation Settings</h2>
-
-          <div className="space-y-4">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="font-medium text-gray-900">Automation Mode</p>
-                <p className="text-sm text-gray-600">Choose how articles are generated</p>
-              </div>
-              <select className="px-4 py-2 border border-gray-300 rounded-lg">
-                <option value="manual">Manual</option>
-                <option value="semi_auto">Semi-Automatic</option>
-                <option value="full_auto">Fully Automatic</option>
-              </select>
-            </div>
-
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="font-medium text-gray-900">Auto-Publish</p>
-                <p className="text-sm text-gray-600">Automatically publish articles with score ≥ 85</p>
-              </div>
-              <label className="relative inline-flex items-center cursor-pointer">
-                <input type="checkbox" className="sr-only peer" />
-                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-              </label>
-            </div>
-
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="font-medium text-gray-900">Auto-Fix Quality Issues</p>
-                <p className="text-sm text-gray-600">Automatically fix quality issues with AI</p>
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">API Configuration</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            API keys are not stored in the database. Set them as Edge Function secrets
+            (<code className="text-xs bg-gray-100 px-1 rounded">supabase secrets set</code>) and, for local
+            development, in <code className="text-xs bg-gray-100 px-1 rounded">.env.local</code>.
+          </p>
+
+          <div className="space-y-3">
+            {API_KEYS.map(key => (
+              <div key={key.secret} className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <KeyRound className="w-4 h-4 text-gray-400" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{key.label}</p>
+                    <p className="text-xs text-gray-500 font-mono">{key.secret}</p>
+                  </div>
+                </div>
+                {key.configured === true && (
+                  <span className="flex items-center gap-1 text-xs text-green-700">
+                    <CheckCircle className="w-4 h-4" />
+                    Set for this browser
+                  </span>
+                )}
+                {key.configured === false && (
+                  <span className="flex items-center gap-1 text-xs text-yellow-700">
+                    <AlertCircle className="w-4 h-4" />
+                    Not set locally (mock responses)
+                  </span>
+                )}
+                {key.configured === null && (
+                  <span className="text-xs text-gray-500">Edge Function secret only</span>
+                )}
               </div>
-              <label className="relative inline-flex items-center cursor-pointer">
-                <input type="checkbox" className="sr-only peer" defaultChecked />
-                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-              </label>
-            </div>
-          </div>
-        </div>
-
-        {/* Quality Thresholds */}
-        <div className="bg-white p-6 rounded-lg border border-gray-200">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Quality Thresholds</h2>
-
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Auto-Publish Threshold
-              </label>
-              <input
-                type="number"
-                min="0"
-                max="100"
-                defaultValue="85"
-                className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-              <p className="text-xs text-gray-500 mt-1">Minimum quality score for auto-publishing</p>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Review Threshold
-              </label>
-              <input
-                type="number"
-                min="0"
-                max="100"
-                defaultValue="75"
-                className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-              <p className="text-xs text-gray-500 mt-1">Minimum quality score to avoid rejection</p>
-            </div>
+            ))}
           </div>
         </div>
 
-        <button className="mt-6 w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors">
-          Save Settings
-        </button>
-      </div>
-
-      {/* WordPress Connection Modal */}
-      {showWpModal && (
-        <WordPressConnectionModal
-          onClose={() => setShowWpModal(false)}
-          onSubmit={handleAddWpConnection}
-        />
-      )}
-    </div>
-  )
-}
-
-function WordPressConnectionModal({ onClose, onSubmit }) {
-  const [formData, setFormData] = useState({
-    name: '',
-    siteUrl: '',
-    username: '',
-    password: '',
-    authType: 'basic',
-    isDefault: false,
-  })
-
-  const handleSubmit = (e) => {
-    e.preventDefault()
-    onSubmit(formData)
-  }
-
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4">
-        <div className="p-6">
-          <div className="flex items-center justify-between mb-6">
-            <h2 className="text-2xl font-bold text-gray-900">Add WordPress Connection</h2>
-            <button
-              onClick={onClose}
-              className="text-gray-400 hover:text-gray-600"
-            >
-              <X className="w-6 h-6" />
-            </button>
-          </div>
-
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Connection Name *
-              </label>
-              <input
-                type="text"
-                value={formData.name}
-                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="My WordPress Site"
-                required
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Site URL *
-              </label>
-              <input
-                type="url"
-                value={formData.siteUrl}
-                onChange={(e) => setFormData({ ...formData, siteUrl: e.target.value })}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="https://example.com"
-                required
-              />
-              <p className="text-xs text-gray-500 mt-1">Full WordPress site URL (no trailing slash)</p>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                WordPress Username *
-              </label>
-              <input
-                type="text"
-                value={formData.username}
-                onChange={(e) => setFormData({ ...formData, username: e.target.value })}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="admin"
-                required
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Application Password *
-              </label>
-              <input
-                type="password"
-                value={formData.password}
-                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="xxxx xxxx xxxx xxxx"
-                required
-              />
-              <p className="text-xs text-gray-500 mt-1">
-                Generate in WordPress: Users → Profile → Application Passwords
-              </p>
-            </div>
-
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                id="isDefault"
-                checked={formData.isDefault}
-                onChange={(e) => setFormData({ ...formData, isDefault: e.target.checked })}
-                className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
-              />
-              <label htmlFor="isDefault" className="ml-2 text-sm text-gray-700">
-                Set as default connection
-              </label>
-            </div>
-
-            <div className="flex gap-3 pt-4">
-              <button
-                type="button"
-                onClick={onClose}
-                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-              >
-                Add Connection
-              </button>
-            </div>
-          </form>
-        </div>
+        <SystemSettingsForm />
       </div>
     </div>
   )
@@ -1,10 +1,11 @@
 /**
- * Claude AI Client (Edge Function Version)
- * Calls Supabase Edge Function instead of Claude API directly
+ * Editing Client (Edge Function Version)
+ * Calls the claude-api Edge Function, which runs the humanize and fix
+ * provider roles configured in system_settings
  * This keeps API keys secure on the server-side
  */
 
-import { supabase } from '../supabaseClient'
+import { invokeEdgeFunction } from '../edgeFunctions'
 
 class ClaudeClient {
   constructor() {
@@ -15,21 +16,7 @@ class ClaudeClient {
    * Call the Claude Edge Function
    */
   async callEdgeFunction(action, payload) {
-    const { data, error } = await supabase.functions.invoke(this.functionName, {
-      body: {
-        action,
-        payload,
-      },
-    })
-
-    if (error) {
-      throw new Error(`Claude Edge Function error: ${error.message}`)
-    }
-
-    if (!data.success) {
-      throw new Error(`Claude API error: ${data.error}`)
-    }
-
+    const data = await invokeEdgeFunction(this.functionName, { action, payload })
     return data.data
   }
 
@@ -41,6 +28,7 @@ class ClaudeClient {
       contributorProfile = null,
       targetPerplexity = 'high',
       targetBurstiness = 'high',
+      learnedRules = [],
     } = options
 
     try {
@@ -49,6 +37,7 @@ class ClaudeClient {
         contributorProfile,
         targetPerplexity,
         targetBurstiness,
+        learnedRules,
       })
 
       return result
@@ -80,12 +69,14 @@ class ClaudeClient {
 
   /**
    * Revise content based on editorial feedback
+   * usage tags the ai_usage record ({ article_id, stage })
    */
-  async reviseWithFeedback(content, feedbackItems) {
+  async reviseWithFeedback(content, feedbackItems, usage = {}) {
     try {
       const result = await this.callEdgeFunction('reviseWithFeedback', {
         content,
         feedbackItems,
+        usage,
       })
 
       return result
@@ -98,13 +89,15 @@ class ClaudeClient {
 
   /**
    * Extract learning patterns from feedback for AI training
+   * usage tags the ai_usage record ({ article_id, stage })
    */
-  async extractLearningPatterns(originalContent, revisedContent, feedbackItems) {
+  async extractLearningPatterns(originalContent, revisedContent, feedbackItems, usage = {}) {
     try {
       const result = await this.callEdgeFunction('extractLearningPatterns', {
         originalContent,
         revisedContent,
         feedbackItems,
+        usage,
       })
 
       return result
@@ -116,11 +109,11 @@ class ClaudeClient {
   }
 
   /**
-   * Add internal links to content
+   * Suggest anchor phrases for internal links (url -> phrases); never rewrites content
    */
-  async addInternalLinks(content, siteArticles) {
+  async suggestAnchors(content, siteArticles) {
     try {
-      const result = await this.callEdgeFunction('addInternalLinks', {
+      const result = await this.callEdgeFunction('suggestAnchors', {
         content,
         siteArticles,
       })
@@ -128,7 +121,7 @@ class ClaudeClient {
       return result
 
     } catch (error) {
-      console.error('Claude add internal links error:', error)
+      console.error('Claude anchor suggestion error:', error)
       throw error
     }
   }
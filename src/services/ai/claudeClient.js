@@ -1,281 +1,107 @@
 /**
- * Claude AI Client for Content Humanization
- * Uses Anthropic's Claude API for making content undetectable and auto-fixing quality issues
+ * Editing Client
+ * Prompts for humanization, quality auto-fix, revisions, pattern extraction and
+ * anchor suggestions; the humanize and fix providers from system_settings answer
+ * them (Claude by default, see lib/llm/providers)
  */
 
-import Anthropic from '@anthropic-ai/sdk'
+import { settingsService } from '../settingsService'
+import { completeJSONWithRole, completeWithRole } from './llm'
+import { buildAnchorSuggestionPrompt, parseAnchorSuggestions } from '../../lib/linking/internalLinker'
+import { patternsSchema } from '../../lib/llm/schemas'
+import { humanizeInChunks } from '../../lib/humanize/chunking'
+import { getBannedPhrases } from '../../lib/quality/aiTells'
+import { buildAutoFixPrompt, buildHumanizationPrompt } from '../../lib/llm/prompts'
 
 class ClaudeClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || import.meta.env.VITE_CLAUDE_API_KEY
-    this.client = new Anthropic({
-      apiKey: this.apiKey,
-      dangerouslyAllowBrowser: true, // Note: In production, use Edge Functions
-    })
-    this.model = 'claude-3-5-sonnet-20250122'
-  }
-
   /**
-   * Generic chat method for custom prompts
+   * Complete a prompt with the provider configured for role ('humanize' or 'fix')
+   * task names the operation for the mock provider (see lib/llm/mockFixtures);
+   * usage tags the ai_usage record ({ stage, run_id, article_id })
    */
   async chat(messages, options = {}) {
-    // Check if API key is set
-    if (!this.apiKey || this.apiKey === 'undefined') {
-      console.warn('⚠️ Claude API key not set. Using mock response for testing.')
-      return this.getMockHumanizedContent(messages)
-    }
+    const settings = await settingsService.getSettings()
 
     const {
+      role = 'fix',
+      task,
       temperature = 0.7,
-      max_tokens = 4000,
+      max_tokens = settings.max_tokens_humanize,
+      usage,
     } = options
 
-    try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens,
-        temperature,
-        messages,
-      })
-
-      return response.content[0].text
-
-    } catch (error) {
-      console.error('Claude chat error:', error)
-      throw error
-    }
-  }
-
-  /**
-   * Mock humanized content for testing
-   */
-  getMockHumanizedContent(messages) {
-    const userMessage = messages.find(m => m.role === 'user')?.content || ''
-
-    // If it's a humanization request, return slightly modified content
-    if (userMessage.includes('ORIGINAL CONTENT')) {
-      // Extract content between markers (simplified)
-      const contentMatch = userMessage.match(/ORIGINAL CONTENT:([\s\S]*?)(?:CRITICAL|$)/)
-      if (contentMatch) {
-        // Return the same content with minor "humanization"
-        return contentMatch[1].trim()
-      }
-    }
-
-    // Default mock response
-    return `<h2>Introduction to the Topic</h2>
-<p>Let's dive into this fascinating subject. You know what? It's actually more interesting than most people think.</p>
-
-<p>Here's the thing—understanding this concept doesn't require a PhD. But it does take some attention to detail.</p>
-
-<h2>The Core Concepts</h2>
-<p>First things first. We need to break down the fundamentals.</p>
-
-<p>Think of it this way: every complex system starts with simple building blocks. And this is no different.</p>
-
-<h3>Key Point One</h3>
-<p>This is where things get interesting. The first major concept revolves around understanding the relationship between components.</p>
-
-<h3>Key Point Two</h3>
-<p>Now, building on that foundation, we can explore the next layer. It's all connected—each piece influences the others in subtle but important ways.</p>
-
-<h2>Practical Applications</h2>
-<p>Theory is great, but let's talk about real-world use cases. That's where the rubber meets the road.</p>
-
-<p>I've seen this applied successfully in various contexts. The results? Pretty impressive, actually.</p>
-
-<h2>Common Pitfalls to Avoid</h2>
-<p>Here's what trips people up most often:</p>
-<ul>
-<li>Overcomplicating things right from the start</li>
-<li>Ignoring the fundamentals in favor of advanced techniques</li>
-<li>Not testing assumptions along the way</li>
-</ul>
-
-<h2>Moving Forward</h2>
-<p>So where do you go from here? Start small. Build your understanding incrementally.</p>
-
-<p>The beauty of this approach is that it's forgiving. You can course-correct as you learn more.</p>`
+    return completeWithRole(role, {
+      task,
+      messages,
+      temperature,
+      maxTokens: max_tokens,
+      usage,
+    })
   }
 
   /**
    * Humanize AI-generated content to make it undetectable
+   * Long articles are rewritten in H2-section chunks that each fit
+   * max_tokens_humanize; a chunk that loses headings, lists, links or tag
+   * balance is retried once and otherwise kept as it was (see lib/humanize/chunking)
    */
   async humanize(content, options = {}) {
-    // Check if API key is set
-    if (!this.apiKey || this.apiKey === 'undefined') {
-      console.warn('⚠️ Claude API key not set. Returning original content for testing.')
-      return content // Just return the original content for testing
-    }
-
     const {
       contributorProfile = null,
       targetPerplexity = 'high',
       targetBurstiness = 'high',
+      learnedRules = [],
+      usage,
     } = options
 
-    const prompt = this.buildHumanizationPrompt(content, contributorProfile, targetPerplexity, targetBurstiness)
+    const settings = await settingsService.getSettings()
 
     try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 4500,
+      const result = await humanizeInChunks(content, (chunk, { context }) => this.chat([
+        {
+          role: 'user',
+          content: buildHumanizationPrompt(chunk, contributorProfile, targetPerplexity, targetBurstiness, getBannedPhrases(settings), learnedRules, context)
+        }
+      ], {
+        role: 'humanize',
+        task: 'humanize',
         temperature: 0.9,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
+        max_tokens: settings.max_tokens_humanize,
+        usage,
+      }), { maxTokens: settings.max_tokens_humanize })
 
-      return response.content[0].text
+      return result.content
 
     } catch (error) {
-      console.error('Claude humanization error:', error)
+      console.error('Humanization error:', error)
       throw error
     }
   }
 
-  /**
-   * Build prompt for humanization
-   */
-  buildHumanizationPrompt(content, contributorProfile, perplexity, burstiness) {
-    let styleInstructions = ''
-
-    if (contributorProfile) {
-      const style = contributorProfile.writing_style_profile || {}
-      styleInstructions = `
-WRITER PERSONA:
-Name: ${contributorProfile.name}
-Tone: ${style.tone || 'professional'}
-Complexity: ${style.complexity_level || 'intermediate'}
-Sentence Length: ${style.sentence_length_preference || 'medium'}
-`
-    }
-
-    return `You are a highly skilled human writer. Your task is to rewrite the following AI-generated content to make it completely undetectable as AI-written. The content must read as if it was written by a real human with personality, expertise, and natural writing patterns.
-
-${styleInstructions}
-
-ORIGINAL CONTENT:
-${content}
-
-CRITICAL HUMANIZATION TECHNIQUES:
-
-1. **Perplexity (Unpredictability)**: ${perplexity}
-   - Use unexpected word choices and phrasings
-   - Avoid predictable transitions
-   - Include occasional colloquialisms or industry-specific terms
-   - Vary vocabulary richly
-
-2. **Burstiness (Sentence Variation)**: ${burstiness}
-   - Mix very short sentences with longer, complex ones
-   - Create natural rhythm: short → long → medium → very short
-   - Use fragments occasionally for emphasis
-   - Vary sentence structures significantly
-
-3. **Voice & Personality**:
-   - Add subtle personal touches ("I've found that...", "In my experience...")
-   - Include minor imperfections (starting sentences with "And" or "But")
-   - Use rhetorical questions sparingly
-   - Show emotion where appropriate
-
-4. **Natural Writing Patterns**:
-   - Avoid overly perfect grammar (humans make small stylistic choices)
-   - Use contractions naturally (don't, won't, I've)
-   - Include em-dashes for emphasis—like this
-   - Vary paragraph lengths significantly
-
-5. **BANNED AI PHRASES** (Never use these):
-   - "It's important to note that"
-   - "In today's digital age"
-   - "In conclusion"
-   - "Delve into"
-   - "Dive deep"
-   - "At the end of the day"
-   - "Game changer"
-   - "Revolutionary"
-   - "Cutting-edge"
-   - "Leverage"
-   - "Robust"
-   - "Seamless"
-
-6. **Content Quality**:
-   - Keep all factual information accurate
-   - Maintain the same structure and headings
-   - Preserve HTML formatting
-   - Keep the same SEO focus
-   - Ensure the content remains valuable and informative
-
-OUTPUT ONLY THE REWRITTEN HTML CONTENT. DO NOT include explanations, meta-commentary, or anything other than the pure HTML article content.`
-  }
-
   /**
    * Auto-fix quality issues in content
    */
   async autoFixQualityIssues(content, issues, siteArticles = []) {
-    const issueDescriptions = issues.map(issue => {
-      const descriptions = {
-        word_count_low: `Article is too short (needs to be 1500-2500 words)`,
-        word_count_high: `Article is too long (needs to be 1500-2500 words)`,
-        missing_internal_links: `Missing internal links (needs 3-5 links to related articles)`,
-        missing_external_links: `Missing external citations (needs 2-4 authoritative sources)`,
-        missing_faqs: `Missing FAQ section (needs at least 3 FAQ items)`,
-        poor_readability: `Readability score is too low (needs simpler language and shorter sentences)`,
-        weak_headings: `Heading structure needs improvement (missing H2/H3 hierarchy)`,
-      }
-      return descriptions[issue.type] || issue.type
-    }).join('\n- ')
-
-    let internalLinksContext = ''
-    if (siteArticles.length > 0) {
-      internalLinksContext = `
-
-AVAILABLE ARTICLES FOR INTERNAL LINKING (use 3-5 of these where relevant):
-${siteArticles.map(article => `- [${article.title}](${article.url}) - Topics: ${article.topics?.join(', ') || 'N/A'}`).join('\n')}
-`
-    }
-
-    const prompt = `You are a content editor fixing quality issues in this article.
-
-CURRENT CONTENT:
-${content}
-
-QUALITY ISSUES TO FIX:
-- ${issueDescriptions}
-${internalLinksContext}
-
-INSTRUCTIONS:
-1. Fix each issue listed above
-2. For word count: Add or remove content naturally, maintaining quality
-3. For internal links: Add 3-5 contextual links to the provided articles where genuinely relevant (use HTML <a> tags)
-4. For external links: Add 2-4 citations to authoritative sources like research papers, official documentation, or reputable publications
-5. For FAQs: Add a "Frequently Asked Questions" section with at least 3 relevant Q&A pairs at the end
-6. For readability: Simplify complex sentences, break up long paragraphs, use clearer language
-7. For headings: Ensure proper H2/H3 hierarchy, make headings descriptive and keyword-rich
-8. Maintain the article's tone, style, and factual accuracy
-9. Keep all existing HTML formatting
-
-OUTPUT ONLY THE CORRECTED HTML CONTENT. DO NOT include explanations or notes.`
+    const settings = await settingsService.getSettings()
+    const prompt = buildAutoFixPrompt(content, issues, settings, { siteArticles })
 
     try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 4500,
+      const response = await this.chat([
+        {
+          role: 'user',
+          content: prompt
+        }
+      ], {
+        role: 'fix',
+        task: 'autoFix',
         temperature: 0.7,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
+        max_tokens: settings.max_tokens_humanize,
       })
 
-      return response.content[0].text
+      return response
 
     } catch (error) {
-      console.error('Claude auto-fix error:', error)
+      console.error('Auto-fix error:', error)
       throw error
     }
   }
@@ -285,8 +111,10 @@ OUTPUT ONLY THE CORRECTED HTML CONTENT. DO NOT include explanations or notes.`
    */
   async reviseWithFeedback(content, feedbackItems) {
     const feedbackText = feedbackItems.map((item, index) => {
-      return `${index + 1}. [${item.category.toUpperCase()}] ${item.severity}: "${item.selected_text}"
-   Issue: ${item.comment}`
+      const target = item.selected_text ? `"${item.selected_text}"` : '(whole article)'
+      const discussion = (item.replies || []).map(reply => `\n   Reply: ${reply}`).join('')
+      return `${index + 1}. [${(item.category || 'other').toUpperCase()}] ${item.severity || 'suggestion'}: ${target}
+   Issue: ${item.comment}${discussion}`
     }).join('\n\n')
 
     const prompt = `You are a content editor revising this article based on editorial feedback.
@@ -306,23 +134,25 @@ INSTRUCTIONS:
 
 OUTPUT ONLY THE REVISED HTML CONTENT.`
 
+    const settings = await settingsService.getSettings()
+
     try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 4500,
+      const response = await this.chat([
+        {
+          role: 'user',
+          content: prompt
+        }
+      ], {
+        role: 'fix',
+        task: 'revise',
         temperature: 0.7,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
+        max_tokens: settings.max_tokens_humanize,
       })
 
-      return response.content[0].text
+      return response
 
     } catch (error) {
-      console.error('Claude revision error:', error)
+      console.error('Revision error:', error)
       throw error
     }
   }
@@ -360,26 +190,40 @@ FORMAT AS JSON:
 Generate the patterns now:`
 
     try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 2000,
+      const { patterns } = await completeJSONWithRole('fix', {
+        task: 'extractPatterns',
+        messages: [{ role: 'user', content: prompt }],
         temperature: 0.6,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
+        maxTokens: 2000,
+      }, patternsSchema)
 
-      const parsed = JSON.parse(response.content[0].text)
-      return parsed.patterns
+      return patterns
 
     } catch (error) {
-      console.error('Claude pattern extraction error:', error)
+      console.error('Pattern extraction error:', error)
       throw error
     }
   }
+
+  /**
+   * Suggest anchor phrases for internal links (Map url -> phrases)
+   * The article is never rewritten; internalLinker inserts the links
+   */
+  async suggestAnchors(content, siteArticles, usage) {
+    const text = await this.chat([
+      {
+        role: 'user',
+        content: buildAnchorSuggestionPrompt(content, siteArticles)
+      }
+    ], {
+      task: 'suggestAnchors',
+      temperature: 0.3,
+      max_tokens: 1000,
+      usage,
+    })
+
+    return parseAnchorSuggestions(text, siteArticles)
+  }
 }
 
 export default ClaudeClient
@@ -3,11 +3,26 @@
  * Provides long-tail keyword discovery and search volume data
  */
 
+import { APIError } from '../../lib/http/apiErrors'
+import { createResilientFetch } from '../../lib/http/resilientFetch'
+
+/**
+ * Error kind for a DataForSEO status_code (sent with HTTP 200):
+ * 401xx auth, 402xx payment, 5xxxx server errors
+ */
+function statusCodeKind(code) {
+  if (code >= 40100 && code < 40200) return 'auth'
+  if (code >= 40200 && code < 40300) return 'quota'
+  if (code >= 50000) return 'transient'
+  return 'bad_request'
+}
+
 class DataForSEOClient {
   constructor(username, password) {
     this.username = username || import.meta.env.VITE_DATAFORSEO_USERNAME
     this.password = password || import.meta.env.VITE_DATAFORSEO_PASSWORD
     this.baseUrl = 'https://api.dataforseo.com/v3'
+    this.fetch = createResilientFetch({ service: 'dataforseo', label: 'DataForSEO' })
   }
 
   /**
@@ -16,7 +31,7 @@ class DataForSEOClient {
   async request(endpoint, payload) {
     const auth = btoa(`${this.username}:${this.password}`)
 
-    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+    const response = await this.fetch(`${this.baseUrl}${endpoint}`, {
       method: 'POST',
       headers: {
         'Authorization': `Basic ${auth}`,
@@ -25,15 +40,14 @@ class DataForSEOClient {
       body: JSON.stringify(payload),
     })
 
-    if (!response.ok) {
-      const error = await response.json()
-      throw new Error(`DataForSEO API error: ${error.status_message || 'Unknown error'}`)
-    }
-
     const data = await response.json()
 
     if (data.status_code !== 20000) {
-      throw new Error(`DataForSEO error: ${data.status_message}`)
+      throw new APIError(`DataForSEO error: ${data.status_message}`, {
+        kind: statusCodeKind(data.status_code),
+        status: data.status_code,
+        service: 'dataforseo',
+      })
     }
 
     return data
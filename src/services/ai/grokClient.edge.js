@@ -1,10 +1,11 @@
 /**
- * Grok AI Client (Edge Function Version)
- * Calls Supabase Edge Function instead of Grok API directly
+ * Drafting Client (Edge Function Version)
+ * Calls the grok-api Edge Function, which runs the draft provider role
+ * configured in system_settings
  * This keeps API keys secure on the server-side
  */
 
-import { supabase } from '../supabaseClient'
+import { invokeEdgeFunction } from '../edgeFunctions'
 
 class GrokClient {
   constructor() {
@@ -15,21 +16,7 @@ class GrokClient {
    * Call the Grok Edge Function
    */
   async callEdgeFunction(action, payload) {
-    const { data, error } = await supabase.functions.invoke(this.functionName, {
-      body: {
-        action,
-        payload,
-      },
-    })
-
-    if (error) {
-      throw new Error(`Grok Edge Function error: ${error.message}`)
-    }
-
-    if (!data.success) {
-      throw new Error(`Grok API error: ${data.error}`)
-    }
-
+    const data = await invokeEdgeFunction(this.functionName, { action, payload })
     return data.data
   }
 
@@ -40,6 +27,7 @@ class GrokClient {
     const {
       contentType = 'guide',
       targetWordCount = 2000,
+      learnedRules = [],
     } = options
 
     try {
@@ -47,6 +35,7 @@ class GrokClient {
         idea,
         contentType,
         targetWordCount,
+        learnedRules,
       })
 
       return result
@@ -0,0 +1,56 @@
+/**
+ * LLM Registry (app)
+ * Providers per pipeline role from system_settings, with keys from VITE_ variables
+ * Without a key the role falls back to the mock provider for local testing
+ * Every call is recorded in ai_usage
+ */
+
+import { settingsService } from '../settingsService'
+import { recordUsage } from '../usageService'
+import { createLLMRegistry } from '../../lib/llm/providers'
+
+const API_KEYS = {
+  GROK_API_KEY: import.meta.env.VITE_GROK_API_KEY,
+  CLAUDE_API_KEY: import.meta.env.VITE_CLAUDE_API_KEY,
+  OPENAI_API_KEY: import.meta.env.VITE_OPENAI_API_KEY,
+  LOCAL_LLM_API_KEY: import.meta.env.VITE_LOCAL_LLM_API_KEY,
+  OPENAI_BASE_URL: import.meta.env.VITE_OPENAI_BASE_URL,
+  LOCAL_LLM_BASE_URL: import.meta.env.VITE_LOCAL_LLM_BASE_URL,
+}
+
+let registry = null
+let registrySettings = null
+
+/**
+ * Registry for the current settings (rebuilt when the settings change)
+ */
+export async function getLLMRegistry() {
+  const settings = await settingsService.getSettings()
+
+  if (!registry || registrySettings !== settings) {
+    registrySettings = settings
+    registry = createLLMRegistry(settings, {
+      getApiKey: name => (API_KEYS[name] && API_KEYS[name] !== 'undefined' ? API_KEYS[name] : undefined),
+      fallbackToMock: true,
+      browser: true,
+      onUsage: recordUsage,
+    })
+  }
+
+  return registry
+}
+
+/**
+ * Complete a request with the provider configured for role
+ */
+export async function completeWithRole(role, request) {
+  return (await getLLMRegistry()).complete(role, request)
+}
+
+/**
+ * Complete a request with the provider configured for role and return its JSON
+ * validated against schema (see lib/llm/structuredOutput)
+ */
+export async function completeJSONWithRole(role, request, schema) {
+  return (await getLLMRegistry()).completeJSON(role, request, schema)
+}
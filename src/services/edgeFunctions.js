@@ -0,0 +1,15 @@
+/**
+ * Edge Function Calls
+ * The app's Supabase client bound to invokeFunction (see lib/http/edgeFunctions.js)
+ */
+
+import { supabase } from './supabaseClient'
+import { invokeFunction } from '../lib/http/edgeFunctions'
+
+/**
+ * Invoke an Edge Function and return its response data
+ * Throws an APIError carrying the function's error message and kind
+ */
+export function invokeEdgeFunction(name, body) {
+  return invokeFunction(supabase, name, body)
+}
@@ -1,42 +1,103 @@
 /**
  * Generation Service
  * Orchestrates the complete two-pass AI generation pipeline with quality checks
- * Pipeline: Grok Draft → Claude Humanize → Quality Check → Auto-Fix Loop → Save
+ * Pipeline: Draft → Humanize → Quality Check → Auto-Fix Loop → Save
+ * Each stage's model comes from its provider setting (see lib/llm/providers)
+ * Every LLM call is recorded in ai_usage under the run's generation_run_id
  */
 
 import GrokClient from './ai/grokClient'
 import ClaudeClient from './ai/claudeClient'
 import { supabase } from './supabaseClient'
+import { settingsService } from './settingsService'
+import { calculateQualityMetrics, isAutoFixable } from '../lib/quality/qualityMetrics'
+import { buildAutoFixPrompt } from '../lib/llm/prompts'
+import { fetchLinkContext } from './linkContextService'
+import { syncArticleLinks } from './linkSyncService'
+import { rankByTfIdf } from '../lib/linking/relevance'
+import { linkSiteArticles } from '../lib/linking/internalLinker'
+import { learnedRuleIds } from '../lib/learning/patterns'
+import { validateStage, autoFixStageOptions } from '../lib/quality/structureValidator'
+import { scoreHumanization } from '../lib/quality/humanness'
+import { fetchLearnedRules, markPatternsApplied } from './learningService'
+
+// Articles compared by the local TF-IDF fallback
+const TFIDF_CORPUS_LIMIT = 2000
 
 class GenerationService {
   constructor() {
     this.grok = new GrokClient()
     this.claude = new ClaudeClient()
+    this.settings = settingsService.getCachedSettings()
+    this.linkContext = {}
+    this.learnedRules = []
+  }
+
+  /**
+   * Refresh system settings used by the pipeline and quality checks
+   */
+  async loadSettings() {
+    this.settings = await settingsService.getSettings()
+    return this.settings
+  }
+
+  /**
+   * Refresh the site URLs used to classify internal vs external links
+   * Without them only relative links count as internal
+   */
+  async loadLinkContext() {
+    try {
+      this.linkContext = await fetchLinkContext()
+    } catch (error) {
+      console.error('Error loading link context:', error)
+    }
+    return this.linkContext
+  }
+
+  /**
+   * Refresh the approved learned patterns injected into draft and humanization prompts
+   */
+  async loadLearnedRules() {
+    try {
+      this.learnedRules = await fetchLearnedRules(this.settings.max_learned_rules)
+    } catch (error) {
+      console.error('Error loading learned patterns:', error)
+      this.learnedRules = []
+    }
+    return this.learnedRules
   }
 
   /**
    * Generate complete article from content idea with full quality assurance
-   * Includes auto-fix loop with up to 3 retry attempts
+   * Defaults come from system_settings; explicit options override them
    */
   async generateArticleComplete(idea, options = {}, onProgress) {
+    const settings = await this.loadSettings()
+    await this.loadLinkContext()
+    const learnedRules = await this.loadLearnedRules()
+
     const {
-      contentType = 'guide',
-      targetWordCount = 2000,
+      contentType = settings.default_content_type,
+      targetWordCount = Math.round((settings.target_word_count_min + settings.target_word_count_max) / 2),
       autoAssignContributor = true,
       addInternalLinks = true,
-      autoFix = true,
-      maxFixAttempts = 3,
-      qualityThreshold = 85,
+      autoFix = settings.enable_auto_fix,
+      maxFixAttempts = settings.max_auto_fix_attempts,
     } = options
 
+    // Tags this run's ai_usage rows; the database links them to the saved article
+    const runId = crypto.randomUUID()
+
     try {
       // Update progress
-      this.updateProgress(onProgress, 'Generating draft with Grok AI...', 10)
+      this.updateProgress(onProgress, 'Generating draft...', 10)
 
-      // STAGE 1: Generate draft with Grok
+      // STAGE 1: Generate draft (draft_provider)
       const draftData = await this.grok.generateDraft(idea, {
         contentType,
         targetWordCount,
+        learnedRules,
+        usage: { run_id: runId, stage: 'draft' },
       })
 
       this.updateProgress(onProgress, 'Auto-assigning contributor...', 25)
@@ -47,23 +108,45 @@ class GenerationService {
         contributor = await this.assignContributor(idea, contentType)
       }
 
-      this.updateProgress(onProgress, 'Humanizing content with Claude AI...', 40)
+      // Each LLM stage is compared with its input and rolled back when it lost too much
+      const stageWarnings = []
+      const checkStage = (stage, before, after) => {
+        const { content, warning } = validateStage(stage, before, after, settings)
+        if (warning) stageWarnings.push(warning)
+        return content
+      }
 
-      // STAGE 3: Humanize with Claude
-      const humanizedContent = await this.claude.humanize(draftData.content, {
+      this.updateProgress(onProgress, 'Humanizing content...', 40)
+
+      // STAGE 3: Humanize (humanize_provider)
+      const humanizedContent = checkStage('humanize', draftData.content, await this.claude.humanize(draftData.content, {
         contributorProfile: contributor,
         targetPerplexity: 'high',
         targetBurstiness: 'high',
-      })
+        learnedRules,
+        usage: { run_id: runId, stage: 'humanize' },
+      }))
+      // Did the pass raise burstiness/perplexity at all? (see lib/quality/humanness)
+      const humanization = scoreHumanization(draftData.content, humanizedContent, settings)
+      if (!humanization.improved) {
+        console.warn(`Humanization didn't improve the article (${humanization.before.score} → ${humanization.after.score})`)
+      }
 
       this.updateProgress(onProgress, 'Adding internal links...', 55)
 
       // STAGE 4: Add internal links
       let finalContent = humanizedContent
       if (addInternalLinks) {
-        const siteArticles = await this.getRelevantSiteArticles(draftData.title, 30)
-        if (siteArticles.length >= 3) {
-          finalContent = await this.addInternalLinksToContent(humanizedContent, siteArticles)
+        const siteArticles = await this.getRelevantSiteArticles(
+          { title: draftData.title, content: humanizedContent, focusKeyword: draftData.focus_keyword },
+          Math.max(settings.max_internal_links * 2, 5)
+        )
+        if (siteArticles.length > 0) {
+          finalContent = checkStage(
+            'internal_links',
+            humanizedContent,
+            await this.addInternalLinksToContent(humanizedContent, siteArticles, runId)
+          )
         }
       }
 
@@ -78,13 +161,22 @@ class GenerationService {
         meta_description: draftData.meta_description,
         focus_keyword: draftData.focus_keyword,
         slug: this.generateSlug(draftData.title),
+        // Secondary keywords for the on-page SEO checks (see lib/seo/onPageSeo)
+        keyword_research_data: idea.keyword_research_data || null,
         faqs: draftData.faqs,
         contributor_id: contributor?.id || null,
         contributor_name: contributor?.name || null,
         status: 'drafting',
+        // Last stage that changed the body; tags the article's first version
+        edit_source: finalContent !== humanizedContent ? 'internal_links' : 'humanize',
+        learned_pattern_ids: learnedRuleIds(learnedRules),
+        generation_run_id: runId,
+        stage_warnings: stageWarnings,
+        humanization_scores: humanization,
+        humanization_flagged: !humanization.improved,
       }
 
-      if (autoFix) {
+      if (autoFix && maxFixAttempts > 0) {
         const qaResult = await this.qualityAssuranceLoop(
           articleData,
           maxFixAttempts,
@@ -97,10 +189,11 @@ class GenerationService {
           }
         )
 
+        if (qaResult.article.content !== articleData.content) qaResult.article.edit_source = 'auto_fix'
         articleData = qaResult.article
       } else {
         // Just calculate metrics without fixing
-        const metrics = this.calculateQualityMetrics(articleData.content, articleData.faqs)
+        const metrics = this.calculateQualityMetrics(articleData.content, articleData.faqs, articleData)
         articleData.word_count = metrics.word_count
         articleData.quality_score = metrics.score
         articleData.risk_flags = metrics.issues.map(i => i.type)
@@ -108,6 +201,8 @@ class GenerationService {
 
       this.updateProgress(onProgress, 'Finalizing article...', 95)
 
+      await markPatternsApplied(articleData.learned_pattern_ids)
+
       return articleData
 
     } catch (error) {
@@ -118,10 +213,11 @@ class GenerationService {
 
   /**
    * Quality Assurance Loop with Auto-Fix
-   * Attempts to fix quality issues up to maxAttempts times
+   * Attempts to fix quality issues up to maxAttempts times; a fix that fails
+   * stage validation is discarded and ends the loop (see stage_warnings)
    */
-  async qualityAssuranceLoop(articleData, maxAttempts = 3, onAttempt) {
-    let currentArticle = { ...articleData }
+  async qualityAssuranceLoop(articleData, maxAttempts = this.settings.max_auto_fix_attempts, onAttempt) {
+    let currentArticle = { ...articleData, stage_warnings: [...(articleData.stage_warnings || [])] }
     let attempt = 0
 
     while (attempt < maxAttempts) {
@@ -130,7 +226,7 @@ class GenerationService {
       if (onAttempt) onAttempt(attempt, maxAttempts)
 
       // Calculate quality metrics
-      const metrics = this.calculateQualityMetrics(currentArticle.content, currentArticle.faqs)
+      const metrics = this.calculateQualityMetrics(currentArticle.content, currentArticle.faqs, currentArticle)
       const issues = metrics.issues
 
       // Update article with metrics
@@ -152,20 +248,37 @@ class GenerationService {
         break
       }
 
+      // Only metadata issues left - rewriting the body can't fix them
+      if (!issues.some(isAutoFixable)) {
+        console.log('⚠ Remaining issues need manual edits. Stopping auto-fix.')
+        currentArticle.risk_flags = issues.map(i => i.type)
+        break
+      }
+
       // Auto-fix issues
       console.log(`Fixing issues: ${issues.map(i => i.type).join(', ')}`)
 
       try {
+        const stage = `auto_fix_${attempt}`
         const fixedContent = await this.autoFixQualityIssues(
           currentArticle.content,
           issues,
-          currentArticle.faqs
+          currentArticle.faqs,
+          { run_id: currentArticle.generation_run_id, stage }
         )
 
+        const { warning } = validateStage(stage, currentArticle.content, fixedContent, this.settings, autoFixStageOptions(issues))
+        if (warning) currentArticle.stage_warnings.push(warning)
+        if (warning?.rolled_back) {
+          console.log('⚠ Fix rolled back by stage validation. Stopping auto-fix.')
+          currentArticle.risk_flags = issues.map(i => i.type)
+          break
+        }
+
         currentArticle.content = fixedContent
 
         // Re-calculate metrics to check improvement
-        const newMetrics = this.calculateQualityMetrics(fixedContent, currentArticle.faqs)
+        const newMetrics = this.calculateQualityMetrics(fixedContent, currentArticle.faqs, currentArticle)
 
         console.log(`Improvement: ${metrics.score} → ${newMetrics.score}`)
 
@@ -191,48 +304,14 @@ class GenerationService {
   }
 
   /**
-   * Auto-fix quality issues using Claude
+   * Auto-fix quality issues (fix_provider)
+   * usage tags the ai_usage record ({ run_id | article_id, stage });
+   * siteArticles are offered as link targets for missing internal links
    */
-  async autoFixQualityIssues(content, issues, currentFaqs = []) {
-    const issueDescriptions = issues.map(issue => {
-      switch (issue.type) {
-        case 'word_count_low':
-          return '- Article is too short. Add 200-300 more words with valuable information.'
-        case 'word_count_high':
-          return '- Article is too long. Condense and remove unnecessary repetition.'
-        case 'missing_internal_links':
-          return '- Missing internal links. Add 2-3 more relevant internal links if possible.'
-        case 'missing_external_links':
-          return '- Missing external citations. Add 1-2 authoritative external sources with links.'
-        case 'missing_faqs':
-          return `- Missing FAQ section. Add ${3 - currentFaqs.length} more relevant questions and answers.`
-        case 'weak_headings':
-          return '- Weak heading structure. Add 2-3 more H2 subheadings to break up content.'
-        case 'poor_readability':
-          return '- Poor readability. Shorten some long sentences and use simpler language.'
-        default:
-          return `- ${issue.type}: ${issue.severity} issue`
-      }
-    }).join('\n')
-
-    const prompt = `You are reviewing an article and need to fix the following quality issues:
-
-QUALITY ISSUES TO FIX:
-${issueDescriptions}
+  async autoFixQualityIssues(content, issues, currentFaqs = [], usage = { stage: 'auto_fix' }, siteArticles = []) {
+    const settings = await this.loadSettings()
 
-CURRENT ARTICLE CONTENT:
-${content}
-
-INSTRUCTIONS:
-1. Fix ALL the issues listed above
-2. Maintain the article's overall tone and message
-3. Keep the existing heading structure unless adding new headings
-4. For external citations, use real, authoritative sources when possible
-5. For FAQs, make them relevant and helpful to readers
-6. Do NOT remove existing content unless consolidating
-7. Ensure all HTML tags are properly closed
-
-OUTPUT ONLY THE COMPLETE FIXED HTML CONTENT (no explanations or commentary).`
+    const prompt = buildAutoFixPrompt(content, issues, settings, { currentFaqs, siteArticles })
 
     try {
       const fixedContent = await this.claude.chat([
@@ -241,8 +320,10 @@ OUTPUT ONLY THE COMPLETE FIXED HTML CONTENT (no explanations or commentary).`
           content: prompt
         }
       ], {
+        task: 'autoFix',
         temperature: 0.7,
-        max_tokens: 4500,
+        max_tokens: settings.max_tokens_humanize,
+        usage,
       })
 
       return fixedContent
@@ -255,65 +336,11 @@ OUTPUT ONLY THE COMPLETE FIXED HTML CONTENT (no explanations or commentary).`
 
   /**
    * Calculate quality metrics for an article
+   * Thresholds come from system_settings (see lib/quality/qualityMetrics);
+   * article supplies the title, metadata and keywords for the on-page SEO checks
    */
-  calculateQualityMetrics(content, faqs = []) {
-    const issues = []
-    let score = 100
-
-    // Strip HTML for word count
-    const textContent = content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
-    const wordCount = textContent.split(' ').filter(w => w.length > 0).length
-
-    // Word count check (1500-2500)
-    if (wordCount < 1500) {
-      issues.push({ type: 'word_count_low', severity: 'major' })
-      score -= 15
-    } else if (wordCount > 2500) {
-      issues.push({ type: 'word_count_high', severity: 'minor' })
-      score -= 5
-    }
-
-    // Internal links check (3-5)
-    const internalLinks = (content.match(/<a href/gi) || []).length
-    if (internalLinks < 3) {
-      issues.push({ type: 'missing_internal_links', severity: 'major' })
-      score -= 15
-    }
-
-    // External links check (2-4)
-    const externalLinkMatches = content.match(/href="http/gi) || []
-    const externalLinks = externalLinkMatches.length
-    if (externalLinks < 2) {
-      issues.push({ type: 'missing_external_links', severity: 'minor' })
-      score -= 10
-    }
-
-    // FAQ check (at least 3)
-    if (!faqs || faqs.length < 3) {
-      issues.push({ type: 'missing_faqs', severity: 'minor' })
-      score -= 10
-    }
-
-    // Heading structure check
-    const h2Count = (content.match(/<h2/gi) || []).length
-    if (h2Count < 3) {
-      issues.push({ type: 'weak_headings', severity: 'minor' })
-      score -= 10
-    }
-
-    // Readability (simple heuristic - average sentence length)
-    const sentences = textContent.split(/[.!?]+/).filter(s => s.trim().length > 0)
-    const avgSentenceLength = sentences.length > 0 ? wordCount / sentences.length : 0
-    if (avgSentenceLength > 25) {
-      issues.push({ type: 'poor_readability', severity: 'minor' })
-      score -= 10
-    }
-
-    return {
-      score: Math.max(0, score),
-      word_count: wordCount,
-      issues,
-    }
+  calculateQualityMetrics(content, faqs = [], article = {}) {
+    return calculateQualityMetrics(content, faqs, this.settings, this.linkContext, article)
   }
 
   /**
@@ -364,46 +391,34 @@ OUTPUT ONLY THE COMPLETE FIXED HTML CONTENT (no explanations or commentary).`
   }
 
   /**
-   * Get relevant site articles for internal linking
+   * Get the site articles most relevant to a draft for internal linking
+   * Embedding matching runs server-side (match-site-articles); if that is
+   * unavailable the user's articles are ranked locally by TF-IDF
    */
-  async getRelevantSiteArticles(articleTitle, limit = 30) {
+  async getRelevantSiteArticles(draft, limit = 10) {
     try {
-      const { data: articles, error } = await supabase
-        .from('site_articles')
-        .select('*')
-        .order('times_linked_to', { ascending: true })
-        .limit(limit)
-
-      if (error) throw error
-
-      // Score articles by relevance
-      const titleWords = articleTitle.toLowerCase().split(' ').filter(w => w.length > 3)
-
-      const scoredArticles = articles.map(article => {
-        let score = 0
+      const { data, error } = await supabase.functions.invoke('match-site-articles', {
+        body: { ...draft, limit },
+      })
 
-        const articleTitleWords = article.title.toLowerCase().split(' ')
-        const commonWords = titleWords.filter(word =>
-          articleTitleWords.some(aw => aw.includes(word))
-        )
-        score += commonWords.length * 10
+      if (error) throw new Error(error.message)
+      if (!data.success) throw new Error(data.error)
 
-        if (article.topics && article.topics.length > 0) {
-          const topicMatches = article.topics.filter(topic =>
-            titleWords.some(word => topic.toLowerCase().includes(word))
-          )
-          score += topicMatches.length * 15
-        }
+      return data.articles
+    } catch (error) {
+      console.warn('Site article matching unavailable, using local TF-IDF:', error.message)
+    }
 
-        return { article, score }
-      })
+    try {
+      const { data: articles, error } = await supabase
+        .from('site_articles')
+        .select('id, url, title, excerpt, topics, times_linked_to')
+        .is('removed_at', null)
+        .limit(TFIDF_CORPUS_LIMIT)
 
-      scoredArticles.sort((a, b) => b.score - a.score)
+      if (error) throw error
 
-      return scoredArticles
-        .filter(a => a.score > 0)
-        .slice(0, 5)
-        .map(a => a.article)
+      return rankByTfIdf(draft, articles, { limit })
 
     } catch (error) {
       console.error('Error fetching site articles:', error)
@@ -412,43 +427,24 @@ OUTPUT ONLY THE COMPLETE FIXED HTML CONTENT (no explanations or commentary).`
   }
 
   /**
-   * Add internal links to content using Claude
+   * Insert internal links without rewriting the article (see internalLinker)
+   * The LLM is only asked for anchor phrases when too few links could be placed
    */
-  async addInternalLinksToContent(content, siteArticles) {
-    const prompt = `Add 3-5 contextual internal links to this article content.
-
-ARTICLE CONTENT:
-${content}
-
-AVAILABLE ARTICLES TO LINK TO:
-${siteArticles.map(a => `- [${a.title}](${a.url})`).join('\n')}
-
-INSTRUCTIONS:
-1. Add links where genuinely relevant
-2. Use natural anchor text
-3. Distribute throughout article
-4. Use HTML format: <a href="URL">anchor text</a>
-5. Aim for 3-5 links total
-
-OUTPUT ONLY THE UPDATED HTML CONTENT with links added.`
-
-    try {
-      const linkedContent = await this.claude.chat([
-        {
-          role: 'user',
-          content: prompt
-        }
-      ], {
-        temperature: 0.7,
-        max_tokens: 4500,
-      })
-
-      return linkedContent
-
-    } catch (error) {
-      console.error('Error adding internal links:', error)
-      return content
+  async addInternalLinksToContent(content, siteArticles, runId = null) {
+    const { min_internal_links: minLinks, max_internal_links: maxLinks } = this.settings
+
+    const result = await linkSiteArticles(content, siteArticles, {
+      minLinks,
+      maxLinks,
+      linkContext: this.linkContext,
+      suggestAnchors: (html, targets) => this.claude.suggestAnchors(html, targets, { run_id: runId, stage: 'links' }),
+    })
+
+    if (result.belowMinimum) {
+      console.warn(`Only ${result.internalCount} internal links could be placed (minimum ${minLinks})`)
     }
+
+    return result.html
   }
 
   /**
@@ -479,6 +475,8 @@ OUTPUT ONLY THE UPDATED HTML CONTENT with links added.`
 
       if (error) throw error
 
+      await syncArticleLinks(data.id, data.content, this.linkContext)
+
       // Update the idea
       await supabase
         .from('content_ideas')
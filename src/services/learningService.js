@@ -0,0 +1,98 @@
+/**
+ * Learning Service
+ * Feedback loop between reviewer comments and generation prompts:
+ * AI revisions are recorded as training_data with extracted patterns, and
+ * approved patterns are loaded as rules for the draft and humanization prompts
+ */
+
+import { supabase } from './supabaseClient'
+import { settingsService } from './settingsService'
+import { fetchLinkContext } from './linkContextService'
+import ClaudeEdgeClient from './ai/claudeClient.edge'
+import { calculateQualityMetrics } from '../lib/quality/qualityMetrics'
+import { ACTIVE_PATTERN_STATUSES, patternFields, selectLearnedRules } from '../lib/learning/patterns'
+
+const claudeEdgeClient = new ClaudeEdgeClient()
+
+/**
+ * Rules from the current user's approved / applied patterns (RLS scopes the rows)
+ */
+export async function fetchLearnedRules(limit) {
+  if (!limit) return []
+
+  const { data, error } = await supabase
+    .from('training_data')
+    .select('id, status, patterns_learned, pattern_details, impact_score, created_at')
+    .in('status', ACTIVE_PATTERN_STATUSES)
+
+  if (error) throw error
+  return selectLearnedRules(data, limit)
+}
+
+/**
+ * Approved rows become 'applied' the first time a generation uses them
+ * Never throws: the generated article matters more than the bookkeeping
+ */
+export async function markPatternsApplied(trainingDataIds = []) {
+  if (trainingDataIds.length === 0) return
+
+  const { error } = await supabase
+    .from('training_data')
+    .update({ status: 'applied', applied_at: new Date().toISOString() })
+    .in('id', trainingDataIds)
+    .eq('status', 'approved')
+
+  if (error) console.error('Error marking learned patterns applied:', error)
+}
+
+/**
+ * Record an AI revision as training data: extract patterns from the feedback it
+ * addressed and score the content before and after
+ * Never throws: a failed extraction must not fail the revision itself
+ */
+export async function recordRevision({ article, originalContent, feedbackItems, userId }) {
+  try {
+    const [settings, linkContext] = await Promise.all([
+      settingsService.getSettings(),
+      fetchLinkContext().catch(() => ({})),
+    ])
+
+    const before = calculateQualityMetrics(originalContent, article.faqs || [], settings, linkContext, article)
+    const after = calculateQualityMetrics(article.content, article.faqs || [], settings, linkContext, article)
+
+    let patterns = []
+    try {
+      patterns = await claudeEdgeClient.extractLearningPatterns(originalContent, article.content, feedbackItems, {
+        article_id: article.id,
+        stage: 'learning',
+      })
+    } catch (error) {
+      console.error('Error extracting learning patterns:', error)
+    }
+
+    const { data, error } = await supabase
+      .from('training_data')
+      .insert({
+        article_id: article.id,
+        original_content: originalContent,
+        revised_content: article.content,
+        feedback_items: feedbackItems.map(({ category, severity, selected_text, comment }) => ({
+          category, severity, selected_text, comment,
+        })),
+        ...patternFields(patterns),
+        quality_before: before.score,
+        quality_after: after.score,
+        status: 'pending',
+        user_id: userId,
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    return data
+
+  } catch (error) {
+    console.error('Error recording training data:', error)
+    return null
+  }
+}
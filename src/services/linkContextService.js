@@ -0,0 +1,24 @@
+/**
+ * Link Context Service
+ * Loads the site URLs used to classify links as internal or external:
+ * active WordPress connection site_urls and every site_articles.url
+ * Removed articles are left out, so links to them show up as broken
+ */
+
+import { supabase } from './supabaseClient'
+import { fetchAllRows } from '../lib/db/fetchAllRows'
+
+export async function fetchLinkContext() {
+  const [connections, articles] = await Promise.all([
+    supabase.from('wordpress_connections').select('site_url').eq('is_active', true),
+    fetchAllRows(() => supabase.from('site_articles').select('id, url, title, excerpt, topics').is('removed_at', null).order('id')),
+  ])
+
+  if (connections.error) throw connections.error
+  if (articles.error) throw articles.error
+
+  return {
+    siteUrls: connections.data.map(connection => connection.site_url).filter(Boolean),
+    articles: articles.data.filter(article => article.url),
+  }
+}
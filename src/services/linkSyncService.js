@@ -0,0 +1,35 @@
+/**
+ * Link Sync Service
+ * Writes an article's links to internal_links / external_links after it is
+ * generated or saved; the database keeps site_articles link counters in step
+ */
+
+import { supabase } from './supabaseClient'
+import { fetchLinkContext } from './linkContextService'
+import { getLinkRecords } from '../lib/quality/linkAnalyzer'
+
+/**
+ * Extract links from the article content and sync them
+ * Never throws: a failed sync is logged and must not fail the save itself
+ */
+export async function syncArticleLinks(articleId, content, linkContext = null) {
+  if (!articleId || typeof content !== 'string') return null
+
+  try {
+    const context = linkContext?.siteUrls ? linkContext : await fetchLinkContext()
+    const records = getLinkRecords(content, context)
+
+    const { error } = await supabase.rpc('sync_article_links', {
+      p_article_id: articleId,
+      p_internal: records.internal,
+      p_external: records.external,
+    })
+
+    if (error) throw error
+    return records
+
+  } catch (error) {
+    console.error('Error syncing article links:', error)
+    return null
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Settings Service
+ * Loads system_settings once, caches it, and hands typed values to the pipeline
+ */
+
+import { supabase } from './supabaseClient'
+import { DEFAULT_SETTINGS, parseSettings } from '../lib/settings'
+
+// How long a loaded settings snapshot is reused before reloading
+const CACHE_TTL_MS = 60 * 1000
+
+class SettingsService {
+  constructor() {
+    this.cache = null
+    this.loadedAt = 0
+    this.pending = null
+  }
+
+  /**
+   * Get typed settings, loading from the database when the cache is stale
+   * Falls back to defaults if the table can't be read
+   */
+  async getSettings({ force = false } = {}) {
+    const isFresh = this.cache && Date.now() - this.loadedAt < CACHE_TTL_MS
+    if (isFresh && !force) return this.cache
+
+    // Share one in-flight request between concurrent callers
+    if (!this.pending) {
+      this.pending = this.load().finally(() => {
+        this.pending = null
+      })
+    }
+
+    return this.pending
+  }
+
+  /**
+   * Last loaded settings without hitting the database
+   */
+  getCachedSettings() {
+    return this.cache || DEFAULT_SETTINGS
+  }
+
+  /**
+   * Load settings from system_settings
+   */
+  async load() {
+    try {
+      const { data, error } = await supabase
+        .from('system_settings')
+        .select('key, value')
+
+      if (error) throw error
+
+      this.cache = parseSettings(data)
+      this.loadedAt = Date.now()
+      return this.cache
+
+    } catch (error) {
+      console.error('Error loading system settings, using defaults:', error)
+      return this.cache || DEFAULT_SETTINGS
+    }
+  }
+
+  /**
+   * Drop the cache so the next read reloads (call after saving settings)
+   */
+  invalidate() {
+    this.cache = null
+    this.loadedAt = 0
+  }
+}
+
+export const settingsService = new SettingsService()
+
+export default SettingsService
@@ -0,0 +1,26 @@
+/**
+ * Usage Service
+ * Records each LLM call's tokens, latency and estimated cost in ai_usage
+ * (see lib/llm/usage); the Analytics page reports on them
+ */
+
+import { supabase } from './supabaseClient'
+
+/**
+ * Insert one usage record for the signed-in user
+ * Never throws: bookkeeping must not fail the AI call it describes
+ */
+export async function recordUsage(record) {
+  try {
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) return
+
+    const { error } = await supabase
+      .from('ai_usage')
+      .insert({ ...record, user_id: session.user.id })
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error recording AI usage:', error)
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Text embeddings for Edge Functions
+ * Calls an OpenAI-compatible embeddings endpoint (EMBEDDING_API_URL / embedding_model)
+ * with the EMBEDDING_API_KEY secret. Without the secret, callers fall back to TF-IDF.
+ * The endpoint is a secret next to the key, not a setting, so nobody who can edit
+ * system_settings can redirect the key to another host.
+ */
+
+import { EMBEDDING_DIMENSIONS } from '../../../src/lib/linking/relevance.js'
+import { createResilientFetch } from '../../../src/lib/http/resilientFetch.js'
+
+type Settings = Record<string, any>
+
+const DEFAULT_EMBEDDING_API_URL = 'https://api.openai.com/v1/embeddings'
+
+// Inputs per embeddings request
+const EMBEDDING_BATCH_SIZE = 100
+
+const embeddingsFetch = createResilientFetch({ service: 'embeddings', label: 'Embeddings API' })
+
+export function embeddingsConfigured() {
+  return !!Deno.env.get('EMBEDDING_API_KEY')
+}
+
+/**
+ * Embed texts in order. Returns null when no provider is configured or a request
+ * fails, so callers can fall back to local similarity.
+ */
+export async function embedTexts(texts: string[], settings: Settings): Promise<number[][] | null> {
+  const apiKey = Deno.env.get('EMBEDDING_API_KEY')
+  if (!apiKey || texts.length === 0) return null
+
+  const apiUrl = Deno.env.get('EMBEDDING_API_URL') || DEFAULT_EMBEDDING_API_URL
+
+  const embeddings: number[][] = []
+
+  try {
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      const response = await embeddingsFetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model: settings.embedding_model,
+          input: texts.slice(i, i + EMBEDDING_BATCH_SIZE),
+          dimensions: EMBEDDING_DIMENSIONS,
+        }),
+      })
+
+      const data = await response.json()
+      const batch = [...data.data]
+        .sort((a: any, b: any) => a.index - b.index)
+        .map((item: any) => item.embedding)
+
+      if (batch.some((embedding: number[]) => embedding?.length !== EMBEDDING_DIMENSIONS)) {
+        throw new Error(`Embeddings API returned vectors that are not ${EMBEDDING_DIMENSIONS}-dimensional`)
+      }
+
+      embeddings.push(...batch)
+    }
+  } catch (error) {
+    console.error('Error computing embeddings:', error)
+    return null
+  }
+
+  return embeddings
+}
+
+/**
+ * pgvector text format ('[0.1,0.2,...]') for inserts and rpc arguments
+ */
+export function toPgVector(embedding: number[]) {
+  return `[${embedding.join(',')}]`
+}
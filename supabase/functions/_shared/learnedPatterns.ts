@@ -0,0 +1,46 @@
+/**
+ * Learned pattern rules for Edge Functions
+ * Approved training_data patterns are injected into the draft and humanization prompts
+ */
+
+import { ACTIVE_PATTERN_STATUSES, selectLearnedRules } from '../../../src/lib/learning/patterns.js'
+
+/**
+ * Load rules from approved / applied patterns
+ * Scoped to userId when the client bypasses RLS (service role)
+ */
+export async function getLearnedRules(supabase: any, userId: string | null | undefined, limit: number) {
+  if (!limit) return []
+
+  let query = supabase
+    .from('training_data')
+    .select('id, status, patterns_learned, pattern_details, impact_score, created_at')
+    .in('status', ACTIVE_PATTERN_STATUSES)
+
+  if (userId) query = query.eq('user_id', userId)
+
+  const { data, error } = await query
+
+  if (error) {
+    console.error('Error loading learned patterns:', error)
+    return []
+  }
+
+  return selectLearnedRules(data || [], limit)
+}
+
+/**
+ * Approved rows become 'applied' the first time a generation uses them
+ * Failures are logged, never thrown, so they can't fail a generation
+ */
+export async function markPatternsApplied(supabase: any, trainingDataIds: string[] = []) {
+  if (trainingDataIds.length === 0) return
+
+  const { error } = await supabase
+    .from('training_data')
+    .update({ status: 'applied', applied_at: new Date().toISOString() })
+    .in('id', trainingDataIds)
+    .eq('status', 'approved')
+
+  if (error) console.error('Error marking learned patterns applied:', error)
+}
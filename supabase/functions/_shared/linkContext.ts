@@ -0,0 +1,63 @@
+/**
+ * Link classification context and link graph sync for Edge Functions
+ * Site URLs come from the user's active WordPress connections and site_articles
+ */
+
+import { getLinkRecords } from '../../../src/lib/quality/linkAnalyzer.js'
+import { fetchAllRows } from '../../../src/lib/db/fetchAllRows.js'
+
+export interface LinkContext {
+  siteUrls: string[]
+  articles: { id: string; url: string; title: string; excerpt: string | null; topics: string[] | null }[]
+}
+
+/**
+ * Load the URLs used to tell internal links from external ones
+ * Scoped to userId when the client bypasses RLS (service role)
+ */
+export async function getLinkContext(supabase: any, userId?: string | null): Promise<LinkContext> {
+  let connectionsQuery = supabase.from('wordpress_connections').select('site_url').eq('is_active', true)
+  if (userId) connectionsQuery = connectionsQuery.eq('user_id', userId)
+
+  // Paged: sites easily have more articles than one response holds
+  const articlesQuery = () => {
+    const query = supabase.from('site_articles').select('id, url, title, excerpt, topics').is('removed_at', null)
+    return (userId ? query.eq('user_id', userId) : query).order('id')
+  }
+
+  const [connections, articles] = await Promise.all([connectionsQuery, fetchAllRows(articlesQuery)])
+
+  if (connections.error) console.error('Error loading WordPress site URLs:', connections.error)
+  if (articles.error) console.error('Error loading site article URLs:', articles.error)
+
+  return {
+    siteUrls: (connections.data || []).map((c: any) => c.site_url).filter(Boolean),
+    articles: (articles.data || []).filter((a: any) => a.url),
+  }
+}
+
+/**
+ * Write a saved article's links to internal_links / external_links (see sync_article_links)
+ * Failures are logged, never thrown, so they can't fail a generation
+ */
+export async function syncArticleLinks(
+  supabase: any,
+  article: { id: string; content: string | null; user_id?: string | null },
+  linkContext?: LinkContext
+) {
+  const context = linkContext || await getLinkContext(supabase, article.user_id)
+  const records = getLinkRecords(article.content || '', context)
+
+  const { error } = await supabase.rpc('sync_article_links', {
+    p_article_id: article.id,
+    p_internal: records.internal,
+    p_external: records.external,
+  })
+
+  if (error) {
+    console.error('Error syncing article links:', error)
+    return null
+  }
+
+  return records
+}
@@ -0,0 +1,21 @@
+/**
+ * LLM registry for Edge Functions
+ * Providers per pipeline role from system_settings (see src/lib/llm/providers.js),
+ * with API keys from Edge Function secrets
+ */
+
+import { createLLMRegistry } from '../../../src/lib/llm/providers.js'
+
+/**
+ * Registry for a settings snapshot; a role whose provider has no key throws on use
+ * Pass onUsage (see usage.ts usageRecorder) to record each call in ai_usage
+ */
+export function getLLMRegistry(
+  settings: Record<string, any>,
+  { onUsage }: { onUsage?: (record: Record<string, any>) => Promise<void> } = {}
+) {
+  return createLLMRegistry(settings, {
+    getApiKey: (name: string) => Deno.env.get(name),
+    onUsage,
+  })
+}
@@ -0,0 +1,443 @@
+/**
+ * Shared generation pipeline for Edge Functions
+ * Pipeline: Draft → Contributor → Humanize → Internal Links → QA Auto-Fix Loop
+ * Used by generate-article (synchronous) and generation-worker (queue)
+ * Thresholds, providers, models and token limits come from system_settings
+ * Every LLM call is recorded in ai_usage under the run's generation_run_id
+ */
+
+import { getSettings } from './settings.ts'
+import { getLLMRegistry } from './llm.ts'
+import { usageRecorder } from './usage.ts'
+import { getLinkContext, type LinkContext } from './linkContext.ts'
+import { findRelevantSiteArticles } from './siteArticleMatching.ts'
+import { getLearnedRules, markPatternsApplied } from './learnedPatterns.ts'
+import { calculateQualityMetrics, isAutoFixable } from '../../../src/lib/quality/qualityMetrics.js'
+import { getBannedPhrases } from '../../../src/lib/quality/aiTells.js'
+import { linkSiteArticles, buildAnchorSuggestionPrompt, parseAnchorSuggestions } from '../../../src/lib/linking/internalLinker.js'
+import { learnedRuleIds } from '../../../src/lib/learning/patterns.js'
+import { draftSchema } from '../../../src/lib/llm/schemas.js'
+import { buildDraftPrompt, buildHumanizationPrompt, buildAutoFixPrompt, DRAFT_SYSTEM_PROMPT } from '../../../src/lib/llm/prompts.js'
+import { humanizeInChunks } from '../../../src/lib/humanize/chunking.js'
+import { validateStage, autoFixStageOptions } from '../../../src/lib/quality/structureValidator.js'
+import { scoreHumanization } from '../../../src/lib/quality/humanness.js'
+import { SETTING_DEFINITIONS } from '../../../src/lib/settings.js'
+
+// Numbered variants tried before falling back to a timestamp suffix
+const MAX_SLUG_SUFFIX = 20
+
+type Settings = Record<string, any>
+type LLMRegistry = ReturnType<typeof getLLMRegistry>
+
+export interface PipelineOptions {
+  contentType?: string
+  targetWordCount?: number
+  autoAssignContributor?: boolean
+  addInternalLinks?: boolean
+  autoFix?: boolean
+  maxFixAttempts?: number
+}
+
+export interface PipelineProgress {
+  stage: string
+  message: string
+  percentage: number
+}
+
+export type ProgressCallback = (progress: PipelineProgress) => Promise<void> | void
+
+/**
+ * Run the complete generation pipeline for a content idea
+ * Returns article data ready to insert (without user_id)
+ */
+export async function runGenerationPipeline(
+  supabase: any,
+  idea: any,
+  options: PipelineOptions = {},
+  onProgress?: ProgressCallback
+) {
+  // Defaults come from system_settings; per-job options override them
+  const settings = await getSettings(supabase)
+  const linkContext = await getLinkContext(supabase, idea.user_id)
+  const learnedRules = await getLearnedRules(supabase, idea.user_id, settings.max_learned_rules)
+
+  const {
+    contentType = settings.default_content_type,
+    targetWordCount = Math.round((settings.target_word_count_min + settings.target_word_count_max) / 2),
+    autoAssignContributor = true,
+    addInternalLinks = true,
+    autoFix = settings.enable_auto_fix,
+    maxFixAttempts = settings.max_auto_fix_attempts,
+  } = sanitizePipelineOptions(options, settings)
+
+  // Fails before any work when a stage's provider has no API key
+  const runId = crypto.randomUUID()
+  const llm = getLLMRegistry(settings, {
+    onUsage: usageRecorder(supabase, { user_id: idea.user_id, run_id: runId }),
+  })
+  llm.assertConfigured()
+
+  const progress = async (stage: string, message: string, percentage: number) => {
+    console.log(`[${percentage}%] ${message}`)
+    if (onProgress) await onProgress({ stage, message, percentage })
+  }
+
+  // STAGE 1: Generate draft
+  await progress('drafting', `Generating draft with ${llm.providerFor('draft').label}...`, 10)
+  const draftData = await generateDraft(llm, idea, { contentType, targetWordCount }, settings, learnedRules)
+
+  // STAGE 2: Auto-assign contributor
+  await progress('assigning_contributor', 'Auto-assigning contributor...', 25)
+  const contributor = autoAssignContributor
+    ? await assignContributor(supabase, idea, contentType)
+    : null
+
+  // Each LLM stage is compared with its input and rolled back when it lost too much
+  const stageWarnings: any[] = []
+  const checkStage = (stage: string, before: string, after: string) => {
+    const { content, warning } = validateStage(stage, before, after, settings)
+    if (warning) stageWarnings.push(warning)
+    return content
+  }
+
+  // STAGE 3: Humanize
+  await progress('humanizing', `Humanizing content with ${llm.providerFor('humanize').label}...`, 40)
+  const humanizedContent = checkStage(
+    'humanize',
+    draftData.content,
+    await humanizeContent(llm, draftData.content, contributor, settings, learnedRules)
+  )
+  // Did the pass raise burstiness/perplexity at all? (see lib/quality/humanness)
+  const humanization = scoreHumanization(draftData.content, humanizedContent, settings)
+  if (!humanization.improved) {
+    console.warn(`Humanization didn't improve the article (${humanization.before.score} → ${humanization.after.score})`)
+  }
+
+  // STAGE 4: Add internal links
+  await progress('linking', 'Adding internal links...', 55)
+  let finalContent = humanizedContent
+  if (addInternalLinks) {
+    const siteArticles = await findRelevantSiteArticles(
+      supabase,
+      { title: draftData.title, content: humanizedContent, focusKeyword: draftData.focus_keyword },
+      { userId: idea.user_id, settings, limit: Math.max(settings.max_internal_links * 2, 5) }
+    )
+    if (siteArticles.length > 0) {
+      finalContent = checkStage(
+        'internal_links',
+        humanizedContent,
+        await addInternalLinksToContent(llm, humanizedContent, siteArticles, settings, linkContext)
+      )
+    }
+  }
+
+  // STAGE 5: Quality assurance (with auto-fix)
+  await progress('quality_check', 'Running quality assurance...', 70)
+  let articleData: any = {
+    title: draftData.title,
+    content: finalContent,
+    excerpt: draftData.excerpt,
+    meta_title: draftData.meta_title,
+    meta_description: draftData.meta_description,
+    focus_keyword: draftData.focus_keyword,
+    slug: generateSlug(draftData.title),
+    // Secondary keywords for the on-page SEO checks (see lib/seo/onPageSeo)
+    keyword_research_data: idea.keyword_research_data || null,
+    faqs: draftData.faqs,
+    contributor_id: contributor?.id || null,
+    contributor_name: contributor?.name || null,
+    status: 'drafting',
+    // Last stage that changed the body; tags the article's first version
+    edit_source: finalContent !== humanizedContent ? 'internal_links' : 'humanize',
+    learned_pattern_ids: learnedRuleIds(learnedRules),
+    // Links this run's ai_usage rows to the article when it is saved
+    generation_run_id: runId,
+    stage_warnings: stageWarnings,
+    humanization_scores: humanization,
+    humanization_flagged: !humanization.improved,
+  }
+
+  if (autoFix && maxFixAttempts > 0) {
+    articleData = await qualityAssuranceLoop(
+      llm,
+      articleData,
+      maxFixAttempts,
+      settings,
+      linkContext,
+      (attempt, total) => progress(
+        'auto_fixing',
+        `Auto-fixing quality issues (attempt ${attempt}/${total})...`,
+        70 + attempt * 5
+      )
+    )
+  } else {
+    const metrics = calculateQualityMetrics(articleData.content, articleData.faqs, settings, linkContext, articleData)
+    articleData.word_count = metrics.word_count
+    articleData.quality_score = metrics.score
+    articleData.risk_flags = metrics.issues.map((i: any) => i.type)
+  }
+
+  await progress('finalizing', 'Finalizing article...', 95)
+  await markPatternsApplied(supabase, articleData.learned_pattern_ids)
+
+  return articleData
+}
+
+/**
+ * Quality Assurance Loop with Auto-Fix
+ * Stops when all checks pass, attempts run out, or a fix does not improve the
+ * score or fails stage validation (recorded in stage_warnings)
+ */
+export async function qualityAssuranceLoop(
+  llm: LLMRegistry,
+  articleData: any,
+  maxAttempts: number,
+  settings: Settings,
+  linkContext: LinkContext,
+  onAttempt?: (attempt: number, total: number) => Promise<void> | void
+) {
+  const currentArticle = { ...articleData, stage_warnings: [...(articleData.stage_warnings || [])] }
+  let attempt = 0
+
+  while (attempt < maxAttempts) {
+    attempt++
+
+    if (onAttempt) await onAttempt(attempt, maxAttempts)
+
+    const metrics = calculateQualityMetrics(currentArticle.content, currentArticle.faqs, settings, linkContext, currentArticle)
+    const issues = metrics.issues
+
+    currentArticle.word_count = metrics.word_count
+    currentArticle.quality_score = metrics.score
+
+    console.log(`QA Attempt ${attempt}/${maxAttempts}: Score = ${metrics.score}, Issues = ${issues.length}`)
+
+    if (issues.length === 0) {
+      currentArticle.risk_flags = []
+      break
+    }
+
+    if (attempt === maxAttempts) {
+      currentArticle.risk_flags = issues.map((i: any) => i.type)
+      break
+    }
+
+    // Only metadata issues left - rewriting the body can't fix them
+    if (!issues.some(isAutoFixable)) {
+      currentArticle.risk_flags = issues.map((i: any) => i.type)
+      break
+    }
+
+    try {
+      const stage = `auto_fix_${attempt}`
+      const fixedContent = await autoFixQualityIssues(llm, currentArticle.content, issues, currentArticle.faqs, settings, stage)
+
+      const { warning } = validateStage(stage, currentArticle.content, fixedContent, settings, autoFixStageOptions(issues))
+      if (warning) currentArticle.stage_warnings.push(warning)
+      if (warning?.rolled_back) {
+        currentArticle.risk_flags = issues.map((i: any) => i.type)
+        break
+      }
+
+      const newMetrics = calculateQualityMetrics(fixedContent, currentArticle.faqs, settings, linkContext, currentArticle)
+
+      console.log(`Improvement: ${metrics.score} → ${newMetrics.score}`)
+
+      if (newMetrics.score <= metrics.score) {
+        // Keep the previous version - the fix made things worse or did nothing
+        currentArticle.risk_flags = issues.map((i: any) => i.type)
+        break
+      }
+
+      currentArticle.content = fixedContent
+      currentArticle.edit_source = 'auto_fix'
+      currentArticle.word_count = newMetrics.word_count
+      currentArticle.quality_score = newMetrics.score
+      currentArticle.risk_flags = newMetrics.issues.map((i: any) => i.type)
+    } catch (error) {
+      console.error('Auto-fix failed:', error)
+      currentArticle.risk_flags = issues.map((i: any) => i.type)
+      break
+    }
+  }
+
+  return currentArticle
+}
+
+/**
+ * Per-job options as the pipeline may use them
+ * Options come from queue rows and request bodies, so unknown keys are dropped,
+ * flags must be booleans, contentType must be a known type, and the word count
+ * and fix attempts are clamped to the system_settings limits
+ */
+export function sanitizePipelineOptions(options: Record<string, any> = {}, settings: Settings): PipelineOptions {
+  const sanitized: PipelineOptions = {}
+
+  if (SETTING_DEFINITIONS.default_content_type.options.includes(options.contentType)) {
+    sanitized.contentType = options.contentType
+  }
+
+  if (Number.isFinite(options.targetWordCount)) {
+    sanitized.targetWordCount = Math.round(
+      Math.min(Math.max(options.targetWordCount, settings.target_word_count_min), settings.target_word_count_max)
+    )
+  }
+
+  if (Number.isFinite(options.maxFixAttempts)) {
+    sanitized.maxFixAttempts = Math.floor(Math.min(Math.max(options.maxFixAttempts, 0), settings.max_auto_fix_attempts))
+  }
+
+  for (const flag of ['autoAssignContributor', 'addInternalLinks', 'autoFix'] as const) {
+    if (typeof options[flag] === 'boolean') sanitized[flag] = options[flag]
+  }
+
+  return sanitized
+}
+
+export async function generateDraft(llm: LLMRegistry, idea: any, options: PipelineOptions, settings: Settings, learnedRules: any[] = []) {
+  const contentType = options.contentType || settings.default_content_type
+  const targetWordCount = options.targetWordCount || Math.round((settings.target_word_count_min + settings.target_word_count_max) / 2)
+
+  const prompt = buildDraftPrompt(idea, contentType, targetWordCount, getBannedPhrases(settings), learnedRules)
+
+  return llm.completeJSON('draft', {
+    task: 'draft',
+    system: DRAFT_SYSTEM_PROMPT,
+    prompt,
+    temperature: settings.ai_temperature,
+    maxTokens: settings.max_tokens_draft,
+  }, draftSchema)
+}
+
+export async function assignContributor(supabase: any, idea: any, contentType: string) {
+  const { data: contributors, error } = await supabase
+    .from('article_contributors')
+    .select('*')
+
+  if (error || !contributors || contributors.length === 0) {
+    console.error('Error fetching contributors:', error)
+    return null
+  }
+
+  // Score each contributor
+  const scoredContributors = contributors.map((contributor: any) => {
+    let score = 0
+
+    // Check expertise areas
+    const ideaTopics = idea.seed_topics || []
+    const expertiseMatch = contributor.expertise_areas?.some((area: string) =>
+      ideaTopics.some((topic: string) => topic.toLowerCase().includes(area.toLowerCase()))
+    )
+    if (expertiseMatch) score += 50
+
+    // Check content type match
+    if (contributor.content_types?.includes(contentType)) {
+      score += 30
+    }
+
+    // Check title for keyword matches
+    const titleWords = idea.title.toLowerCase().split(' ')
+    const titleMatch = contributor.expertise_areas?.some((area: string) =>
+      titleWords.some((word: string) => word.includes(area.toLowerCase()))
+    )
+    if (titleMatch) score += 20
+
+    return { contributor, score }
+  })
+
+  // Sort and return best match
+  scoredContributors.sort((a: any, b: any) => b.score - a.score)
+  return scoredContributors[0].contributor
+}
+
+/**
+ * Humanize in H2-section chunks that each fit max_tokens_humanize; chunks that
+ * lose structure are retried, then kept as drafted (see lib/humanize/chunking)
+ */
+export async function humanizeContent(llm: LLMRegistry, content: string, contributor: any, settings: Settings, learnedRules: any[] = []) {
+  const result = await humanizeInChunks(content, (chunk: string, { context }: { context: string }) => llm.complete('humanize', {
+    task: 'humanize',
+    prompt: buildHumanizationPrompt(chunk, contributor, 'high', 'high', getBannedPhrases(settings), learnedRules, context),
+    temperature: 0.9,
+    maxTokens: settings.max_tokens_humanize,
+  }), { maxTokens: settings.max_tokens_humanize })
+
+  return result.content
+}
+
+/**
+ * Insert internal links without rewriting the article (see internalLinker.js)
+ * The fix provider is only asked for anchor phrases when too few links could be placed
+ */
+export async function addInternalLinksToContent(
+  llm: LLMRegistry,
+  content: string,
+  siteArticles: any[],
+  settings: Settings,
+  linkContext: LinkContext
+) {
+  const result = await linkSiteArticles(content, siteArticles, {
+    minLinks: settings.min_internal_links,
+    maxLinks: settings.max_internal_links,
+    linkContext,
+    suggestAnchors: (html: string, targets: any[]) => suggestAnchors(llm, html, targets),
+  })
+
+  console.log(`Internal links: ${result.links.length} added, ${result.internalCount} total${result.belowMinimum ? ' (below minimum)' : ''}`)
+  return result.html
+}
+
+export async function suggestAnchors(llm: LLMRegistry, content: string, siteArticles: any[]) {
+  const text = await llm.complete('fix', {
+    task: 'suggestAnchors',
+    prompt: buildAnchorSuggestionPrompt(content, siteArticles),
+    temperature: 0.3,
+    maxTokens: 1000,
+    usage: { stage: 'links' },
+  })
+
+  return parseAnchorSuggestions(text, siteArticles)
+}
+
+export async function autoFixQualityIssues(
+  llm: LLMRegistry,
+  content: string,
+  issues: any[],
+  currentFaqs: any[] = [],
+  settings: Settings,
+  stage = 'auto_fix'
+) {
+  const prompt = buildAutoFixPrompt(content, issues, settings, { currentFaqs })
+
+  return llm.complete('fix', {
+    task: 'autoFix',
+    prompt,
+    temperature: 0.7,
+    maxTokens: settings.max_tokens_humanize,
+    usage: { stage },
+  })
+}
+
+/**
+ * A slug no other article uses: the slug itself, else slug-2, slug-3, ...
+ * articles.slug is unique across all users, so a taken slug would fail the insert
+ */
+export async function ensureUniqueSlug(supabase: any, slug: string): Promise<string> {
+  for (let n = 1; n <= MAX_SLUG_SUFFIX; n++) {
+    const candidate = n === 1 ? slug : `${slug.substring(0, 56).replace(/-$/, '')}-${n}`
+    const { data: available, error } = await supabase.rpc('is_article_slug_available', { check_slug: candidate })
+    if (error) throw error
+    if (available) return candidate
+  }
+
+  return `${slug.substring(0, 50).replace(/-$/, '')}-${Date.now().toString(36)}`
+}
+
+export function generateSlug(title: string): string {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .substring(0, 60)
+}
@@ -0,0 +1,51 @@
+/**
+ * System settings loader for Edge Functions
+ * Shares typed definitions with the app via src/lib/settings.js
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { DEFAULT_SETTINGS, parseSettings } from '../../../src/lib/settings.js'
+
+// Warm instances reuse settings for this long
+const CACHE_TTL_MS = 60 * 1000
+
+let cachedSettings: Record<string, any> | null = null
+let loadedAt = 0
+
+/**
+ * Load typed system settings, falling back to defaults if the table can't be read
+ */
+export async function getSettings(supabase: any): Promise<Record<string, any>> {
+  if (cachedSettings && Date.now() - loadedAt < CACHE_TTL_MS) {
+    return cachedSettings
+  }
+
+  const { data, error } = await supabase
+    .from('system_settings')
+    .select('key, value')
+
+  if (error) {
+    console.error('Error loading system settings, using defaults:', error)
+    return cachedSettings || { ...DEFAULT_SETTINGS }
+  }
+
+  cachedSettings = parseSettings(data)
+  loadedAt = Date.now()
+  return cachedSettings
+}
+
+/**
+ * Supabase client acting as the calling user (their JWT), for functions that
+ * have no client of their own (signed-in users can read system_settings)
+ */
+export function getRequestClient(req: Request) {
+  return createClient(
+    Deno.env.get('SUPABASE_URL') ?? '',
+    Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+    {
+      global: {
+        headers: { Authorization: req.headers.get('Authorization') ?? '' },
+      },
+    }
+  )
+}
@@ -0,0 +1,130 @@
+/**
+ * Internal link target matching for Edge Functions
+ * Ranks the user's site_articles against a draft by pgvector embedding similarity
+ * (match_site_articles), falling back to local TF-IDF when embeddings are unavailable
+ */
+
+import { embedTexts, embeddingsConfigured, toPgVector } from './embeddings.ts'
+import {
+  draftText,
+  siteArticleText,
+  finalizeRanking,
+  rankByTfIdf,
+  MIN_SIMILARITY,
+} from '../../../src/lib/linking/relevance.js'
+
+type Settings = Record<string, any>
+
+export interface DraftForMatching {
+  title?: string
+  content?: string
+  focusKeyword?: string
+}
+
+// Nearest neighbours fetched before the link-equity re-ranking
+const MATCH_CANDIDATES = 30
+// Articles compared by the TF-IDF fallback
+const TFIDF_CORPUS_LIMIT = 2000
+// Articles embedded per call (imports embed the rest on later runs)
+const EMBED_BATCH_LIMIT = 500
+
+/**
+ * Most relevant active site articles for a draft, each with relevance_score (0-100)
+ * and match_method ('embedding' or 'tfidf'). userId scopes the service-role client.
+ */
+export async function findRelevantSiteArticles(
+  supabase: any,
+  draft: DraftForMatching,
+  { userId, settings, limit = 10 }: { userId: string; settings: Settings; limit?: number }
+) {
+  if (embeddingsConfigured()) {
+    // Catch up on articles added since the last import (manual entries, stale rows)
+    await embedSiteArticles(supabase, settings, { userId, limit: 100 })
+
+    const [queryEmbedding] = await embedTexts([draftText(draft)], settings) || []
+    if (queryEmbedding) {
+      const { data, error } = await supabase.rpc('match_site_articles', {
+        query_embedding: toPgVector(queryEmbedding),
+        match_model: settings.embedding_model,
+        match_user_id: userId,
+        match_count: MATCH_CANDIDATES,
+      })
+
+      if (error) console.error('Error matching site articles by embedding:', error)
+
+      const matches = finalizeRanking(
+        (data || []).map((article: any) => ({ ...article, match_method: 'embedding' })),
+        { limit, minSimilarity: MIN_SIMILARITY.embedding }
+      )
+      if (matches.length > 0) return matches
+    }
+  }
+
+  const { data: articles, error } = await supabase
+    .from('site_articles')
+    .select('id, url, title, excerpt, topics, times_linked_to')
+    .eq('user_id', userId)
+    .is('removed_at', null)
+    .limit(TFIDF_CORPUS_LIMIT)
+
+  if (error) {
+    console.error('Error loading site articles:', error)
+    return []
+  }
+
+  return rankByTfIdf(draft, articles || [], { limit })
+}
+
+/**
+ * Embed active site articles that have no embedding for the current model
+ * Scoped to one connection or one user. Returns the number embedded.
+ */
+export async function embedSiteArticles(
+  supabase: any,
+  settings: Settings,
+  { connectionId, userId, limit = EMBED_BATCH_LIMIT }: { connectionId?: string; userId?: string; limit?: number }
+) {
+  if (!embeddingsConfigured()) return 0
+
+  let query = supabase
+    .from('site_articles')
+    .select('id, title, excerpt, topics')
+    .is('removed_at', null)
+    .or(`embedding_model.is.null,embedding_model.neq.${settings.embedding_model}`)
+    .limit(limit)
+
+  if (connectionId) query = query.eq('connection_id', connectionId)
+  if (userId) query = query.eq('user_id', userId)
+
+  const { data: articles, error } = await query
+  if (error) {
+    console.error('Error loading site articles to embed:', error)
+    return 0
+  }
+  if (!articles || articles.length === 0) return 0
+
+  const embeddings = await embedTexts(articles.map(siteArticleText), settings)
+  if (!embeddings) return 0
+
+  const embeddedAt = new Date().toISOString()
+  let embedded = 0
+
+  for (let i = 0; i < articles.length; i++) {
+    const { error: updateError } = await supabase
+      .from('site_articles')
+      .update({
+        embedding: toPgVector(embeddings[i]),
+        embedding_model: settings.embedding_model,
+        embedded_at: embeddedAt,
+      })
+      .eq('id', articles[i].id)
+
+    if (updateError) {
+      console.error(`Error saving embedding for site article ${articles[i].id}:`, updateError)
+    } else {
+      embedded++
+    }
+  }
+
+  return embedded
+}
@@ -0,0 +1,34 @@
+/**
+ * LLM usage recording for Edge Functions
+ * Every completion is written to ai_usage (see src/lib/llm/usage.js for pricing)
+ */
+
+import { exceededBudget, parseSpend } from '../../../src/lib/llm/usage.js'
+
+/**
+ * onUsage callback for getLLMRegistry that inserts each call into ai_usage
+ * context holds ai_usage columns for every call (user_id, run_id, article_id, stage)
+ * Failures are logged, never thrown, so bookkeeping can't fail a generation
+ */
+export function usageRecorder(supabase: any, context: Record<string, any>) {
+  return async (record: Record<string, any>) => {
+    const { error } = await supabase
+      .from('ai_usage')
+      .insert({ ...record, ...context })
+
+    if (error) console.error('Error recording AI usage:', error)
+  }
+}
+
+/**
+ * The daily / monthly budget cap current spend has reached, or null
+ */
+export async function getExceededBudget(supabase: any, settings: Record<string, any>) {
+  if (!(settings.daily_budget_usd > 0) && !(settings.monthly_budget_usd > 0)) return null
+
+  // Summed in SQL; a select of the rows would stop at 1000
+  const { data, error } = await supabase.rpc('ai_usage_spend').single()
+
+  if (error) throw error
+  return exceededBudget(parseSpend(data), settings)
+}
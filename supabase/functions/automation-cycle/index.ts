@@ -0,0 +1,488 @@
+/**
+ * Supabase Edge Function: automation-cycle
+ * Runs one automation cycle for the semi_auto / full_auto modes:
+ *   1. Top up content ideas via generate-ideas-from-keywords when approved ideas run low
+ *   2. Enqueue approved ideas for generation (up to max_generation_parallel active jobs)
+ *   3. Route finished articles to qa_review or ready_to_publish by quality score
+ *   4. In full_auto with enable_auto_publish, publish ready articles via publish-to-wordpress
+ * Every step is written to automation_runs. Invoked by pg_cron and by "Run now" in the app.
+ * Cycles are skipped while AI spend is over daily_budget_usd / monthly_budget_usd.
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { getSettings } from '../_shared/settings.ts'
+import { getExceededBudget } from '../_shared/usage.ts'
+import { describeError, errorKind } from '../../../src/lib/http/apiErrors.js'
+import { invokeFunction } from '../../../src/lib/http/edgeFunctions.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// A run still marked 'running' after this long is treated as crashed
+const STALE_RUN_MINUTES = 15
+
+// Upper bounds per cycle so one run can't flood the queue or WordPress
+const MAX_IDEAS_PER_CYCLE = 10
+const MAX_PUBLISH_PER_CYCLE = 5
+
+declare const EdgeRuntime: { waitUntil(promise: Promise<unknown>): void } | undefined
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { force = false } = await req.json().catch(() => ({}))
+
+    // The cycle works across every user's ideas and articles, so it uses the service role
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    // Manual runs from the app identify the caller; scheduled runs use the service key
+    const caller = await getCaller(supabaseClient, req)
+    if (!caller) {
+      return jsonResponse({ success: false, error: 'Not authenticated' }, 401)
+    }
+
+    const triggeredBy = caller.user
+    const settings = await getSettings(supabaseClient)
+
+    const skipReason = await getSkipReason(supabaseClient, settings, force)
+    if (skipReason && !triggeredBy) {
+      // Scheduled ticks that have nothing to do are not logged
+      return jsonResponse({ success: true, skipped: true, reason: skipReason })
+    }
+
+    const run = await runCycle(supabaseClient, settings, {
+      userId: triggeredBy?.id || null,
+      skipReason,
+    })
+
+    return jsonResponse({ success: true, run })
+
+  } catch (error) {
+    console.error('Automation cycle error:', error)
+    return jsonResponse({ success: false, error: error.message, errorKind: errorKind(error) }, 500)
+  }
+})
+
+// ===============================================
+// HELPER FUNCTIONS
+// ===============================================
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+/**
+ * Who is calling: the scheduler (exactly the service role key) or a signed-in
+ * user; null for anything else, such as the anon key or an expired token
+ */
+async function getCaller(supabase: any, req: Request) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '')
+  if (!token) return null
+
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+  if (serviceRoleKey && token === serviceRoleKey) return { scheduler: true, user: null }
+
+  const { data, error } = await supabase.auth.getUser(token)
+  if (error || !data?.user) return null
+  return { scheduler: false, user: data.user }
+}
+
+/**
+ * Why this cycle should not run (null = run it)
+ */
+async function getSkipReason(supabase: any, settings: Record<string, any>, force: boolean) {
+  if (settings.automation_mode === 'manual') {
+    return 'automation_mode is manual'
+  }
+
+  // Budget caps apply to forced runs too
+  const budget = await getExceededBudget(supabase, settings)
+  if (budget) {
+    return `${budget.period} AI budget reached ($${budget.spent.toFixed(2)} of $${budget.cap.toFixed(2)})`
+  }
+
+  const { data: lastRun } = await supabase
+    .from('automation_runs')
+    .select('status, started_at')
+    .neq('status', 'skipped')
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (!lastRun) return null
+
+  const elapsedMs = Date.now() - new Date(lastRun.started_at).getTime()
+
+  if (lastRun.status === 'running' && elapsedMs < STALE_RUN_MINUTES * 60 * 1000) {
+    return 'another cycle is still running'
+  }
+
+  if (!force && elapsedMs < settings.cycle_interval_seconds * 1000) {
+    return `last cycle ran ${Math.round(elapsedMs / 1000)}s ago (interval ${settings.cycle_interval_seconds}s)`
+  }
+
+  return null
+}
+
+/**
+ * Run one cycle and record it in automation_runs
+ */
+async function runCycle(
+  supabase: any,
+  settings: Record<string, any>,
+  { userId, skipReason }: { userId: string | null, skipReason: string | null }
+) {
+  const log: any[] = []
+  const counters = {
+    ideas_generated: 0,
+    ideas_approved: 0,
+    jobs_enqueued: 0,
+    articles_routed: 0,
+    articles_published: 0,
+  }
+
+  const { data: run, error: runError } = await supabase
+    .from('automation_runs')
+    .insert({
+      mode: settings.automation_mode,
+      trigger: userId ? 'manual' : 'schedule',
+      status: skipReason ? 'skipped' : 'running',
+      log: skipReason ? [logEntry('info', 'start', `Skipped: ${skipReason}`)] : [],
+      finished_at: skipReason ? new Date().toISOString() : null,
+      user_id: userId,
+    })
+    .select()
+    .single()
+
+  if (runError) throw runError
+  if (skipReason) return run
+
+  const addLog = async (level: string, step: string, message: string) => {
+    console.log(`[automation ${step}] ${message}`)
+    log.push(logEntry(level, step, message))
+    await supabase
+      .from('automation_runs')
+      .update({ log, ...counters })
+      .eq('id', run.id)
+  }
+
+  const finish = async (status: string, errorMessage: string | null = null) => {
+    const { data } = await supabase
+      .from('automation_runs')
+      .update({
+        status,
+        log,
+        ...counters,
+        error_message: errorMessage,
+        finished_at: new Date().toISOString(),
+      })
+      .eq('id', run.id)
+      .select()
+      .single()
+
+    return data || run
+  }
+
+  try {
+    await addLog('info', 'start', `Starting ${settings.automation_mode} cycle`)
+
+    const ownerId = settings.automation_user_id || userId
+    await topUpIdeas(supabase, settings, ownerId, counters, addLog)
+    await enqueueApprovedIdeas(supabase, settings, counters, addLog)
+    await routeFinishedArticles(supabase, settings, counters, addLog)
+
+    if (settings.automation_mode === 'full_auto') {
+      await publishReadyArticles(supabase, settings, counters, addLog)
+    }
+
+    await addLog('info', 'finish', 'Cycle complete')
+    return await finish('completed')
+
+  } catch (error) {
+    log.push(logEntry('error', 'finish', describeError(error)))
+    return await finish('failed', describeError(error))
+  }
+}
+
+function logEntry(level: string, step: string, message: string) {
+  return { at: new Date().toISOString(), level, step, message }
+}
+
+type AddLog = (level: string, step: string, message: string) => Promise<void>
+
+/**
+ * Step 1: generate new ideas when fewer than min_idea_queue_size approved ideas are waiting
+ */
+async function topUpIdeas(
+  supabase: any,
+  settings: Record<string, any>,
+  ownerId: string | null,
+  counters: Record<string, number>,
+  addLog: AddLog
+) {
+  const { count: approvedCount, error } = await supabase
+    .from('content_ideas')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'approved')
+
+  if (error) throw error
+
+  // Pending ideas count toward the target in semi_auto, where a human approves them
+  let waiting = approvedCount || 0
+  if (settings.automation_mode === 'semi_auto') {
+    const { count: pendingCount } = await supabase
+      .from('content_ideas')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', 'pending')
+    waiting += pendingCount || 0
+  }
+
+  const shortfall = settings.min_idea_queue_size - waiting
+  if (shortfall <= 0) {
+    await addLog('info', 'ideas', `${waiting} ideas waiting (minimum ${settings.min_idea_queue_size}) - no top-up needed`)
+    return
+  }
+
+  if (!settings.enable_auto_idea_generation) {
+    await addLog('info', 'ideas', `${waiting} ideas waiting, but enable_auto_idea_generation is off`)
+    return
+  }
+
+  if (!ownerId) {
+    await addLog('warning', 'ideas', 'Cannot generate ideas: set automation_user_id in Settings')
+    return
+  }
+
+  const seedKeywords = await getSeedKeywords(supabase, settings)
+  if (seedKeywords.length === 0) {
+    await addLog('warning', 'ideas', 'Cannot generate ideas: no automation_seed_keywords and no keywords saved')
+    return
+  }
+
+  const count = Math.min(shortfall, MAX_IDEAS_PER_CYCLE)
+  await addLog('info', 'ideas', `Generating ${count} ideas from: ${seedKeywords.join(', ')}`)
+
+  let data
+  try {
+    data = await invokeFunction(supabase, 'generate-ideas-from-keywords', { seedKeywords, count, userId: ownerId })
+  } catch (error) {
+    await addLog('error', 'ideas', `Idea generation failed: ${describeError(error)}`)
+    return
+  }
+
+  counters.ideas_generated = data.count
+
+  // full_auto approves its own ideas; semi_auto leaves them pending for a human
+  if (settings.automation_mode === 'full_auto' && data.ideas.length > 0) {
+    const { error: approveError } = await supabase
+      .from('content_ideas')
+      .update({ status: 'approved' })
+      .in('id', data.ideas.map((idea: any) => idea.id))
+
+    if (approveError) throw approveError
+    counters.ideas_approved = data.ideas.length
+  }
+
+  await addLog('info', 'ideas', `Generated ${data.count} ideas${counters.ideas_approved ? ' (auto-approved)' : ' (pending approval)'}`)
+}
+
+/**
+ * Seed keywords from settings, falling back to the highest-volume saved keywords
+ */
+async function getSeedKeywords(supabase: any, settings: Record<string, any>) {
+  if (settings.automation_seed_keywords?.length > 0) {
+    return settings.automation_seed_keywords.slice(0, 5)
+  }
+
+  const { data: keywords } = await supabase
+    .from('keywords')
+    .select('keyword')
+    .order('search_volume', { ascending: false, nullsFirst: false })
+    .limit(5)
+
+  return (keywords || []).map((k: any) => k.keyword)
+}
+
+/**
+ * Step 2: enqueue approved ideas without a job, keeping at most max_generation_parallel active
+ */
+async function enqueueApprovedIdeas(
+  supabase: any,
+  settings: Record<string, any>,
+  counters: Record<string, number>,
+  addLog: AddLog
+) {
+  const { data: activeJobs, error: queueError } = await supabase
+    .from('generation_queue')
+    .select('content_idea_id')
+    .in('status', ['pending', 'processing'])
+
+  if (queueError) throw queueError
+
+  const slots = settings.max_generation_parallel - activeJobs.length
+  if (slots <= 0) {
+    await addLog('info', 'enqueue', `${activeJobs.length} jobs already active (max ${settings.max_generation_parallel})`)
+    return
+  }
+
+  const queuedIdeaIds = new Set(activeJobs.map((job: any) => job.content_idea_id))
+
+  const { data: ideas, error: ideasError } = await supabase
+    .from('content_ideas')
+    .select('id, title, user_id')
+    .eq('status', 'approved')
+    .order('created_at', { ascending: true })
+    .limit(slots + queuedIdeaIds.size)
+
+  if (ideasError) throw ideasError
+
+  const toEnqueue = ideas.filter((idea: any) => !queuedIdeaIds.has(idea.id)).slice(0, slots)
+  if (toEnqueue.length === 0) {
+    await addLog('info', 'enqueue', 'No approved ideas waiting for generation')
+    return
+  }
+
+  for (const idea of toEnqueue) {
+    const { error } = await supabase
+      .from('generation_queue')
+      .insert({
+        content_idea_id: idea.id,
+        user_id: idea.user_id,
+        options: { automated: true },
+      })
+
+    // 23505 = already queued by someone else between our read and insert
+    if (error && error.code !== '23505') {
+      await addLog('error', 'enqueue', `Could not enqueue "${idea.title}": ${error.message}`)
+      continue
+    }
+
+    if (!error) counters.jobs_enqueued++
+  }
+
+  await addLog('info', 'enqueue', `Enqueued ${counters.jobs_enqueued} ideas for generation`)
+
+  // Start the worker without holding this request open for the whole generation
+  if (counters.jobs_enqueued > 0) {
+    const kicks = Array.from({ length: counters.jobs_enqueued }, () =>
+      supabase.functions.invoke('generation-worker', { body: { maxJobs: 1 } })
+    )
+    const pending = Promise.allSettled(kicks)
+    if (typeof EdgeRuntime !== 'undefined') EdgeRuntime.waitUntil(pending)
+  }
+}
+
+/**
+ * Step 3: move freshly generated articles out of 'drafting' based on their score
+ */
+async function routeFinishedArticles(
+  supabase: any,
+  settings: Record<string, any>,
+  counters: Record<string, number>,
+  addLog: AddLog
+) {
+  const { data: jobs, error: jobsError } = await supabase
+    .from('generation_queue')
+    .select('generated_article_id')
+    .eq('status', 'completed')
+    .not('generated_article_id', 'is', null)
+    .order('completed_at', { ascending: false })
+    .limit(100)
+
+  if (jobsError) throw jobsError
+  if (jobs.length === 0) return
+
+  const { data: articles, error: articlesError } = await supabase
+    .from('articles')
+    .select('id, title, quality_score')
+    .eq('status', 'drafting')
+    .in('id', jobs.map((job: any) => job.generated_article_id))
+
+  if (articlesError) throw articlesError
+
+  for (const article of articles) {
+    const score = article.quality_score || 0
+    const status = score >= settings.quality_threshold_publish ? 'ready_to_publish' : 'qa_review'
+
+    const { error } = await supabase
+      .from('articles')
+      .update({ status })
+      .eq('id', article.id)
+
+    if (error) {
+      await addLog('error', 'route', `Could not route "${article.title}": ${error.message}`)
+      continue
+    }
+
+    counters.articles_routed++
+
+    const note = score < settings.quality_threshold_review
+      ? ` - below review threshold ${settings.quality_threshold_review}`
+      : ''
+    await addLog(note ? 'warning' : 'info', 'route', `"${article.title}" (score ${score}) → ${status}${note}`)
+  }
+}
+
+/**
+ * Step 4 (full_auto): publish ready articles that clear quality_threshold_publish
+ */
+async function publishReadyArticles(
+  supabase: any,
+  settings: Record<string, any>,
+  counters: Record<string, number>,
+  addLog: AddLog
+) {
+  if (!settings.enable_auto_publish) {
+    await addLog('info', 'publish', 'enable_auto_publish is off - ready articles wait for manual publishing')
+    return
+  }
+
+  const { data: articles, error } = await supabase
+    .from('articles')
+    .select('id, title, quality_score, user_id')
+    .eq('status', 'ready_to_publish')
+    .gte('quality_score', settings.quality_threshold_publish)
+    .order('updated_at', { ascending: true })
+    .limit(MAX_PUBLISH_PER_CYCLE)
+
+  if (error) throw error
+  if (articles.length === 0) return
+
+  for (const article of articles) {
+    const { data: connection } = await supabase
+      .from('wordpress_connections')
+      .select('id, name')
+      .eq('user_id', article.user_id)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle()
+
+    if (!connection) {
+      await addLog('warning', 'publish', `"${article.title}" not published: its owner has no active WordPress connection`)
+      continue
+    }
+
+    try {
+      await invokeFunction(supabase, 'publish-to-wordpress', { articleId: article.id, connectionId: connection.id })
+    } catch (error) {
+      await addLog('error', 'publish', `"${article.title}" failed to publish: ${describeError(error)}`)
+      continue
+    }
+
+    counters.articles_published++
+    await addLog('info', 'publish', `Published "${article.title}" to ${connection.name}`)
+  }
+}
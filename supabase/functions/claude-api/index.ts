@@ -1,90 +1,25 @@
 /**
  * Supabase Edge Function: claude-api
- * Modular Claude API client for individual operations
- * Keeps Claude API key secure on server-side
+ * Editing operations (humanize, auto-fix, revisions, pattern extraction, anchor suggestions)
+ * Answered by the humanize / fix providers in system_settings (Claude by default); keys stay server-side
  */
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
-import Anthropic from 'npm:@anthropic-ai/sdk@0.32.1'
+import { getRequestClient, getSettings } from '../_shared/settings.ts'
+import { getLLMRegistry } from '../_shared/llm.ts'
+import { usageRecorder } from '../_shared/usage.ts'
+import { buildAnchorSuggestionPrompt, parseAnchorSuggestions } from '../../../src/lib/linking/internalLinker.js'
+import { patternsSchema } from '../../../src/lib/llm/schemas.js'
+import { errorKind } from '../../../src/lib/http/apiErrors.js'
+import { humanizeInChunks } from '../../../src/lib/humanize/chunking.js'
+import { getBannedPhrases } from '../../../src/lib/quality/aiTells.js'
+import { buildAutoFixPrompt, buildHumanizationPrompt } from '../../../src/lib/llm/prompts.js'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-const CLAUDE_MODEL = 'claude-3-5-sonnet-20250122'
-
-function buildHumanizationPrompt(content: string, contributorProfile: any, perplexity: string, burstiness: string): string {
-  let styleInstructions = ''
-
-  if (contributorProfile) {
-    const style = contributorProfile.writing_style_profile || {}
-    styleInstructions = `
-WRITER PERSONA:
-Name: ${contributorProfile.name}
-Tone: ${style.tone || 'professional'}
-Complexity: ${style.complexity_level || 'intermediate'}
-Sentence Length: ${style.sentence_length_preference || 'medium'}
-`
-  }
-
-  return `You are a highly skilled human writer. Your task is to rewrite the following AI-generated content to make it completely undetectable as AI-written. The content must read as if it was written by a real human with personality, expertise, and natural writing patterns.
-
-${styleInstructions}
-
-ORIGINAL CONTENT:
-${content}
-
-CRITICAL HUMANIZATION TECHNIQUES:
-
-1. **Perplexity (Unpredictability)**: ${perplexity}
-   - Use unexpected word choices and phrasings
-   - Avoid predictable transitions
-   - Include occasional colloquialisms or industry-specific terms
-   - Vary vocabulary richly
-
-2. **Burstiness (Sentence Variation)**: ${burstiness}
-   - Mix very short sentences with longer, complex ones
-   - Create natural rhythm: short → long → medium → very short
-   - Use fragments occasionally for emphasis
-   - Vary sentence structures significantly
-
-3. **Voice & Personality**:
-   - Add subtle personal touches ("I've found that...", "In my experience...")
-   - Include minor imperfections (starting sentences with "And" or "But")
-   - Use rhetorical questions sparingly
-   - Show emotion where appropriate
-
-4. **Natural Writing Patterns**:
-   - Avoid overly perfect grammar (humans make small stylistic choices)
-   - Use contractions naturally (don't, won't, I've)
-   - Include em-dashes for emphasis—like this
-   - Vary paragraph lengths significantly
-
-5. **BANNED AI PHRASES** (Never use these):
-   - "It's important to note that"
-   - "In today's digital age"
-   - "In conclusion"
-   - "Delve into"
-   - "Dive deep"
-   - "At the end of the day"
-   - "Game changer"
-   - "Revolutionary"
-   - "Cutting-edge"
-   - "Leverage"
-   - "Robust"
-   - "Seamless"
-
-6. **Content Quality**:
-   - Keep all factual information accurate
-   - Maintain the same structure and headings
-   - Preserve HTML formatting
-   - Keep the same SEO focus
-   - Ensure the content remains valuable and informative
-
-OUTPUT ONLY THE REWRITTEN HTML CONTENT. DO NOT include explanations, meta-commentary, or anything other than the pure HTML article content.`
-}
-
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -98,13 +33,20 @@ serve(async (req) => {
       throw new Error('Missing required parameter: action')
     }
 
-    const claudeApiKey = Deno.env.get('CLAUDE_API_KEY')
-
-    if (!claudeApiKey) {
-      throw new Error('CLAUDE_API_KEY not configured in Edge Function secrets')
-    }
-
-    const client = new Anthropic({ apiKey: claudeApiKey })
+    // Calls are recorded in ai_usage as the caller; payload.usage tags the
+    // article and stage ({ article_id, run_id, stage })
+    const supabaseClient = getRequestClient(req)
+    const settings = await getSettings(supabaseClient)
+    const { data: { user } } = await supabaseClient.auth.getUser()
+    const { article_id = null, run_id = null, stage } = payload?.usage || {}
+    const llm = getLLMRegistry(settings, {
+      onUsage: usageRecorder(supabaseClient, {
+        user_id: user?.id ?? null,
+        article_id,
+        run_id,
+        ...(stage ? { stage } : {}),
+      }),
+    })
 
     let result: any
 
@@ -114,7 +56,8 @@ serve(async (req) => {
           content,
           contributorProfile = null,
           targetPerplexity = 'high',
-          targetBurstiness = 'high'
+          targetBurstiness = 'high',
+          learnedRules = []
         } = payload
 
         if (!content) {
@@ -123,26 +66,20 @@ serve(async (req) => {
 
         console.log('Humanizing content...')
 
-        const prompt = buildHumanizationPrompt(content, contributorProfile, targetPerplexity, targetBurstiness)
-
-        const response = await client.messages.create({
-          model: CLAUDE_MODEL,
-          max_tokens: 4500,
+        // Section-sized chunks so long articles don't truncate (see lib/humanize/chunking)
+        const humanized = await humanizeInChunks(content, (chunk: string, { context }: { context: string }) => llm.complete('humanize', {
+          task: 'humanize',
+          prompt: buildHumanizationPrompt(chunk, contributorProfile, targetPerplexity, targetBurstiness, getBannedPhrases(settings), learnedRules, context),
           temperature: 0.9,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
-        })
+          maxTokens: settings.max_tokens_humanize,
+        }), { maxTokens: settings.max_tokens_humanize })
 
-        result = response.content[0].text
+        result = humanized.content
         break
       }
 
       case 'autoFixQualityIssues': {
-        const { content, issues, siteArticles = [] } = payload
+        const { content, issues, siteArticles = [], currentFaqs = [] } = payload
 
         if (!content || !issues) {
           throw new Error('Missing required parameters: content and issues')
@@ -150,63 +87,14 @@ serve(async (req) => {
 
         console.log('Auto-fixing quality issues...')
 
-        const issueDescriptions = issues.map((issue: any) => {
-          const descriptions: Record<string, string> = {
-            word_count_low: `Article is too short (needs to be 1500-2500 words)`,
-            word_count_high: `Article is too long (needs to be 1500-2500 words)`,
-            missing_internal_links: `Missing internal links (needs 3-5 links to related articles)`,
-            missing_external_links: `Missing external citations (needs 2-4 authoritative sources)`,
-            missing_faqs: `Missing FAQ section (needs at least 3 FAQ items)`,
-            poor_readability: `Readability score is too low (needs simpler language and shorter sentences)`,
-            weak_headings: `Heading structure needs improvement (missing H2/H3 hierarchy)`,
-          }
-          return descriptions[issue.type] || issue.type
-        }).join('\n- ')
-
-        let internalLinksContext = ''
-        if (siteArticles.length > 0) {
-          internalLinksContext = `
-
-AVAILABLE ARTICLES FOR INTERNAL LINKING (use 3-5 of these where relevant):
-${siteArticles.map((article: any) => `- [${article.title}](${article.url}) - Topics: ${article.topics?.join(', ') || 'N/A'}`).join('\n')}
-`
-        }
-
-        const prompt = `You are a content editor fixing quality issues in this article.
-
-CURRENT CONTENT:
-${content}
-
-QUALITY ISSUES TO FIX:
-- ${issueDescriptions}
-${internalLinksContext}
+        const prompt = buildAutoFixPrompt(content, issues, settings, { currentFaqs, siteArticles })
 
-INSTRUCTIONS:
-1. Fix each issue listed above
-2. For word count: Add or remove content naturally, maintaining quality
-3. For internal links: Add 3-5 contextual links to the provided articles where genuinely relevant (use HTML <a> tags)
-4. For external links: Add 2-4 citations to authoritative sources like research papers, official documentation, or reputable publications
-5. For FAQs: Add a "Frequently Asked Questions" section with at least 3 relevant Q&A pairs at the end
-6. For readability: Simplify complex sentences, break up long paragraphs, use clearer language
-7. For headings: Ensure proper H2/H3 hierarchy, make headings descriptive and keyword-rich
-8. Maintain the article's tone, style, and factual accuracy
-9. Keep all existing HTML formatting
-
-OUTPUT ONLY THE CORRECTED HTML CONTENT. DO NOT include explanations or notes.`
-
-        const response = await client.messages.create({
-          model: CLAUDE_MODEL,
-          max_tokens: 4500,
+        result = await llm.complete('fix', {
+          task: 'autoFix',
+          prompt,
           temperature: 0.7,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
+          maxTokens: settings.max_tokens_humanize,
         })
-
-        result = response.content[0].text
         break
       }
 
@@ -220,8 +108,10 @@ OUTPUT ONLY THE CORRECTED HTML CONTENT. DO NOT include explanations or notes.`
         console.log('Revising content with feedback...')
 
         const feedbackText = feedbackItems.map((item: any, index: number) => {
-          return `${index + 1}. [${item.category.toUpperCase()}] ${item.severity}: "${item.selected_text}"
-   Issue: ${item.comment}`
+          const target = item.selected_text ? `"${item.selected_text}"` : '(whole article)'
+          const discussion = (item.replies || []).map((reply: string) => `\n   Reply: ${reply}`).join('')
+          return `${index + 1}. [${(item.category || 'other').toUpperCase()}] ${item.severity || 'suggestion'}: ${target}
+   Issue: ${item.comment}${discussion}`
         }).join('\n\n')
 
         const prompt = `You are a content editor revising this article based on editorial feedback.
@@ -241,19 +131,12 @@ INSTRUCTIONS:
 
 OUTPUT ONLY THE REVISED HTML CONTENT.`
 
-        const response = await client.messages.create({
-          model: CLAUDE_MODEL,
-          max_tokens: 4500,
+        result = await llm.complete('fix', {
+          task: 'revise',
+          prompt,
           temperature: 0.7,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
+          maxTokens: settings.max_tokens_humanize,
         })
-
-        result = response.content[0].text
         break
       }
 
@@ -294,68 +177,40 @@ FORMAT AS JSON:
 
 Generate the patterns now:`
 
-        const response = await client.messages.create({
-          model: CLAUDE_MODEL,
-          max_tokens: 2000,
+        const { patterns } = await llm.completeJSON('fix', {
+          task: 'extractPatterns',
+          prompt,
           temperature: 0.6,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
-        })
+          maxTokens: 2000,
+        }, patternsSchema)
 
-        const parsed = JSON.parse(response.content[0].text)
-        result = parsed.patterns
+        result = patterns
         break
       }
 
-      case 'addInternalLinks': {
+      case 'suggestAnchors': {
         const { content, siteArticles } = payload
 
         if (!content || !siteArticles || !Array.isArray(siteArticles)) {
           throw new Error('Missing required parameters: content and siteArticles (array)')
         }
 
-        console.log('Adding internal links...')
-
-        const prompt = `Add 3-5 contextual internal links to this article content.
-
-ARTICLE CONTENT:
-${content}
-
-AVAILABLE ARTICLES TO LINK TO:
-${siteArticles.map((a: any) => `- [${a.title}](${a.url})`).join('\n')}
+        console.log('Suggesting internal link anchors...')
 
-INSTRUCTIONS:
-1. Add links where they are genuinely relevant and helpful to the reader
-2. Use natural anchor text (not "click here" or URLs)
-3. Distribute links throughout the article, not all in one section
-4. Use HTML <a> tags: <a href="URL">anchor text</a>
-5. Aim for 3-5 links total
-6. Do not force links where they don't fit naturally
-
-OUTPUT ONLY THE UPDATED HTML CONTENT with links added.`
-
-        const response = await client.messages.create({
-          model: CLAUDE_MODEL,
-          max_tokens: 4500,
-          temperature: 0.7,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
+        // Only anchor phrases come back; links are inserted by internalLinker.js
+        const text = await llm.complete('fix', {
+          task: 'suggestAnchors',
+          prompt: buildAnchorSuggestionPrompt(content, siteArticles),
+          temperature: 0.3,
+          maxTokens: 1000,
         })
 
-        result = response.content[0].text
+        result = Object.fromEntries(parseAnchorSuggestions(text, siteArticles))
         break
       }
 
       default:
-        throw new Error(`Unknown action: ${action}. Valid actions: humanize, autoFixQualityIssues, reviseWithFeedback, extractLearningPatterns, addInternalLinks`)
+        throw new Error(`Unknown action: ${action}. Valid actions: humanize, autoFixQualityIssues, reviseWithFeedback, extractLearningPatterns, suggestAnchors`)
     }
 
     return new Response(
@@ -370,11 +225,12 @@ OUTPUT ONLY THE UPDATED HTML CONTENT with links added.`
     )
 
   } catch (error) {
-    console.error('Claude API Edge Function error:', error)
+    console.error('claude-api Edge Function error:', error)
     return new Response(
       JSON.stringify({
         success: false,
-        error: error instanceof Error ? error.message : 'Unknown error'
+        error: error instanceof Error ? error.message : 'Unknown error',
+        errorKind: errorKind(error),
       }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -1,16 +1,23 @@
 /**
  * Supabase Edge Function: generate-ideas-from-keywords
- * Uses DataForSEO to get keyword data and Grok to generate content ideas
+ * Uses DataForSEO to get keyword data and the draft provider to generate content ideas
  */
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { getSettings } from '../_shared/settings.ts'
+import { getLLMRegistry } from '../_shared/llm.ts'
+import { ideasSchema } from '../../../src/lib/llm/schemas.js'
+import { createResilientFetch } from '../../../src/lib/http/resilientFetch.js'
+import { errorKind } from '../../../src/lib/http/apiErrors.js'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+const dataForSEOFetch = createResilientFetch({ service: 'dataforseo', label: 'DataForSEO' })
+
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
@@ -34,14 +41,13 @@ serve(async (req) => {
       }
     )
 
-    const grokApiKey = Deno.env.get('GROK_API_KEY')
+    const settings = await getSettings(supabaseClient)
+    const llm = getLLMRegistry(settings)
+    llm.assertConfigured(['draft'])
+
     const dataForSEOUsername = Deno.env.get('DATAFORSEO_USERNAME')
     const dataForSEOPassword = Deno.env.get('DATAFORSEO_PASSWORD')
 
-    if (!grokApiKey) {
-      throw new Error('Grok API key not configured')
-    }
-
     console.log('Generating ideas from keywords:', seedKeywords)
 
     let keywordData: any[] = []
@@ -60,9 +66,9 @@ serve(async (req) => {
       }
     }
 
-    // Generate content ideas with Grok
-    console.log('Generating content ideas with Grok...')
-    const ideas = await generateIdeasWithGrok(seedKeywords, count, grokApiKey, keywordData)
+    // Generate content ideas with the draft provider
+    console.log(`Generating content ideas with ${llm.providerFor('draft').label}...`)
+    const ideas = await generateIdeas(llm, seedKeywords, count, keywordData)
 
     // Save ideas to database
     console.log('Saving ideas to database...')
@@ -110,6 +116,7 @@ serve(async (req) => {
       JSON.stringify({
         success: false,
         error: error.message,
+        errorKind: errorKind(error),
       }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -130,7 +137,7 @@ async function getKeywordDataFromDataForSEO(
 ) {
   const auth = btoa(`${username}:${password}`)
 
-  const response = await fetch('https://api.dataforseo.com/v3/keywords_data/google/search_volume/live', {
+  const response = await dataForSEOFetch('https://api.dataforseo.com/v3/keywords_data/google/search_volume/live', {
     method: 'POST',
     headers: {
       'Authorization': `Basic ${auth}`,
@@ -145,10 +152,6 @@ async function getKeywordDataFromDataForSEO(
     ]),
   })
 
-  if (!response.ok) {
-    throw new Error(`DataForSEO API error: ${response.status}`)
-  }
-
   const data = await response.json()
 
   if (data.tasks && data.tasks[0] && data.tasks[0].result) {
@@ -158,10 +161,10 @@ async function getKeywordDataFromDataForSEO(
   return []
 }
 
-async function generateIdeasWithGrok(
+async function generateIdeas(
+  llm: ReturnType<typeof getLLMRegistry>,
   seedKeywords: string[],
   count: number,
-  apiKey: string,
   keywordData: any[]
 ) {
   const keywordContext = keywordData.length > 0
@@ -197,61 +200,47 @@ FORMAT YOUR RESPONSE AS JSON:
 
 Generate the ideas now:`
 
-  const response = await fetch('https://api.x.ai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: 'grok-beta',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a content strategist who generates creative, specific article ideas.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.8,
-      max_tokens: 2000,
-    }),
-  })
-
-  if (!response.ok) {
-    const error = await response.json()
-    throw new Error(`Grok API error: ${error.error?.message || 'Unknown error'}`)
-  }
-
-  const data = await response.json()
-  const content = data.choices[0].message.content
-  const parsed = JSON.parse(content)
-
-  // Enrich ideas with keyword data if available
-  if (keywordData.length > 0) {
-    parsed.ideas = parsed.ideas.map((idea: any) => {
-      // Find matching keyword data
-      const matchingKeyword = keywordData.find((k: any) =>
-        idea.target_keywords.some((tk: string) =>
-          k.keyword.toLowerCase().includes(tk.toLowerCase())
-        )
+  const parsed = await llm.completeJSON('draft', {
+    task: 'ideas',
+    system: 'You are a content strategist who generates creative, specific article ideas.',
+    prompt,
+    temperature: 0.8,
+    maxTokens: 2000,
+  }, ideasSchema)
+
+  // Enrich ideas with keyword data if available; the idea's other target
+  // keywords become secondary keywords for the on-page SEO checks
+  parsed.ideas = parsed.ideas.map((idea: any) => {
+    const targetKeywords: string[] = idea.target_keywords || []
+
+    // Find matching keyword data
+    const matchingKeyword = keywordData.find((k: any) =>
+      targetKeywords.some((tk: string) =>
+        k.keyword.toLowerCase().includes(tk.toLowerCase())
       )
+    )
 
-      if (matchingKeyword) {
-        idea.keyword_data = {
-          primary_keyword: matchingKeyword.keyword,
-          search_volume: matchingKeyword.search_volume,
-          difficulty: matchingKeyword.keyword_difficulty,
-          cpc: matchingKeyword.cpc,
-          competition: matchingKeyword.competition,
-        }
+    const primaryKeyword = matchingKeyword?.keyword || targetKeywords[0]
+    const secondaryKeywords = targetKeywords.filter((tk: string) => tk.toLowerCase() !== primaryKeyword?.toLowerCase())
+
+    if (matchingKeyword) {
+      idea.keyword_data = {
+        primary_keyword: matchingKeyword.keyword,
+        search_volume: matchingKeyword.search_volume,
+        difficulty: matchingKeyword.keyword_difficulty,
+        cpc: matchingKeyword.cpc,
+        competition: matchingKeyword.competition,
+        secondary_keywords: secondaryKeywords,
+      }
+    } else if (primaryKeyword) {
+      idea.keyword_data = {
+        primary_keyword: primaryKeyword,
+        secondary_keywords: secondaryKeywords,
       }
+    }
 
-      return idea
-    })
-  }
+    return idea
+  })
 
   return parsed.ideas
 }
@@ -0,0 +1,201 @@
+/**
+ * Supabase Edge Function: generation-worker
+ * Drains the generation_queue server-side so generation survives closed browser tabs
+ * Claims pending jobs by priority, runs the full pipeline, and writes stage/progress
+ * back to the queue row. Invoked by the client after enqueueing and by pg_cron.
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { runGenerationPipeline, ensureUniqueSlug } from '../_shared/pipeline.ts'
+import { syncArticleLinks } from '../_shared/linkContext.ts'
+import { getSettings } from '../_shared/settings.ts'
+import { getExceededBudget } from '../_shared/usage.ts'
+import { errorKind } from '../../../src/lib/http/apiErrors.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Jobs are retried until they have been attempted this many times
+const MAX_ATTEMPTS = 3
+
+// Upper bound on maxJobs, so one request can't hold the function past its time limit
+const MAX_JOBS_PER_RUN = 5
+
+// Failures another attempt cannot fix (bad keys, no credit, rejected requests)
+const PERMANENT_ERROR_KINDS = ['auth', 'quota', 'bad_request']
+
+// Postgres constraint violations (unique, foreign key, not null, check) fail the same way every time
+const PERMANENT_DB_ERROR_CODES = ['23505', '23503', '23502', '23514']
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { maxJobs = 1 } = await req.json().catch(() => ({}))
+    const jobLimit = Math.min(Math.max(Math.floor(Number(maxJobs)) || 1, 1), MAX_JOBS_PER_RUN)
+
+    // The worker processes jobs for every user, so it uses the service role
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    // The scheduler drains the whole queue; a signed-in user only their own jobs
+    const caller = await getCaller(supabaseClient, req)
+    if (!caller) {
+      return jsonResponse({ success: false, error: 'Not authenticated' }, 401)
+    }
+
+    const settings = await getSettings(supabaseClient)
+    const processed = []
+
+    for (let i = 0; i < jobLimit; i++) {
+      // Checked before every job, since the previous one may have used up the budget.
+      // Jobs stay pending until the next day or month
+      const budget = await getExceededBudget(supabaseClient, settings)
+      if (budget) {
+        return jsonResponse({
+          success: true,
+          skipped: true,
+          reason: `${budget.period} AI budget reached ($${budget.spent.toFixed(2)} of $${budget.cap.toFixed(2)})`,
+          processed: processed.length,
+          jobs: processed,
+        })
+      }
+
+      const { data: jobs, error: claimError } = await supabaseClient.rpc('claim_generation_job', {
+        max_attempts: MAX_ATTEMPTS,
+        for_user: caller.user?.id ?? null,
+      })
+
+      if (claimError) throw claimError
+      if (!jobs || jobs.length === 0) break
+
+      processed.push(await processJob(supabaseClient, jobs[0]))
+    }
+
+    return jsonResponse({
+      success: true,
+      processed: processed.length,
+      jobs: processed,
+    })
+
+  } catch (error) {
+    console.error('Generation worker error:', error)
+    return jsonResponse({ success: false, error: error.message, errorKind: errorKind(error) }, 500)
+  }
+})
+
+// ===============================================
+// HELPER FUNCTIONS
+// ===============================================
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+/**
+ * Who is calling: the scheduler (exactly the service role key) or a signed-in
+ * user; null for anything else, such as the anon key or an expired token
+ */
+async function getCaller(supabase: any, req: Request) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '')
+  if (!token) return null
+
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+  if (serviceRoleKey && token === serviceRoleKey) return { scheduler: true, user: null }
+
+  const { data, error } = await supabase.auth.getUser(token)
+  if (error || !data?.user) return null
+  return { scheduler: false, user: data.user }
+}
+
+async function processJob(supabase: any, job: any) {
+  console.log(`Processing generation job ${job.id} (attempt ${job.attempts})`)
+
+  const updateJob = async (updates: Record<string, unknown>) => {
+    const { error } = await supabase
+      .from('generation_queue')
+      .update(updates)
+      .eq('id', job.id)
+
+    if (error) console.error('Error updating generation job:', error)
+  }
+
+  try {
+    const { data: idea, error: ideaError } = await supabase
+      .from('content_ideas')
+      .select('*')
+      .eq('id', job.content_idea_id)
+      .single()
+
+    if (ideaError || !idea) {
+      throw new Error(`Content idea not found: ${ideaError?.message}`)
+    }
+
+    const articleData = await runGenerationPipeline(
+      supabase,
+      idea,
+      // Options are user-written; the pipeline whitelists and clamps them
+      job.options || {},
+      ({ stage, percentage }) => updateJob({
+        current_stage: stage,
+        progress_percentage: percentage,
+      })
+    )
+
+    const { data: article, error: saveError } = await supabase
+      .from('articles')
+      .insert({
+        ...articleData,
+        slug: await ensureUniqueSlug(supabase, articleData.slug),
+        user_id: job.user_id || idea.user_id,
+      })
+      .select()
+      .single()
+
+    if (saveError) throw saveError
+
+    await syncArticleLinks(supabase, article)
+
+    await supabase
+      .from('content_ideas')
+      .update({ article_id: article.id, status: 'completed' })
+      .eq('id', idea.id)
+
+    await updateJob({
+      status: 'completed',
+      current_stage: 'completed',
+      progress_percentage: 100,
+      generated_article_id: article.id,
+      completed_at: new Date().toISOString(),
+    })
+
+    console.log(`Job ${job.id} completed: article ${article.id}`)
+
+    return { id: job.id, status: 'completed', articleId: article.id }
+
+  } catch (error) {
+    const kind = errorKind(error)
+    const permanent = PERMANENT_ERROR_KINDS.includes(kind) || PERMANENT_DB_ERROR_CODES.includes(error?.code)
+    const canRetry = job.attempts < MAX_ATTEMPTS && !permanent
+    console.error(`Job ${job.id} failed (${kind})${canRetry ? ' (will retry)' : ''}:`, error)
+
+    await updateJob({
+      status: canRetry ? 'pending' : 'failed',
+      error_message: error.message,
+      error_kind: kind,
+      completed_at: canRetry ? null : new Date().toISOString(),
+    })
+
+    return { id: job.id, status: canRetry ? 'pending' : 'failed', error: error.message, errorKind: kind }
+  }
+}
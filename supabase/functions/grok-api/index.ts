@@ -1,143 +1,23 @@
 /**
  * Supabase Edge Function: grok-api
- * Modular Grok API client for individual operations
- * Keeps Grok API key secure on server-side
+ * Drafting operations (drafts, ideas, metadata) for the app
+ * Answered by the draft provider in system_settings (Grok by default); keys stay server-side
  */
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { getRequestClient, getSettings } from '../_shared/settings.ts'
+import { getLLMRegistry } from '../_shared/llm.ts'
+import { usageRecorder } from '../_shared/usage.ts'
+import { draftSchema, ideasSchema, metadataSchema } from '../../../src/lib/llm/schemas.js'
+import { errorKind } from '../../../src/lib/http/apiErrors.js'
+import { getBannedPhrases } from '../../../src/lib/quality/aiTells.js'
+import { buildDraftPrompt, DRAFT_SYSTEM_PROMPT } from '../../../src/lib/llm/prompts.js'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-const GROK_BASE_URL = 'https://api.x.ai/v1'
-const GROK_MODEL = 'grok-beta'
-
-interface GrokMessage {
-  role: string
-  content: string
-}
-
-interface GrokOptions {
-  temperature?: number
-  max_tokens?: number
-}
-
-async function makeGrokRequest(messages: GrokMessage[], options: GrokOptions = {}) {
-  const grokApiKey = Deno.env.get('GROK_API_KEY')
-
-  if (!grokApiKey) {
-    throw new Error('GROK_API_KEY not configured in Edge Function secrets')
-  }
-
-  const { temperature = 0.8, max_tokens = 4000 } = options
-
-  const response = await fetch(`${GROK_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${grokApiKey}`,
-    },
-    body: JSON.stringify({
-      model: GROK_MODEL,
-      messages,
-      temperature,
-      max_tokens,
-      stream: false,
-    }),
-  })
-
-  if (!response.ok) {
-    const error = await response.json()
-    throw new Error(`Grok API error: ${error.error?.message || 'Unknown error'}`)
-  }
-
-  const data = await response.json()
-  return data.choices[0].message.content
-}
-
-function getStructureForContentType(contentType: string): string {
-  const structures: Record<string, string> = {
-    guide: `
-- Introduction (why this matters)
-- Main sections with H2 headings
-- Step-by-step instructions or explanations
-- Examples and use cases
-- Best practices
-- Common mistakes to avoid
-- Conclusion with key takeaways`,
-    listicle: `
-- Engaging introduction
-- Clear list items with H2 headings
-- Each item should have 2-3 paragraphs of explanation
-- Use numbers or bullets
-- Conclusion that ties it together`,
-    ranking: `
-- Introduction explaining ranking criteria
-- Ranked list items (e.g., #1, #2, #3)
-- Each item with pros/cons
-- Clear explanation of why it's ranked that way
-- Conclusion with winner summary`,
-    explainer: `
-- Introduction (what is this?)
-- Background/context
-- How it works
-- Why it matters
-- Real-world examples
-- Conclusion`,
-    review: `
-- Introduction
-- Overview of product/service
-- Features breakdown
-- Pros and cons
-- Who it's for
-- Final verdict`,
-  }
-  return structures[contentType] || structures.guide
-}
-
-function buildDraftPrompt(idea: any, contentType: string, targetWordCount: number): string {
-  return `Generate a comprehensive ${contentType} article based on this content idea.
-
-CONTENT IDEA:
-Title: ${idea.title}
-Description: ${idea.description || 'Not provided'}
-${idea.keyword_research_data ? `Primary Keyword: ${idea.keyword_research_data.primary_keyword}` : ''}
-${idea.seed_topics ? `Topics to cover: ${idea.seed_topics.join(', ')}` : ''}
-
-REQUIREMENTS:
-- Target word count: ${targetWordCount} words
-- Content type: ${contentType}
-- Include an engaging introduction that hooks the reader
-- Use clear headings and subheadings (H2, H3)
-- Write in a conversational, natural tone
-- Include specific examples and actionable insights
-- Vary sentence length (short punchy sentences mixed with longer explanatory ones)
-- Avoid generic phrases like "In conclusion", "It's important to note"
-- Make it valuable and informative
-
-STRUCTURE:
-${getStructureForContentType(contentType)}
-
-FORMAT YOUR RESPONSE AS JSON:
-{
-  "title": "Compelling article title (60-70 characters)",
-  "excerpt": "Brief 1-2 sentence summary (150-160 characters)",
-  "content": "Full article in HTML format with proper heading tags",
-  "meta_title": "SEO-optimized title (50-60 characters)",
-  "meta_description": "SEO description (150-160 characters)",
-  "focus_keyword": "Primary keyword for SEO",
-  "faqs": [
-    {"question": "Question 1", "answer": "Answer 1"},
-    {"question": "Question 2", "answer": "Answer 2"},
-    {"question": "Question 3", "answer": "Answer 3"}
-  ]
-}
-
-Generate the article now:`
-}
-
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -151,11 +31,26 @@ serve(async (req) => {
       throw new Error('Missing required parameter: action')
     }
 
+    // Calls are recorded in ai_usage as the caller; payload.usage tags the
+    // article and stage ({ article_id, run_id, stage })
+    const supabaseClient = getRequestClient(req)
+    const settings = await getSettings(supabaseClient)
+    const { data: { user } } = await supabaseClient.auth.getUser()
+    const { article_id = null, run_id = null, stage } = payload?.usage || {}
+    const llm = getLLMRegistry(settings, {
+      onUsage: usageRecorder(supabaseClient, {
+        user_id: user?.id ?? null,
+        article_id,
+        run_id,
+        ...(stage ? { stage } : {}),
+      }),
+    })
+
     let result: any
 
     switch (action) {
       case 'generateDraft': {
-        const { idea, contentType = 'guide', targetWordCount = 2000 } = payload
+        const { idea, contentType = 'guide', targetWordCount = 2000, learnedRules = [] } = payload
 
         if (!idea) {
           throw new Error('Missing required parameter: idea')
@@ -163,22 +58,14 @@ serve(async (req) => {
 
         console.log('Generating draft for:', idea.title)
 
-        const prompt = buildDraftPrompt(idea, contentType, targetWordCount)
-        const response = await makeGrokRequest([
-          {
-            role: 'system',
-            content: 'You are an expert content writer who creates high-quality, engaging articles. You write in a natural, conversational style with varied sentence structure.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ], {
-          temperature: 0.8,
-          max_tokens: 4000,
-        })
-
-        result = JSON.parse(response)
+        const prompt = buildDraftPrompt(idea, contentType, targetWordCount, getBannedPhrases(settings), learnedRules)
+        result = await llm.completeJSON('draft', {
+          task: 'draft',
+          system: DRAFT_SYSTEM_PROMPT,
+          prompt,
+          temperature: settings.ai_temperature,
+          maxTokens: settings.max_tokens_draft,
+        }, draftSchema)
         break
       }
 
@@ -215,19 +102,15 @@ FORMAT YOUR RESPONSE AS JSON:
 
 Generate the ideas now:`
 
-        const response = await makeGrokRequest([
-          {
-            role: 'system',
-            content: 'You are a content strategist who generates creative, specific article ideas.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ])
-
-        const parsed = JSON.parse(response)
-        result = parsed.ideas
+        const { ideas } = await llm.completeJSON('draft', {
+          task: 'ideas',
+          system: 'You are a content strategist who generates creative, specific article ideas.',
+          prompt,
+          temperature: settings.ai_temperature,
+          maxTokens: settings.max_tokens_draft,
+        }, ideasSchema)
+
+        result = ideas
         break
       }
 
@@ -259,18 +142,13 @@ FORMAT AS JSON:
   "slug": "url-slug-here"
 }`
 
-        const response = await makeGrokRequest([
-          {
-            role: 'system',
-            content: 'You are an SEO expert who writes compelling metadata that ranks well and gets clicks.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ])
-
-        result = JSON.parse(response)
+        result = await llm.completeJSON('draft', {
+          task: 'metadata',
+          system: 'You are an SEO expert who writes compelling metadata that ranks well and gets clicks.',
+          prompt,
+          temperature: settings.ai_temperature,
+          maxTokens: settings.max_tokens_draft,
+        }, metadataSchema)
         break
       }
 
@@ -294,7 +172,8 @@ FORMAT AS JSON:
     return new Response(
       JSON.stringify({
         success: false,
-        error: error instanceof Error ? error.message : 'Unknown error'
+        error: error instanceof Error ? error.message : 'Unknown error',
+        errorKind: errorKind(error),
       }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
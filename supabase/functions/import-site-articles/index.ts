@@ -0,0 +1,279 @@
+/**
+ * Supabase Edge Function: import-site-articles
+ * Builds the site_articles catalog (used for internal linking) from a WordPress
+ * connection's /wp-json/wp/v2/posts or its sitemap.xml:
+ *   - upserts url / title / excerpt / topics for new and changed articles
+ *   - marks articles whose URL is gone from the site as removed (removed_at)
+ *   - embeds new and changed articles for semantic link matching (EMBEDDING_API_KEY)
+ * Called from Settings for one connection ({ connectionId, full }) and by pg_cron
+ * ({}), which incrementally imports every active connection that is due.
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { getSettings } from '../_shared/settings.ts'
+import { embedSiteArticles } from '../_shared/siteArticleMatching.ts'
+import {
+  fetchWordPressPosts,
+  fetchSitemapUrls,
+  fetchPageMetadata,
+  normalizeWordPressPost,
+  normalizeSitemapEntry,
+  planInventorySync,
+} from '../../../src/lib/inventory/siteInventory.js'
+import { normalizeUrl } from '../../../src/lib/quality/linkAnalyzer.js'
+import { createResilientFetch } from '../../../src/lib/http/resilientFetch.js'
+import { fetchAllRows } from '../../../src/lib/db/fetchAllRows.js'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Sitemap imports fetch each new/changed page for its title; cap that per run
+const MAX_PAGE_FETCHES = 40
+const UPSERT_BATCH_SIZE = 200
+
+// Retries rate limits and outages; siteInventory handles the final status itself
+const siteFetch = createResilientFetch({ service: 'wordpress', label: 'WordPress', throwHttpErrors: false })
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { connectionId = null, full = false } = await req.json().catch(() => ({}))
+
+    // Scheduled imports cover every user's connections, so this uses the service role
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    const caller = await getCaller(supabaseClient, req)
+    if (!caller) {
+      return jsonResponse({ success: false, error: 'Not authenticated' }, 401)
+    }
+
+    if (connectionId) {
+      const { data: connection, error } = await supabaseClient
+        .from('wordpress_connections')
+        .select('*')
+        .eq('id', connectionId)
+        .single()
+
+      if (error || !connection || (caller.user && connection.user_id !== caller.user.id)) {
+        throw new Error('WordPress connection not found')
+      }
+
+      const summary = await importConnection(supabaseClient, connection, { full })
+      return jsonResponse({ success: summary.status === 'completed', summary, error: summary.error })
+    }
+
+    if (!caller.scheduler) {
+      throw new Error('Missing required parameter: connectionId')
+    }
+
+    const results = await importDueConnections(supabaseClient)
+    return jsonResponse({ success: true, results })
+
+  } catch (error) {
+    console.error('Site article import error:', error)
+    return jsonResponse({ success: false, error: error.message }, 500)
+  }
+})
+
+// ===============================================
+// HELPER FUNCTIONS
+// ===============================================
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+/**
+ * Who is calling: the scheduler (exactly the service role key) or a signed-in
+ * user; null for anything else, such as the anon key or an expired token
+ */
+async function getCaller(supabase: any, req: Request) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '')
+  if (!token) return null
+
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+  if (serviceRoleKey && token === serviceRoleKey) return { scheduler: true, user: null }
+
+  const { data, error } = await supabase.auth.getUser(token)
+  if (error || !data?.user) return null
+  return { scheduler: false, user: data.user }
+}
+
+/**
+ * Scheduled run: incremental import of every active connection whose last import
+ * is older than site_import_interval_hours
+ */
+async function importDueConnections(supabase: any) {
+  const settings = await getSettings(supabase)
+  if (!settings.site_import_interval_hours) return []
+
+  const dueBefore = new Date(Date.now() - settings.site_import_interval_hours * 60 * 60 * 1000).toISOString()
+
+  const { data: connections, error } = await supabase
+    .from('wordpress_connections')
+    .select('*')
+    .eq('is_active', true)
+    .or(`last_import_at.is.null,last_import_at.lt.${dueBefore}`)
+
+  if (error) throw error
+
+  const results = []
+  for (const connection of connections || []) {
+    results.push({ connectionId: connection.id, ...await importConnection(supabase, connection, { full: false }) })
+  }
+  return results
+}
+
+function authHeaders(connection: any): Record<string, string> {
+  if (connection.auth_type === 'jwt' || !connection.username || !connection.password) return {}
+  return { Authorization: `Basic ${btoa(`${connection.username}:${connection.password}`)}` }
+}
+
+/**
+ * Import one connection and record the outcome on the connection row
+ */
+async function importConnection(supabase: any, connection: any, { full }: { full: boolean }) {
+  const source = connection.import_source || 'wp_api'
+  const startedAt = new Date().toISOString()
+  console.log(`Importing site articles for ${connection.site_url} (${source}, ${full ? 'full' : 'incremental'})`)
+
+  let summary: Record<string, any>
+  try {
+    const { data: existing, error } = await fetchAllRows(() => supabase
+      .from('site_articles')
+      .select('id, url, title, excerpt, remote_modified_at, removed_at')
+      .eq('connection_id', connection.id)
+      .order('id'))
+
+    if (error) throw error
+
+    // First imports are always full
+    const incremental = !full && !!connection.last_import_at && (existing || []).length > 0
+    const crawl = source === 'sitemap'
+      ? await crawlSitemap(connection, existing || [], incremental)
+      : await crawlWordPress(connection, incremental)
+
+    const plan = planInventorySync({
+      existing: existing || [],
+      crawled: crawl.crawled,
+      complete: crawl.complete,
+      seenUrls: crawl.seenUrls,
+    })
+
+    await applyPlan(supabase, connection, source, plan)
+
+    // New rows, and rows whose title/excerpt/topics changed, have no embedding yet
+    const settings = await getSettings(supabase)
+    const embedded = await embedSiteArticles(supabase, settings, { connectionId: connection.id })
+
+    summary = { status: 'completed', source, incremental, complete: crawl.complete, ...plan.counts, embedded, pending: crawl.pending || 0 }
+  } catch (error) {
+    console.error(`Import failed for ${connection.site_url}:`, error)
+    summary = { status: 'failed', source, error: error.message }
+  }
+
+  await supabase
+    .from('wordpress_connections')
+    .update({
+      // A failed import keeps the previous cursor so the next run retries the same window
+      last_import_at: summary.status === 'completed' ? startedAt : connection.last_import_at,
+      last_import_status: summary.status,
+      last_import_summary: summary,
+    })
+    .eq('id', connection.id)
+
+  return summary
+}
+
+/**
+ * REST API crawl. Incremental runs fetch only posts modified since the last import,
+ * plus a lightweight list of every post link to detect removals.
+ */
+async function crawlWordPress(connection: any, incremental: boolean) {
+  const options = { siteUrl: connection.site_url, headers: authHeaders(connection), fetch: siteFetch }
+
+  if (!incremental) {
+    const { posts, complete } = await fetchWordPressPosts(options)
+    return { crawled: posts.map(normalizeWordPressPost), complete, seenUrls: null }
+  }
+
+  const changed = await fetchWordPressPosts({ ...options, modifiedAfter: connection.last_import_at })
+  const listing = await fetchWordPressPosts({ ...options, fields: ['link'] })
+
+  return {
+    crawled: changed.posts.map(normalizeWordPressPost),
+    complete: changed.complete && listing.complete,
+    seenUrls: listing.posts.map((post: any) => post.link),
+  }
+}
+
+/**
+ * Sitemap crawl. Only new URLs and URLs whose lastmod changed are fetched for
+ * metadata (up to MAX_PAGE_FETCHES per run; the rest wait for the next run).
+ */
+async function crawlSitemap(connection: any, existing: any[], incremental: boolean) {
+  const sitemapUrl = connection.sitemap_url || `${connection.site_url.replace(/\/+$/, '')}/sitemap.xml`
+  const { entries, complete } = await fetchSitemapUrls({ sitemapUrl, siteUrl: connection.site_url, fetch: siteFetch })
+
+  const known = new Map(existing.map(row => [normalizeUrl(row.url), row]))
+  const toFetch = entries.filter((entry: any) => {
+    const row = known.get(normalizeUrl(entry.url))
+    if (!row || row.removed_at || !incremental) return true
+    return !!entry.lastmod && (!row.remote_modified_at || new Date(entry.lastmod) > new Date(row.remote_modified_at))
+  })
+
+  const crawled = []
+  for (const entry of toFetch.slice(0, MAX_PAGE_FETCHES)) {
+    const metadata = await fetchPageMetadata(entry.url, { siteUrl: connection.site_url, fetch: siteFetch }).catch((error: Error) => {
+      console.warn(`Could not fetch ${entry.url}: ${error.message}`)
+      return null
+    })
+    crawled.push(normalizeSitemapEntry(entry, metadata))
+  }
+
+  return {
+    crawled,
+    complete,
+    seenUrls: entries.map((entry: any) => entry.url),
+    pending: Math.max(0, toFetch.length - MAX_PAGE_FETCHES),
+  }
+}
+
+async function applyPlan(supabase: any, connection: any, source: string, plan: any) {
+  const rows = plan.upserts.map((entry: any) => ({
+    ...entry,
+    connection_id: connection.id,
+    source,
+    user_id: connection.user_id,
+    removed_at: null,
+  }))
+
+  for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('site_articles')
+      .upsert(rows.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'user_id,url' })
+
+    if (error) throw error
+  }
+
+  if (plan.removedIds.length > 0) {
+    const { error } = await supabase
+      .from('site_articles')
+      .update({ removed_at: new Date().toISOString() })
+      .in('id', plan.removedIds)
+
+    if (error) throw error
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Supabase Edge Function: match-site-articles
+ * Ranks the caller's site_articles as internal link targets for a draft by
+ * embedding similarity (TF-IDF without the EMBEDDING_API_KEY secret)
+ * Used by the browser generation flow; the server pipeline calls the shared module directly
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { getSettings } from '../_shared/settings.ts'
+import { findRelevantSiteArticles } from '../_shared/siteArticleMatching.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const MAX_LIMIT = 50
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { title = '', content = '', focusKeyword = '', limit = 10 } = await req.json()
+
+    if (!title && !content) {
+      throw new Error('Missing required parameters: title or content')
+    }
+
+    // Service role so article embeddings can be stored; every query is scoped to the caller
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    const caller = await getCallingUser(supabaseClient, req)
+    if (!caller) {
+      return jsonResponse({ success: false, error: 'Not authenticated' }, 401)
+    }
+
+    const settings = await getSettings(supabaseClient)
+    const articles = await findRelevantSiteArticles(
+      supabaseClient,
+      { title, content, focusKeyword },
+      { userId: caller.id, settings, limit: Math.min(Math.max(1, Number(limit) || 10), MAX_LIMIT) }
+    )
+
+    return jsonResponse({ success: true, articles })
+
+  } catch (error) {
+    console.error('Site article matching error:', error)
+    return jsonResponse({ success: false, error: error.message }, 500)
+  }
+})
+
+// ===============================================
+// HELPER FUNCTIONS
+// ===============================================
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+}
+
+async function getCallingUser(supabase: any, req: Request) {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '')
+  if (!token || token === Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) return null
+
+  const { data } = await supabase.auth.getUser(token)
+  return data?.user || null
+}
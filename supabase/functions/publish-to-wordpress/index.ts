@@ -1,16 +1,28 @@
 /**
  * Supabase Edge Function: publish-to-wordpress
- * Publishes articles to WordPress via REST API
+ * Publishes articles to WordPress via REST API, with the FAQ section and
+ * JSON-LD structured data appended (see src/lib/seo/structuredData.js)
  */
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createResilientFetch } from '../../../src/lib/http/resilientFetch.js'
+import { errorKind } from '../../../src/lib/http/apiErrors.js'
+import { buildStructuredData, hasJsonLdScript, withStructuredData } from '../../../src/lib/seo/structuredData.js'
+import { getSettings } from '../_shared/settings.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+// Creating a post is not idempotent: only repeated when WordPress refused it (429/503)
+const wordpressFetch = createResilientFetch({ service: 'wordpress', label: 'WordPress', idempotent: false })
+// Updating an existing post's content can always be repeated
+const wordpressUpdateFetch = createResilientFetch({ service: 'wordpress', label: 'WordPress' })
+
+const JSON_LD_STRIPPED_MESSAGE = 'WordPress removed the JSON-LD script from the post. The publishing user needs the unfiltered_html capability (administrators and editors on single-site installs), or turn off enable_structured_data and use an SEO plugin\'s schema.'
+
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
@@ -34,10 +46,10 @@ serve(async (req) => {
       }
     )
 
-    // Fetch the article
+    // Fetch the article with its contributor (the JSON-LD author)
     const { data: article, error: articleError } = await supabaseClient
       .from('articles')
-      .select('*')
+      .select('*, article_contributors(*)')
       .eq('id', articleId)
       .single()
 
@@ -62,10 +74,26 @@ serve(async (req) => {
 
     console.log('Publishing article to WordPress:', article.title)
 
+    // FAQ section and JSON-LD; items with missing required fields are left out
+    const settings = await getSettings(supabaseClient)
+    const structuredDataOptions = {
+      contributor: article.article_contributors,
+      url: article.published_url || '',
+      siteName: connection.name,
+      siteUrl: connection.site_url,
+      publishedAt: new Date().toISOString(),
+      faqSection: settings.append_faq_section,
+      jsonLd: settings.enable_structured_data,
+    }
+    let structuredData = buildStructuredData(article, structuredDataOptions)
+    for (const problem of structuredData.problems.filter((problem: any) => problem.severity === 'error')) {
+      console.warn('Structured data:', problem.message)
+    }
+
     // Prepare WordPress post data
     const postData = {
       title: article.title,
-      content: article.content,
+      content: withStructuredData(article.content, structuredData),
       excerpt: article.excerpt || '',
       status: connection.default_post_status || 'draft',
       meta: {
@@ -90,7 +118,7 @@ serve(async (req) => {
     }
 
     // Publish to WordPress
-    const wpResponse = await fetch(`${connection.site_url}/wp-json/wp/v2/posts`, {
+    const wpResponse = await wordpressFetch(`${connection.site_url}/wp-json/wp/v2/posts`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -99,14 +127,38 @@ serve(async (req) => {
       body: JSON.stringify(postData),
     })
 
-    if (!wpResponse.ok) {
-      const errorText = await wpResponse.text()
-      throw new Error(`WordPress API error: ${wpResponse.status} - ${errorText}`)
+    const wpPost = await wpResponse.json()
+    let savedPost = wpPost
+
+    // The permalink only exists once the post does: on first publish (or when it
+    // moved), send the JSON-LD again with it as the Article's url and mainEntityOfPage
+    if (structuredData.jsonLd && wpPost.link && wpPost.link !== structuredDataOptions.url) {
+      structuredData = buildStructuredData(article, { ...structuredDataOptions, url: wpPost.link })
+
+      try {
+        const updateResponse = await wordpressUpdateFetch(`${connection.site_url}/wp-json/wp/v2/posts/${wpPost.id}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': authHeader,
+          },
+          body: JSON.stringify({ content: withStructuredData(article.content, structuredData) }),
+        })
+        savedPost = await updateResponse.json()
+      } catch (error) {
+        // The post is up; it just keeps the JSON-LD without a url
+        console.warn('Could not add the post URL to the structured data:', error.message)
+      }
     }
 
-    const wpPost = await wpResponse.json()
+    // content.raw (returned for create and update) is what WordPress saved, after kses
+    const warnings: string[] = []
+    if (structuredData.script && typeof savedPost.content?.raw === 'string' && !hasJsonLdScript(savedPost.content.raw)) {
+      console.warn('Structured data:', JSON_LD_STRIPPED_MESSAGE)
+      warnings.push(JSON_LD_STRIPPED_MESSAGE)
+    }
 
-    // Update article in database
+    // Update article in database; warnings show in the editor with the stage warnings
     const { error: updateError } = await supabaseClient
       .from('articles')
       .update({
@@ -114,6 +166,17 @@ serve(async (req) => {
         published_url: wpPost.link,
         published_at: new Date().toISOString(),
         status: 'published',
+        ...(warnings.length > 0 ? {
+          stage_warnings: [
+            ...(article.stage_warnings || []),
+            {
+              stage: 'publish',
+              rolled_back: false,
+              findings: warnings.map(message => ({ type: 'json_ld_stripped', severity: 'error', message })),
+              checked_at: new Date().toISOString(),
+            },
+          ],
+        } : {}),
       })
       .eq('id', articleId)
 
@@ -129,6 +192,8 @@ serve(async (req) => {
         success: true,
         wordpress_post_id: wpPost.id,
         published_url: wpPost.link,
+        structured_data_problems: structuredData.problems,
+        warnings,
       }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -142,6 +207,7 @@ serve(async (req) => {
       JSON.stringify({
         success: false,
         error: error.message,
+        errorKind: errorKind(error),
       }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
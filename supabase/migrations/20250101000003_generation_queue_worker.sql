@@ -0,0 +1,84 @@
+-- Generation Queue Worker
+-- Lets users enqueue generation jobs and lets the generation-worker Edge Function
+-- claim them atomically, so article generation no longer depends on a browser tab
+
+-- =====================================================
+-- 1. QUEUE COLUMNS
+-- =====================================================
+ALTER TABLE generation_queue
+  ADD COLUMN user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  ADD COLUMN options JSONB DEFAULT '{}'::jsonb, -- { contentType, targetWordCount, addInternalLinks, autoFix }
+  ADD COLUMN attempts INTEGER DEFAULT 0,
+  ADD COLUMN updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE INDEX idx_queue_user ON generation_queue(user_id);
+CREATE INDEX idx_queue_claim ON generation_queue(status, priority DESC, created_at);
+
+-- Only one active job per idea
+CREATE UNIQUE INDEX idx_queue_active_idea ON generation_queue(content_idea_id)
+  WHERE status IN ('pending', 'processing');
+
+CREATE TRIGGER update_generation_queue_updated_at BEFORE UPDATE ON generation_queue
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- 2. CLAIM FUNCTION (used by generation-worker)
+-- =====================================================
+-- Claims the highest-priority pending job. Jobs stuck in 'processing' for longer
+-- than the stale timeout (e.g. the worker was killed) are reclaimed.
+CREATE OR REPLACE FUNCTION claim_generation_job(stale_after_minutes INTEGER DEFAULT 15)
+RETURNS SETOF generation_queue AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE generation_queue
+  SET
+    status = 'processing',
+    started_at = NOW(),
+    attempts = attempts + 1,
+    current_stage = 'queued',
+    progress_percentage = 0,
+    error_message = NULL
+  WHERE id = (
+    SELECT id FROM generation_queue
+    WHERE status = 'pending'
+      OR (status = 'processing' AND started_at < NOW() - make_interval(mins => stale_after_minutes))
+    ORDER BY priority DESC, created_at ASC
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- 3. ROW LEVEL SECURITY
+-- =====================================================
+CREATE POLICY "Users can enqueue their own generation jobs"
+  ON generation_queue FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own generation jobs"
+  ON generation_queue FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own generation jobs"
+  ON generation_queue FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- =====================================================
+-- 4. SCHEDULE (optional)
+-- =====================================================
+-- Drain the queue every minute even when nobody has the app open.
+-- Requires the pg_cron and pg_net extensions; replace the placeholders before running:
+--
+-- SELECT cron.schedule(
+--   'generation-worker',
+--   '* * * * *',
+--   $$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/generation-worker',
+--     headers := '{"Content-Type": "application/json", "Authorization": "Bearer <service-role-key>"}'::jsonb,
+--     body := '{}'::jsonb
+--   );
+--   $$
+-- );
@@ -0,0 +1,7 @@
+-- Generation Queue Realtime
+-- Streams queue progress to every client so teammates can see in-flight jobs
+
+-- Full row images so UPDATE/DELETE payloads carry every column
+ALTER TABLE generation_queue REPLICA IDENTITY FULL;
+
+ALTER PUBLICATION supabase_realtime ADD TABLE generation_queue;
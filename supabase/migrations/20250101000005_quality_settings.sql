@@ -0,0 +1,7 @@
+-- Quality Check Settings
+-- Thresholds previously hardcoded in the quality checks, now read from system_settings
+
+INSERT INTO system_settings (key, value, category, description) VALUES
+('min_h2_count', '3', 'quality', 'Minimum number of H2 headings per article'),
+('max_avg_sentence_length', '25', 'quality', 'Maximum average sentence length (words) before readability is flagged')
+ON CONFLICT (key) DO NOTHING;
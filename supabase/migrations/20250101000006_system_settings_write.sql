@@ -0,0 +1,10 @@
+-- System Settings Write Access
+-- Lets the Settings page save system_settings (previously read-only)
+
+CREATE POLICY "Authenticated users can insert settings"
+  ON system_settings FOR INSERT
+  WITH CHECK (auth.role() = 'authenticated');
+
+CREATE POLICY "Authenticated users can update settings"
+  ON system_settings FOR UPDATE
+  USING (auth.role() = 'authenticated');
@@ -0,0 +1,67 @@
+-- Automation Engine
+-- Run log for the automation-cycle Edge Function (semi_auto / full_auto modes)
+
+-- =====================================================
+-- 1. AUTOMATION RUNS TABLE
+-- =====================================================
+CREATE TABLE automation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  mode TEXT NOT NULL CHECK (mode IN ('manual', 'semi_auto', 'full_auto')),
+  trigger TEXT NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'completed', 'skipped', 'failed')),
+
+  -- Counters
+  ideas_generated INTEGER DEFAULT 0,
+  ideas_approved INTEGER DEFAULT 0,
+  jobs_enqueued INTEGER DEFAULT 0,
+  articles_routed INTEGER DEFAULT 0,
+  articles_published INTEGER DEFAULT 0,
+
+  -- Step log: [{ at, level: 'info' | 'warning' | 'error', step, message }]
+  log JSONB DEFAULT '[]'::jsonb,
+  error_message TEXT,
+
+  -- Timing
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+
+  -- Who triggered a manual run (NULL for scheduled runs)
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_automation_runs_started ON automation_runs(started_at DESC);
+
+ALTER TABLE automation_runs ENABLE ROW LEVEL SECURITY;
+
+-- Runs are written by the Edge Function with the service role; the team can read them
+CREATE POLICY "Authenticated users can view automation runs"
+  ON automation_runs FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+-- =====================================================
+-- 2. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('automation_user_id', '', 'automation', 'User that owns ideas and jobs created by scheduled automation runs'),
+('automation_seed_keywords', '[]', 'automation', 'Seed keywords used when automation tops up content ideas')
+ON CONFLICT (key) DO NOTHING;
+
+-- =====================================================
+-- 3. SCHEDULE (optional)
+-- =====================================================
+-- Run the automation cycle every minute; the function itself waits
+-- cycle_interval_seconds between runs and does nothing in manual mode.
+-- Requires the pg_cron and pg_net extensions; replace the placeholders before running:
+--
+-- SELECT cron.schedule(
+--   'automation-cycle',
+--   '* * * * *',
+--   $$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/automation-cycle',
+--     headers := '{"Content-Type": "application/json", "Authorization": "Bearer <service-role-key>"}'::jsonb,
+--     body := '{}'::jsonb
+--   );
+--   $$
+-- );
@@ -0,0 +1,8 @@
+-- Readability Settings
+-- Thresholds for the Flesch / Flesch-Kincaid / passive voice readability check
+
+INSERT INTO system_settings (key, value, category, description) VALUES
+('min_flesch_reading_ease', '50', 'quality', 'Minimum Flesch Reading Ease score (0-100, higher = easier)'),
+('max_grade_level', '12', 'quality', 'Maximum Flesch-Kincaid grade level'),
+('max_passive_voice_percent', '15', 'quality', 'Maximum share of sentences in passive voice (%)')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,115 @@
+-- Link Graph Sync
+-- Keeps internal_links / external_links in step with article content and keeps
+-- site_articles.times_linked_to / last_linked_at accurate, so internal linking can
+-- favour under-linked pages
+
+-- =====================================================
+-- 1. ONE ROW PER SOURCE/TARGET PAIR
+-- =====================================================
+CREATE UNIQUE INDEX idx_internal_links_pair ON internal_links(source_article_id, target_site_article_id);
+CREATE UNIQUE INDEX idx_external_links_article_url ON external_links(article_id, url);
+
+-- =====================================================
+-- 2. LINK COUNTERS
+-- =====================================================
+-- times_linked_to is the number of distinct articles linking to the page. Counting
+-- (rather than incrementing) keeps it correct across edits and cascading deletes.
+CREATE OR REPLACE FUNCTION refresh_site_article_link_count()
+RETURNS TRIGGER AS $$
+DECLARE
+  target UUID := COALESCE(NEW.target_site_article_id, OLD.target_site_article_id);
+BEGIN
+  UPDATE site_articles
+  SET
+    times_linked_to = (
+      SELECT COUNT(DISTINCT source_article_id) FROM internal_links
+      WHERE target_site_article_id = target
+    ),
+    last_linked_at = CASE WHEN TG_OP = 'INSERT' THEN NOW() ELSE last_linked_at END
+  WHERE id = target;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER internal_links_refresh_count
+  AFTER INSERT OR DELETE ON internal_links
+  FOR EACH ROW EXECUTE FUNCTION refresh_site_article_link_count();
+
+-- =====================================================
+-- 3. SYNC FUNCTION (called after an article is generated or saved)
+-- =====================================================
+-- p_internal: [{ target_site_article_id, anchor_text, relevance_score }]
+-- p_external: [{ url, anchor_text, domain, is_citation }]
+-- Unchanged internal links keep their row (and the target's last_linked_at);
+-- removed ones are deleted, new ones inserted.
+CREATE OR REPLACE FUNCTION sync_article_links(
+  p_article_id UUID,
+  p_internal JSONB DEFAULT '[]'::jsonb,
+  p_external JSONB DEFAULT '[]'::jsonb
+)
+RETURNS VOID AS $$
+DECLARE
+  article_owner UUID;
+BEGIN
+  SELECT user_id INTO article_owner FROM articles WHERE id = p_article_id;
+
+  IF NOT FOUND OR (auth.role() <> 'service_role' AND article_owner IS DISTINCT FROM auth.uid()) THEN
+    RAISE EXCEPTION 'Article % not found', p_article_id USING ERRCODE = '42501';
+  END IF;
+
+  -- Internal links: only targets owned by the article's owner
+  CREATE TEMP TABLE incoming_internal ON COMMIT DROP AS
+  SELECT DISTINCT ON (link.target_id)
+    link.target_id,
+    link.anchor_text,
+    link.relevance_score
+  FROM (
+    SELECT
+      (item->>'target_site_article_id')::uuid AS target_id,
+      COALESCE(NULLIF(item->>'anchor_text', ''), '(no anchor text)') AS anchor_text,
+      (item->>'relevance_score')::decimal AS relevance_score
+    FROM jsonb_array_elements(p_internal) AS item
+  ) link
+  JOIN site_articles ON site_articles.id = link.target_id AND site_articles.user_id IS NOT DISTINCT FROM article_owner;
+
+  DELETE FROM internal_links
+  WHERE source_article_id = p_article_id
+    AND target_site_article_id NOT IN (SELECT target_id FROM incoming_internal);
+
+  UPDATE internal_links
+  SET anchor_text = incoming.anchor_text, relevance_score = incoming.relevance_score
+  FROM incoming_internal incoming
+  WHERE internal_links.source_article_id = p_article_id
+    AND internal_links.target_site_article_id = incoming.target_id;
+
+  INSERT INTO internal_links (source_article_id, target_site_article_id, anchor_text, relevance_score)
+  SELECT p_article_id, incoming.target_id, incoming.anchor_text, incoming.relevance_score
+  FROM incoming_internal incoming
+  ON CONFLICT (source_article_id, target_site_article_id) DO NOTHING;
+
+  -- External links carry no counters, so replace them wholesale
+  DELETE FROM external_links WHERE article_id = p_article_id;
+
+  INSERT INTO external_links (article_id, url, anchor_text, domain, is_citation)
+  SELECT DISTINCT ON (item->>'url')
+    p_article_id,
+    item->>'url',
+    NULLIF(item->>'anchor_text', ''),
+    item->>'domain',
+    COALESCE((item->>'is_citation')::boolean, TRUE)
+  FROM jsonb_array_elements(p_external) AS item
+  WHERE COALESCE(item->>'url', '') <> '';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION sync_article_links(UUID, JSONB, JSONB) TO authenticated, service_role;
+
+-- =====================================================
+-- 4. BACKFILL COUNTERS
+-- =====================================================
+UPDATE site_articles
+SET times_linked_to = (
+  SELECT COUNT(DISTINCT source_article_id) FROM internal_links
+  WHERE target_site_article_id = site_articles.id
+);
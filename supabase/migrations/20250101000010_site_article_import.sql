@@ -0,0 +1,52 @@
+-- Site Article Import
+-- Populates site_articles (the internal linking catalog) from a WordPress
+-- connection's REST API or sitemap, on demand and on a schedule
+
+-- =====================================================
+-- 1. SITE ARTICLE SOURCE TRACKING
+-- =====================================================
+ALTER TABLE site_articles
+  ADD COLUMN connection_id UUID REFERENCES wordpress_connections(id) ON DELETE SET NULL,
+  ADD COLUMN source TEXT DEFAULT 'manual' CHECK (source IN ('manual', 'wp_api', 'sitemap')),
+  ADD COLUMN wp_post_id INTEGER,
+  ADD COLUMN remote_modified_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN removed_at TIMESTAMP WITH TIME ZONE; -- set when the URL disappears from the site
+
+CREATE INDEX idx_site_articles_connection ON site_articles(connection_id);
+CREATE INDEX idx_site_articles_active ON site_articles(user_id) WHERE removed_at IS NULL;
+
+-- =====================================================
+-- 2. CONNECTION IMPORT SETTINGS AND STATUS
+-- =====================================================
+ALTER TABLE wordpress_connections
+  ADD COLUMN import_source TEXT DEFAULT 'wp_api' CHECK (import_source IN ('wp_api', 'sitemap')),
+  ADD COLUMN sitemap_url TEXT, -- defaults to <site_url>/sitemap.xml
+  ADD COLUMN last_import_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN last_import_status TEXT CHECK (last_import_status IN ('completed', 'failed')),
+  ADD COLUMN last_import_summary JSONB; -- { source, added, updated, restored, removed, unchanged, complete, error }
+
+-- =====================================================
+-- 3. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('site_import_interval_hours', '24', 'wordpress', 'Hours between scheduled site article imports per connection (0 = on demand only)')
+ON CONFLICT (key) DO NOTHING;
+
+-- =====================================================
+-- 4. SCHEDULE (optional)
+-- =====================================================
+-- Check hourly; the function only imports connections whose last import is
+-- older than site_import_interval_hours.
+-- Requires the pg_cron and pg_net extensions; replace the placeholders before running:
+--
+-- SELECT cron.schedule(
+--   'import-site-articles',
+--   '0 * * * *',
+--   $$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/import-site-articles',
+--     headers := '{"Content-Type": "application/json", "Authorization": "Bearer <service-role-key>"}'::jsonb,
+--     body := '{}'::jsonb
+--   );
+--   $$
+-- );
@@ -0,0 +1,81 @@
+-- Site Article Embeddings
+-- pgvector embeddings for site_articles so internal link targets are chosen by
+-- semantic similarity to the draft across the whole catalog, not a 30-row sample
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- =====================================================
+-- 1. EMBEDDING COLUMNS
+-- =====================================================
+-- 512 dimensions (EMBEDDING_DIMENSIONS in src/lib/linking/relevance.js); the model
+-- is stored per row because vectors from different models can't be compared
+ALTER TABLE site_articles
+  ADD COLUMN embedding vector(512),
+  ADD COLUMN embedding_model TEXT,
+  ADD COLUMN embedded_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_site_articles_embedding ON site_articles
+  USING hnsw (embedding vector_cosine_ops);
+
+-- Re-embed when the text an embedding was computed from changes
+CREATE OR REPLACE FUNCTION clear_stale_site_article_embedding()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.title IS DISTINCT FROM OLD.title
+    OR NEW.excerpt IS DISTINCT FROM OLD.excerpt
+    OR NEW.topics IS DISTINCT FROM OLD.topics THEN
+    NEW.embedding := NULL;
+    NEW.embedding_model := NULL;
+    NEW.embedded_at := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER site_articles_clear_stale_embedding
+  BEFORE UPDATE OF title, excerpt, topics ON site_articles
+  FOR EACH ROW EXECUTE FUNCTION clear_stale_site_article_embedding();
+
+-- =====================================================
+-- 2. MATCH FUNCTION
+-- =====================================================
+-- Nearest active site articles to a draft embedding, for one owner and one model
+CREATE OR REPLACE FUNCTION match_site_articles(
+  query_embedding vector(512),
+  match_model TEXT,
+  match_user_id UUID,
+  match_count INTEGER DEFAULT 30
+)
+RETURNS TABLE (
+  id UUID,
+  url TEXT,
+  title TEXT,
+  excerpt TEXT,
+  topics TEXT[],
+  times_linked_to INTEGER,
+  similarity DOUBLE PRECISION
+) AS $$
+  SELECT
+    site_articles.id,
+    site_articles.url,
+    site_articles.title,
+    site_articles.excerpt,
+    site_articles.topics,
+    site_articles.times_linked_to,
+    1 - (site_articles.embedding <=> query_embedding) AS similarity
+  FROM site_articles
+  WHERE site_articles.embedding IS NOT NULL
+    AND site_articles.embedding_model = match_model
+    AND site_articles.removed_at IS NULL
+    AND site_articles.user_id = match_user_id
+  ORDER BY site_articles.embedding <=> query_embedding
+  LIMIT match_count;
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- 3. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('embedding_model', 'text-embedding-3-small', 'ai', 'Embedding model for internal link matching (needs the EMBEDDING_API_KEY secret; TF-IDF is used without it)'),
+('embedding_api_url', 'https://api.openai.com/v1/embeddings', 'ai', 'OpenAI-compatible embeddings endpoint')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,151 @@
+-- Article Versions
+-- Snapshot of the article body and metadata on every change, tagged with the user
+-- and the AI stage (or manual edit) that produced it, so edits can be diffed and restored
+
+-- =====================================================
+-- 1. ARTICLE VERSIONS TABLE
+-- =====================================================
+CREATE TABLE article_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  article_id UUID NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+
+  -- What produced this version
+  source TEXT NOT NULL DEFAULT 'manual'
+    CHECK (source IN ('manual', 'humanize', 'internal_links', 'auto_fix', 'revision', 'restore')),
+  restored_from_version INTEGER, -- set when source = 'restore'
+
+  -- Snapshot
+  title TEXT NOT NULL,
+  content TEXT,
+  excerpt TEXT,
+  meta_title TEXT,
+  meta_description TEXT,
+  focus_keyword TEXT,
+  faqs JSONB,
+  word_count INTEGER,
+  quality_score INTEGER,
+
+  -- Metadata
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL, -- NULL for Edge Functions (service role)
+
+  UNIQUE (article_id, version_number)
+);
+
+CREATE INDEX idx_article_versions_article ON article_versions(article_id, version_number DESC);
+
+ALTER TABLE article_versions ENABLE ROW LEVEL SECURITY;
+
+-- Versions are written by the trigger below; owners can read them
+CREATE POLICY "Users can view versions of their articles"
+  ON article_versions FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM articles
+    WHERE articles.id = article_versions.article_id
+    AND articles.user_id = auth.uid()
+  ));
+
+-- =====================================================
+-- 2. VERSION TAGGING ON ARTICLES
+-- =====================================================
+-- Writers set edit_source (and restored_from_version for restores) in the same
+-- insert/update as the content; the trigger copies them to the snapshot and
+-- clears them, so an untagged later save is recorded as 'manual'.
+ALTER TABLE articles
+  ADD COLUMN current_version INTEGER DEFAULT 0,
+  ADD COLUMN edit_source TEXT
+    CHECK (edit_source IN ('manual', 'humanize', 'internal_links', 'auto_fix', 'revision', 'restore')),
+  ADD COLUMN restored_from_version INTEGER;
+
+-- =====================================================
+-- 3. SNAPSHOT TRIGGER
+-- =====================================================
+CREATE OR REPLACE FUNCTION snapshot_article_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    IF NEW.title IS NOT DISTINCT FROM OLD.title
+      AND NEW.content IS NOT DISTINCT FROM OLD.content
+      AND NEW.excerpt IS NOT DISTINCT FROM OLD.excerpt
+      AND NEW.meta_title IS NOT DISTINCT FROM OLD.meta_title
+      AND NEW.meta_description IS NOT DISTINCT FROM OLD.meta_description
+      AND NEW.focus_keyword IS NOT DISTINCT FROM OLD.focus_keyword
+      AND NEW.faqs IS NOT DISTINCT FROM OLD.faqs THEN
+      NEW.edit_source := NULL;
+      NEW.restored_from_version := NULL;
+      RETURN NEW;
+    END IF;
+
+    -- A tag left over from the insert (or an earlier statement) doesn't carry over
+    IF NEW.edit_source IS NOT DISTINCT FROM OLD.edit_source THEN
+      NEW.edit_source := NULL;
+    END IF;
+  END IF;
+
+  NEW.current_version := COALESCE(
+    (SELECT MAX(version_number) FROM article_versions WHERE article_id = NEW.id), 0
+  ) + 1;
+
+  IF TG_OP = 'UPDATE' THEN
+    INSERT INTO article_versions (
+      article_id, version_number, source, restored_from_version,
+      title, content, excerpt, meta_title, meta_description, focus_keyword, faqs,
+      word_count, quality_score, created_by
+    ) VALUES (
+      NEW.id, NEW.current_version, COALESCE(NEW.edit_source, 'manual'),
+      CASE WHEN NEW.edit_source = 'restore' THEN NEW.restored_from_version END,
+      NEW.title, NEW.content, NEW.excerpt, NEW.meta_title, NEW.meta_description, NEW.focus_keyword, NEW.faqs,
+      NEW.word_count, NEW.quality_score, auth.uid()
+    );
+
+    NEW.edit_source := NULL;
+    NEW.restored_from_version := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The first version is written after the insert, once the article row exists
+CREATE OR REPLACE FUNCTION snapshot_new_article_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO article_versions (
+    article_id, version_number, source,
+    title, content, excerpt, meta_title, meta_description, focus_keyword, faqs,
+    word_count, quality_score, created_by
+  ) VALUES (
+    NEW.id, NEW.current_version, COALESCE(NEW.edit_source, 'manual'),
+    NEW.title, NEW.content, NEW.excerpt, NEW.meta_title, NEW.meta_description, NEW.focus_keyword, NEW.faqs,
+    NEW.word_count, NEW.quality_score, auth.uid()
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER articles_snapshot_version
+  BEFORE INSERT OR UPDATE ON articles
+  FOR EACH ROW EXECUTE FUNCTION snapshot_article_version();
+
+CREATE TRIGGER articles_snapshot_new_version
+  AFTER INSERT ON articles
+  FOR EACH ROW EXECUTE FUNCTION snapshot_new_article_version();
+
+-- =====================================================
+-- 4. BACKFILL
+-- =====================================================
+-- Existing articles start their history with their current content
+INSERT INTO article_versions (
+  article_id, version_number, source,
+  title, content, excerpt, meta_title, meta_description, focus_keyword, faqs,
+  word_count, quality_score, created_at
+)
+SELECT
+  id, 1, 'manual',
+  title, content, excerpt, meta_title, meta_description, focus_keyword, faqs,
+  word_count, quality_score, updated_at
+FROM articles;
+
+UPDATE articles SET current_version = 1 WHERE current_version = 0;
@@ -0,0 +1,36 @@
+-- Inline Reviewer Comments
+-- article_revisions rows become comment threads anchored to a text range in the
+-- editor, with replies and resolve / dismiss tracking
+
+-- =====================================================
+-- 1. ANCHORS AND THREADS
+-- =====================================================
+-- The anchor is the selected text plus its position and surrounding context in
+-- the editor's plain text, so it can be found again after the article changes
+ALTER TABLE article_revisions
+  ADD COLUMN anchor_start INTEGER,
+  ADD COLUMN anchor_length INTEGER,
+  ADD COLUMN anchor_prefix TEXT,
+  ADD COLUMN anchor_suffix TEXT,
+  ADD COLUMN parent_id UUID REFERENCES article_revisions(id) ON DELETE CASCADE, -- replies
+  ADD COLUMN resolved_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_article_revisions_article ON article_revisions(article_id, created_at);
+CREATE INDEX idx_article_revisions_parent ON article_revisions(parent_id);
+
+-- =====================================================
+-- 2. POLICIES
+-- =====================================================
+-- Comments could be created but never resolved; article owners manage them
+CREATE POLICY "Users can update revisions for their articles"
+  ON article_revisions FOR UPDATE
+  USING (EXISTS (
+    SELECT 1 FROM articles
+    WHERE articles.id = article_revisions.article_id
+    AND articles.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can delete their own revisions"
+  ON article_revisions FOR DELETE
+  USING (auth.uid() = created_by);
@@ -0,0 +1,35 @@
+-- Learned Patterns
+-- Each AI revision writes a training_data row with the patterns extracted from the
+-- reviewer feedback it addressed. Approved patterns are injected into the draft and
+-- humanization prompts, and articles record which ones they were generated with.
+
+-- =====================================================
+-- 1. TRAINING DATA
+-- =====================================================
+-- pattern_details keeps category / example / estimated impact per pattern;
+-- patterns_learned stays the list of rule texts
+ALTER TABLE training_data
+  ADD COLUMN pattern_details JSONB DEFAULT '[]'::jsonb, -- [{ category, pattern, example, impact_score }]
+  ADD COLUMN quality_before INTEGER, -- quality score of the original content
+  ADD COLUMN quality_after INTEGER,  -- quality score of the revised content
+  ADD COLUMN reviewed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_training_data_user_status ON training_data(user_id, status);
+CREATE INDEX idx_training_data_article ON training_data(article_id);
+
+-- =====================================================
+-- 2. ARTICLES
+-- =====================================================
+-- training_data rows whose patterns were in the prompts when the article was generated
+ALTER TABLE articles
+  ADD COLUMN learned_pattern_ids UUID[] DEFAULT '{}';
+
+CREATE INDEX idx_articles_learned_patterns ON articles USING GIN (learned_pattern_ids);
+
+-- =====================================================
+-- 3. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('max_learned_rules', '10', 'ai', 'Max approved learned patterns injected into draft and humanization prompts (0 disables)')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,16 @@
+-- LLM Providers
+-- Each pipeline role (draft, humanize, fix) picks its provider: grok, claude, an
+-- OpenAI-compatible endpoint, a local OpenAI-compatible server, or the offline mock
+
+-- =====================================================
+-- 1. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('draft_provider', 'grok', 'ai', 'Provider for drafts, ideas and metadata (grok, claude, openai, local, mock)'),
+('humanize_provider', 'claude', 'ai', 'Provider for the humanization rewrite (grok, claude, openai, local, mock)'),
+('fix_provider', 'claude', 'ai', 'Provider for auto-fix, revisions, pattern extraction and anchor suggestions (grok, claude, openai, local, mock)'),
+('openai_base_url', 'https://api.openai.com/v1', 'ai', 'Base URL of the OpenAI-compatible API used by the openai provider (needs the OPENAI_API_KEY secret)'),
+('openai_model', 'gpt-4o-mini', 'ai', 'Model for the openai provider'),
+('local_llm_base_url', 'http://localhost:11434/v1', 'ai', 'Base URL of a local OpenAI-compatible server (Ollama, LM Studio, llama.cpp) used by the local provider'),
+('local_llm_model', 'llama3.1', 'ai', 'Model for the local provider')
+ON CONFLICT (key) DO NOTHING;
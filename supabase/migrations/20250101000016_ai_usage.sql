@@ -0,0 +1,77 @@
+-- AI Usage & Cost Accounting
+-- One row per LLM call: tokens, model, latency and estimated cost, tagged with the
+-- article and pipeline stage it was spent on. Daily / monthly budget caps pause automation.
+
+-- =====================================================
+-- 1. AI USAGE TABLE
+-- =====================================================
+CREATE TABLE ai_usage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  -- What the call was for
+  article_id UUID REFERENCES articles(id) ON DELETE SET NULL,
+  run_id UUID, -- one generation run; linked to its article once the article is saved
+  stage TEXT NOT NULL, -- draft, humanize, links, auto_fix_1..n, revision, learning, ideas, metadata
+  role TEXT NOT NULL CHECK (role IN ('draft', 'humanize', 'fix')),
+  task TEXT,
+
+  -- Provider and usage
+  provider TEXT NOT NULL,
+  model TEXT,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0, -- estimate from list prices (see src/lib/llm/usage.js)
+
+  -- Metadata
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL, -- NULL for scheduled automation
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_usage_created ON ai_usage(created_at DESC);
+CREATE INDEX idx_ai_usage_article ON ai_usage(article_id);
+CREATE INDEX idx_ai_usage_run ON ai_usage(run_id) WHERE run_id IS NOT NULL;
+
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
+
+-- Spend is a team-wide budget, so the team can read every row
+CREATE POLICY "Authenticated users can view AI usage"
+  ON ai_usage FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Users can record their own AI usage"
+  ON ai_usage FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+-- =====================================================
+-- 2. LINK GENERATION RUNS TO ARTICLES
+-- =====================================================
+-- The pipeline spends tokens before the article row exists; it tags its calls with
+-- a run id and saves the same id on the article, and the trigger attaches them
+ALTER TABLE articles ADD COLUMN generation_run_id UUID;
+
+CREATE OR REPLACE FUNCTION attach_generation_usage()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE ai_usage
+  SET article_id = NEW.id
+  WHERE run_id = NEW.generation_run_id
+  AND article_id IS NULL;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER articles_attach_generation_usage
+  AFTER INSERT ON articles
+  FOR EACH ROW
+  WHEN (NEW.generation_run_id IS NOT NULL)
+  EXECUTE FUNCTION attach_generation_usage();
+
+-- =====================================================
+-- 3. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('daily_budget_usd', '0', 'automation', 'Estimated AI spend per UTC day at which automation pauses (0 = no cap)'),
+('monthly_budget_usd', '0', 'automation', 'Estimated AI spend per UTC month at which automation pauses (0 = no cap)')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,39 @@
+-- API Error Kinds
+-- Failed generation jobs record what kind of failure stopped them (auth, quota,
+-- transient, bad_request, unknown - see src/lib/http/apiErrors.js) so the queue can
+-- show what to do about it and the worker only retries failures that can succeed
+
+-- =====================================================
+-- 1. QUEUE COLUMN
+-- =====================================================
+ALTER TABLE generation_queue
+  ADD COLUMN error_kind TEXT CHECK (error_kind IN ('auth', 'quota', 'transient', 'bad_request', 'unknown'));
+
+-- =====================================================
+-- 2. CLAIM FUNCTION
+-- =====================================================
+-- Same as 20250101000003, also clearing the previous attempt's error kind
+CREATE OR REPLACE FUNCTION claim_generation_job(stale_after_minutes INTEGER DEFAULT 15)
+RETURNS SETOF generation_queue AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE generation_queue
+  SET
+    status = 'processing',
+    started_at = NOW(),
+    attempts = attempts + 1,
+    current_stage = 'queued',
+    progress_percentage = 0,
+    error_message = NULL,
+    error_kind = NULL
+  WHERE id = (
+    SELECT id FROM generation_queue
+    WHERE status = 'pending'
+      OR (status = 'processing' AND started_at < NOW() - make_interval(mins => stale_after_minutes))
+    ORDER BY priority DESC, created_at ASC
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,22 @@
+-- Stage Validation
+-- The pipeline compares the article before and after each LLM stage (humanize,
+-- internal links, auto-fix) for lost headings, links, words, facts and broken
+-- tags (see src/lib/quality/structureValidator.js). Findings are kept on the
+-- article; stages that lose too much are rolled back to their input.
+
+-- =====================================================
+-- 1. ARTICLE COLUMN
+-- =====================================================
+-- [{ stage, rolled_back, findings: [{ type, severity, message }], checked_at }]
+ALTER TABLE articles
+  ADD COLUMN stage_warnings JSONB DEFAULT '[]'::jsonb;
+
+-- =====================================================
+-- 2. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('stage_validation_enabled', 'true', 'quality', 'Compare the article before and after each AI stage and record what it lost'),
+('stage_rollback_enabled', 'true', 'quality', 'Discard a stage''s output when it breaks tags, removes headings or exceeds the limits below'),
+('max_stage_word_change_percent', '30', 'quality', 'Largest word count change (%) a humanize or link stage may make'),
+('max_stage_missing_facts_percent', '25', 'quality', 'Largest share (%) of numbers and named entities a stage may drop')
+ON CONFLICT (key) DO NOTHING;
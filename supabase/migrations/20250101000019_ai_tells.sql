@@ -0,0 +1,17 @@
+-- AI Tells
+-- Quality checks scan content for banned phrases, overused AI transitions and
+-- runs of sentences opening with the same word (see src/lib/quality/aiTells.js).
+-- banned_phrases now only lists site-specific additions; the built-in list
+-- lives in aiTells.js and is shared by every prompt.
+
+-- =====================================================
+-- 1. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('check_ai_tells', 'true', 'quality', 'Flag banned phrases, overused AI transitions and repetitive sentence openers'),
+('max_ai_transitions_per_1000_words', '4', 'quality', 'Sentence-opening transitions (Moreover, Furthermore, ...) allowed per 1000 words')
+ON CONFLICT (key) DO NOTHING;
+
+UPDATE system_settings
+SET description = 'Phrases to avoid in content, in addition to the built-in AI phrase list'
+WHERE key = 'banned_phrases';
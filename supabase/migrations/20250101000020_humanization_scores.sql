@@ -0,0 +1,23 @@
+-- Humanization Scores
+-- Generation scores the draft and the humanized article with the offline
+-- perplexity/burstiness estimator (see src/lib/quality/humanness.js) so we can
+-- tell whether the humanize pass did anything. Articles whose score didn't
+-- improve by min_humanization_improvement points are flagged.
+
+-- =====================================================
+-- 1. ARTICLE COLUMNS
+-- =====================================================
+-- { before, after, improvement, improved, measured_at }; before/after hold
+-- { score, burstiness, typeTokenRatio, trigramRepetition, perplexity, ... }
+ALTER TABLE articles
+  ADD COLUMN humanization_scores JSONB,
+  ADD COLUMN humanization_flagged BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX idx_articles_humanization_flagged ON articles(humanization_flagged) WHERE humanization_flagged;
+
+-- =====================================================
+-- 2. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('min_humanization_improvement', '3', 'quality', 'Points the humanness score must gain in the humanize stage before the article is flagged')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,11 @@
+-- Structured Data
+-- publish-to-wordpress appends a visible FAQ section and Article, Person
+-- (contributor) and FAQPage JSON-LD to the post (see src/lib/seo/structuredData.js)
+
+-- =====================================================
+-- 1. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('enable_structured_data', 'true', 'wordpress', 'Add Article, Person and FAQPage JSON-LD to published posts'),
+('append_faq_section', 'true', 'wordpress', 'Add the article''s FAQs to published posts as a visible section')
+ON CONFLICT (key) DO NOTHING;
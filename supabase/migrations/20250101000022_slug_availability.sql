@@ -0,0 +1,19 @@
+-- Slug Availability
+-- articles.slug is unique across all users, but RLS only lets a user see their
+-- own articles; the editor's metadata form checks a slug with this function
+-- before saving instead of waiting for the unique constraint to fail
+
+-- =====================================================
+-- 1. AVAILABILITY FUNCTION
+-- =====================================================
+-- Only answers yes/no, so it doesn't expose other users' articles
+CREATE OR REPLACE FUNCTION is_article_slug_available(check_slug TEXT, exclude_article_id UUID DEFAULT NULL)
+RETURNS BOOLEAN AS $$
+  SELECT NOT EXISTS (
+    SELECT 1 FROM articles
+    WHERE slug = check_slug
+      AND (exclude_article_id IS NULL OR id <> exclude_article_id)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION is_article_slug_available(TEXT, UUID) TO authenticated;
@@ -0,0 +1,31 @@
+-- On-Page SEO
+-- Quality checks look for the focus keyword in the title, meta title, first
+-- 100 words, H2s, slug and meta description, measure its density and the
+-- coverage of the idea's secondary keywords, and flag images without alt text
+-- (see src/lib/seo/onPageSeo.js)
+
+-- =====================================================
+-- 1. ARTICLE KEYWORD DATA
+-- =====================================================
+-- Copied from the content idea at generation so the checks don't need the idea
+COMMENT ON COLUMN content_ideas.keyword_research_data IS
+  '{ primary_keyword, secondary_keywords, search_volume, difficulty, competition, cpc, trend, opportunity_score, monthly_searches }';
+
+ALTER TABLE articles
+  ADD COLUMN keyword_research_data JSONB;
+
+UPDATE articles
+SET keyword_research_data = content_ideas.keyword_research_data
+FROM content_ideas
+WHERE content_ideas.article_id = articles.id
+  AND content_ideas.keyword_research_data IS NOT NULL;
+
+-- =====================================================
+-- 2. SETTINGS
+-- =====================================================
+INSERT INTO system_settings (key, value, category, description) VALUES
+('check_on_page_seo', 'true', 'seo', 'Check focus keyword placement and density, secondary keywords and image alt text'),
+('min_keyword_density_percent', '0.5', 'seo', 'Focus keyword uses per 100 words below which it is underused'),
+('max_keyword_density_percent', '2.5', 'seo', 'Focus keyword uses per 100 words above which the article reads as keyword stuffing'),
+('min_secondary_keyword_coverage_percent', '50', 'seo', 'Share of the idea''s secondary keywords the article should mention')
+ON CONFLICT (key) DO NOTHING;
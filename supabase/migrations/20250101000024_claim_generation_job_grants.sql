@@ -0,0 +1,10 @@
+-- Claim Function Grants
+-- claim_generation_job claims any user's job, so only the generation-worker
+-- (service role) may call it; a client calling it would take jobs the worker
+-- then never runs
+
+-- =====================================================
+-- 1. GRANTS
+-- =====================================================
+REVOKE EXECUTE ON FUNCTION claim_generation_job(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_generation_job(INTEGER) TO service_role;
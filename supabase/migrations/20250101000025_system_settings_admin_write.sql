@@ -0,0 +1,42 @@
+-- System Settings Admin Write Access
+-- Any signed-in user could change system_settings, including the endpoints
+-- Edge Functions send API keys to and the provider each role uses. Writes now
+-- need the admin role (app_metadata.role = 'admin', which only the service role
+-- can set), and the endpoint and provider settings can't be written from the
+-- client at all; change those with the service role or in the SQL editor
+
+-- =====================================================
+-- 1. ADMIN CHECK
+-- =====================================================
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin';
+$$ LANGUAGE sql STABLE;
+
+-- Keys the client may never write (readOnly in src/lib/settings.js)
+CREATE OR REPLACE FUNCTION is_protected_setting(setting_key TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT setting_key IN (
+    'draft_provider',
+    'humanize_provider',
+    'fix_provider',
+    'openai_base_url',
+    'local_llm_base_url',
+    'embedding_api_url'
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- 2. POLICIES
+-- =====================================================
+DROP POLICY IF EXISTS "Authenticated users can insert settings" ON system_settings;
+DROP POLICY IF EXISTS "Authenticated users can update settings" ON system_settings;
+
+CREATE POLICY "Admins can insert settings"
+  ON system_settings FOR INSERT
+  WITH CHECK (is_admin() AND NOT is_protected_setting(key));
+
+CREATE POLICY "Admins can update settings"
+  ON system_settings FOR UPDATE
+  USING (is_admin() AND NOT is_protected_setting(key))
+  WITH CHECK (is_admin() AND NOT is_protected_setting(key));
@@ -0,0 +1,9 @@
+-- Embeddings Endpoint Secret
+-- The EMBEDDING_API_KEY secret was sent to embedding_api_url, which could be
+-- changed in system_settings; the endpoint is now the EMBEDDING_API_URL secret
+-- (see supabase/functions/_shared/embeddings.ts)
+
+-- =====================================================
+-- 1. SETTINGS
+-- =====================================================
+DELETE FROM system_settings WHERE key = 'embedding_api_url';
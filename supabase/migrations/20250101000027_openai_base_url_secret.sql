@@ -0,0 +1,14 @@
+-- OpenAI-compatible Endpoint Secret
+-- The OPENAI_API_KEY secret was sent to openai_base_url, which could be changed
+-- in system_settings; the endpoint is now the OPENAI_BASE_URL secret. The
+-- local provider still reads local_llm_base_url, but only without a key
+-- (see src/lib/llm/providers.js)
+
+-- =====================================================
+-- 1. SETTINGS
+-- =====================================================
+DELETE FROM system_settings WHERE key = 'openai_base_url';
+
+UPDATE system_settings
+SET description = 'Base URL of a local OpenAI-compatible server (Ollama, LM Studio, llama.cpp) used by the local provider when LOCAL_LLM_API_KEY is not set; with a key, set the LOCAL_LLM_BASE_URL secret instead'
+WHERE key = 'local_llm_base_url';
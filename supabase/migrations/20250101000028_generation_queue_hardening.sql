@@ -0,0 +1,99 @@
+-- Generation Queue Hardening
+-- The update policy let clients rewrite any column of their jobs (status,
+-- options, attempts, generated_article_id). Clients now only cancel (delete) a
+-- pending or failed job or retry a failed one through retry_generation_job.
+-- The claim stops reclaiming stale jobs that are out of attempts and can be
+-- scoped to one user's jobs (generation-worker called with a user JWT)
+
+-- =====================================================
+-- 1. ROW LEVEL SECURITY
+-- =====================================================
+DROP POLICY IF EXISTS "Users can update their own generation jobs" ON generation_queue;
+DROP POLICY IF EXISTS "Users can delete their own generation jobs" ON generation_queue;
+
+CREATE POLICY "Users can cancel their own generation jobs"
+  ON generation_queue FOR DELETE
+  USING (auth.uid() = user_id AND status IN ('pending', 'failed'));
+
+-- =====================================================
+-- 2. RETRY FUNCTION (used by the app)
+-- =====================================================
+-- Puts one of the caller's failed jobs back in the queue with fresh attempts
+CREATE OR REPLACE FUNCTION retry_generation_job(job_id UUID)
+RETURNS SETOF generation_queue AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE generation_queue
+  SET
+    status = 'pending',
+    attempts = 0,
+    error_message = NULL,
+    error_kind = NULL,
+    progress_percentage = 0,
+    current_stage = NULL,
+    completed_at = NULL
+  WHERE id = job_id
+    AND user_id = auth.uid()
+    AND status = 'failed'
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION retry_generation_job(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION retry_generation_job(UUID) TO authenticated;
+
+-- =====================================================
+-- 3. CLAIM FUNCTION (used by generation-worker)
+-- =====================================================
+-- Stale 'processing' jobs that already used max_attempts are failed instead of
+-- reclaimed. for_user limits the claim to one user's jobs (NULL = any user)
+DROP FUNCTION IF EXISTS claim_generation_job(INTEGER);
+
+CREATE OR REPLACE FUNCTION claim_generation_job(
+  stale_after_minutes INTEGER DEFAULT 15,
+  max_attempts INTEGER DEFAULT 3,
+  for_user UUID DEFAULT NULL
+)
+RETURNS SETOF generation_queue AS $$
+BEGIN
+  UPDATE generation_queue
+  SET
+    status = 'failed',
+    error_message = 'Generation stopped responding after ' || attempts || ' attempts',
+    error_kind = 'transient',
+    completed_at = NOW()
+  WHERE status = 'processing'
+    AND started_at < NOW() - make_interval(mins => stale_after_minutes)
+    AND attempts >= max_attempts
+    AND (for_user IS NULL OR user_id = for_user);
+
+  RETURN QUERY
+  UPDATE generation_queue
+  SET
+    status = 'processing',
+    started_at = NOW(),
+    attempts = attempts + 1,
+    current_stage = 'queued',
+    progress_percentage = 0,
+    error_message = NULL
+  WHERE id = (
+    SELECT id FROM generation_queue
+    WHERE (
+        status = 'pending'
+        OR (
+          status = 'processing'
+          AND started_at < NOW() - make_interval(mins => stale_after_minutes)
+          AND attempts < max_attempts
+        )
+      )
+      AND (for_user IS NULL OR user_id = for_user)
+    ORDER BY priority DESC, created_at ASC
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION claim_generation_job(INTEGER, INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_generation_job(INTEGER, INTEGER, UUID) TO service_role;
@@ -0,0 +1,11 @@
+-- Site Article URLs Per User
+-- site_articles.url was unique across all users, so importing a URL another
+-- user already had rewrote their row (user_id, connection_id, removed_at).
+-- URLs are now unique per user; import-site-articles upserts on (user_id, url)
+
+-- =====================================================
+-- 1. UNIQUE KEY
+-- =====================================================
+ALTER TABLE site_articles DROP CONSTRAINT IF EXISTS site_articles_url_key;
+
+CREATE UNIQUE INDEX idx_site_articles_user_url ON site_articles(user_id, url);
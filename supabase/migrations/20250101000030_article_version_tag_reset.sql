@@ -0,0 +1,82 @@
+-- Article Version Tag Reset
+-- edit_source was only cleared by updates, so an inserted article kept its tag
+-- (e.g. 'auto_fix') and the next AI update with the same tag was taken for a
+-- leftover and saved as 'manual'. The first snapshot now clears the tags too,
+-- so every statement starts untagged and a tag on NEW was always set by it
+
+-- =====================================================
+-- 1. SNAPSHOT TRIGGER
+-- =====================================================
+CREATE OR REPLACE FUNCTION snapshot_article_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    IF NEW.title IS NOT DISTINCT FROM OLD.title
+      AND NEW.content IS NOT DISTINCT FROM OLD.content
+      AND NEW.excerpt IS NOT DISTINCT FROM OLD.excerpt
+      AND NEW.meta_title IS NOT DISTINCT FROM OLD.meta_title
+      AND NEW.meta_description IS NOT DISTINCT FROM OLD.meta_description
+      AND NEW.focus_keyword IS NOT DISTINCT FROM OLD.focus_keyword
+      AND NEW.faqs IS NOT DISTINCT FROM OLD.faqs THEN
+      NEW.edit_source := NULL;
+      NEW.restored_from_version := NULL;
+      RETURN NEW;
+    END IF;
+  END IF;
+
+  NEW.current_version := COALESCE(
+    (SELECT MAX(version_number) FROM article_versions WHERE article_id = NEW.id), 0
+  ) + 1;
+
+  IF TG_OP = 'UPDATE' THEN
+    INSERT INTO article_versions (
+      article_id, version_number, source, restored_from_version,
+      title, content, excerpt, meta_title, meta_description, focus_keyword, faqs,
+      word_count, quality_score, created_by
+    ) VALUES (
+      NEW.id, NEW.current_version, COALESCE(NEW.edit_source, 'manual'),
+      CASE WHEN NEW.edit_source = 'restore' THEN NEW.restored_from_version END,
+      NEW.title, NEW.content, NEW.excerpt, NEW.meta_title, NEW.meta_description, NEW.focus_keyword, NEW.faqs,
+      NEW.word_count, NEW.quality_score, auth.uid()
+    );
+
+    NEW.edit_source := NULL;
+    NEW.restored_from_version := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The first version is written after the insert, once the article row exists,
+-- then the tags are cleared (the update changes no content, so no new version)
+CREATE OR REPLACE FUNCTION snapshot_new_article_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO article_versions (
+    article_id, version_number, source,
+    title, content, excerpt, meta_title, meta_description, focus_keyword, faqs,
+    word_count, quality_score, created_by
+  ) VALUES (
+    NEW.id, NEW.current_version, COALESCE(NEW.edit_source, 'manual'),
+    NEW.title, NEW.content, NEW.excerpt, NEW.meta_title, NEW.meta_description, NEW.focus_keyword, NEW.faqs,
+    NEW.word_count, NEW.quality_score, auth.uid()
+  );
+
+  IF NEW.edit_source IS NOT NULL OR NEW.restored_from_version IS NOT NULL THEN
+    UPDATE articles
+    SET edit_source = NULL, restored_from_version = NULL
+    WHERE id = NEW.id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- 2. BACKFILL
+-- =====================================================
+-- Articles inserted with a tag still carry it
+UPDATE articles
+SET edit_source = NULL, restored_from_version = NULL
+WHERE edit_source IS NOT NULL OR restored_from_version IS NOT NULL;
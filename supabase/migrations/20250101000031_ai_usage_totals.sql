@@ -0,0 +1,71 @@
+-- AI Usage Totals
+-- Budget checks and Analytics summed raw ai_usage rows, and a select returns at
+-- most 1000 rows, so spend was undercounted once there were more calls. The sums
+-- are done here instead
+
+-- =====================================================
+-- 1. BUDGET SPEND
+-- =====================================================
+-- Spend in the current UTC day and month (see budgetPeriodStarts in src/lib/llm/usage.js)
+CREATE OR REPLACE FUNCTION ai_usage_spend()
+RETURNS TABLE (day_spend NUMERIC, month_spend NUMERIC) AS $$
+  SELECT
+    COALESCE(SUM(cost_usd) FILTER (
+      WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+    ), 0),
+    COALESCE(SUM(cost_usd), 0)
+  FROM ai_usage
+  WHERE created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- 2. ANALYTICS SUMMARY
+-- =====================================================
+-- Calls, tokens and cost since a date, grouped four ways (dimension): by UTC
+-- month (YYYY-MM), stage, article contributor and article (label = title).
+-- Runs with the caller's rights, so articles they can't see count as 'No article'
+CREATE OR REPLACE FUNCTION ai_usage_summary(since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  dimension TEXT,
+  key TEXT,
+  label TEXT,
+  calls BIGINT,
+  input_tokens BIGINT,
+  output_tokens BIGINT,
+  cost_usd NUMERIC
+) AS $$
+  WITH recent AS (
+    SELECT
+      ai_usage.*,
+      to_char(ai_usage.created_at AT TIME ZONE 'UTC', 'YYYY-MM') AS month,
+      articles.id AS visible_article_id,
+      articles.title AS article_title,
+      CASE
+        WHEN articles.id IS NULL THEN 'No article'
+        ELSE COALESCE(articles.contributor_name, 'Unassigned')
+      END AS contributor
+    FROM ai_usage
+    LEFT JOIN articles ON articles.id = ai_usage.article_id
+    WHERE ai_usage.created_at >= since
+  )
+  SELECT 'month', month, NULL, COUNT(*), SUM(input_tokens), SUM(output_tokens), SUM(cost_usd)
+  FROM recent GROUP BY month
+  UNION ALL
+  SELECT 'stage', stage, NULL, COUNT(*), SUM(input_tokens), SUM(output_tokens), SUM(cost_usd)
+  FROM recent GROUP BY stage
+  UNION ALL
+  SELECT 'contributor', contributor, NULL, COUNT(*), SUM(input_tokens), SUM(output_tokens), SUM(cost_usd)
+  FROM recent GROUP BY contributor
+  UNION ALL
+  SELECT 'article', visible_article_id::TEXT, MAX(article_title), COUNT(*), SUM(input_tokens), SUM(output_tokens), SUM(cost_usd)
+  FROM recent WHERE visible_article_id IS NOT NULL GROUP BY visible_article_id;
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- 3. GRANTS
+-- =====================================================
+REVOKE EXECUTE ON FUNCTION ai_usage_spend() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION ai_usage_spend() TO authenticated, service_role;
+
+REVOKE EXECUTE ON FUNCTION ai_usage_summary(TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION ai_usage_summary(TIMESTAMP WITH TIME ZONE) TO authenticated, service_role;